@@ -0,0 +1,28 @@
+// Prints an HS256 token for local testing of AUTH_MODE=jwt.
+// Usage: npm run token -- <userId> [team1,team2] [ttlSeconds]
+import 'dotenv/config';
+
+import { signJwt } from '../src/auth.js';
+
+const [userId, teams = '', ttl = '86400'] = process.argv.slice(2);
+const secret = (process.env.AUTH_JWT_SECRET || '').trim();
+
+if (!userId || !secret) {
+  console.error('Usage: AUTH_JWT_SECRET=... npm run token -- <userId> [team1,team2] [ttlSeconds]');
+  process.exit(1);
+}
+
+const now = Math.floor(Date.now() / 1000);
+const payload = {
+  sub: userId,
+  teams: teams
+    .split(',')
+    .map((t) => t.trim())
+    .filter(Boolean),
+  iat: now,
+  exp: now + (parseInt(ttl, 10) || 86400),
+  ...(process.env.AUTH_JWT_ISSUER ? { iss: process.env.AUTH_JWT_ISSUER } : {}),
+  ...(process.env.AUTH_JWT_AUDIENCE ? { aud: process.env.AUTH_JWT_AUDIENCE } : {}),
+};
+
+console.log(signJwt(payload, secret));
@@ -0,0 +1,295 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { createClient } from '@supabase/supabase-js';
+
+import { ANSWER_CACHE_DEFAULTS, STORE_DEFAULTS } from './server/constants.js';
+
+export const ANSWER_CACHE_BACKENDS = ['memory', 'local', 'supabase', 'off'];
+
+function parseIntSafe(v, fallback) {
+  const n = parseInt(String(v ?? ''), 10);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+/**
+ * ANSWER_CACHE picks where chat/compare answers are cached:
+ * - memory (default): in-process LRU of ANSWER_CACHE_MAX_ENTRIES entries, lost on restart
+ * - local: one JSON file per entry under ANSWER_CACHE_DIR (default `<LOCAL_STORE_DIR>/answer-cache`)
+ * - supabase: the `answer_cache` table (see supabase/schema.sql), shared by every backend instance
+ * - off: no caching
+ *
+ * Entries expire after ANSWER_CACHE_TTL_MS (0 = only when their documents change).
+ */
+export function loadAnswerCacheConfig(env) {
+  const backend = (env.ANSWER_CACHE || ANSWER_CACHE_DEFAULTS.BACKEND).trim().toLowerCase();
+  if (!ANSWER_CACHE_BACKENDS.includes(backend)) {
+    throw new Error(`Unknown ANSWER_CACHE '${backend}'. Use one of: ${ANSWER_CACHE_BACKENDS.join(', ')}.`);
+  }
+
+  return {
+    backend,
+    maxEntries: Math.max(1, parseIntSafe(env.ANSWER_CACHE_MAX_ENTRIES, ANSWER_CACHE_DEFAULTS.MAX_ENTRIES)),
+    ttlMs: Math.max(0, parseIntSafe(env.ANSWER_CACHE_TTL_MS, ANSWER_CACHE_DEFAULTS.TTL_MS)),
+    dir: (
+      env.ANSWER_CACHE_DIR || path.join(env.LOCAL_STORE_DIR || STORE_DEFAULTS.LOCAL_DIR, ANSWER_CACHE_DEFAULTS.DIR_NAME)
+    ).trim(),
+    supabaseUrl: (env.SUPABASE_URL || '').trim(),
+    supabaseServiceRoleKey: (env.SUPABASE_SERVICE_ROLE_KEY || '').trim(),
+  };
+}
+
+/**
+ * Question text as used in cache keys: case, whitespace, quotes and trailing punctuation
+ * don't change the answer, so "What is X?" and "what is x" share an entry.
+ */
+export function normalizeQuestion(question) {
+  return String(question || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[“”‘’"'`]/g, '')
+    .replace(/\s+/g, ' ')
+    .replace(/[\s?!.。？！]+$/u, '')
+    .trim();
+}
+
+/**
+ * Cache key for one `kind` of answer ('chat', 'compare'); `parts` must hold everything the
+ * answer depends on (documents, normalized question, history, settings, model, prompt version).
+ */
+export function answerCacheKey(kind, parts) {
+  return `${kind}-${crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex').slice(0, 32)}`;
+}
+
+const isExpired = (entry, now = Date.now()) => !!entry.expiresAt && now > entry.expiresAt;
+
+function createMemoryBackend({ maxEntries }) {
+  /** @type {Map<string, { docIds: string[], value: any, stamp: object | null, expiresAt: number, createdAt: string }>} */
+  const map = new Map();
+
+  return {
+    async get(key) {
+      const hit = map.get(key);
+      if (!hit) return undefined;
+      map.delete(key);
+      if (isExpired(hit)) return undefined;
+      // LRU bump
+      map.set(key, hit);
+      return hit.value;
+    },
+
+    async set(key, entry) {
+      map.delete(key);
+      map.set(key, entry);
+      while (map.size > maxEntries) map.delete(map.keys().next().value);
+    },
+
+    async evictDocument(docId) {
+      for (const [key, entry] of map) {
+        if (entry.docIds.includes(docId)) map.delete(key);
+      }
+    },
+
+    async entries() {
+      return Array.from(map, ([key, entry]) => ({ key, ...entry })).filter((e) => !isExpired(e));
+    },
+
+    async delete(keys) {
+      keys.forEach((key) => map.delete(key));
+    },
+  };
+}
+
+function createLocalBackend({ dir }) {
+  const root = path.resolve(dir);
+  const file = (key) => path.join(root, `${key}.json`);
+
+  const readEntry = async (f) => {
+    try {
+      return JSON.parse(await fs.readFile(f, 'utf8'));
+    } catch {
+      return null;
+    }
+  };
+
+  const names = async () => {
+    try {
+      return (await fs.readdir(root)).filter((n) => n.endsWith('.json'));
+    } catch {
+      return [];
+    }
+  };
+
+  return {
+    async get(key) {
+      const entry = await readEntry(file(key));
+      if (!entry) return undefined;
+      if (isExpired(entry)) {
+        await fs.rm(file(key), { force: true });
+        return undefined;
+      }
+      return entry.value;
+    },
+
+    async set(key, entry) {
+      await fs.mkdir(root, { recursive: true });
+      const tmp = `${file(key)}.${process.pid}.${Date.now()}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(entry));
+      await fs.rename(tmp, file(key));
+    },
+
+    // Also sweeps expired entries, so the folder doesn't grow forever.
+    async evictDocument(docId) {
+      const now = Date.now();
+      for (const name of await names()) {
+        const entry = await readEntry(path.join(root, name));
+        if (!entry || isExpired(entry, now) || entry.docIds?.includes(docId)) {
+          await fs.rm(path.join(root, name), { force: true });
+        }
+      }
+    },
+
+    async entries() {
+      const out = [];
+      for (const name of await names()) {
+        const entry = await readEntry(path.join(root, name));
+        if (entry && !isExpired(entry)) out.push({ ...entry, key: name.slice(0, -'.json'.length) });
+      }
+      return out;
+    },
+
+    async delete(keys) {
+      for (const key of keys) await fs.rm(file(key), { force: true });
+    },
+  };
+}
+
+function createSupabaseBackend({ supabaseUrl, supabaseServiceRoleKey }) {
+  if (!supabaseUrl) throw new Error('ANSWER_CACHE=supabase needs SUPABASE_URL');
+  if (!supabaseServiceRoleKey) throw new Error('ANSWER_CACHE=supabase needs SUPABASE_SERVICE_ROLE_KEY');
+
+  const supabase = createClient(supabaseUrl, supabaseServiceRoleKey, { auth: { persistSession: false } });
+  const table = ANSWER_CACHE_DEFAULTS.TABLE;
+
+  return {
+    async get(key) {
+      const { data, error } = await supabase.from(table).select('value,expires_at').eq('key', key).maybeSingle();
+      if (error) throw new Error(`Answer cache read failed: ${error.message}`);
+      if (!data || (data.expires_at && Date.now() > Date.parse(data.expires_at))) return undefined;
+      return data.value;
+    },
+
+    async set(key, entry) {
+      const row = {
+        key,
+        doc_ids: entry.docIds,
+        value: entry.value,
+        expires_at: entry.expiresAt ? new Date(entry.expiresAt).toISOString() : null,
+      };
+      let { error } = await supabase.from(table).upsert({ ...row, stamp: entry.stamp });
+      // Tables created before stamps existed have no `stamp` column; such entries count as stale.
+      if (error && /stamp/i.test(error.message)) ({ error } = await supabase.from(table).upsert(row));
+      if (error) throw new Error(`Answer cache write failed: ${error.message}`);
+    },
+
+    async evictDocument(docId) {
+      const { error } = await supabase.from(table).delete().contains('doc_ids', [docId]);
+      if (error) throw new Error(`Answer cache delete failed: ${error.message}`);
+    },
+
+    async entries() {
+      const columns = 'key,doc_ids,expires_at,created_at';
+      let { data, error } = await supabase.from(table).select(`${columns},stamp`);
+      if (error && /stamp/i.test(error.message)) ({ data, error } = await supabase.from(table).select(columns));
+      if (error) throw new Error(`Answer cache read failed: ${error.message}`);
+      return (data || [])
+        .filter((row) => !row.expires_at || Date.now() <= Date.parse(row.expires_at))
+        .map((row) => ({ key: row.key, docIds: row.doc_ids || [], stamp: row.stamp ?? null, createdAt: row.created_at }));
+    },
+
+    async delete(keys) {
+      if (!keys.length) return;
+      const { error } = await supabase.from(table).delete().in('key', keys);
+      if (error) throw new Error(`Answer cache delete failed: ${error.message}`);
+    },
+  };
+}
+
+function createBackend(cfg) {
+  switch (cfg.backend) {
+    case 'memory':
+      return createMemoryBackend(cfg);
+    case 'local':
+      return createLocalBackend(cfg);
+    case 'supabase':
+      return createSupabaseBackend(cfg);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Response cache for chat and compare answers.
+ *
+ * `get(key)` returns the cached value or undefined, `set(key, value, { docIds, stamp })` stores one
+ * (`stamp`: what produced it, { model, promptVersion, chunkingVersion }) and `evictDocument(docId)`
+ * drops every entry that used the document (call it when a document is reprocessed, renamed or
+ * deleted). The cache is best-effort: backend errors count as misses and are never surfaced to the
+ * request. `entries()` (unexpired entries without their values: { key, docIds, stamp, createdAt })
+ * and `delete(keys)` are for the admin routes, and do throw.
+ */
+export function createAnswerCache(cfg) {
+  const backend = createBackend(cfg);
+
+  return {
+    enabled: !!backend,
+
+    async get(key) {
+      if (!backend) return undefined;
+      try {
+        return await backend.get(key);
+      } catch {
+        return undefined;
+      }
+    },
+
+    async set(key, value, { docIds, stamp = null }) {
+      if (!backend) return;
+      try {
+        await backend.set(key, {
+          docIds: Array.from(new Set(docIds)),
+          value,
+          stamp,
+          expiresAt: cfg.ttlMs ? Date.now() + cfg.ttlMs : 0,
+          createdAt: new Date().toISOString(),
+        });
+      } catch {
+        // ignore caching failures
+      }
+    },
+
+    async evictDocument(docId) {
+      if (!backend) return;
+      try {
+        await backend.evictDocument(docId);
+      } catch {
+        // ignore; entries still expire after ANSWER_CACHE_TTL_MS
+      }
+    },
+
+    async entries() {
+      if (!backend) return [];
+      return (await backend.entries()).map(({ key, docIds, stamp, createdAt }) => ({
+        key,
+        docIds: docIds || [],
+        stamp: stamp ?? null,
+        createdAt: createdAt ?? null,
+      }));
+    },
+
+    async delete(keys) {
+      if (backend && keys.length) await backend.delete(keys);
+    },
+  };
+}
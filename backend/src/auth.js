@@ -0,0 +1,148 @@
+import crypto from 'node:crypto';
+
+import { AUTH_DEFAULTS } from './server/constants.js';
+
+export const AUTH_MODES = ['none', 'jwt'];
+
+/**
+ * AUTH_MODE picks how requests are identified:
+ * - none (default): no login, every request acts as AUTH_DEFAULTS.DEFAULT_OWNER_ID
+ * - jwt: `Authorization: Bearer <token>` signed with HS256 using AUTH_JWT_SECRET
+ *   (a local secret, or the Supabase project's JWT secret to accept Supabase Auth tokens)
+ *
+ * The user id is the `sub` claim; teams come from AUTH_TEAMS_CLAIM (dotted path, e.g.
+ * `app_metadata.teams`). AUTH_JWT_ISSUER / AUTH_JWT_AUDIENCE are checked when set.
+ * AUTH_ADMINS (comma-separated user ids) may use the /api/admin routes; without auth everyone can.
+ */
+export function loadAuthConfig(env) {
+  const mode = (env.AUTH_MODE || AUTH_DEFAULTS.MODE).trim().toLowerCase();
+  if (!AUTH_MODES.includes(mode)) {
+    throw new Error(`Unknown AUTH_MODE '${mode}'. Use one of: ${AUTH_MODES.join(', ')}.`);
+  }
+
+  const secret = (env.AUTH_JWT_SECRET || '').trim();
+  if (mode === 'jwt' && !secret) throw new Error('AUTH_MODE=jwt needs AUTH_JWT_SECRET.');
+
+  return {
+    mode,
+    secret,
+    issuer: (env.AUTH_JWT_ISSUER || '').trim(),
+    audience: (env.AUTH_JWT_AUDIENCE || '').trim(),
+    teamsClaim: (env.AUTH_TEAMS_CLAIM || AUTH_DEFAULTS.TEAMS_CLAIM).trim(),
+    admins: (env.AUTH_ADMINS || '')
+      .split(',')
+      .map((id) => id.trim())
+      .filter(Boolean),
+  };
+}
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function hmac(secret, data) {
+  return crypto.createHmac('sha256', secret).update(data).digest();
+}
+
+/**
+ * HS256 token for `payload` (used by `npm run token` and for local testing).
+ */
+export function signJwt(payload, secret) {
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const body = base64url(JSON.stringify(payload));
+  return `${header}.${body}.${hmac(secret, `${header}.${body}`).toString('base64url')}`;
+}
+
+/**
+ * Verify an HS256 token and its time/issuer/audience claims. Returns the claims; throws
+ * with a message that is safe to send back to the client.
+ */
+export function verifyJwt(token, { secret, issuer = '', audience = '', now = Date.now() }) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) throw new Error('Malformed token');
+
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+    claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch {
+    throw new Error('Malformed token');
+  }
+  if (header?.alg !== 'HS256') throw new Error('Unsupported token algorithm (expected HS256)');
+
+  const expected = hmac(secret, `${parts[0]}.${parts[1]}`);
+  const actual = Buffer.from(parts[2], 'base64url');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw new Error('Invalid token signature');
+  }
+
+  const nowSeconds = Math.floor(now / 1000);
+  const tolerance = AUTH_DEFAULTS.CLOCK_TOLERANCE_SECONDS;
+  if (typeof claims.exp === 'number' && nowSeconds > claims.exp + tolerance) throw new Error('Token expired');
+  if (typeof claims.nbf === 'number' && nowSeconds + tolerance < claims.nbf) throw new Error('Token not yet valid');
+  if (issuer && claims.iss !== issuer) throw new Error('Unexpected token issuer');
+  if (audience) {
+    const aud = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!aud.includes(audience)) throw new Error('Unexpected token audience');
+  }
+  if (typeof claims.sub !== 'string' || !claims.sub.trim()) throw new Error('Token has no subject');
+
+  return claims;
+}
+
+function claimAt(claims, dottedPath) {
+  return dottedPath.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), claims);
+}
+
+/**
+ * The request principal: { id, teams }.
+ */
+export function principalFromClaims(claims, { teamsClaim = AUTH_DEFAULTS.TEAMS_CLAIM } = {}) {
+  const teams = claimAt(claims, teamsClaim);
+  return {
+    id: claims.sub.trim(),
+    teams: Array.isArray(teams) ? teams.filter((t) => typeof t === 'string' && t.trim()).map((t) => t.trim()) : [],
+  };
+}
+
+export function defaultPrincipal() {
+  return { id: AUTH_DEFAULTS.DEFAULT_OWNER_ID, teams: [] };
+}
+
+/**
+ * Express middleware that sets `req.user` or replies 401.
+ */
+export function createAuthMiddleware(cfg) {
+  return (req, res, next) => {
+    if (cfg.mode === 'none') {
+      req.user = defaultPrincipal();
+      return next();
+    }
+
+    const header = req.get('authorization') || '';
+    const match = /^Bearer\s+(.+)$/i.exec(header);
+    if (!match) return res.status(401).json({ error: 'Missing bearer token' });
+
+    try {
+      req.user = principalFromClaims(verifyJwt(match[1].trim(), cfg), cfg);
+      next();
+    } catch (e) {
+      res.status(401).json({ error: e?.message || 'Invalid token' });
+    }
+  };
+}
+
+export function isAdmin(user, cfg) {
+  return cfg.mode === 'none' || (!!user && cfg.admins.includes(user.id));
+}
+
+/**
+ * Express middleware (after createAuthMiddleware) that replies 403 unless `req.user` is an admin.
+ */
+export function requireAdmin(cfg) {
+  return (req, res, next) => {
+    if (!isAdmin(req.user, cfg)) return res.status(403).json({ error: 'Only admins (AUTH_ADMINS) can do this' });
+    next();
+  };
+}
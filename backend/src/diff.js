@@ -0,0 +1,495 @@
+import { segmentBySection } from './layout.js';
+import { DIFF_DEFAULTS } from './server/constants.js';
+
+// Sentence ends (semicolons too: contract clauses are often one long list of them).
+const SENTENCE_BREAK = /(?<=[.!?;])\s+(?=["“'(\[]?[\p{Lu}\p{N}])/u;
+// "3.2 ", "IV. ", "A.1 ", "Section 4 ": numbering that changes when sections are inserted.
+const HEADING_NUMBER = /^(?:(?:section|article|clause|§)\s*)?(?:\d+(?:\.\d+)*|[IVXLC]+|[A-Z](?:\.\d+)*)[.)]?\s+/i;
+
+const clean = (s) =>
+  String(s || '')
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/[‐‑–]/g, '-')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * Myers' O((N+M)D) diff of two arrays of strings. Returns the edit script
+ * [{ op: 'equal' | 'delete' | 'insert', a?, b? }] (indexes into `a` and `b`), or null when more
+ * than `maxEdits` deletions + insertions would be needed.
+ */
+export function diffSequences(a, b, { maxEdits = Infinity } = {}) {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, maxEdits);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  // trace[d][k + d] is the furthest x on diagonal k after d edits (kept for the backtrack).
+  const trace = [];
+
+  let found = -1;
+  for (let d = 0; d <= max && found < 0; d++) {
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? v[offset + k + 1] : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = d;
+        break;
+      }
+    }
+    trace.push(v.slice(offset - d, offset + d + 1));
+  }
+  if (found < 0) return null;
+
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = found; d > 0; d--) {
+    const prev = trace[d - 1];
+    const at = (k) => prev[k + d - 1];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) ops.push({ op: 'equal', a: --x, b: --y });
+    if (x === prevX) ops.push({ op: 'insert', b: prevY });
+    else ops.push({ op: 'delete', a: prevX });
+    x = prevX;
+    y = prevY;
+  }
+  while (x > 0 && y > 0) ops.push({ op: 'equal', a: --x, b: --y });
+  return ops.reverse();
+}
+
+/**
+ * Splits a run of text into sentences, each with the page it starts on. `parts` are the run's
+ * pieces in reading order ({ pageNumber, text }); sentences may cross page boundaries.
+ */
+function sentencesOf(parts) {
+  let text = '';
+  const starts = [];
+  for (const part of parts) {
+    const t = clean(part.text);
+    if (!t) continue;
+    if (text) text += ' ';
+    starts.push({ at: text.length, pageNumber: part.pageNumber });
+    text += t;
+  }
+  const pageAt = (offset) => starts.filter((s) => s.at <= offset).at(-1)?.pageNumber ?? starts[0]?.pageNumber;
+
+  const out = [];
+  let offset = 0;
+  for (const raw of text.split(SENTENCE_BREAK)) {
+    const start = text.indexOf(raw, offset);
+    offset = start + raw.length;
+    // Words hyphenated across a line break ("require- ments").
+    const sentence = raw.replace(/(\p{Ll})- (\p{Ll})/gu, '$1$2').trim();
+    if (sentence) out.push({ text: sentence, pageNumber: pageAt(start) });
+  }
+  return out;
+}
+
+/**
+ * A document as diff units: [{ key, section, sentences: [{ text, pageNumber }] }], one unit per
+ * run of text under the same section heading. Table rows are sentences of their own ("a | b | c").
+ * Documents without layout data (older records) come out as one unit per page.
+ */
+function documentUnits(pages) {
+  if (!pages.some((p) => p.lines?.length)) {
+    return pages.map((p) => ({ key: '', section: '', sentences: sentencesOf([{ pageNumber: p.pageNumber, text: p.text }]) }));
+  }
+
+  const tablesByPage = new Map(pages.map((p) => [p.pageNumber, p.tables || []]));
+  const units = [];
+  let unit = null;
+  let parts = [];
+  const flushText = () => {
+    if (unit && parts.length) unit.sentences.push(...sentencesOf(parts));
+    parts = [];
+  };
+
+  for (const segment of segmentBySection(pages)) {
+    if (!unit || unit.section !== segment.sectionPath) {
+      flushText();
+      unit = { key: sectionKey(segment.sectionPath), section: segment.sectionPath, sentences: [] };
+      units.push(unit);
+    }
+    if (segment.table == null) {
+      // The heading is compared through the section alignment, so its numbering isn't a change.
+      const text = clean(segment.text);
+      const heading = clean(segment.heading);
+      parts.push({ pageNumber: segment.pageNumber, text: heading && text.startsWith(heading) ? text.slice(heading.length) : text });
+      continue;
+    }
+    flushText();
+    const table = tablesByPage.get(segment.pageNumber)?.[segment.table];
+    for (const row of table ? [table.columns, ...table.rows] : []) {
+      unit.sentences.push({ text: clean(row.join(' | ')), pageNumber: segment.pageNumber });
+    }
+  }
+  flushText();
+  return units.filter((u) => u.sentences.length);
+}
+
+/**
+ * Section path without heading numbers, lowercased: "3 Methods > 3.2 Data" → "methods > data".
+ */
+function sectionKey(sectionPath) {
+  return sectionPath
+    .split(' > ')
+    .map((title) => clean(title).replace(HEADING_NUMBER, '').toLowerCase())
+    .join(' > ');
+}
+
+const words = (text) => text.split(' ').filter(Boolean);
+
+function similarity(a, b) {
+  const wa = new Set(words(a.toLowerCase()));
+  const wb = new Set(words(b.toLowerCase()));
+  if (!wa.size || !wb.size) return 0;
+  let shared = 0;
+  for (const w of wa) if (wb.has(w)) shared++;
+  return (2 * shared) / (wa.size + wb.size);
+}
+
+/**
+ * Word-level edits between two sentences, merged into runs: [{ op, text }].
+ */
+function wordDiff(before, after) {
+  const a = words(before);
+  const b = words(after);
+  const ops = diffSequences(a, b, { maxEdits: DIFF_DEFAULTS.MAX_WORD_EDITS }) || [
+    ...a.map((_, i) => ({ op: 'delete', a: i })),
+    ...b.map((_, i) => ({ op: 'insert', b: i })),
+  ];
+  const runs = [];
+  for (const o of ops) {
+    const text = o.op === 'insert' ? b[o.b] : a[o.a];
+    const last = runs.at(-1);
+    if (last && last.op === o.op) last.text += ` ${text}`;
+    else runs.push({ op: o.op, text });
+  }
+  return runs;
+}
+
+/**
+ * Items of `before` and `after` that the other side lacks (multiset difference), or null when
+ * both hold the same ones.
+ */
+function changedMatches(before, after, regex) {
+  const a = before.match(regex) || [];
+  const b = after.match(regex) || [];
+  const remaining = [...b];
+  const removed = [];
+  for (const item of a) {
+    const i = remaining.findIndex((x) => x.toLowerCase() === item.toLowerCase());
+    if (i >= 0) remaining.splice(i, 1);
+    else removed.push(item);
+  }
+  return removed.length || remaining.length ? { before: removed, after: remaining } : null;
+}
+
+const clip = (text) => (text.length > DIFF_DEFAULTS.MAX_TEXT_CHARS ? `${text.slice(0, DIFF_DEFAULTS.MAX_TEXT_CHARS)}…` : text);
+
+function makeChange(type, { before = [], after = [], sectionA, sectionB, anchorA, anchorB }) {
+  const beforeText = before.map((s) => s.text).join(' ');
+  const afterText = after.map((s) => s.text).join(' ');
+  const numbers = changedMatches(beforeText, afterText, DIFF_DEFAULTS.NUMBER_REGEX);
+  const obligations = changedMatches(beforeText, afterText, DIFF_DEFAULTS.OBLIGATION_REGEX);
+  return {
+    type,
+    sectionA: before[0]?.section ?? sectionA ?? null,
+    sectionB: after[0]?.section ?? sectionB ?? null,
+    // Where the change is in each document; for insertions (deletions) the A (B) page is where
+    // the text would go, i.e. the page of the last unchanged sentence before it.
+    pageA: before[0]?.pageNumber ?? anchorA ?? null,
+    pageB: after[0]?.pageNumber ?? anchorB ?? null,
+    before: clip(beforeText),
+    after: clip(afterText),
+    ...(type === 'changed' ? { words: wordDiff(beforeText, afterText) } : {}),
+    ...(numbers ? { numbers } : {}),
+    ...(obligations ? { obligations } : {}),
+  };
+}
+
+/**
+ * Changes inside one hunk (deleted A sentences replaced by inserted B sentences). A deleted
+ * sentence similar enough to a nearby inserted one is a `changed` sentence; the rest are
+ * merged into `deleted` / `inserted` runs. Document order is kept.
+ */
+function hunkChanges(deleted, inserted, context) {
+  const pairs = new Map();
+  let from = 0;
+  deleted.forEach((d, i) => {
+    let best = -1;
+    let bestScore = 0;
+    const to = Math.min(inserted.length, Math.max(from, i) + DIFF_DEFAULTS.PAIR_WINDOW);
+    for (let j = from; j < to; j++) {
+      const score = similarity(d.text, inserted[j].text);
+      // Ties keep the earliest candidate, so repeated sentences pair up in order.
+      if (score >= DIFF_DEFAULTS.CHANGE_MIN_SIMILARITY && (best < 0 || score > bestScore)) {
+        best = j;
+        bestScore = score;
+      }
+    }
+    if (best >= 0) {
+      pairs.set(i, best);
+      from = best + 1;
+    }
+  });
+
+  const changes = [];
+  let nextInserted = 0;
+  let deletedRun = [];
+  const flushDeleted = () => {
+    if (deletedRun.length) changes.push(makeChange('deleted', { ...context, before: deletedRun }));
+    deletedRun = [];
+  };
+  const flushInserted = (until) => {
+    if (until > nextInserted) changes.push(makeChange('inserted', { ...context, after: inserted.slice(nextInserted, until) }));
+    nextInserted = Math.max(nextInserted, until);
+  };
+
+  deleted.forEach((d, i) => {
+    if (!pairs.has(i)) {
+      deletedRun.push(d);
+      return;
+    }
+    const j = pairs.get(i);
+    flushDeleted();
+    flushInserted(j);
+    changes.push(makeChange('changed', { ...context, before: [d], after: [inserted[j]] }));
+    nextInserted = j + 1;
+  });
+  flushDeleted();
+  flushInserted(inserted.length);
+  return changes;
+}
+
+/**
+ * Sentence diff of two aligned units (or whole documents): equal sentences are skipped, each
+ * hunk of edits becomes changes with page references in both documents.
+ * Returns { changes, unchanged } (`unchanged` counts the equal sentences).
+ */
+function unitChanges(sentencesA, sentencesB, { sectionA, sectionB }) {
+  const ops = diffSequences(
+    sentencesA.map((s) => s.text),
+    sentencesB.map((s) => s.text),
+    { maxEdits: DIFF_DEFAULTS.MAX_SENTENCE_EDITS }
+  ) || [...sentencesA.map((_, i) => ({ op: 'delete', a: i })), ...sentencesB.map((_, i) => ({ op: 'insert', b: i }))];
+
+  const changes = [];
+  let unchanged = 0;
+  let anchorA = sentencesA[0]?.pageNumber ?? null;
+  let anchorB = sentencesB[0]?.pageNumber ?? null;
+  let deleted = [];
+  let inserted = [];
+  const flush = () => {
+    if (deleted.length || inserted.length) {
+      changes.push(...hunkChanges(deleted, inserted, { sectionA, sectionB, anchorA, anchorB }));
+    }
+    deleted = [];
+    inserted = [];
+  };
+
+  for (const o of ops) {
+    if (o.op === 'equal') {
+      flush();
+      unchanged++;
+      anchorA = sentencesA[o.a].pageNumber;
+      anchorB = sentencesB[o.b].pageNumber;
+    } else if (o.op === 'delete') {
+      deleted.push(sentencesA[o.a]);
+    } else {
+      inserted.push(sentencesB[o.b]);
+    }
+  }
+  flush();
+  return { changes, unchanged };
+}
+
+const sentenceCount = (units) => units.reduce((sum, u) => sum + u.sentences.length, 0);
+
+// Own heading of a section key: "agreement > fees" → "fees".
+const leafKey = (key) => key.split(' > ').at(-1);
+
+const unitText = (unit) => unit.sentences.map((s) => s.text).join(' ');
+
+/**
+ * Pairs the sections of one gap between two heading-matched sections ([{ a?, b? }], in order):
+ * by their own heading first, so renaming a parent heading doesn't unpair its subsections, then
+ * the leftovers in order when their text is similar (a renamed heading).
+ */
+function pairGap(unitsA, unitsB) {
+  const out = [];
+  let restA = [];
+  let restB = [];
+  const flushRest = () => {
+    let from = 0;
+    for (const a of restA) {
+      const textA = unitText(a);
+      const k = restB.findIndex(
+        (b, i) => i >= from && similarity(textA, unitText(b)) >= DIFF_DEFAULTS.SECTION_PAIR_MIN_SIMILARITY
+      );
+      if (k < 0) {
+        out.push({ a });
+        continue;
+      }
+      restB.slice(from, k).forEach((b) => out.push({ b }));
+      out.push({ a, b: restB[k] });
+      from = k + 1;
+    }
+    restB.slice(from).forEach((b) => out.push({ b }));
+    restA = [];
+    restB = [];
+  };
+
+  const ops = diffSequences(
+    unitsA.map((u) => leafKey(u.key)),
+    unitsB.map((u) => leafKey(u.key))
+  );
+  for (const o of ops) {
+    if (o.op === 'equal') {
+      flushRest();
+      out.push({ a: unitsA[o.a], b: unitsB[o.b] });
+    } else if (o.op === 'delete') {
+      restA.push(unitsA[o.a]);
+    } else {
+      restB.push(unitsB[o.b]);
+    }
+  }
+  flushRest();
+  return out;
+}
+
+/**
+ * Sections of A and B paired by heading (numbering ignored, so renumbered sections still
+ * match), with the unmatched ones between two matches paired by pairGap: [{ a?, b? }] in document
+ * order, or null when the documents don't have enough sections in common to align on them.
+ */
+function alignSections(unitsA, unitsB) {
+  const sectioned = (units) => new Set(units.map((u) => u.key).filter(Boolean)).size >= DIFF_DEFAULTS.MIN_SECTIONS;
+  if (!sectioned(unitsA) || !sectioned(unitsB)) return null;
+
+  const ops = diffSequences(
+    unitsA.map((u) => u.key),
+    unitsB.map((u) => u.key)
+  );
+  const pairs = [];
+  let gapA = [];
+  let gapB = [];
+  const flushGap = () => {
+    if (gapA.length || gapB.length) pairs.push(...pairGap(gapA, gapB));
+    gapA = [];
+    gapB = [];
+  };
+  for (const o of ops) {
+    if (o.op === 'equal') {
+      flushGap();
+      pairs.push({ a: unitsA[o.a], b: unitsB[o.b] });
+    } else if (o.op === 'delete') {
+      gapA.push(unitsA[o.a]);
+    } else {
+      gapB.push(unitsB[o.b]);
+    }
+  }
+  flushGap();
+
+  const matched = pairs.filter((p) => p.a && p.b);
+  const covers = (side, units) => sentenceCount(matched.map((p) => p[side])) >= DIFF_DEFAULTS.MIN_SECTION_MATCH * sentenceCount(units);
+  return covers('a', unitsA) && covers('b', unitsB) ? pairs : null;
+}
+
+/**
+ * Section headings found in only one document: the unpaired sections of the alignment, or
+ * without one, the sections whose heading (full or own) the other document lacks.
+ */
+function unpairedSections(unitsA, unitsB, pairs) {
+  const unique = (units) => Array.from(new Set(units.filter((u) => u.key).map((u) => u.section)));
+  if (pairs) {
+    return {
+      added: unique(pairs.filter((p) => !p.a).map((p) => p.b)),
+      removed: unique(pairs.filter((p) => !p.b).map((p) => p.a)),
+    };
+  }
+  const onlyIn = (units, others) => {
+    const keys = new Set(others.flatMap((u) => [u.key, leafKey(u.key)]));
+    return unique(units.filter((u) => !keys.has(u.key) && !keys.has(leafKey(u.key))));
+  };
+  return { added: onlyIn(unitsB, unitsA), removed: onlyIn(unitsA, unitsB) };
+}
+
+/**
+ * Literal diff of two documents' extracted pages (A = before, B = after).
+ *
+ * Documents are aligned by section heading when both have comparable sections (alignment
+ * 'section'), otherwise diffed as one sentence sequence each ('page': changes still carry
+ * their pages). Sections whose parent heading was renamed still pair by their own heading, and a
+ * renamed section pairs by its text. Within aligned parts, sentences are diffed with Myers'
+ * algorithm; a deleted and an inserted sentence that share most of their words become one
+ * `changed` sentence with a word-level diff. Sections only in one document are reported whole.
+ *
+ * Returns { alignment, changes, sections, stats, truncated } where `sections` ({ added, removed })
+ * lists the section headings found in only one document, and each change is
+ * { id, type: 'changed' | 'inserted' | 'deleted', sectionA, sectionB, pageA, pageB, before,
+ *   after, words?, numbers?, obligations? }; `numbers` and `obligations` ({ before, after })
+ * list the numbers and modal words (shall, must, may, ...) that differ.
+ */
+export function diffDocuments(pagesA, pagesB) {
+  const unitsA = documentUnits(pagesA || []);
+  const unitsB = documentUnits(pagesB || []);
+  const totalA = sentenceCount(unitsA);
+  const totalB = sentenceCount(unitsB);
+
+  const sections = alignSections(unitsA, unitsB);
+  const changes = [];
+  let unchanged = 0;
+  const addUnit = (result) => {
+    changes.push(...result.changes);
+    unchanged += result.unchanged;
+  };
+  let lastPageA = unitsA[0]?.sentences[0]?.pageNumber ?? null;
+  let lastPageB = unitsB[0]?.sentences[0]?.pageNumber ?? null;
+
+  if (sections) {
+    for (const { a, b } of sections) {
+      if (a && b) {
+        addUnit(unitChanges(a.sentences, b.sentences, { sectionA: a.section, sectionB: b.section }));
+      } else if (a) {
+        changes.push(makeChange('deleted', { before: a.sentences, sectionA: a.section, anchorB: lastPageB }));
+      } else {
+        changes.push(makeChange('inserted', { after: b.sentences, sectionB: b.section, anchorA: lastPageA }));
+      }
+      lastPageA = a?.sentences.at(-1)?.pageNumber ?? lastPageA;
+      lastPageB = b?.sentences.at(-1)?.pageNumber ?? lastPageB;
+    }
+  } else {
+    const flatten = (units) => units.flatMap((u) => u.sentences.map((s) => ({ ...s, section: u.section || null })));
+    // Sentences keep their section so changes still name it.
+    addUnit(unitChanges(flatten(unitsA), flatten(unitsB), {}));
+  }
+
+  return {
+    alignment: sections ? 'section' : 'page',
+    changes: changes.slice(0, DIFF_DEFAULTS.MAX_CHANGES).map((c, i) => ({ id: i + 1, ...c })),
+    sections: unpairedSections(unitsA, unitsB, sections),
+    truncated: changes.length > DIFF_DEFAULTS.MAX_CHANGES,
+    stats: {
+      sentencesA: totalA,
+      sentencesB: totalB,
+      changed: changes.filter((c) => c.type === 'changed').length,
+      inserted: changes.filter((c) => c.type === 'inserted').length,
+      deleted: changes.filter((c) => c.type === 'deleted').length,
+      numberChanges: changes.filter((c) => c.numbers).length,
+      obligationChanges: changes.filter((c) => c.obligations).length,
+      // Share of sentences the two documents have in common.
+      similarity: totalA + totalB ? Math.round(((2 * unchanged) / (totalA + totalB)) * 1000) / 1000 : 1,
+    },
+  };
+}
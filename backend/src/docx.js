@@ -0,0 +1,227 @@
+import zlib from 'node:zlib';
+
+// Minimal Office Open XML (.docx) writer for exported reports: headings, paragraphs with bold
+// runs, bullet lines, quotes and tables. No numbering, images or page layout.
+
+const escapeXml = (s) =>
+  String(s ?? '')
+    // Control characters other than tab/newline are not allowed in XML.
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Runs of inline Markdown: **bold** becomes a bold run; links keep their text, code/emphasis
+ * markers are dropped.
+ */
+function runs(text) {
+  const plain = String(text ?? '')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/`([^`]*)`/g, '$1')
+    .replace(/(^|[^\w*])[*_]([^*_\n]+)[*_](?=[^\w*]|$)/g, '$1$2');
+  return plain
+    .split(/(\*\*[^*]+\*\*)/)
+    .filter(Boolean)
+    .map((part) => {
+      const bold = /^\*\*[^*]+\*\*$/.test(part);
+      const t = escapeXml(bold ? part.slice(2, -2) : part);
+      return `<w:r>${bold ? '<w:rPr><w:b/></w:rPr>' : ''}<w:t xml:space="preserve">${t}</w:t></w:r>`;
+    })
+    .join('');
+}
+
+const paragraph = (text, style) =>
+  `<w:p>${style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : ''}${runs(text)}</w:p>`;
+
+function table({ columns, rows }) {
+  const cell = (text, header) =>
+    `<w:tc><w:p>${header ? runs(`**${String(text ?? '').replace(/\*/g, '')}**`) : runs(text)}</w:p></w:tc>`;
+  const row = (cells, header) => `<w:tr>${cells.map((c) => cell(c, header)).join('')}</w:tr>`;
+  return (
+    '<w:tbl><w:tblPr><w:tblStyle w:val="TableGrid"/><w:tblW w:w="5000" w:type="pct"/></w:tblPr>' +
+    `${row(columns, true)}${rows.map((r) => row(r, false)).join('')}</w:tbl>` +
+    // Word needs a paragraph between consecutive tables (and after the last one in a cell or body).
+    '<w:p/>'
+  );
+}
+
+/**
+ * Markdown as written by the LLM: headings, bullet/numbered lines, pipe tables and paragraphs.
+ */
+function markdownBody(text) {
+  const out = [];
+  const lines = String(text ?? '').split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line) continue;
+    if (line.startsWith('|')) {
+      const block = [];
+      while (i < lines.length && lines[i].trim().startsWith('|')) block.push(lines[i++].trim());
+      i--;
+      const cells = (l) => l.replace(/^\||\|$/g, '').split('|').map((c) => c.trim());
+      const rows = block.filter((l) => !/^\|?[\s:|-]+$/.test(l)).map(cells);
+      if (rows.length) out.push(table({ columns: rows[0], rows: rows.slice(1) }));
+      continue;
+    }
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+    if (heading) {
+      out.push(paragraph(heading[2], `Heading${Math.min(3, heading[1].length + 1)}`));
+      continue;
+    }
+    const bullet = line.match(/^[-*+]\s+(.*)$/);
+    out.push(paragraph(bullet ? `• ${bullet[1]}` : line));
+  }
+  return out.join('');
+}
+
+function block(b) {
+  switch (b.type) {
+    case 'heading':
+      return paragraph(b.text, `Heading${b.level}`);
+    case 'markdown':
+      return markdownBody(b.text);
+    case 'table':
+      return table(b);
+    case 'quote':
+      return String(b.text ?? '')
+        .split('\n')
+        .filter((l) => l.trim())
+        .map((l) => paragraph(l, 'Quote'))
+        .join('');
+    default:
+      return paragraph(b.text);
+  }
+}
+
+const STYLES =
+  '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+  '<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+  '<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:cs="Calibri"/><w:sz w:val="22"/></w:rPr></w:rPrDefault>' +
+  '<w:pPrDefault><w:pPr><w:spacing w:after="120"/></w:pPr></w:pPrDefault></w:docDefaults>' +
+  '<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/></w:style>' +
+  '<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:after="240"/></w:pPr><w:rPr><w:b/><w:sz w:val="40"/></w:rPr></w:style>' +
+  [1, 2, 3]
+    .map(
+      (level) =>
+        `<w:style w:type="paragraph" w:styleId="Heading${level}"><w:name w:val="heading ${level}"/><w:basedOn w:val="Normal"/>` +
+        `<w:pPr><w:keepNext/><w:spacing w:before="240" w:after="120"/><w:outlineLvl w:val="${level - 1}"/></w:pPr>` +
+        `<w:rPr><w:b/><w:sz w:val="${[32, 28, 24][level - 1]}"/></w:rPr></w:style>`
+    )
+    .join('') +
+  '<w:style w:type="paragraph" w:styleId="Quote"><w:name w:val="Quote"/><w:basedOn w:val="Normal"/><w:pPr><w:ind w:left="567"/></w:pPr><w:rPr><w:i/><w:color w:val="555555"/></w:rPr></w:style>' +
+  '<w:style w:type="table" w:styleId="TableGrid"><w:name w:val="Table Grid"/><w:tblPr><w:tblBorders>' +
+  ['top', 'left', 'bottom', 'right', 'insideH', 'insideV'].map((side) => `<w:${side} w:val="single" w:sz="4" w:space="0" w:color="999999"/>`).join('') +
+  '</w:tblBorders><w:tblCellMar><w:left w:w="80" w:type="dxa"/><w:right w:w="80" w:type="dxa"/></w:tblCellMar></w:tblPr></w:style>' +
+  '</w:styles>';
+
+const CONTENT_TYPES =
+  '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+  '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+  '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+  '<Default Extension="xml" ContentType="application/xml"/>' +
+  '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+  '<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>' +
+  '</Types>';
+
+const ROOT_RELS =
+  '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+  '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+  '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>' +
+  '</Relationships>';
+
+const DOCUMENT_RELS =
+  '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+  '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+  '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+  '</Relationships>';
+
+/**
+ * MS-DOS time and date fields of `d` (local time, 2-second resolution, years 1980-2107).
+ */
+function dosDateTime(d) {
+  const year = Math.min(Math.max(d.getFullYear(), 1980), 2107);
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1),
+    date: ((year - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+  };
+}
+
+/**
+ * ZIP archive (deflated entries, no ZIP64) of [{ name, data }], every entry dated now.
+ * `zlib.crc32` needs Node 20.15+ (see "engines" in package.json).
+ */
+function zip(files) {
+  const local = [];
+  const central = [];
+  const { time, date } = dosDateTime(new Date());
+  let offset = 0;
+  for (const { name, data } of files) {
+    const raw = Buffer.from(data);
+    const compressed = zlib.deflateRawSync(raw);
+    const fileName = Buffer.from(name);
+    const crc = zlib.crc32(raw);
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4); // version needed
+    header.writeUInt16LE(0x0800, 6); // UTF-8 names
+    header.writeUInt16LE(8, 8); // deflate
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(date, 12);
+    header.writeUInt32LE(crc, 14);
+    header.writeUInt32LE(compressed.length, 18);
+    header.writeUInt32LE(raw.length, 22);
+    header.writeUInt16LE(fileName.length, 26);
+    header.writeUInt16LE(0, 28);
+    local.push(header, fileName, compressed);
+
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(20, 4);
+    entry.writeUInt16LE(20, 6);
+    entry.writeUInt16LE(0x0800, 8);
+    entry.writeUInt16LE(8, 10);
+    entry.writeUInt16LE(time, 12);
+    entry.writeUInt16LE(date, 14);
+    entry.writeUInt32LE(crc, 16);
+    entry.writeUInt32LE(compressed.length, 20);
+    entry.writeUInt32LE(raw.length, 24);
+    entry.writeUInt16LE(fileName.length, 28);
+    entry.writeUInt32LE(offset, 42);
+    central.push(entry, fileName);
+
+    offset += header.length + fileName.length + compressed.length;
+  }
+
+  const centralSize = central.reduce((sum, b) => sum + b.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...local, ...central, end]);
+}
+
+/**
+ * .docx file of a report ({ title, blocks }, see server/export-helpers.js).
+ */
+export function reportToDocx({ title, blocks }) {
+  const body = [paragraph(title, 'Title'), ...blocks.map(block)].join('');
+  const document =
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+    `<w:body>${body}<w:sectPr><w:pgSz w:w="11906" w:h="16838"/>` +
+    '<w:pgMar w:top="1134" w:right="1134" w:bottom="1134" w:left="1134" w:header="709" w:footer="709" w:gutter="0"/></w:sectPr>' +
+    '</w:body></w:document>';
+
+  return zip([
+    { name: '[Content_Types].xml', data: CONTENT_TYPES },
+    { name: '_rels/.rels', data: ROOT_RELS },
+    { name: 'word/document.xml', data: document },
+    { name: 'word/_rels/document.xml.rels', data: DOCUMENT_RELS },
+    { name: 'word/styles.xml', data: STYLES },
+  ]);
+}
@@ -0,0 +1,124 @@
+import { tokenize } from './retrieval.js';
+import { EMBEDDING_DEFAULTS } from './server/constants.js';
+
+function l2normalize(vec) {
+  let sumSq = 0;
+  for (const x of vec) sumSq += x * x;
+  const n = Math.sqrt(sumSq) || 1;
+  return vec.map((x) => x / n);
+}
+
+// FNV-1a 32-bit; stable across runs and platforms.
+function hash32(s) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function stem(token) {
+  // Tiny suffix stripper so "results"/"resulted"/"resulting" land on the same feature.
+  return token.replace(/(ing|ed|es|s)$/, '') || token;
+}
+
+/**
+ * Local, offline embedder (no model download): hashes word stems and character trigrams
+ * into a fixed-size signed vector. It captures morphology and spelling variants that exact
+ * lexical matching misses, but it is not a learned semantic model.
+ */
+export class HashingEmbedder {
+  constructor({ dimensions = EMBEDDING_DEFAULTS.DIMENSIONS } = {}) {
+    this.name = 'hashing';
+    this.dimensions = dimensions;
+    this.id = `hashing:${dimensions}`;
+  }
+
+  embedOne(text) {
+    const vec = new Array(this.dimensions).fill(0);
+    const add = (feature, weight) => {
+      const h = hash32(feature);
+      vec[h % this.dimensions] += h & 0x80000000 ? -weight : weight;
+    };
+
+    for (const token of tokenize(text)) {
+      const s = stem(token);
+      add(`w:${s}`, 1);
+      const padded = `<${s}>`;
+      for (let i = 0; i + 3 <= padded.length; i++) add(`c:${padded.slice(i, i + 3)}`, 0.3);
+    }
+
+    // Sublinear scaling keeps long chunks from being dominated by repeated terms.
+    return l2normalize(vec.map((x) => Math.sign(x) * Math.log1p(Math.abs(x))));
+  }
+
+  async embed(texts) {
+    return texts.map((t) => this.embedOne(t));
+  }
+}
+
+/**
+ * Any OpenAI-compatible `/embeddings` endpoint (OpenAI, Ollama `/v1`, vLLM, ...).
+ */
+export class OpenAICompatibleEmbedder {
+  constructor({ baseURL, apiKey, model, batchSize = EMBEDDING_DEFAULTS.BATCH_SIZE }) {
+    if (!baseURL) throw new Error('Missing EMBEDDING_BASE_URL');
+    if (!model) throw new Error('Missing EMBEDDING_MODEL');
+    this.name = 'openai';
+    this.baseURL = String(baseURL).replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.model = model;
+    this.batchSize = batchSize;
+    this.id = `openai:${this.baseURL}:${model}`;
+  }
+
+  async embed(texts) {
+    const out = [];
+    for (let i = 0; i < texts.length; i += this.batchSize) {
+      const resp = await fetch(`${this.baseURL}/embeddings`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}),
+        },
+        body: JSON.stringify({ model: this.model, input: texts.slice(i, i + this.batchSize) }),
+      });
+      if (!resp.ok) {
+        const detail = await resp.text().catch(() => '');
+        throw new Error(`Embedding request failed (${resp.status}): ${detail.slice(0, 500)}`);
+      }
+      const data = await resp.json();
+      const batch = (data.data || []).sort((a, b) => a.index - b.index).map((d) => l2normalize(d.embedding || []));
+      out.push(...batch);
+    }
+    return out;
+  }
+}
+
+/**
+ * EMBEDDING_PROVIDER:
+ * - local (default): HashingEmbedder, fully offline
+ * - openai: OpenAI-compatible endpoint (EMBEDDING_BASE_URL, EMBEDDING_API_KEY, EMBEDDING_MODEL)
+ */
+export function loadEmbeddingConfig(env) {
+  const provider = (env.EMBEDDING_PROVIDER || EMBEDDING_DEFAULTS.PROVIDER).trim().toLowerCase();
+  return {
+    provider,
+    dimensions: parseInt(env.EMBEDDING_DIMENSIONS || String(EMBEDDING_DEFAULTS.DIMENSIONS), 10) || EMBEDDING_DEFAULTS.DIMENSIONS,
+    baseURL: (env.EMBEDDING_BASE_URL || EMBEDDING_DEFAULTS.BASE_URL).trim(),
+    apiKey: (env.EMBEDDING_API_KEY || env.OPENAI_API_KEY || '').trim(),
+    model: (env.EMBEDDING_MODEL || EMBEDDING_DEFAULTS.MODEL).trim(),
+  };
+}
+
+export function buildEmbedder(cfg) {
+  switch (cfg.provider) {
+    case 'local':
+      return new HashingEmbedder({ dimensions: cfg.dimensions });
+    case 'openai':
+      return new OpenAICompatibleEmbedder({ baseURL: cfg.baseURL, apiKey: cfg.apiKey, model: cfg.model });
+    default:
+      throw new Error(`Unknown EMBEDDING_PROVIDER '${cfg.provider}'. Use 'local' or 'openai'.`);
+  }
+}
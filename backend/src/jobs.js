@@ -0,0 +1,137 @@
+import crypto from 'node:crypto';
+
+import { JOB_DEFAULTS } from './server/constants.js';
+
+export const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed'];
+
+function parseIntSafe(v, fallback) {
+  const n = parseInt(String(v ?? ''), 10);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+/**
+ * INGEST_CONCURRENCY: jobs processed at once (extraction and OCR are CPU-bound, so keep it low).
+ * JOB_RETENTION_MS: how long finished jobs stay queryable.
+ * INGEST_ABSTRACTS=0: skip abstracting the chunks during ingestion (summaries then do it on demand).
+ * INGEST_SUMMARY=1: also generate and cache the document summary as part of ingestion.
+ */
+export function loadJobConfig(env) {
+  return {
+    concurrency: Math.max(1, parseIntSafe(env.INGEST_CONCURRENCY, JOB_DEFAULTS.CONCURRENCY)),
+    retentionMs: Math.max(0, parseIntSafe(env.JOB_RETENTION_MS, JOB_DEFAULTS.RETENTION_MS)),
+    // Abstract every chunk once after indexing; summaries reuse the stored abstracts.
+    abstracts: (env.INGEST_ABSTRACTS || '1') !== '0',
+    // Pre-generate the summary right after indexing (costs LLM calls on every upload).
+    summarize: (env.INGEST_SUMMARY || '0') === '1',
+  };
+}
+
+/**
+ * In-process job queue with bounded concurrency. Jobs live in memory only: they are lost on
+ * restart, which is fine for ingestion because the upload can simply be retried.
+ *
+ * `enqueue({ type, ownerId, docId, lineageId, name, run })` returns the job snapshot right away; `run(report)` is
+ * started once a slot is free and may call `report(stage, { current, total })` as it goes.
+ * Its resolved value becomes `result`, a thrown error becomes `error`.
+ */
+export function createJobQueue({ concurrency = JOB_DEFAULTS.CONCURRENCY, retentionMs = JOB_DEFAULTS.RETENTION_MS } = {}) {
+  /** @type {Map<string, any>} */
+  const jobs = new Map();
+  const pending = [];
+  let running = 0;
+
+  const snapshot = (job) => {
+    const { run, ...rest } = job;
+    return { ...rest, progress: job.progress ? { ...job.progress } : null };
+  };
+
+  const prune = () => {
+    const cutoff = Date.now() - retentionMs;
+    for (const [id, job] of jobs) {
+      if (job.finishedAt && Date.parse(job.finishedAt) < cutoff) jobs.delete(id);
+    }
+  };
+
+  const update = (job, fields) => {
+    Object.assign(job, fields, { updatedAt: new Date().toISOString() });
+  };
+
+  const next = () => {
+    while (running < concurrency && pending.length) {
+      const job = pending.shift();
+      running++;
+      void execute(job).finally(() => {
+        running--;
+        next();
+      });
+    }
+  };
+
+  async function execute(job) {
+    update(job, { status: 'running', startedAt: new Date().toISOString() });
+    const report = (stage, progress = null) => {
+      update(job, { stage, progress: progress ? { current: progress.current, total: progress.total } : null });
+    };
+
+    try {
+      const result = await job.run(report);
+      update(job, { status: 'succeeded', stage: 'done', progress: null, result, finishedAt: new Date().toISOString() });
+    } catch (e) {
+      update(job, { status: 'failed', error: e?.message || 'Job failed', finishedAt: new Date().toISOString() });
+    }
+  }
+
+  return {
+    enqueue({ type, ownerId = null, docId = null, lineageId = null, name = '', run }) {
+      prune();
+      const now = new Date().toISOString();
+      const job = {
+        id: crypto.randomUUID(),
+        type,
+        ownerId,
+        docId,
+        lineageId,
+        name,
+        status: 'queued',
+        stage: 'queued',
+        progress: null,
+        error: null,
+        result: null,
+        createdAt: now,
+        updatedAt: now,
+        startedAt: null,
+        finishedAt: null,
+        run,
+      };
+      jobs.set(job.id, job);
+      pending.push(job);
+      next();
+      return snapshot(job);
+    },
+
+    get(id) {
+      const job = jobs.get(id);
+      return job ? snapshot(job) : null;
+    },
+
+    /**
+     * The queued or running job for `docId`, if any (used to avoid ingesting the same PDF twice).
+     */
+    activeFor(docId) {
+      for (const job of jobs.values()) {
+        if (job.docId === docId && (job.status === 'queued' || job.status === 'running')) return snapshot(job);
+      }
+      return null;
+    },
+
+    /**
+     * The queued or running job adding a version to lineage `lineageId` (the first version's id), if any.
+     */
+    activeForLineage(lineageId) {
+      for (const job of jobs.values()) {
+        if (job.lineageId === lineageId && (job.status === 'queued' || job.status === 'running')) return snapshot(job);
+      }
+      return null;
+    },
+  };
+}
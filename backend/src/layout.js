@@ -0,0 +1,238 @@
+import { EXTRACTION_DEFAULTS } from './server/constants.js';
+
+const NUMBERED_HEADING = /^(\d+(?:\.\d+)*)\.?\s+(\S.*)$/;
+
+function roundSize(size) {
+  return Math.round((size || 0) * 2) / 2;
+}
+
+function wordCount(s) {
+  return s.split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * Group pdf.js text items into visual lines (reading order preserved).
+ * Items are { str, transform, width, height }; a new line starts when the baseline moves
+ * by more than half the font size.
+ * Returns [{ text, fontSize, x, y, w }] in PDF units (`y` is the baseline, bottom-left origin).
+ * With `withParts` each line also keeps its items as `parts: [{ str, x, right }]` (for table detection).
+ */
+export function groupItemsIntoLines(items, { withParts = false } = {}) {
+  const lines = [];
+  let current = null;
+
+  for (const it of items) {
+    if (typeof it.str !== 'string') continue;
+    const [a, b, , , x, y] = it.transform || [0, 0, 0, 0, 0, 0];
+    const fontSize = Math.hypot(a, b) || it.height || 0;
+
+    const sameLine = current && Math.abs(current.y - y) <= Math.max(1, Math.max(current.fontSize, fontSize) * 0.5);
+    if (!sameLine) {
+      if (current) lines.push(current);
+      current = { parts: [], fontSize: 0, x, y, right: x };
+    }
+    if (it.str.trim()) {
+      current.parts.push({ str: it.str, x, right: x + (it.width || 0) });
+      current.fontSize = Math.max(current.fontSize, fontSize);
+      current.x = Math.min(current.x, x);
+      current.right = Math.max(current.right, x + (it.width || 0));
+    }
+  }
+  if (current) lines.push(current);
+
+  return lines
+    .map((l) => ({
+      text: l.parts.map((p) => p.str).join(' ').replace(/\s+/g, ' ').trim(),
+      fontSize: roundSize(l.fontSize),
+      x: Math.round(l.x),
+      y: Math.round(l.y),
+      w: Math.round(l.right - l.x),
+      ...(withParts ? { parts: l.parts } : {}),
+    }))
+    .filter((l) => l.text);
+}
+
+/**
+ * Most common font size, weighted by characters.
+ */
+function bodyFontSize(pages) {
+  /** @type {Map<number, number>} */
+  const chars = new Map();
+  for (const p of pages) {
+    for (const l of p.lines || []) chars.set(l.fontSize, (chars.get(l.fontSize) || 0) + l.text.length);
+  }
+  let best = 0;
+  let bestChars = -1;
+  for (const [size, n] of chars.entries()) {
+    if (n > bestChars) {
+      best = size;
+      bestChars = n;
+    }
+  }
+  return best;
+}
+
+/**
+ * Lines repeated on many pages (running headers/footers, page labels) are never headings.
+ */
+function repeatedLineKey(line) {
+  return line.text.toLowerCase().replace(/\d+/g, '#');
+}
+
+function repeatedLines(pages) {
+  /** @type {Map<string, number>} */
+  const seen = new Map();
+  for (const p of pages) {
+    const unique = new Set((p.lines || []).map(repeatedLineKey));
+    for (const t of unique) seen.set(t, (seen.get(t) || 0) + 1);
+  }
+  const minPages = Math.max(3, Math.ceil(pages.length * EXTRACTION_DEFAULTS.REPEATED_LINE_PAGE_RATIO));
+  return new Set(Array.from(seen.entries()).filter(([, n]) => n >= minPages).map(([t]) => t));
+}
+
+function isHeadingCandidate(line, bodySize) {
+  const text = line.text;
+  if (text.length < 2 || text.length > EXTRACTION_DEFAULTS.HEADING_MAX_CHARS) return null;
+  if (wordCount(text) > EXTRACTION_DEFAULTS.HEADING_MAX_WORDS) return null;
+  if (!/[a-zA-Z]/.test(text) || /[.,;:]$/.test(text)) return null;
+
+  const larger = bodySize > 0 && line.fontSize >= bodySize * EXTRACTION_DEFAULTS.HEADING_SIZE_RATIO;
+  const numbered = text.match(NUMBERED_HEADING);
+  const numberedShort =
+    numbered && /^\p{Lu}/u.test(numbered[2]) && text.length <= 80 && line.fontSize >= bodySize * 0.95;
+  const allCaps = text.length >= 4 && text === text.toUpperCase() && /[A-Z]{3}/.test(text) && wordCount(text) <= 6;
+
+  if (!larger && !numberedShort && !allCaps) return null;
+  return { numbering: numbered && (larger || numberedShort) ? numbered[1] : null };
+}
+
+/**
+ * Detect headings from font size, numbering ("3.2 Data") and ALL-CAPS lines.
+ *
+ * Level comes from numbering depth when present ("3" → 1, "3.2" → 2). Unnumbered headings take
+ * the level of numbered headings of the same size, or sit one below the nearest larger one (level 1
+ * when none is larger); without numbered headings the font-size tier decides (largest size → 1).
+ * Returns [{ pageNumber, lineIndex, title, level }] in document order.
+ */
+export function detectHeadings(pages) {
+  const bodySize = bodyFontSize(pages);
+  const repeated = repeatedLines(pages);
+
+  const candidates = [];
+  for (const p of pages) {
+    (p.lines || []).forEach((line, lineIndex) => {
+      // Table header rows are often bold or ALL-CAPS but are not headings.
+      if (line.table != null || repeated.has(repeatedLineKey(line))) return;
+      const hit = isHeadingCandidate(line, bodySize);
+      if (hit) candidates.push({ pageNumber: p.pageNumber, lineIndex, title: line.text, fontSize: line.fontSize, ...hit });
+    });
+  }
+
+  const numberingLevel = (c) => c.numbering.split('.').filter(Boolean).length;
+  const tiers = Array.from(new Set(candidates.filter((c) => !c.numbering).map((c) => c.fontSize))).sort((a, b) => b - a);
+  // Shallowest numbered level per font size: unnumbered headings ("Abstract", "References") take
+  // the level of numbered ones set the same size, so they don't nest under the last numbered section.
+  const numberedLevels = new Map();
+  for (const c of candidates.filter((c) => c.numbering)) {
+    numberedLevels.set(c.fontSize, Math.min(numberedLevels.get(c.fontSize) ?? Infinity, numberingLevel(c)));
+  }
+
+  const unnumberedLevel = (fontSize) => {
+    if (!numberedLevels.size) return tiers.indexOf(fontSize) + 1;
+    if (numberedLevels.has(fontSize)) return numberedLevels.get(fontSize);
+    // Otherwise one level below the nearest larger numbered heading (level 1 when none is larger).
+    const larger = Array.from(numberedLevels.keys()).filter((size) => size > fontSize);
+    return larger.length ? numberedLevels.get(Math.min(...larger)) + 1 : 1;
+  };
+
+  return candidates.map((c) => {
+    const level = Math.min(
+      EXTRACTION_DEFAULTS.MAX_HEADING_LEVEL,
+      c.numbering ? numberingLevel(c) : unnumberedLevel(c.fontSize)
+    );
+    return { pageNumber: c.pageNumber, lineIndex: c.lineIndex, title: c.title, level };
+  });
+}
+
+/**
+ * Split pages into section segments: [{ pageNumber, sectionPath, heading, text }].
+ * A segment is the text of one section on one page; `heading` is set on the segment that
+ * starts a section. `sectionPath` joins the open headings, e.g. "3 Methods > 3.2 Data".
+ * Running headers/footers are left out of the segment text.
+ *
+ * Lines of a detected table (`line.table`, see tables.js) are left out too; instead the table
+ * gets one segment with empty text and `table` set to its index on the page, so chunking knows
+ * which section it belongs to.
+ */
+export function segmentBySection(pages) {
+  const headings = detectHeadings(pages);
+  const repeated = repeatedLines(pages);
+  const byLine = new Map(headings.map((h) => [`${h.pageNumber}:${h.lineIndex}`, h]));
+
+  const segments = [];
+  /** @type {Array<{ title: string, level: number }>} */
+  let stack = [];
+  let current = null;
+
+  const pathOf = () => stack.map((h) => h.title).join(' > ');
+  const flush = () => {
+    if (current && current.parts.length) {
+      segments.push({
+        pageNumber: current.pageNumber,
+        sectionPath: current.sectionPath,
+        heading: current.heading,
+        text: current.parts.join(' ').replace(/\s+/g, ' ').trim(),
+      });
+    }
+    current = null;
+  };
+
+  for (const p of pages) {
+    const seenTables = new Set();
+    (p.lines || []).forEach((line, lineIndex) => {
+      if (line.table != null) {
+        if (!seenTables.has(line.table)) {
+          seenTables.add(line.table);
+          flush();
+          segments.push({ pageNumber: p.pageNumber, sectionPath: pathOf(), heading: null, text: '', table: line.table });
+        }
+        return;
+      }
+      const h = byLine.get(`${p.pageNumber}:${lineIndex}`);
+      if (!h && repeated.has(repeatedLineKey(line))) return;
+      if (h) {
+        flush();
+        stack = [...stack.filter((s) => s.level < h.level), { title: h.title, level: h.level }];
+        current = { pageNumber: p.pageNumber, sectionPath: pathOf(), heading: h.title, parts: [] };
+      } else if (!current || current.pageNumber !== p.pageNumber) {
+        flush();
+        current = { pageNumber: p.pageNumber, sectionPath: pathOf(), heading: null, parts: [] };
+      }
+      current.parts.push(line.text);
+    });
+    // Sections continue across pages, but segments never do.
+    flush();
+  }
+
+  return segments;
+}
+
+/**
+ * Lines of every page in reading order without running headers/footers and table rows:
+ * [{ pageNumber, lineIndex, text, fontSize, x, y }].
+ */
+export function bodyLines(pages) {
+  const repeated = repeatedLines(pages);
+  return pages.flatMap((p) =>
+    (p.lines || [])
+      .map((line, lineIndex) => ({ pageNumber: p.pageNumber, lineIndex, ...line }))
+      .filter((line) => line.table == null && !repeated.has(repeatedLineKey(line)))
+  );
+}
+
+/**
+ * Document outline: [{ title, level, pageNumber }].
+ */
+export function buildOutline(pages) {
+  return detectHeadings(pages).map(({ title, level, pageNumber }) => ({ title, level, pageNumber }));
+}
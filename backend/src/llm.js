@@ -1,29 +1,135 @@
-import Groq from 'groq-sdk';
+import { GroqProvider } from './llm/groq.js';
+import { MockProvider, loadMockScript } from './llm/mock.js';
+import { OpenAICompatibleProvider } from './llm/openai-compatible.js';
+import { rateLimitError } from './llm/scheduler.js';
+import { estimateTokens } from './llm/usage.js';
+import { LLM_DEFAULTS, LLM_SCHEDULER_DEFAULTS } from './server/constants.js';
 
+export { createUsageMeter } from './llm/usage.js';
+export { createLlmScheduler, loadSchedulerConfig } from './llm/scheduler.js';
+
+/**
+ * Provider is picked by LLM_PROVIDER:
+ * - groq (default): Groq SDK, needs GROQ_API_KEY
+ * - openai: any OpenAI-compatible HTTP endpoint (LLM_BASE_URL, LLM_API_KEY)
+ * - ollama: local Ollama / llama.cpp server through its OpenAI-compatible `/v1` API
+ * - mock: deterministic scripted answers (LLM_MOCK_SCRIPT), no network
+ *
+ * Per-purpose model overrides (LLM_MODEL_CHAT, LLM_MODEL_COMPARE, LLM_MODEL_EXTRACT,
+ * LLM_MODEL_SUMMARY_MAP, LLM_MODEL_SUMMARY_REDUCE) fall back to LLM_MODEL.
+ */
 export function loadLlmConfig(env) {
-  const model = (env.LLM_MODEL || 'llama-3.1-8b-instant').trim();
+  const provider = (env.LLM_PROVIDER || LLM_DEFAULTS.PROVIDER).trim().toLowerCase();
+  const defaults = LLM_DEFAULTS.PROVIDERS[provider];
+  if (!defaults) {
+    throw new Error(`Unknown LLM_PROVIDER '${provider}'. Use one of: ${Object.keys(LLM_DEFAULTS.PROVIDERS).join(', ')}.`);
+  }
+
+  const model = (env.LLM_MODEL || defaults.model).trim();
   const baseURL = (env.LLM_BASE_URL || '').trim();
 
-  const groq = (env.GROQ_API_KEY || '').trim();
-  if (!groq) throw new Error('No API key set. Provide GROQ_API_KEY in your environment.');
+  let apiKey = '';
+  if (provider === 'groq') {
+    apiKey = (env.GROQ_API_KEY || '').trim();
+    if (!apiKey) throw new Error('No API key set. Provide GROQ_API_KEY in your environment.');
+  } else if (provider === 'openai') {
+    apiKey = (env.LLM_API_KEY || env.OPENAI_API_KEY || '').trim();
+  } else if (provider === 'ollama') {
+    apiKey = (env.LLM_API_KEY || '').trim();
+  }
+
+  const override = (name) => (env[name] || '').trim() || model;
 
   return {
-    apiKey: groq,
-    baseURL: baseURL || 'https://api.groq.com/openai/v1',
+    provider,
+    apiKey,
+    baseURL: baseURL || defaults.baseURL,
     model,
+    models: {
+      chat: override('LLM_MODEL_CHAT'),
+      compare: override('LLM_MODEL_COMPARE'),
+      extract: override('LLM_MODEL_EXTRACT'),
+      summaryMap: override('LLM_MODEL_SUMMARY_MAP'),
+      summaryReduce: override('LLM_MODEL_SUMMARY_REDUCE'),
+    },
+    mockScript: provider === 'mock' ? (env.LLM_MOCK_SCRIPT || '').trim() : '',
   };
 }
 
+/**
+ * Model to use for a given purpose ('chat' | 'compare' | 'extract' | 'summaryMap' | 'summaryReduce').
+ */
+export function modelFor(cfg, purpose) {
+  return cfg.models?.[purpose] || cfg.model;
+}
+
 export function buildClient(cfg) {
-  return new Groq({ apiKey: cfg.apiKey, baseURL: cfg.baseURL });
+  switch (cfg.provider || 'groq') {
+    case 'groq':
+      return new GroqProvider({ apiKey: cfg.apiKey, baseURL: cfg.baseURL });
+    case 'openai':
+    case 'ollama':
+      return new OpenAICompatibleProvider({ name: cfg.provider, apiKey: cfg.apiKey, baseURL: cfg.baseURL });
+    case 'mock':
+      return new MockProvider({ script: loadMockScript(cfg.mockScript) });
+    default:
+      throw new Error(`Unknown LLM provider '${cfg.provider}'`);
+  }
 }
 
-export async function chatCompletion({ client, model, system, messages, temperature = 0.2, maxTokens = 800 }) {
-  const resp = await client.chat.completions.create({
-    model,
-    messages: [{ role: 'system', content: system }, ...messages],
-    temperature,
-    max_tokens: maxTokens,
-  });
-  return resp.choices?.[0]?.message?.content || '';
+function isProviderRateLimitError(error) {
+  if (error?.status) return error.status === 429;
+  // Oversized requests are retried with less context by the chat route, not treated as throttling.
+  const msg = error?.message || '';
+  return /rate limit/i.test(msg) && !/request too large/i.test(msg);
+}
+
+// Seconds from the provider's Retry-After header (Groq SDK errors and our HTTP provider both carry headers).
+function providerRetryAfterSeconds(error) {
+  const headers = error?.headers;
+  const raw = typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after'];
+  const seconds = parseFloat(raw);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds : LLM_SCHEDULER_DEFAULTS.PROVIDER_RETRY_AFTER_SECONDS;
+}
+
+/**
+ * Returns the full completion text.
+ * When `onToken` is given the completion is streamed and each delta is passed to it as it arrives.
+ * `onUsage` receives { promptTokens, completionTokens, totalTokens } when the provider reports it.
+ *
+ * With `scheduler` (see llm/scheduler.js) the call waits for a slot under `clientKey`'s limits and
+ * may fail with a 429-style error instead. A provider 429 pauses the scheduler and is rethrown the
+ * same way, so callers never see the raw provider error.
+ */
+export async function chatCompletion({
+  client,
+  model,
+  system,
+  messages,
+  temperature = 0.2,
+  maxTokens = 800,
+  onToken,
+  onUsage,
+  signal,
+  scheduler,
+  clientKey,
+}) {
+  const allMessages = [{ role: 'system', content: system }, ...messages];
+  const call = async (reportTokens) => {
+    try {
+      const result = await client.complete({ model, messages: allMessages, temperature, maxTokens, onToken, signal });
+      if (result.usage) reportTokens?.(result.usage.totalTokens);
+      return result;
+    } catch (e) {
+      if (!isProviderRateLimitError(e)) throw e;
+      const retryAfter = providerRetryAfterSeconds(e);
+      scheduler?.pause(retryAfter);
+      throw rateLimitError('The LLM provider is rate limiting requests; please retry shortly.', retryAfter);
+    }
+  };
+
+  const estimated = estimateTokens(allMessages.map((m) => m.content).join('\n')) + maxTokens;
+  const { text, usage } = scheduler ? await scheduler.run(clientKey, estimated, call, { signal }) : await call();
+  if (usage) onUsage?.(usage);
+  return text || '';
 }
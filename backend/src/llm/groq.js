@@ -0,0 +1,37 @@
+import Groq from 'groq-sdk';
+
+import { toUsage } from './usage.js';
+
+/**
+ * Groq via the official SDK.
+ */
+export class GroqProvider {
+  constructor({ apiKey, baseURL }) {
+    this.name = 'groq';
+    this.client = new Groq({ apiKey, baseURL });
+  }
+
+  async complete({ model, messages, temperature, maxTokens, onToken, signal }) {
+    const body = { model, messages, temperature, max_tokens: maxTokens };
+
+    if (!onToken) {
+      const resp = await this.client.chat.completions.create(body, { signal });
+      return { text: resp.choices?.[0]?.message?.content || '', usage: toUsage(resp.usage) };
+    }
+
+    const stream = await this.client.chat.completions.create({ ...body, stream: true }, { signal });
+    let text = '';
+    let usage = null;
+    for await (const part of stream) {
+      // Groq reports usage on the final chunk under `x_groq`.
+      const rawUsage = part.x_groq?.usage || part.usage;
+      if (rawUsage) usage = toUsage(rawUsage);
+
+      const delta = part.choices?.[0]?.delta?.content || '';
+      if (!delta) continue;
+      text += delta;
+      onToken(delta);
+    }
+    return { text, usage };
+  }
+}
@@ -0,0 +1,63 @@
+import fs from 'node:fs';
+
+import { estimateTokens } from './usage.js';
+
+const DEFAULT_RESPONSE = 'Mock answer based on the provided sources (Source 1).';
+
+/**
+ * Normalize a script into { rules: [{ match: RegExp, response }], default }.
+ * Accepted shapes:
+ * - [{ "match": "regex", "response": "text" }, ...]
+ * - { "rules": [...], "default": "text" }
+ */
+function compileScript(script) {
+  const raw = Array.isArray(script) ? { rules: script } : script || {};
+  const rules = (Array.isArray(raw.rules) ? raw.rules : [])
+    .filter((r) => r && typeof r.response === 'string')
+    .map((r) => ({ match: new RegExp(String(r.match ?? ''), 'i'), response: r.response }));
+  return { rules, default: typeof raw.default === 'string' ? raw.default : DEFAULT_RESPONSE };
+}
+
+export function loadMockScript(file) {
+  if (!file) return compileScript(null);
+  try {
+    return compileScript(JSON.parse(fs.readFileSync(file, 'utf8')));
+  } catch (e) {
+    throw new Error(`Could not read LLM_MOCK_SCRIPT (${file}): ${e.message}`);
+  }
+}
+
+/**
+ * Deterministic offline provider for tests and demos. No network.
+ * The first rule whose regex matches the system prompt + last user message wins;
+ * otherwise the default response is returned.
+ */
+export class MockProvider {
+  constructor({ script } = {}) {
+    this.name = 'mock';
+    this.script = script?.rules ? script : compileScript(script);
+  }
+
+  respond({ model, messages }) {
+    const last = messages.filter((m) => m.role !== 'assistant').at(-1)?.content || '';
+    const system = messages.find((m) => m.role === 'system')?.content || '';
+    const haystack = `${system}\n\n${last}`;
+    const rule = this.script.rules.find((r) => r.match.test(haystack));
+    return (rule ? rule.response : this.script.default).replaceAll('{{model}}', model || '');
+  }
+
+  async complete({ model, messages, onToken, signal }) {
+    const text = this.respond({ model, messages });
+
+    if (onToken) {
+      for (const token of text.match(/\S+\s*|\s+/g) || []) {
+        if (signal?.aborted) break;
+        onToken(token);
+      }
+    }
+
+    const promptTokens = estimateTokens(messages.map((m) => m.content).join('\n'));
+    const completionTokens = estimateTokens(text);
+    return { text, usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens } };
+  }
+}
@@ -0,0 +1,87 @@
+import { toUsage } from './usage.js';
+
+function trimSlash(url) {
+  return String(url || '').replace(/\/+$/, '');
+}
+
+/**
+ * Any server speaking the OpenAI `/chat/completions` API over plain HTTP:
+ * OpenAI, Together, vLLM, Ollama (`/v1`), llama.cpp server, LM Studio, ...
+ */
+export class OpenAICompatibleProvider {
+  constructor({ name = 'openai', apiKey, baseURL }) {
+    if (!baseURL) throw new Error('Missing LLM_BASE_URL for OpenAI-compatible provider');
+    this.name = name;
+    this.apiKey = apiKey;
+    this.baseURL = trimSlash(baseURL);
+  }
+
+  async post(body, signal) {
+    const resp = await fetch(`${this.baseURL}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}),
+      },
+      body: JSON.stringify(body),
+      signal,
+    });
+
+    if (!resp.ok) {
+      const detail = await resp.text().catch(() => '');
+      // Keep the status in the message: callers detect "413"/"request too large" from it.
+      const error = new Error(`${this.name} request failed (${resp.status}): ${detail.slice(0, 500)}`);
+      error.status = resp.status;
+      error.headers = Object.fromEntries(resp.headers.entries());
+      throw error;
+    }
+    return resp;
+  }
+
+  async complete({ model, messages, temperature, maxTokens, onToken, signal }) {
+    const body = { model, messages, temperature, max_tokens: maxTokens };
+
+    if (!onToken) {
+      const resp = await this.post(body, signal);
+      const data = await resp.json();
+      return { text: data.choices?.[0]?.message?.content || '', usage: toUsage(data.usage) };
+    }
+
+    const resp = await this.post({ ...body, stream: true, stream_options: { include_usage: true } }, signal);
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let text = '';
+    let usage = null;
+
+    const handleLine = (line) => {
+      if (!line.startsWith('data:')) return;
+      const data = line.slice(5).trim();
+      if (!data || data === '[DONE]') return;
+
+      let part;
+      try {
+        part = JSON.parse(data);
+      } catch {
+        return;
+      }
+      if (part.usage) usage = toUsage(part.usage);
+      const delta = part.choices?.[0]?.delta?.content || '';
+      if (!delta) return;
+      text += delta;
+      onToken(delta);
+    };
+
+    for await (const bytes of resp.body) {
+      buffer += decoder.decode(bytes, { stream: true });
+      let nl = buffer.indexOf('\n');
+      while (nl >= 0) {
+        handleLine(buffer.slice(0, nl).trim());
+        buffer = buffer.slice(nl + 1);
+        nl = buffer.indexOf('\n');
+      }
+    }
+    handleLine(buffer.trim());
+
+    return { text, usage };
+  }
+}
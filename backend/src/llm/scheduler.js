@@ -0,0 +1,198 @@
+import { LLM_SCHEDULER_DEFAULTS } from '../server/constants.js';
+
+const WINDOW_MS = 60_000;
+
+function parseIntSafe(v, fallback) {
+  const n = parseInt(String(v ?? ''), 10);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+/**
+ * Limits for the shared LLM scheduler (0 disables a token budget):
+ * - LLM_MAX_CONCURRENCY / LLM_MAX_CONCURRENCY_PER_CLIENT: calls in flight
+ * - LLM_TOKENS_PER_MINUTE / LLM_TOKENS_PER_MINUTE_PER_CLIENT: prompt + completion tokens per rolling minute
+ * - LLM_QUEUE_TIMEOUT_MS: how long a call may wait for a slot before the request gets a 429
+ * - LLM_MAX_QUEUED_PER_CLIENT: waiting calls per client before new ones are rejected right away (0 = no cap)
+ */
+export function loadSchedulerConfig(env) {
+  const d = LLM_SCHEDULER_DEFAULTS;
+  return {
+    maxConcurrent: Math.max(1, parseIntSafe(env.LLM_MAX_CONCURRENCY, d.MAX_CONCURRENCY)),
+    maxConcurrentPerClient: Math.max(1, parseIntSafe(env.LLM_MAX_CONCURRENCY_PER_CLIENT, d.MAX_CONCURRENCY_PER_CLIENT)),
+    tokensPerMinute: Math.max(0, parseIntSafe(env.LLM_TOKENS_PER_MINUTE, d.TOKENS_PER_MINUTE)),
+    tokensPerMinutePerClient: Math.max(0, parseIntSafe(env.LLM_TOKENS_PER_MINUTE_PER_CLIENT, d.TOKENS_PER_MINUTE_PER_CLIENT)),
+    queueTimeoutMs: Math.max(0, parseIntSafe(env.LLM_QUEUE_TIMEOUT_MS, d.QUEUE_TIMEOUT_MS)),
+    maxQueuedPerClient: Math.max(0, parseIntSafe(env.LLM_MAX_QUEUED_PER_CLIENT, d.MAX_QUEUED_PER_CLIENT)),
+  };
+}
+
+/**
+ * Error for over-limit callers; routes turn it into 429 + Retry-After.
+ */
+export function rateLimitError(message, retryAfterSeconds) {
+  const e = new Error(message);
+  e.status = 429;
+  e.retryAfterSeconds = Math.max(1, Math.ceil(retryAfterSeconds || 1));
+  return e;
+}
+
+/**
+ * Shared gate in front of every LLM call. Calls wait (FIFO, but a client at its own limit
+ * doesn't hold up others) until the global and per-client concurrency caps and token budgets
+ * allow them. Token budgets use a rolling one-minute window: a call reserves its estimate when
+ * it starts and the reservation is corrected once the provider reports real usage.
+ *
+ * `run(clientKey, estimatedTokens, fn, { signal })` resolves with `fn(reportTokens)`.
+ * `pause(seconds)` holds back every call (used when the provider itself rate-limits us).
+ */
+export function createLlmScheduler({
+  maxConcurrent = LLM_SCHEDULER_DEFAULTS.MAX_CONCURRENCY,
+  maxConcurrentPerClient = LLM_SCHEDULER_DEFAULTS.MAX_CONCURRENCY_PER_CLIENT,
+  tokensPerMinute = LLM_SCHEDULER_DEFAULTS.TOKENS_PER_MINUTE,
+  tokensPerMinutePerClient = LLM_SCHEDULER_DEFAULTS.TOKENS_PER_MINUTE_PER_CLIENT,
+  queueTimeoutMs = LLM_SCHEDULER_DEFAULTS.QUEUE_TIMEOUT_MS,
+  maxQueuedPerClient = LLM_SCHEDULER_DEFAULTS.MAX_QUEUED_PER_CLIENT,
+} = {}) {
+  let active = 0;
+  /** @type {Map<string, number>} */
+  const activeByClient = new Map();
+  const waiting = [];
+  /** Token reservations inside the rolling window: { at, clientKey, tokens }. */
+  let ledger = [];
+  let pausedUntil = 0;
+  let wakeTimer = null;
+
+  const pruneLedger = (now) => {
+    ledger = ledger.filter((r) => now - r.at < WINDOW_MS);
+  };
+
+  const usedTokens = (clientKey) =>
+    ledger.reduce((sum, r) => sum + (clientKey === undefined || r.clientKey === clientKey ? r.tokens : 0), 0);
+
+  // A call bigger than the whole budget still runs once the window is empty, so it can't starve.
+  const fitsBudget = (budget, used, tokens) => !budget || used === 0 || used + tokens <= budget;
+
+  const canStart = (entry) =>
+    active < maxConcurrent &&
+    (activeByClient.get(entry.clientKey) || 0) < maxConcurrentPerClient &&
+    fitsBudget(tokensPerMinute, usedTokens(), entry.tokens) &&
+    fitsBudget(tokensPerMinutePerClient, usedTokens(entry.clientKey), entry.tokens);
+
+  /**
+   * Retry-After hint for a call of `tokens` from `clientKey`: the provider pause, or until enough
+   * of an exhausted token budget leaves the window, or a short wait when only concurrency is full.
+   */
+  const retryAfterSeconds = (clientKey, tokens) => {
+    const now = Date.now();
+    const windowWait = (budget, key) => {
+      if (fitsBudget(budget, usedTokens(key), tokens)) return 0;
+      const oldest = Math.min(...ledger.filter((r) => key === undefined || r.clientKey === key).map((r) => r.at));
+      return (oldest + WINDOW_MS - now) / 1000;
+    };
+    return Math.max(
+      LLM_SCHEDULER_DEFAULTS.BUSY_RETRY_AFTER_SECONDS,
+      (pausedUntil - now) / 1000,
+      windowWait(tokensPerMinute),
+      windowWait(tokensPerMinutePerClient, clientKey)
+    );
+  };
+
+  let wakeAt = 0;
+  // Keeps only the earliest pending wake-up.
+  const scheduleWake = (ms) => {
+    const at = Date.now() + Math.max(10, ms);
+    if (wakeTimer && wakeAt <= at) return;
+    clearTimeout(wakeTimer);
+    wakeAt = at;
+    wakeTimer = setTimeout(() => {
+      wakeTimer = null;
+      pump();
+    }, at - Date.now());
+    wakeTimer.unref?.();
+  };
+
+  function pump() {
+    const now = Date.now();
+    if (now < pausedUntil) return scheduleWake(pausedUntil - now);
+    pruneLedger(now);
+
+    for (const entry of [...waiting]) {
+      if (!canStart(entry)) continue;
+      waiting.splice(waiting.indexOf(entry), 1);
+      clearTimeout(entry.timer);
+      entry.signal?.removeEventListener('abort', entry.onAbort);
+
+      active++;
+      activeByClient.set(entry.clientKey, (activeByClient.get(entry.clientKey) || 0) + 1);
+      const reservation = { at: now, clientKey: entry.clientKey, tokens: entry.tokens };
+      ledger.push(reservation);
+      entry.resolve(reservation);
+    }
+
+    // Still waiting on the token window: retry when the oldest reservation expires.
+    if (waiting.length && ledger.length) {
+      const oldest = Math.min(...ledger.map((r) => r.at));
+      scheduleWake(oldest + WINDOW_MS - now);
+    }
+  }
+
+  const release = (clientKey) => {
+    active--;
+    const n = (activeByClient.get(clientKey) || 1) - 1;
+    if (n > 0) activeByClient.set(clientKey, n);
+    else activeByClient.delete(clientKey);
+    pump();
+  };
+
+  const acquire = (clientKey, tokens, signal) =>
+    new Promise((resolve, reject) => {
+      if (signal?.aborted) return reject(new Error('Request aborted'));
+
+      const queued = waiting.filter((w) => w.clientKey === clientKey).length;
+      if (maxQueuedPerClient > 0 && queued >= maxQueuedPerClient) {
+        return reject(rateLimitError('Too many requests in flight; please retry shortly.', retryAfterSeconds(clientKey, tokens)));
+      }
+
+      const entry = { clientKey, tokens, resolve, signal };
+      const drop = (error) => {
+        const i = waiting.indexOf(entry);
+        if (i < 0) return;
+        waiting.splice(i, 1);
+        clearTimeout(entry.timer);
+        signal?.removeEventListener('abort', entry.onAbort);
+        reject(error);
+      };
+      entry.timer = setTimeout(
+        () => drop(rateLimitError('The server is busy (LLM rate limit); please retry shortly.', retryAfterSeconds(clientKey, tokens))),
+        queueTimeoutMs
+      );
+      entry.onAbort = () => drop(new Error('Request aborted'));
+      signal?.addEventListener('abort', entry.onAbort, { once: true });
+
+      waiting.push(entry);
+      pump();
+    });
+
+  return {
+    async run(clientKey, estimatedTokens, fn, { signal } = {}) {
+      const key = clientKey || 'anonymous';
+      const reservation = await acquire(key, Math.max(0, Math.round(estimatedTokens || 0)), signal);
+      try {
+        return await fn((actualTokens) => {
+          if (Number.isFinite(actualTokens) && actualTokens > 0) reservation.tokens = actualTokens;
+        });
+      } finally {
+        release(key);
+      }
+    },
+
+    pause(seconds) {
+      pausedUntil = Math.max(pausedUntil, Date.now() + Math.max(0, seconds) * 1000);
+    },
+
+    stats() {
+      pruneLedger(Date.now());
+      return { active, waiting: waiting.length, tokensLastMinute: usedTokens() };
+    },
+  };
+}
@@ -0,0 +1,34 @@
+/**
+ * Token usage shape shared by all providers: { promptTokens, completionTokens, totalTokens }.
+ */
+export function toUsage(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const promptTokens = Number(raw.prompt_tokens ?? raw.promptTokens ?? raw.prompt_eval_count ?? 0) || 0;
+  const completionTokens = Number(raw.completion_tokens ?? raw.completionTokens ?? raw.eval_count ?? 0) || 0;
+  const totalTokens = Number(raw.total_tokens ?? raw.totalTokens ?? 0) || promptTokens + completionTokens;
+  return { promptTokens, completionTokens, totalTokens };
+}
+
+// Rough fallback when a provider does not report usage (~4 chars per token).
+export function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+/**
+ * Sums usage across several LLM calls (e.g. summary map + reduce).
+ */
+export function createUsageMeter() {
+  const total = { promptTokens: 0, completionTokens: 0, totalTokens: 0, calls: 0 };
+  return {
+    add(usage) {
+      if (!usage) return;
+      total.promptTokens += usage.promptTokens || 0;
+      total.completionTokens += usage.completionTokens || 0;
+      total.totalTokens += usage.totalTokens || 0;
+      total.calls += 1;
+    },
+    get total() {
+      return { ...total };
+    },
+  };
+}
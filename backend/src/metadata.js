@@ -0,0 +1,336 @@
+import { bodyLines, detectHeadings } from './layout.js';
+import { METADATA_DEFAULTS } from './server/constants.js';
+
+const DOI = /\b(10\.\d{4,9}\/[^\s"<>]+)/i;
+// New-style (2106.09685, optional version) and old-style (hep-th/9901001) arXiv identifiers.
+const ARXIV = /\barxiv:\s*(\d{4}\.\d{4,5}|[a-z-]+(?:\.[a-z]{2})?\/\d{7})(?:v\d+)?/i;
+const YEAR = /\b(19\d{2}|20\d{2})\b/g;
+// Years next to these words are about the publication itself, not a cited work.
+const PUBLICATION_CUE =
+  /(?:©|\(c\)|copyright|published|accepted|received|proceedings|journal|conference|workshop|vol\.?|volume)[^\n]{0,60}?\b((?:19|20)\d{2})\b/i;
+
+// Section headings ("1 Introduction", "II. Methods") are never the title.
+const SECTION_HEADING = /^(?:(?:\d+(?:\.\d+)*\.?|[IVX]+\.)\s+\S|(?:abstract|introduction|contents)$)/i;
+const ABSTRACT_LINE = /^abstract\b[\s.:—–-]*(.*)$/i;
+const ABSTRACT_END = /^(?:keywords|key words|index terms|ccs concepts|(?:1\.?|I\.)\s+introduction\b|introduction$)/i;
+const REFERENCES_HEADING = /^(?:\d+\.?\s+|[IVX]+\.\s+)?(?:references|bibliography|works cited|literature cited|references and notes)\s*$/i;
+const REFERENCES_END = /^(?:[A-Z]\.?\s+)?(?:appendix|appendices|supplementary)/i;
+const BRACKET_REFERENCE = /^\[(\d{1,4})\]\s*(.*)$/;
+const NUMBERED_REFERENCE = /^(\d{1,3})\.\s+(.*)$/;
+// "Smith, J.", "van der Berg, A", "Müller, Anna" at the start of an author-year entry.
+const AUTHOR_YEAR_START = /^(?:[a-z]+\s+)*\p{Lu}[\p{L}'’-]+,\s+\p{Lu}/u;
+// Author name as printed under a title: 2-4 capitalized words, initials allowed.
+const AUTHOR_NAME = /^\p{Lu}[\p{L}'’.-]*(?:\s+(?:\p{Lu}[\p{L}'’.-]*|van|von|der|de|la|del|da|di|le)){1,3}$/u;
+
+const clean = (s) => String(s || '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Lines joined into text, re-joining words hyphenated across a line break.
+ */
+function joinLines(lines) {
+  let text = '';
+  for (const line of lines) {
+    const t = clean(line.text);
+    if (!t) continue;
+    text = /\p{L}-$/u.test(text) && /^\p{Ll}/u.test(t) ? text.slice(0, -1) + t : text ? `${text} ${t}` : t;
+  }
+  return text;
+}
+
+function findDoi(text) {
+  const m = String(text || '').match(DOI);
+  return m ? m[1].replace(/[.,;:)\]]+$/, '') : '';
+}
+
+function findArxivId(text) {
+  const m = String(text || '').match(ARXIV);
+  return m ? m[1] : '';
+}
+
+function yearOfArxivId(id) {
+  const m = /^(\d{2})\d{2}\./.exec(id || '');
+  return m ? 2000 + Number(m[1]) : null;
+}
+
+function plausibleYear(y) {
+  return y >= 1900 && y <= new Date().getFullYear() + 1;
+}
+
+function isPlaceholderTitle(title) {
+  return title.length < 4 || METADATA_DEFAULTS.PLACEHOLDER_TITLES.some((p) => p.test(title));
+}
+
+/**
+ * Title: the run of largest-font lines near the top of the first page, when that font is
+ * clearly larger than the body text; otherwise the PDF's own Title entry.
+ */
+function findTitle(front, infoTitle) {
+  const firstPage = front.filter((l) => l.pageNumber === front[0]?.pageNumber).slice(0, 15);
+  if (firstPage.length) {
+    const sizes = front.map((l) => l.fontSize).sort((a, b) => a - b);
+    const bodySize = sizes[Math.floor(sizes.length / 2)] || 0;
+    const largest = Math.max(...firstPage.map((l) => l.fontSize));
+    if (largest > bodySize * 1.1) {
+      const start = firstPage.findIndex((l) => l.fontSize === largest && /\p{L}{2}/u.test(l.text));
+      if (start >= 0 && !SECTION_HEADING.test(firstPage[start].text)) {
+        const run = [];
+        for (const line of firstPage.slice(start)) {
+          if (Math.abs(line.fontSize - largest) > 0.5 || run.length >= METADATA_DEFAULTS.TITLE_MAX_LINES) break;
+          run.push(line);
+        }
+        return { title: joinLines(run), end: firstPage.indexOf(run[run.length - 1]) + 1 };
+      }
+    }
+  }
+  const title = clean(infoTitle);
+  return { title: title && !isPlaceholderTitle(title) ? title : '', end: 0 };
+}
+
+function splitAuthors(text) {
+  return clean(text)
+    .replace(/[\d*†‡§¶∗⋆]+/g, ' ')
+    .split(/\s*(?:,|;|&|\band\b)\s*/i)
+    .map(clean)
+    .filter((name) => AUTHOR_NAME.test(name));
+}
+
+function isAffiliationLine(text) {
+  const lower = text.toLowerCase();
+  return text.includes('@') || METADATA_DEFAULTS.AFFILIATION_WORDS.some((w) => new RegExp(`\\b${w}\\b`).test(lower));
+}
+
+/**
+ * Authors: name lines between the title and the abstract (affiliations and e-mails skipped),
+ * falling back to the PDF's Author entry.
+ */
+function findAuthors(firstPage, titleEnd, infoAuthor) {
+  const authors = [];
+  for (const line of firstPage.slice(titleEnd, titleEnd + METADATA_DEFAULTS.AUTHOR_MAX_LINES)) {
+    if (ABSTRACT_LINE.test(line.text) || ABSTRACT_END.test(line.text)) break;
+    if (isAffiliationLine(line.text)) continue;
+    const names = splitAuthors(line.text);
+    // A line that is mostly not names (a subtitle, a date) isn't an author line.
+    if (names.length && names.join(' ').length >= clean(line.text).replace(/[\d*†‡§¶∗⋆,;&]/g, '').length * 0.6) {
+      authors.push(...names);
+    }
+  }
+  const found = authors.length ? authors : splitAuthors(infoAuthor);
+  return Array.from(new Set(found)).slice(0, METADATA_DEFAULTS.MAX_AUTHORS);
+}
+
+/**
+ * Abstract: the text after an "Abstract" label (own line or inline, "Abstract—We ...") up to
+ * the next heading, "Keywords" or the introduction.
+ */
+function findAbstract(front, headingKeys) {
+  const start = front.findIndex((l) => ABSTRACT_LINE.test(l.text));
+  if (start < 0) return '';
+
+  const parts = [{ text: ABSTRACT_LINE.exec(front[start].text)[1] }];
+  for (const line of front.slice(start + 1)) {
+    if (headingKeys.has(`${line.pageNumber}:${line.lineIndex}`) || ABSTRACT_END.test(line.text)) break;
+    parts.push(line);
+  }
+  const text = joinLines(parts);
+  return text.length > METADATA_DEFAULTS.ABSTRACT_MAX_CHARS
+    ? `${text.slice(0, METADATA_DEFAULTS.ABSTRACT_MAX_CHARS)}…`
+    : text;
+}
+
+function findYear(frontText, arxivId, infoCreationDate) {
+  const fromArxiv = yearOfArxivId(arxivId);
+  if (fromArxiv && plausibleYear(fromArxiv)) return fromArxiv;
+
+  const cue = frontText.match(PUBLICATION_CUE);
+  if (cue && plausibleYear(Number(cue[1]))) return Number(cue[1]);
+
+  // PDF dates look like "D:20230415120000Z".
+  const created = /^(?:D:)?(\d{4})/.exec(clean(infoCreationDate));
+  if (created && plausibleYear(Number(created[1]))) return Number(created[1]);
+  return null;
+}
+
+/**
+ * Split the lines of a reference list into entries. Numbered lists ("[12] ...", "12. ...")
+ * start an entry at the next expected number; author-year lists start one at a line that opens
+ * with "Surname, X" right after an entry that ended with a full stop, or at the hanging indent.
+ */
+function splitReferences(lines) {
+  const first = lines.find((l) => clean(l.text));
+  if (!first) return [];
+  const style = BRACKET_REFERENCE.test(first.text) ? 'bracket' : NUMBERED_REFERENCE.test(first.text) ? 'numbered' : 'author-year';
+  const minX = Math.min(...lines.map((l) => l.x ?? 0));
+  const hanging = lines.some((l) => (l.x ?? 0) > minX + 4);
+
+  const entries = [];
+  let current = null;
+  for (const line of lines) {
+    const text = clean(line.text);
+    if (!text) continue;
+
+    let number = null;
+    let rest = text;
+    if (style !== 'author-year') {
+      const m = (style === 'bracket' ? BRACKET_REFERENCE : NUMBERED_REFERENCE).exec(text);
+      // Requiring the next number keeps "2019. Title ..." continuation lines from starting entries.
+      if (m && (!current || Number(m[1]) === current.number + 1 || style === 'bracket')) {
+        number = Number(m[1]);
+        rest = m[2];
+      }
+    } else {
+      const ended = !current || /[.!?]$/.test(current.lines[current.lines.length - 1].text);
+      const starts = hanging ? (line.x ?? 0) <= minX + 1 : ended && AUTHOR_YEAR_START.test(text);
+      if (starts) number = (current?.number || 0) + 1;
+    }
+
+    if (number != null) {
+      current = { number, pageNumber: line.pageNumber, lines: [{ text: rest }] };
+      entries.push(current);
+    } else if (current) {
+      current.lines.push({ text });
+    }
+  }
+
+  return entries.slice(0, METADATA_DEFAULTS.MAX_REFERENCES).map((e) => {
+    const text = joinLines(e.lines).slice(0, METADATA_DEFAULTS.REFERENCE_MAX_CHARS);
+    const years = Array.from(text.matchAll(YEAR), (m) => Number(m[1])).filter(plausibleYear);
+    const doi = findDoi(text);
+    const arxivId = findArxivId(text);
+    return {
+      number: e.number,
+      text,
+      pageNumber: e.pageNumber,
+      ...(years.length ? { year: years[0] } : {}),
+      ...(doi ? { doi } : {}),
+      ...(arxivId ? { arxivId } : {}),
+    };
+  });
+}
+
+/**
+ * Reference list: the lines after the last "References"/"Bibliography" heading, up to an appendix.
+ */
+function findReferences(lines) {
+  let start = -1;
+  lines.forEach((l, i) => {
+    if (REFERENCES_HEADING.test(clean(l.text))) start = i;
+  });
+  if (start < 0) return [];
+
+  const rest = lines.slice(start + 1);
+  const end = rest.findIndex((l) => REFERENCES_END.test(clean(l.text)));
+  return splitReferences(end >= 0 ? rest.slice(0, end) : rest);
+}
+
+// Reference list heading inside flattened page text (pages without layout lines), followed by its first entry.
+const REFERENCES_IN_TEXT = /\b(?:references|bibliography)\s+(?=\[1\]|1\.\s)/i;
+
+/**
+ * Text of the front pages up to a reference list that starts there: the DOIs and years in it
+ * belong to cited works, not to the paper. Running headers/footers stay in (journals print the
+ * paper's DOI there).
+ */
+function frontMatterText(pages) {
+  const front = pages.slice(0, METADATA_DEFAULTS.FRONT_PAGES);
+  if (front.some((p) => p.lines?.length)) {
+    const lines = front.flatMap((p) => (p.lines || []).map((l) => ({ pageNumber: p.pageNumber, text: clean(l.text) })));
+    const end = lines.findIndex((l) => REFERENCES_HEADING.test(l.text));
+    const kept = end >= 0 ? lines.slice(0, end) : lines;
+    // A page's lines are joined with spaces like its text, so PUBLICATION_CUE still spans line breaks.
+    return front.map((p) => kept.filter((l) => l.pageNumber === p.pageNumber).map((l) => l.text).join(' ')).join('\n');
+  }
+  const text = front.map((p) => p.text || '').join('\n');
+  const references = REFERENCES_IN_TEXT.exec(text);
+  return references ? text.slice(0, references.index) : text;
+}
+
+/**
+ * Bibliographic metadata of a paper from its extracted pages (see extractPages) and the PDF's
+ * own info dictionary (`info`: { title, author, creationDate }):
+ * { title, authors, abstract, doi, arxivId, year, references: [{ number, text, pageNumber, year?, doi?, arxivId? }] }.
+ *
+ * Everything is heuristic and best-effort: fields that can't be found are '' / [] / null.
+ * Pages without layout data (documents stored before layout-aware extraction) only yield the
+ * identifiers and year.
+ */
+export function extractMetadata(pages, { info = {} } = {}) {
+  const lines = bodyLines(pages);
+  const frontPages = new Set(pages.slice(0, METADATA_DEFAULTS.FRONT_PAGES).map((p) => p.pageNumber));
+  const front = lines.filter((l) => frontPages.has(l.pageNumber));
+  const firstPage = front.filter((l) => l.pageNumber === front[0]?.pageNumber);
+  const frontText = frontMatterText(pages);
+  const headingKeys = new Set(detectHeadings(pages).map((h) => `${h.pageNumber}:${h.lineIndex}`));
+
+  const { title, end } = findTitle(front, info.title);
+  const arxivId = findArxivId(frontText);
+
+  return {
+    title,
+    authors: findAuthors(firstPage, end, info.author),
+    abstract: findAbstract(front, headingKeys),
+    doi: findDoi(frontText),
+    arxivId,
+    year: findYear(frontText, arxivId, info.creationDate),
+    references: findReferences(lines),
+  };
+}
+
+/**
+ * Metadata as shown in document lists: everything but the reference list, which is only counted.
+ */
+export function listMetadata(metadata) {
+  if (!metadata) return null;
+  const { references, ...rest } = metadata;
+  return { ...rest, numReferences: references?.length ?? rest.numReferences ?? 0 };
+}
+
+/**
+ * Whether a document list entry matches a search query: every word of `query` must occur in
+ * its name, title, authors, abstract, DOI, arXiv id or year (case-insensitive).
+ */
+export function matchesDocumentQuery(entry, query) {
+  const words = clean(query).toLowerCase().split(' ').filter(Boolean);
+  if (!words.length) return true;
+  const m = entry.metadata || {};
+  const haystack = [entry.name, m.title, ...(m.authors || []), m.abstract, m.doi, m.arxivId, m.year]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase();
+  return words.every((w) => haystack.includes(w));
+}
+
+/**
+ * Reference numbers a question asks about: "[12]", "reference 12", "ref. 3", "refs 4 and 5".
+ */
+export function referencedNumbers(question) {
+  const numbers = new Set();
+  const q = String(question || '');
+  for (const m of q.matchAll(/\[(\d{1,4}(?:\s*[,–-]\s*\d{1,4})*)\]/g)) {
+    for (const n of m[1].split(/\s*[,–-]\s*/)) numbers.add(Number(n));
+  }
+  for (const m of q.matchAll(/\b(?:references?|refs?\.?|citations?)\s+((?:\d{1,4}(?:\s*(?:,|and|&)\s*)?)+)/gi)) {
+    for (const n of m[1].match(/\d+/g)) numbers.add(Number(n));
+  }
+  return Array.from(numbers);
+}
+
+/**
+ * Prompt text for a document's metadata plus the reference entries numbered in `referenceNumbers`.
+ * Returns '' when nothing is known.
+ */
+export function describeMetadata(metadata, { referenceNumbers = [] } = {}) {
+  if (!metadata) return '';
+  const lines = [
+    metadata.title ? `Title: ${metadata.title}` : '',
+    metadata.authors?.length ? `Authors: ${metadata.authors.join(', ')}` : '',
+    metadata.year ? `Year: ${metadata.year}` : '',
+    metadata.doi ? `DOI: ${metadata.doi}` : '',
+    metadata.arxivId ? `arXiv: ${metadata.arxivId}` : '',
+    metadata.references?.length ? `Reference list: ${metadata.references.length} entries` : '',
+  ];
+  for (const n of referenceNumbers) {
+    const ref = metadata.references?.find((r) => r.number === n);
+    lines.push(ref ? `Reference [${n}]: ${ref.text}` : `Reference [${n}]: not in the extracted reference list`);
+  }
+  return lines.filter(Boolean).join('\n');
+}
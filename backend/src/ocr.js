@@ -0,0 +1,175 @@
+import { createRequire } from 'node:module';
+
+import { EXTRACTION_DEFAULTS, OCR_DEFAULTS } from './server/constants.js';
+
+const require = createRequire(import.meta.url);
+
+function bundledLangPath() {
+  // @tesseract.js-data/eng ships eng.traineddata.gz, so OCR works without network access.
+  try {
+    return require('@tesseract.js-data/eng').langPath;
+  } catch {
+    return '';
+  }
+}
+
+function parseBool(value, fallback) {
+  const s = String(value ?? '').trim().toLowerCase();
+  if (!s) return fallback;
+  return !['0', 'false', 'no', 'off'].includes(s);
+}
+
+/**
+ * OCR settings:
+ * - OCR_ENABLED (default true)
+ * - OCR_LANGS, e.g. "eng" or "eng+deu" (default eng)
+ * - OCR_LANG_PATH: directory with <lang>.traineddata.gz (defaults to the bundled English data)
+ * - OCR_SCALE: render scale, 1 = 72 dpi (default 2.5)
+ * - OCR_MAX_PAGES: cap on OCR'd pages per document, 0 = no cap
+ * - OCR_MIN_CONFIDENCE: page results below this mean confidence (0-100) are discarded
+ */
+export function loadOcrConfig(env) {
+  return {
+    enabled: parseBool(env.OCR_ENABLED, true),
+    langs: (env.OCR_LANGS || OCR_DEFAULTS.LANGS).trim(),
+    langPath: (env.OCR_LANG_PATH || '').trim() || bundledLangPath(),
+    scale: parseFloat(env.OCR_SCALE || String(OCR_DEFAULTS.SCALE)) || OCR_DEFAULTS.SCALE,
+    maxPages: parseInt(env.OCR_MAX_PAGES || String(OCR_DEFAULTS.MAX_PAGES), 10) || OCR_DEFAULTS.MAX_PAGES,
+    minConfidence:
+      parseFloat(env.OCR_MIN_CONFIDENCE || String(OCR_DEFAULTS.MIN_CONFIDENCE)) || OCR_DEFAULTS.MIN_CONFIDENCE,
+  };
+}
+
+/**
+ * Tesseract (WASM) engine. The worker is created on first use and reused across uploads;
+ * tesseract.js queues concurrent jobs on it.
+ */
+export class TesseractOcrEngine {
+  constructor({ langs, langPath }) {
+    if (!langPath) throw new Error('Missing OCR_LANG_PATH (no bundled language data found)');
+    this.name = 'tesseract';
+    this.langs = langs;
+    this.langPath = langPath;
+    this.worker = null;
+  }
+
+  async getWorker() {
+    if (!this.worker) {
+      this.worker = import('tesseract.js')
+        .then(({ default: Tesseract }) =>
+          Tesseract.createWorker(this.langs, Tesseract.OEM.LSTM_ONLY, {
+            langPath: this.langPath,
+            gzip: true,
+            // Language data is read from disk; don't write a copy into the working directory.
+            cacheMethod: 'none',
+          })
+        )
+        .catch((e) => {
+          this.worker = null;
+          throw new Error(`OCR engine failed to start: ${e.message}`);
+        });
+    }
+    return this.worker;
+  }
+
+  /**
+   * Recognize one page image (PNG buffer).
+   * Returns { text, confidence, lines: [{ text, fontSize, x, y, w }] } with line geometry converted
+   * back to PDF units (bottom-left origin, like pdf.js text items) using `scale`.
+   */
+  async recognize(image, { scale = 1, height = 0 } = {}) {
+    const worker = await this.getWorker();
+    const { data } = await worker.recognize(image, {}, { text: true, blocks: true });
+
+    const lines = [];
+    for (const block of data.blocks || []) {
+      for (const paragraph of block.paragraphs || []) {
+        for (const line of paragraph.lines || []) {
+          const text = (line.text || '').replace(/\s+/g, ' ').trim();
+          if (!text) continue;
+          const rowHeight = line.rowAttributes?.rowHeight || line.bbox.y1 - line.bbox.y0;
+          lines.push({
+            text,
+            fontSize: Math.round(rowHeight / scale),
+            x: Math.round(line.bbox.x0 / scale),
+            y: Math.round((height - (line.baseline?.y0 ?? line.bbox.y1)) / scale),
+            w: Math.round((line.bbox.x1 - line.bbox.x0) / scale),
+          });
+        }
+      }
+    }
+
+    return {
+      text: lines.map((l) => l.text).join(' '),
+      confidence: typeof data.confidence === 'number' ? data.confidence : 0,
+      lines,
+    };
+  }
+
+  async close() {
+    const pending = this.worker;
+    this.worker = null;
+    if (pending) await (await pending).terminate();
+  }
+}
+
+export function createOcrEngine(cfg) {
+  if (!cfg.enabled) return null;
+  return new TesseractOcrEngine({ langs: cfg.langs, langPath: cfg.langPath });
+}
+
+/**
+ * Run OCR on pages whose extracted text is shorter than `minChars` and merge the result in place.
+ *
+ * `renderPage(pageNumber)` must return { image, height } (PNG buffer and its pixel height).
+ * OCR reads the rendered page, so it also picks up whatever text layer the page had; its text
+ * replaces the native text when it is longer. Merged pages get `ocr: { confidence, nativeChars }`
+ * and OCR-derived `lines` so layout-aware chunking still sees headings.
+ *
+ * Returns [{ pageNumber, confidence }] for the pages that were merged.
+ */
+export async function ocrLowTextPages(
+  pages,
+  {
+    engine,
+    renderPage,
+    scale,
+    minChars = EXTRACTION_DEFAULTS.NON_EMPTY_PAGE_MIN_CHARS,
+    maxPages = OCR_DEFAULTS.MAX_PAGES,
+    minConfidence = OCR_DEFAULTS.MIN_CONFIDENCE,
+    // Called before each candidate page is rendered: (index starting at 1, candidate count).
+    onPage,
+  }
+) {
+  const candidates = pages.filter((p) => (p.text || '').length < minChars);
+  const limit = !maxPages || maxPages <= 0 ? candidates.length : Math.min(candidates.length, maxPages);
+
+  const merged = [];
+  for (const [i, page] of candidates.slice(0, limit).entries()) {
+    onPage?.(i + 1, limit);
+    const { image, height } = await renderPage(page.pageNumber);
+    const result = await engine.recognize(image, { scale, height });
+    if (!result.text || result.confidence < minConfidence) continue;
+
+    const nativeChars = (page.text || '').length;
+    if (result.text.length <= nativeChars) continue;
+
+    const confidence = Math.round(result.confidence);
+    page.text = result.text;
+    page.lines = result.lines;
+    // Tables found in the native text layer no longer match the OCR lines.
+    delete page.tables;
+    page.ocr = { confidence, nativeChars };
+    merged.push({ pageNumber: page.pageNumber, confidence });
+  }
+
+  return merged;
+}
+
+/**
+ * [{ pageNumber, confidence }] for pages carrying OCR text (stores that don't persist
+ * `ocrPages` separately derive it from the pages).
+ */
+export function ocrPagesOf(pages) {
+  return (pages || []).filter((p) => p?.ocr).map((p) => ({ pageNumber: p.pageNumber, confidence: p.ocr.confidence }));
+}
@@ -1,25 +1,187 @@
+import { createRequire } from 'node:module';
+import path from 'node:path';
+
 import * as pdfjsLib from 'pdfjs-dist/legacy/build/pdf.mjs';
 
+import { groupItemsIntoLines, segmentBySection } from './layout.js';
+import { ocrLowTextPages } from './ocr.js';
+import { detectTables, tableId, tableToMarkdown } from './tables.js';
+import { EXTRACTION_DEFAULTS } from './server/constants.js';
+
+// Glyph data for the 14 standard PDF fonts; without it, rendering (for OCR) drops non-embedded text.
+const STANDARD_FONT_DATA_URL =
+  path.join(path.dirname(createRequire(import.meta.url).resolve('pdfjs-dist/package.json')), 'standard_fonts') + path.sep;
+
 export function normalizeText(text) {
   return (text || '').replace(/\u0000/g, ' ').replace(/\s+/g, ' ').trim();
 }
 
-export async function extractPages(buffer, { maxPages = 0 } = {}) {
-  const loadingTask = pdfjsLib.getDocument({ data: new Uint8Array(buffer) });
+/**
+ * Render one page to a PNG for OCR. Returns { image, height } (height in pixels).
+ */
+export async function renderPageImage(pdf, pageNumber, scale) {
+  const page = await pdf.getPage(pageNumber);
+  const viewport = page.getViewport({ scale });
+  // pdf.js' Node canvas factory is backed by @napi-rs/canvas.
+  const { canvas, context } = pdf.canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+  try {
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    await page.render({ canvasContext: context, viewport }).promise;
+    return { image: canvas.toBuffer('image/png'), height: canvas.height };
+  } finally {
+    pdf.canvasFactory.destroy({ canvas, context });
+    page.cleanup();
+  }
+}
+
+/**
+ * Render one page of a PDF file to PNG (for the in-app viewer). Returns { image, height }.
+ */
+export async function renderPdfPage(buffer, pageNumber, { scale = 1 } = {}) {
+  const loadingTask = pdfjsLib.getDocument({ data: new Uint8Array(buffer), standardFontDataUrl: STANDARD_FONT_DATA_URL });
+  const pdf = await loadingTask.promise;
+  try {
+    if (pageNumber < 1 || pageNumber > pdf.numPages) {
+      const error = new Error(`Page ${pageNumber} is out of range (1-${pdf.numPages})`);
+      error.status = 404;
+      throw error;
+    }
+    return await renderPageImage(pdf, pageNumber, scale);
+  } finally {
+    await loadingTask.destroy();
+  }
+}
+
+/**
+ * Extract text page-by-page. Each page keeps its flat `text`, its size in PDF units
+ * (`width`/`height`) and `lines` ({ text, fontSize, x, y, w }) so headings and sections can be
+ * detected later and passages can be highlighted on the rendered page.
+ *
+ * Tables found from the text positions (tables.js) are kept as `tables` on their page
+ * ([{ caption, columns, rows, bounds }]); their lines carry `table` (the index on the page).
+ *
+ * With `ocr` ({ engine, scale, maxPages, minConfidence } from ocr.js), pages with little or no
+ * text layer are rendered and OCR'd; `ocrPages` lists the pages whose text came from OCR.
+ * `onProgress(stage, { current, total })` is called per page ('extracting', then 'ocr').
+ * `info` holds the PDF's own Title, Author and CreationDate entries ('' when absent).
+ */
+export async function extractPages(buffer, { maxPages = 0, ocr = null, onProgress } = {}) {
+  const loadingTask = pdfjsLib.getDocument({ data: new Uint8Array(buffer), standardFontDataUrl: STANDARD_FONT_DATA_URL });
   const pdf = await loadingTask.promise;
 
-  const total = pdf.numPages;
-  const limit = !maxPages || maxPages <= 0 ? total : Math.min(total, maxPages);
+  try {
+    const total = pdf.numPages;
+    const limit = !maxPages || maxPages <= 0 ? total : Math.min(total, maxPages);
+
+    const pages = [];
+    for (let i = 1; i <= limit; i++) {
+      onProgress?.('extracting', { current: i, total: limit });
+      const page = await pdf.getPage(i);
+      const content = await page.getTextContent();
+      const text = content.items.map((it) => (typeof it.str === 'string' ? it.str : '')).join(' ');
+      const rows = groupItemsIntoLines(content.items, { withParts: true });
+      const { tables, lineTables } = detectTables(rows);
+      const lines = rows.map(({ parts, ...l }, j) => ({
+        ...l,
+        text: normalizeText(l.text),
+        ...(lineTables[j] != null ? { table: lineTables[j] } : {}),
+      }));
+      const { width, height } = page.getViewport({ scale: 1 });
+      pages.push({
+        pageNumber: i,
+        text: normalizeText(text),
+        width: Math.round(width),
+        height: Math.round(height),
+        lines,
+        ...(tables.length ? { tables } : {}),
+      });
+    }
+
+    let ocrPages = [];
+    if (ocr?.engine) {
+      try {
+        ocrPages = await ocrLowTextPages(pages, {
+          ...ocr,
+          renderPage: (pageNumber) => renderPageImage(pdf, pageNumber, ocr.scale),
+          onPage: (current, total) => onProgress?.('ocr', { current, total }),
+        });
+      } catch (e) {
+        throw new Error(`OCR failed: ${e.message}`);
+      }
+    }
 
-  const pages = [];
-  for (let i = 1; i <= limit; i++) {
-    const page = await pdf.getPage(i);
-    const content = await page.getTextContent();
-    const text = content.items.map((it) => (typeof it.str === 'string' ? it.str : '')).join(' ');
-    pages.push({ pageNumber: i, text: normalizeText(text) });
+    const { info } = await pdf.getMetadata().catch(() => ({ info: null }));
+    const infoField = (name) => (typeof info?.[name] === 'string' ? info[name].trim() : '');
+
+    return {
+      pages,
+      numPages: total,
+      ocrPages,
+      info: { title: infoField('Title'), author: infoField('Author'), creationDate: infoField('CreationDate') },
+    };
+  } finally {
+    await loadingTask.destroy();
+  }
+}
+
+const matchKey = (s) => String(s || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * Where a chunk's text sits on its pages, for highlighting it in the viewer.
+ * A line belongs to the passage when the chunk contains it, or (for chunks that start or end
+ * mid-line) when it contains the chunk's first or last words. Table chunks highlight the table.
+ * Returns [{ pageNumber, boxes: [{ left, top, width, height }] }] with fractions of the page size
+ * (top-left origin); pages extracted without geometry get no boxes.
+ */
+export function chunkHighlights(pages, chunk) {
+  if (chunk.type === 'table') {
+    const page = pages.find((p) => p.pageNumber === chunk.pageStart);
+    const table = page?.tables?.find((_, i) => tableId(page.pageNumber, i) === chunk.tableId);
+    if (!table || !page.width || !page.height) return [{ pageNumber: chunk.pageStart, boxes: [] }];
+    const { left, right, top, bottom } = table.bounds;
+    return [
+      {
+        pageNumber: page.pageNumber,
+        boxes: [
+          {
+            left: Math.max(0, left / page.width),
+            top: Math.max(0, (page.height - top) / page.height),
+            width: Math.min(1, (right - left) / page.width),
+            height: Math.min(1, (top - bottom) / page.height),
+          },
+        ],
+      },
+    ];
   }
 
-  return { pages, numPages: total };
+  const text = matchKey(chunk.text);
+  const edge = EXTRACTION_DEFAULTS.HIGHLIGHT_EDGE_CHARS;
+  const head = text.slice(0, edge);
+  const tail = text.slice(-edge);
+
+  return pages
+    .filter((p) => p.pageNumber >= chunk.pageStart && p.pageNumber <= chunk.pageEnd)
+    .map((p) => {
+      if (!p.width || !p.height) return { pageNumber: p.pageNumber, boxes: [] };
+      const boxes = (p.lines || [])
+        .filter((l) => {
+          const line = matchKey(l.text);
+          if (line.length < EXTRACTION_DEFAULTS.HIGHLIGHT_MIN_LINE_CHARS || !l.w) return false;
+          return text.includes(line) || (head.length >= edge && line.includes(head)) || (tail.length >= edge && line.includes(tail));
+        })
+        .map((l) => {
+          // `y` is the baseline; let the box cover ascenders and descenders.
+          const top = p.height - (l.y + l.fontSize * 0.9);
+          return {
+            left: Math.max(0, l.x / p.width),
+            top: Math.max(0, top / p.height),
+            width: Math.min(1, l.w / p.width),
+            height: (l.fontSize * 1.2) / p.height,
+          };
+        });
+      return { pageNumber: p.pageNumber, boxes };
+    });
 }
 
 export function isProbablyScanned(pages) {
@@ -30,7 +192,41 @@ export function isProbablyScanned(pages) {
   return nonEmpty / Math.max(1, pages.length) < 0.2;
 }
 
-export function chunkPages(pages, { docId, targetChars = 3500, overlapChars = 300 } = {}) {
+/**
+ * Split text into pieces of at most `maxChars`, preferring sentence ends, then spaces.
+ */
+function splitAtSentences(text, maxChars) {
+  const out = [];
+  let rest = text;
+  while (rest.length > maxChars) {
+    const window = rest.slice(0, maxChars);
+    const sentenceEnd = Math.max(window.lastIndexOf('. '), window.lastIndexOf('? '), window.lastIndexOf('! '));
+    let cut = sentenceEnd >= maxChars * 0.5 ? sentenceEnd + 1 : window.lastIndexOf(' ');
+    if (cut <= 0) cut = maxChars;
+    out.push(rest.slice(0, cut).trim());
+    rest = rest.slice(cut).trim();
+  }
+  if (rest) out.push(rest);
+  return out;
+}
+
+/**
+ * Overlap tail that starts at a sentence (or at least word) boundary.
+ */
+function overlapTail(text, overlapChars) {
+  if (!overlapChars || overlapChars <= 0) return '';
+  const tail = text.slice(-overlapChars);
+  const sentence = tail.search(/[.?!]\s+\S/);
+  if (sentence >= 0) return tail.slice(sentence + 1).trim();
+  const space = tail.indexOf(' ');
+  return (space >= 0 ? tail.slice(space + 1) : tail).trim();
+}
+
+/**
+ * Legacy page-budget chunking, used for pages without layout data (documents stored before
+ * layout-aware extraction).
+ */
+function chunkPagesByLength(pages, { docId, targetChars, overlapChars }) {
   const chunks = [];
   let buf = []; // {pageNumber, text}
   let bufLen = 0;
@@ -78,3 +274,133 @@ export function chunkPages(pages, { docId, targetChars = 3500, overlapChars = 30
 
   return chunks;
 }
+
+/**
+ * Section-aware chunking.
+ *
+ * - A new chunk starts at every section boundary (sections shorter than `minSectionChars`
+ *   are merged into the following one so headings-only fragments don't become chunks).
+ * - Sections longer than `targetChars` are split at sentence boundaries, with a sentence-aligned
+ *   overlap tail carried over inside the same section.
+ * - Every chunk records `sectionPath` (e.g. "3 Methods > 3.2 Data"), the section it starts in;
+ *   a chunk that merged small sections also lists all of them, in order, as `sectionPaths`.
+ */
+function chunkSegments(segments, { docId, targetChars, overlapChars, minSectionChars }) {
+  const chunks = [];
+  let buf = []; // { pageNumber, sectionPath, text }
+  let bufLen = 0;
+  // True while `buf` only holds the overlap tail of the previous chunk.
+  let overlapOnly = false;
+
+  const push = (parts) => {
+    const text = parts.map((p) => p.text).join('\n\n').trim();
+    if (!text) return;
+    const sectionPaths = Array.from(new Set(parts.map((p) => p.sectionPath).filter(Boolean)));
+    chunks.push({
+      id: `${docId}:${chunks.length}`,
+      docId,
+      pageStart: parts[0].pageNumber,
+      pageEnd: parts[parts.length - 1].pageNumber,
+      // Named after the section the chunk starts in, like `pageStart`.
+      sectionPath: sectionPaths[0] || '',
+      ...(sectionPaths.length > 1 ? { sectionPaths } : {}),
+      text,
+    });
+  };
+
+  const flush = ({ keepOverlap = false } = {}) => {
+    if (!buf.length) return;
+    push(buf);
+    const last = buf[buf.length - 1];
+    const tail = keepOverlap ? overlapTail(last.text, overlapChars) : '';
+    buf = tail ? [{ ...last, text: tail }] : [];
+    bufLen = tail.length;
+    overlapOnly = !!tail;
+  };
+
+  for (const seg of segments) {
+    if (!seg.text) continue;
+
+    const sectionChanged = buf.length && buf[buf.length - 1].sectionPath !== seg.sectionPath;
+    if (sectionChanged && overlapOnly) {
+      // Never carry overlap across a section boundary.
+      buf = [];
+      bufLen = 0;
+    } else if (sectionChanged && bufLen >= minSectionChars) {
+      flush();
+    }
+
+    for (const piece of splitAtSentences(seg.text, targetChars)) {
+      // Tiny buffers (e.g. a lone heading) ride along with the next piece rather than becoming a chunk.
+      if (!overlapOnly && bufLen >= minSectionChars && bufLen + piece.length > targetChars) flush({ keepOverlap: true });
+      buf.push({ pageNumber: seg.pageNumber, sectionPath: seg.sectionPath, text: piece });
+      bufLen += piece.length;
+      overlapOnly = false;
+    }
+  }
+  flush();
+
+  return chunks;
+}
+
+/**
+ * Table chunks (`type: 'table'`), one or more per table: the rows are split so each part's
+ * Markdown stays within `targetChars`, and every part repeats the caption and header.
+ * Each chunk keeps its part as `table` ({ caption, columns, rows, rowStart }) for the UI.
+ */
+function chunkTables(pages, segments, { docId, firstIndex, targetChars }) {
+  const byPage = new Map(pages.map((p) => [p.pageNumber, p]));
+  const chunks = [];
+
+  for (const seg of segments) {
+    if (seg.table == null) continue;
+    const table = byPage.get(seg.pageNumber)?.tables?.[seg.table];
+    if (!table) continue;
+
+    const push = (rows, rowStart) => {
+      const part = { caption: table.caption || '', columns: table.columns, rows, rowStart };
+      chunks.push({
+        id: `${docId}:${firstIndex + chunks.length}`,
+        docId,
+        type: 'table',
+        tableId: tableId(seg.pageNumber, seg.table),
+        pageStart: seg.pageNumber,
+        pageEnd: seg.pageNumber,
+        sectionPath: seg.sectionPath || '',
+        text: tableToMarkdown(part),
+        table: part,
+      });
+    };
+
+    let rows = [];
+    let rowStart = 0;
+    table.rows.forEach((row, i) => {
+      if (rows.length && tableToMarkdown({ ...table, rows: [...rows, row] }).length > targetChars) {
+        push(rows, rowStart);
+        rows = [];
+        rowStart = i;
+      }
+      rows.push(row);
+    });
+    push(rows, rowStart);
+  }
+
+  return chunks;
+}
+
+export function chunkPages(
+  pages,
+  {
+    docId,
+    targetChars = EXTRACTION_DEFAULTS.CHUNK_TARGET_CHARS,
+    overlapChars = EXTRACTION_DEFAULTS.CHUNK_OVERLAP_CHARS,
+    minSectionChars = EXTRACTION_DEFAULTS.SECTION_MIN_CHARS,
+    tableTargetChars = EXTRACTION_DEFAULTS.TABLE_CHUNK_TARGET_CHARS,
+  } = {}
+) {
+  const hasLayout = pages.some((p) => Array.isArray(p.lines) && p.lines.length);
+  if (!hasLayout) return chunkPagesByLength(pages, { docId, targetChars, overlapChars });
+  const segments = segmentBySection(pages);
+  const chunks = chunkSegments(segments, { docId, targetChars, overlapChars, minSectionChars });
+  return [...chunks, ...chunkTables(pages, segments, { docId, firstIndex: chunks.length, targetChars: tableTargetChars })];
+}
@@ -1,19 +1,4 @@
-function dot(a, b) {
-  let s = 0;
-  for (let i = 0; i < a.length; i++) s += a[i] * b[i];
-  return s;
-}
-
-function norm(a) {
-  return Math.sqrt(dot(a, a)) || 1;
-}
-
-function normalize(vec) {
-  const n = norm(vec);
-  return vec.map((x) => x / n);
-}
-
-function tokenize(text) {
+export function tokenize(text) {
   return (text || '')
     .toLowerCase()
     .replace(/[^a-z0-9\s]/g, ' ')
@@ -28,6 +13,19 @@ function buildTf(tokens) {
   return tf;
 }
 
+export const RETRIEVERS = ['tfidf', 'bm25', 'semantic', 'hybrid'];
+
+// Bump when the index layout changes so persisted copies are rebuilt.
+export const TFIDF_INDEX_VERSION = 3;
+
+/**
+ * Sparse lexical index (inverted postings lists) shared by TF-IDF and BM25.
+ *
+ * Each term maps to its idf and a postings list of (chunk index, raw count, weight) entries, where
+ * weight is the chunk's L2-normalized tf*idf value. Chunk token lengths are kept for BM25.
+ * Scoring a query only touches the postings of its own terms, so cost grows with matches
+ * rather than chunks × vocab.
+ */
 export function buildTfidfIndex(chunks) {
   // Lightweight local retrieval (no paid embeddings). Good baseline.
   const docsTokens = chunks.map((c) => tokenize(c.text));
@@ -40,34 +38,200 @@ export function buildTfidfIndex(chunks) {
   }
 
   const N = chunks.length;
-  const vocab = Array.from(df.keys());
-  const vocabIndex = new Map(vocab.map((t, i) => [t, i]));
+  /** @type {Map<string, { idf: number, df: number, chunks: number[], counts: number[], weights: number[] }>} */
+  const postings = new Map();
+  for (const [term, d] of df.entries()) {
+    postings.set(term, { idf: Math.log((N + 1) / (d + 1)) + 1, df: d, chunks: [], counts: [], weights: [] });
+  }
 
-  const idf = vocab.map((t) => {
-    const d = df.get(t) || 1;
-    return Math.log((N + 1) / (d + 1)) + 1;
-  });
+  tfs.forEach((tf, i) => {
+    let sumSq = 0;
+    for (const [term, count] of tf.entries()) sumSq += (count * postings.get(term).idf) ** 2;
+    const n = Math.sqrt(sumSq) || 1;
 
-  const vectors = chunks.map((_, i) => {
-    const tf = tfs[i];
-    const vec = new Array(vocab.length).fill(0);
     for (const [term, count] of tf.entries()) {
-      const j = vocabIndex.get(term);
-      if (j === undefined) continue;
-      vec[j] = count * idf[j];
+      const list = postings.get(term);
+      list.chunks.push(i);
+      list.counts.push(count);
+      list.weights.push((count * list.idf) / n);
     }
-    return normalize(vec);
   });
 
+  const lengths = docsTokens.map((t) => t.length);
+
   return {
     kind: 'tfidf',
-    vocab,
-    vocabIndex,
-    idf,
-    vectors,
+    version: TFIDF_INDEX_VERSION,
+    numChunks: N,
+    lengths,
+    avgLength: lengths.reduce((a, b) => a + b, 0) / Math.max(1, N),
+    postings,
+  };
+}
+
+/**
+ * Plain-JSON form of the index (Maps are not JSON-serializable).
+ */
+export function serializeTfidfIndex(index) {
+  const terms = {};
+  for (const [term, list] of index.postings.entries()) {
+    terms[term] = [list.idf, list.df, list.chunks, list.counts, list.weights];
+  }
+  return { kind: index.kind, version: index.version, numChunks: index.numChunks, lengths: index.lengths, terms };
+}
+
+/**
+ * Inverse of serializeTfidfIndex. Returns null for unknown/outdated payloads so callers can rebuild.
+ */
+export function deserializeTfidfIndex(data) {
+  if (!data || data.kind !== 'tfidf' || data.version !== TFIDF_INDEX_VERSION || !data.terms) return null;
+  const postings = new Map();
+  for (const [term, [idf, df, chunks, counts, weights]] of Object.entries(data.terms)) {
+    postings.set(term, { idf, df, chunks, counts, weights });
+  }
+  const lengths = data.lengths || [];
+  return {
+    kind: 'tfidf',
+    version: data.version,
+    numChunks: data.numChunks,
+    lengths,
+    avgLength: lengths.reduce((a, b) => a + b, 0) / Math.max(1, data.numChunks),
+    postings,
+  };
+}
+
+function sortScored(acc) {
+  const scored = Array.from(acc.entries(), ([i, score]) => ({ i, score }));
+  scored.sort((a, b) => b.score - a.score || a.i - b.i);
+  return scored;
+}
+
+/**
+ * Cosine scores for chunks sharing at least one term with the query.
+ * Returns [{ i, score }] sorted by score desc (ties by chunk order).
+ */
+function scoreTfidf(index, query) {
+  const qTf = buildTf(tokenize(query));
+
+  const qWeights = [];
+  let sumSq = 0;
+  for (const [term, count] of qTf.entries()) {
+    const list = index.postings.get(term);
+    if (!list) continue;
+    const w = count * list.idf;
+    qWeights.push([list, w]);
+    sumSq += w * w;
+  }
+  const qNorm = Math.sqrt(sumSq) || 1;
+
+  /** @type {Map<number, number>} */
+  const acc = new Map();
+  for (const [list, w] of qWeights) {
+    const qw = w / qNorm;
+    for (let k = 0; k < list.chunks.length; k++) {
+      const i = list.chunks[k];
+      acc.set(i, (acc.get(i) || 0) + qw * list.weights[k]);
+    }
+  }
+  return sortScored(acc);
+}
+
+/**
+ * Okapi BM25 scores for chunks sharing at least one term with the query.
+ * `collection` ({ numChunks, avgLength, df(term) }) overrides the index's own statistics so several
+ * document indexes can be scored as one corpus.
+ */
+function scoreBm25(index, query, { k1 = 1.2, b = 0.75, collection = null } = {}) {
+  const N = collection ? collection.numChunks : index.numChunks;
+  const avgLength = (collection ? collection.avgLength : index.avgLength) || 1;
+
+  /** @type {Map<number, number>} */
+  const acc = new Map();
+  for (const term of new Set(tokenize(query))) {
+    const list = index.postings.get(term);
+    if (!list) continue;
+    const df = collection ? collection.df(term) : list.df;
+    const idf = Math.log(1 + (N - df + 0.5) / (df + 0.5));
+    for (let k = 0; k < list.chunks.length; k++) {
+      const i = list.chunks[k];
+      const tf = list.counts[k];
+      const lengthNorm = 1 - b + b * ((index.lengths[i] || 0) / avgLength);
+      acc.set(i, (acc.get(i) || 0) + (idf * tf * (k1 + 1)) / (tf + k1 * lengthNorm));
+    }
+  }
+  return sortScored(acc);
+}
+
+/**
+ * Corpus statistics across several indexes, for BM25 over a document collection.
+ */
+function collectionStats(indexes) {
+  const numChunks = indexes.reduce((sum, idx) => sum + idx.numChunks, 0);
+  const totalLength = indexes.reduce((sum, idx) => sum + idx.lengths.reduce((a, b) => a + b, 0), 0);
+  return {
+    numChunks,
+    avgLength: totalLength / Math.max(1, numChunks),
+    df: (term) => indexes.reduce((sum, idx) => sum + (idx.postings.get(term)?.df || 0), 0),
   };
 }
 
+/**
+ * Merge per-document rankings into one, shifting chunk indexes by each document's offset
+ * into the concatenated chunk list.
+ */
+function mergeRankings(perDoc, offsets) {
+  const merged = perDoc.flatMap((scored, d) => scored.map((s) => ({ ...s, i: s.i + offsets[d] })));
+  merged.sort((a, b) => b.score - a.score || a.i - b.i);
+  return merged;
+}
+
+/**
+ * Cosine scores between a query vector and chunk vectors (all assumed L2-normalized).
+ */
+function scoreDense(vectors, queryVector) {
+  /** @type {Map<number, number>} */
+  const acc = new Map();
+  vectors.forEach((v, i) => {
+    let s = 0;
+    for (let j = 0; j < v.length; j++) s += v[j] * queryVector[j];
+    acc.set(i, s);
+  });
+  return sortScored(acc);
+}
+
+/**
+ * Ranked chunks: matches first, then (lazily) the non-matching chunks in document order with score 0,
+ * which mirrors what a dense cosine ranking returns.
+ */
+function* withZeroTail(scored, numChunks) {
+  yield* scored;
+
+  const seen = new Set(scored.map((s) => s.i));
+  for (let i = 0; i < numChunks; i++) {
+    if (!seen.has(i)) yield { i, score: 0 };
+  }
+}
+
+/**
+ * Reciprocal rank fusion: score = Σ 1 / (k + rank) over the given rankings.
+ * `rankings` is { method: [{ i, score }] }; each fused item keeps the per-method raw scores.
+ */
+export function fuseRankings(rankings, { k = 60 } = {}) {
+  /** @type {Map<number, { i: number, score: number, scores: Record<string, number> }>} */
+  const fused = new Map();
+  for (const [method, ranked] of Object.entries(rankings)) {
+    ranked.forEach(({ i, score }, rank) => {
+      const item = fused.get(i) || { i, score: 0, scores: {} };
+      item.score += 1 / (k + rank + 1);
+      item.scores[method] = score;
+      fused.set(i, item);
+    });
+  }
+  const out = Array.from(fused.values());
+  out.sort((a, b) => b.score - a.score || a.i - b.i);
+  return out.map((it) => ({ ...it, scores: { ...it.scores, rrf: it.score } }));
+}
+
 function clipText(text, maxChars) {
   if (!text) return '';
   if (!maxChars || maxChars <= 0) return text;
@@ -76,12 +240,10 @@ function clipText(text, maxChars) {
 }
 
 /**
- * Backward-compatible:
- * - searchTfidf(index, chunks, query, 5)
- * - searchTfidf(index, chunks, query, { topK, maxChunkChars, maxTotalChars, minScore })
+ * Apply topK / minScore / char budgets to a ranking (descending by score).
+ * Returns [{ chunk, score, scores? }] with chunk text clipped to the budget.
  */
-export function searchTfidf(index, chunks, query, opts = 5) {
-  const options = typeof opts === 'number' ? { topK: opts } : (opts || {});
+function selectResults(ranked, chunks, options) {
   const {
     topK = 5,
     minScore = -Infinity,
@@ -89,25 +251,14 @@ export function searchTfidf(index, chunks, query, opts = 5) {
     maxTotalChars = 9000,
   } = options;
 
-  const qTokens = tokenize(query);
-  const qTf = buildTf(qTokens);
-
-  const vec = new Array(index.vocab.length).fill(0);
-  for (const [term, count] of qTf.entries()) {
-    const j = index.vocabIndex.get(term);
-    if (j === undefined) continue;
-    vec[j] = count * index.idf[j];
-  }
-  const q = normalize(vec);
-
-  const scored = index.vectors.map((v, i) => ({ i, score: dot(q, v) }));
-  scored.sort((a, b) => b.score - a.score);
-
   const results = [];
   let used = 0;
-  for (const { i, score } of scored) {
+  let best = null;
+  for (const { i, score, scores } of ranked) {
+    best ??= { i, score, scores };
     if (results.length >= Math.max(1, topK)) break;
-    if (score < minScore) continue;
+    // Ranked in descending order, so nothing after this can pass either.
+    if (score < minScore) break;
 
     const chunk = chunks[i];
     if (!chunk) continue;
@@ -120,18 +271,110 @@ export function searchTfidf(index, chunks, query, opts = 5) {
     if (!excerpt) continue;
 
     used += excerpt.length;
-    results.push({ chunk: { ...chunk, text: excerpt }, score });
+    results.push({ chunk: { ...chunk, text: excerpt }, score, ...(scores ? { scores } : {}) });
   }
 
   // Best-effort guarantee of at least one result.
-  if (results.length === 0 && scored.length > 0) {
-    const best = scored[0];
+  if (results.length === 0 && best) {
     const chunk = chunks[best.i];
     if (chunk) {
       const excerpt = clipText(chunk.text || '', Math.min(maxChunkChars, maxTotalChars));
-      results.push({ chunk: { ...chunk, text: excerpt }, score: best.score });
+      results.push({ chunk: { ...chunk, text: excerpt }, score: best.score, ...(best.scores ? { scores: best.scores } : {}) });
     }
   }
 
   return results;
 }
+
+function normalizeOptions(opts) {
+  return typeof opts === 'number' ? { topK: opts } : (opts || {});
+}
+
+/**
+ * Backward-compatible:
+ * - searchTfidf(index, chunks, query, 5)
+ * - searchTfidf(index, chunks, query, { topK, maxChunkChars, maxTotalChars, minScore })
+ */
+export function searchTfidf(index, chunks, query, opts = 5) {
+  return selectResults(withZeroTail(scoreTfidf(index, query), index.numChunks), chunks, normalizeOptions(opts));
+}
+
+/**
+ * Same contract as searchTfidf, scored with BM25 (scores are unbounded, not cosine).
+ */
+export function searchBm25(index, chunks, query, opts = 5) {
+  return selectResults(withZeroTail(scoreBm25(index, query), index.numChunks), chunks, normalizeOptions(opts));
+}
+
+/**
+ * Chunk embeddings for `doc`, computed once per embedder and memoized on the cached doc object.
+ */
+export function getChunkVectors(doc, embedder) {
+  doc.vectors ??= new Map();
+  if (!doc.vectors.has(embedder.id)) {
+    const pending = embedder.embed(doc.chunks.map((c) => c.text || '')).catch((e) => {
+      doc.vectors.delete(embedder.id);
+      throw e;
+    });
+    doc.vectors.set(embedder.id, pending);
+  }
+  return doc.vectors.get(embedder.id);
+}
+
+/**
+ * Retriever-agnostic search over one document.
+ *
+ * retriever:
+ * - tfidf / bm25: lexical, synchronous under the hood
+ * - semantic: cosine over embeddings from `embedder`
+ * - hybrid: BM25 + semantic fused with reciprocal rank fusion; `score` is the fused score
+ *
+ * Every result carries `scores` ({ tfidf | bm25 | semantic | rrf }) so callers can compare methods.
+ */
+export async function searchChunks(doc, query, options = {}) {
+  return searchDocuments([doc], query, options);
+}
+
+/**
+ * Same contract as searchChunks, ranked across several documents at once.
+ *
+ * TF-IDF and semantic scores are cosines, so per-document rankings merge directly; BM25 uses
+ * collection-wide document frequencies and average length so scores from different indexes
+ * are comparable. Results' chunks keep their `docId`.
+ */
+export async function searchDocuments(docs, query, { retriever = 'tfidf', embedder, ...opts } = {}) {
+  const chunks = docs.flatMap((d) => d.chunks);
+  const offsets = [];
+  docs.reduce((offset, d) => {
+    offsets.push(offset);
+    return offset + d.chunks.length;
+  }, 0);
+
+  const bm25 = () => {
+    const collection = docs.length > 1 ? collectionStats(docs.map((d) => d.index)) : null;
+    return mergeRankings(docs.map((d) => scoreBm25(d.index, query, { collection })), offsets);
+  };
+
+  if (retriever === 'tfidf' || retriever === 'bm25') {
+    const scored = retriever === 'bm25' ? bm25() : mergeRankings(docs.map((d) => scoreTfidf(d.index, query)), offsets);
+    const ranked = scored.map((s) => ({ ...s, scores: { [retriever]: s.score } }));
+    return selectResults(withZeroTail(ranked, chunks.length), chunks, opts);
+  }
+
+  if (!embedder) throw new Error(`Retriever '${retriever}' needs an embedding provider`);
+  const [vectors, [queryVector]] = await Promise.all([
+    Promise.all(docs.map((d) => getChunkVectors(d, embedder))),
+    embedder.embed([query]),
+  ]);
+  const dense = mergeRankings(vectors.map((v) => scoreDense(v, queryVector)), offsets);
+
+  if (retriever === 'semantic') {
+    return selectResults(dense.map((s) => ({ ...s, scores: { semantic: s.score } })), chunks, opts);
+  }
+  if (retriever === 'hybrid') {
+    const fused = fuseRankings({ bm25: bm25(), semantic: dense });
+    return selectResults(withZeroTail(fused, chunks.length), chunks, opts);
+  }
+
+  throw new Error(`Unknown retriever '${retriever}'. Use one of: ${RETRIEVERS.join(', ')}.`);
+}
@@ -4,22 +4,108 @@ import express from 'express';
 import cors from 'cors';
 import multer from 'multer';
 
-import { DocumentStore, stableDocId } from './store.js';
-import { chunkPages, extractPages, isProbablyScanned } from './pdf.js';
-import { searchTfidf } from './retrieval.js';
-import { buildClient, chatCompletion, loadLlmConfig } from './llm.js';
-import { summarizeDocument } from './summary.js';
+import { answerCacheKey, createAnswerCache, loadAnswerCacheConfig, normalizeQuestion } from './answer-cache.js';
+import { createAuthMiddleware, isAdmin, loadAuthConfig, requireAdmin } from './auth.js';
+import { emptySharing, isOwner, ownerOf, versionFields } from './store/base.js';
+import { createDocumentStore, stableDocId } from './store.js';
+import { chunkHighlights, chunkPages, extractPages, isProbablyScanned, renderPdfPage } from './pdf.js';
+import { extractMetadata, listMetadata, matchesDocumentQuery, referencedNumbers } from './metadata.js';
+import { searchChunks, searchDocuments } from './retrieval.js';
+import { tablesOf, tableToCsv } from './tables.js';
+import { diffDocuments } from './diff.js';
+import { reportToDocx } from './docx.js';
+import { buildEmbedder, loadEmbeddingConfig } from './embeddings.js';
+import {
+  buildClient,
+  chatCompletion,
+  createLlmScheduler,
+  createUsageMeter,
+  loadLlmConfig,
+  loadSchedulerConfig,
+  modelFor,
+} from './llm.js';
+import { createJobQueue, loadJobConfig } from './jobs.js';
+import { createOcrEngine, loadOcrConfig } from './ocr.js';
+import { abstractChunks, summarizeDocument } from './summary.js';
 
 import { createCorsOptions, getPort, getSettings } from './server/settings.js';
-import { buildRetrievalQuery, isLikelyRequestTooLargeError, isSummaryQuestion } from './server/chat-helpers.js';
 import {
+  buildRetrievalQuery,
+  describeChunkLocation,
+  isLikelyRequestTooLargeError,
+  isMetadataQuestion,
+  isSummaryQuestion,
+  metadataResult,
+  toSource,
+} from './server/chat-helpers.js';
+import {
+  buildChangeReport,
   buildCompareRetrievalQuery,
+  buildDiffSummaryPrompt,
+  compareLabel,
+  createCompareMarkdownStream,
   defaultComparePromptForMode,
   extractStructuredJson,
+  formatDiffOverview,
   normalizeCompareStructured,
 } from './server/compare-helpers.js';
-import { ChatBody, CompareBody } from './server/schemas.js';
-import { CHAT_DEFAULTS, COMPARE_DEFAULTS, EXTRACTION_DEFAULTS, SERVER_DEFAULTS, SETTINGS_DEFAULTS } from './server/constants.js';
+import {
+  buildExtractionPrompt,
+  fieldRetrievalQuery,
+  mergeFieldEvidence,
+  parseExtractionJson,
+  validateExtraction,
+} from './server/extract-helpers.js';
+import { cachedSummary, summaryKey } from './server/summary-helpers.js';
+import {
+  answerChunkingVersion,
+  documentChunkingVersion,
+  needsRechunking,
+  staleDocumentArtifacts,
+  staleFields,
+} from './server/artifact-helpers.js';
+import {
+  compareReport,
+  compareTableCsv,
+  compareTableJson,
+  conversationReport,
+  conversationTranscript,
+  exportFileName,
+  reportToMarkdown,
+} from './server/export-helpers.js';
+import {
+  appendTurn,
+  conversationScope,
+  conversationSummary,
+  newConversation,
+  toChatHistory,
+} from './server/conversation-helpers.js';
+import {
+  ChatBody,
+  CompareBody,
+  CompareExportBody,
+  CreateConversationBody,
+  ExtractBody,
+  ShareDocumentBody,
+  UpdateConversationBody,
+  UpdateDocumentBody,
+} from './server/schemas.js';
+import { verifyCitations } from './server/citation-helpers.js';
+import { openSse } from './server/sse.js';
+import {
+  CHAT_DEFAULTS,
+  COMPARE_DEFAULTS,
+  DIFF_DEFAULTS,
+  EXPORT_DEFAULTS,
+  EXTRACT_DEFAULTS,
+  EXTRACTION_DEFAULTS,
+  SCHEMA_DEFAULTS,
+  SERVER_DEFAULTS,
+  SETTINGS_DEFAULTS,
+  SUMMARY_DEFAULTS,
+  VERSION_DEFAULTS,
+  VIEWER_DEFAULTS,
+} from './server/constants.js';
 
 const app = express();
 const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: SERVER_DEFAULTS.UPLOAD_FILE_SIZE_LIMIT_BYTES } });
@@ -31,22 +117,343 @@ app.use(cors(corsOptions));
 app.options('*', cors(corsOptions));
 app.use(express.json({ limit: SERVER_DEFAULTS.JSON_BODY_LIMIT }));
 
-const store = new DocumentStore({
-  supabaseUrl: (process.env.SUPABASE_URL || '').trim(),
-  supabaseServiceRoleKey: (process.env.SUPABASE_SERVICE_ROLE_KEY || '').trim(),
-});
+const store = createDocumentStore(process.env);
 await store.init();
 
+// Used by the 'semantic' and 'hybrid' retrievers; chunk vectors are memoized per cached doc.
+const embedder = buildEmbedder(loadEmbeddingConfig(process.env));
+
+// Pages with (almost) no text layer are rendered and OCR'd on upload; null when OCR_ENABLED=false.
+const ocrConfig = loadOcrConfig(process.env);
+const ocrEngine = createOcrEngine(ocrConfig);
+
+// Uploads and reprocessing run as background jobs; clients poll GET /api/jobs/:id.
+const jobConfig = loadJobConfig(process.env);
+const jobs = createJobQueue(jobConfig);
+
+const authConfig = loadAuthConfig(process.env);
+
+// Every LLM call (chat, compare, summaries) waits here for a slot under the global and
+// per-client limits; over-limit callers get 429 + Retry-After instead of a provider error.
+const llmScheduler = createLlmScheduler(loadSchedulerConfig(process.env));
+
+// Chat/compare answers and extractions keyed by documents, normalized question and settings; evicted per document.
+const answerCache = createAnswerCache(loadAnswerCacheConfig(process.env));
+
+/**
+ * Scheduler key for the per-client limits: the signed-in user, or the caller's IP without auth.
+ */
+function llmClientKey(req) {
+  return authConfig.mode === 'none' ? `ip:${req.ip}` : `user:${req.user.id}`;
+}
+
+/**
+ * Sends `e` as a JSON error, with Retry-After when it is a rate-limit error.
+ */
+function sendError(res, e, status, fallback) {
+  if (e?.retryAfterSeconds) res.set('Retry-After', String(e.retryAfterSeconds));
+  res.status(e?.status || status).json({ error: e?.message || fallback });
+}
+
+/**
+ * Reports `e` on an SSE stream (headers are already sent, so the retry hint goes in the event).
+ */
+function failSse(sse, e, fallback) {
+  sse.fail(e?.message || fallback, e?.retryAfterSeconds ? { retryAfterSeconds: e.retryAfterSeconds } : {});
+}
+
+/**
+ * Sends an export as a download. `report`, `csv` and `json` build the content of the formats
+ * that have one: a report ({ title, blocks }) for 'md' and 'docx'.
+ */
+function sendExport(res, { format, formats, fileTitle, report, csv, json }) {
+  if (!formats.includes(format)) throw httpError(400, `format must be one of: ${formats.join(', ')}`);
+  res.set('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(exportFileName(fileTitle, format))}`);
+  res.type(EXPORT_DEFAULTS.CONTENT_TYPES[format]);
+  if (format === 'md') return res.send(reportToMarkdown(report()));
+  if (format === 'docx') return res.send(reportToDocx(report()));
+  if (format === 'csv') return res.send(csv());
+  res.send(JSON.stringify(json(), null, 2));
+}
+
 app.get('/api/health', (req, res) => {
   res.json({ ok: true });
 });
 
+// Every route below needs a user (`req.user`); with AUTH_MODE=none that is the default owner.
+app.use('/api', createAuthMiddleware(authConfig));
+
+app.get('/api/me', (req, res) => {
+  res.json({ user: req.user, authMode: authConfig.mode, admin: isAdmin(req.user, authConfig) });
+});
+
+function httpError(status, message) {
+  const e = new Error(message);
+  e.status = status;
+  return e;
+}
+
+/**
+ * List entry (as `store.list` returns it) of a full document record.
+ */
+function listEntry(doc) {
+  return {
+    id: doc.id,
+    name: doc.name,
+    createdAt: doc.createdAt ?? null,
+    numPages: doc.numPages ?? 0,
+    numChunks: (doc.chunks || []).length,
+    numTables: tablesOf(doc.pages || []).length,
+    scannedLikely: !!doc.scannedLikely,
+    totalExtractedChars: doc.totalExtractedChars ?? 0,
+    nonEmptyPages: doc.nonEmptyPages ?? 0,
+    ocrPages: doc.ocrPages ?? [],
+    metadata: listMetadata(doc.metadata ?? null),
+    ownerId: doc.ownerId ?? null,
+    sharedWith: doc.sharedWith ?? emptySharing(),
+    ...versionFields(doc),
+  };
+}
+
+/**
+ * List entry as `user` sees it: `access` is 'owner' or 'shared'; only owners see the sharing list.
+ */
+function toDocumentEntry(entry, user) {
+  if (isOwner(entry, user)) return { ...entry, access: 'owner' };
+  const { sharedWith, ...rest } = entry;
+  return { ...rest, access: 'shared' };
+}
+
+/**
+ * Document `user` may modify (rename, reprocess, share, delete): 404 when they can't see it,
+ * 403 when it was only shared with them.
+ */
+async function ownedDocument(id, user) {
+  const doc = await store.get(id, { user });
+  if (!doc) throw httpError(404, 'Unknown document');
+  if (!isOwner(doc, user)) throw httpError(403, 'Only the owner can change this document');
+  return doc;
+}
+
+/**
+ * Latest version of `doc` that `user` can read (`doc` itself when it has no newer version).
+ */
+async function latestVersion(doc, user) {
+  let latest = doc;
+  const seen = new Set([doc.id]);
+  while (latest.nextVersionId && !seen.has(latest.nextVersionId)) {
+    const next = await store.get(latest.nextVersionId, { user });
+    if (!next) break;
+    seen.add(next.id);
+    latest = next;
+  }
+  return latest;
+}
+
+/**
+ * All versions of `doc` that `user` can read, oldest first.
+ */
+async function documentVersions(doc, user) {
+  const walk = async (from, key) => {
+    const out = [];
+    const seen = new Set([doc.id]);
+    for (let id = from[key]; id && !seen.has(id); ) {
+      const version = await store.get(id, { user });
+      if (!version) break;
+      seen.add(id);
+      out.push(version);
+      id = version[key];
+    }
+    return out;
+  };
+  return [...(await walk(doc, 'previousVersionId')).reverse(), doc, ...(await walk(doc, 'nextVersionId'))];
+}
+
+// `?q=` keeps documents whose name or metadata (title, authors, abstract, DOI, arXiv id, year) match.
 app.get('/api/documents', (req, res) => {
-  Promise.resolve(store.list())
-    .then((documents) => res.json({ documents }))
+  const query = typeof req.query.q === 'string' ? req.query.q : '';
+  Promise.resolve(store.list({ user: req.user }))
+    .then((documents) =>
+      res.json({
+        documents: documents.filter((d) => matchesDocumentQuery(d, query)).map((d) => toDocumentEntry(d, req.user)),
+      })
+    )
     .catch((e) => res.status(500).json({ error: e?.message || 'List failed' }));
 });
 
+/**
+ * Stamps that a summary and a chunk abstract of `doc` written now would carry (see
+ * server/artifact-helpers.js); stored ones that differ are stale.
+ */
+function artifactStamps(doc, cfg = loadLlmConfig(process.env)) {
+  const chunkingVersion = documentChunkingVersion(doc);
+  return {
+    summary: {
+      model: modelFor(cfg, 'summaryReduce'),
+      mapModel: modelFor(cfg, 'summaryMap'),
+      promptVersion: SUMMARY_DEFAULTS.PROMPT_VERSION,
+      chunkingVersion,
+    },
+    abstract: {
+      model: modelFor(cfg, 'summaryMap'),
+      promptVersion: SUMMARY_DEFAULTS.MAP_PROMPT_VERSION,
+      chunkingVersion,
+    },
+  };
+}
+
+/**
+ * Generate the map-reduce summary of `doc` in a profile and length (SUMMARY_DEFAULTS) and cache
+ * it on the record under `profile:length` (best-effort). Chunk abstracts computed on the way are
+ * stored on the chunks. Returns { summary, sources, profile, length, updatedAt, stamp, usage }.
+ */
+async function generateSummary(
+  doc,
+  { profile = SUMMARY_DEFAULTS.DEFAULT_PROFILE, length = SUMMARY_DEFAULTS.DEFAULT_LENGTH, question, clientKey, onToken, signal } = {}
+) {
+  const cfg = loadLlmConfig(process.env);
+  const client = buildClient(cfg);
+  const meter = createUsageMeter();
+  const stamps = artifactStamps(doc, cfg);
+  const { summary, sources } = await summarizeDocument({
+    doc,
+    profile,
+    length,
+    question,
+    chatCompletion: (args) => chatCompletion({ ...args, onUsage: meter.add, scheduler: llmScheduler, clientKey }),
+    client,
+    model: modelFor(cfg, 'summaryReduce'),
+    mapModel: modelFor(cfg, 'summaryMap'),
+    maxSelectedChunks:
+      parseInt(process.env.SUMMARY_MAX_CHUNKS || String(SETTINGS_DEFAULTS.SUMMARY_MAX_CHUNKS), 10) ||
+      SETTINGS_DEFAULTS.SUMMARY_MAX_CHUNKS,
+    abstractStamp: stamps.abstract,
+    onAbstracts: (abstracts) => store.saveChunkAbstracts(doc.id, abstracts, stamps.abstract).catch(() => {}),
+    onToken,
+    signal,
+  });
+
+  const entry = { summary, sources, profile, length, updatedAt: new Date().toISOString(), stamp: stamps.summary };
+  // Best-effort cache (won't break if the column isn't present).
+  try {
+    await store.saveSummary(doc.id, summaryKey(profile, length), entry);
+  } catch {
+    // ignore caching failures
+  }
+
+  return { ...entry, usage: meter.total };
+}
+
+/**
+ * Abstract every chunk of document `id` (the summaries' map step, done once at ingest) and store
+ * the abstracts on the chunks, batch by batch. `onProgress(current, total)` counts LLM calls.
+ * Throws once the other batches are stored when some failed.
+ */
+async function abstractDocument(id, { clientKey, onProgress } = {}) {
+  const doc = await store.get(id);
+  const cfg = loadLlmConfig(process.env);
+  const stamp = artifactStamps(doc, cfg).abstract;
+  await abstractChunks(doc.chunks, {
+    chatCompletion: (args) => chatCompletion({ ...args, scheduler: llmScheduler, clientKey }),
+    client: buildClient(cfg),
+    model: modelFor(cfg, 'summaryMap'),
+    onProgress,
+    onAbstracts: (abstracts) => store.saveChunkAbstracts(id, abstracts, stamp),
+  });
+}
+
+/**
+ * Extract, chunk and store a PDF. Used by upload and reprocess; replaces any previous
+ * pages/chunks for `id` and drops its cached summaries. `storage` ({ bucket, path }) is where
+ * the raw PDF was written. `onProgress(stage, { current, total }?)` reports the stages
+ * extracting → ocr → chunking → indexing (→ abstracting unless INGEST_ABSTRACTS=0, → summarizing
+ * with INGEST_SUMMARY=1).
+ * The record belongs to `ownerId`; an existing sharing list and version links are kept, unless
+ * `version` (the version fields of a new version) and `sharedWith` are given.
+ * Returns the document's list-entry fields, plus `abstractsError` (null unless abstracting failed
+ * for some chunks; the rest are stored).
+ */
+async function ingestPdf({ id, name, ownerId, buffer, createdAt, storage, version, sharedWith: sharing, onProgress }) {
+  const { maxPages } = getSettings();
+  const ocr = ocrEngine
+    ? { engine: ocrEngine, scale: ocrConfig.scale, maxPages: ocrConfig.maxPages, minConfidence: ocrConfig.minConfidence }
+    : null;
+  const { pages, numPages, ocrPages, info } = await extractPages(buffer, { maxPages, ocr, onProgress });
+  const scannedLikely = isProbablyScanned(pages);
+  const metadata = extractMetadata(pages, { info });
+
+  const totalExtractedChars = pages.reduce((sum, p) => sum + (p.text?.length || 0), 0);
+  const nonEmptyPages = pages.filter((p) => (p.text || '').length >= EXTRACTION_DEFAULTS.NON_EMPTY_PAGE_MIN_CHARS).length;
+
+  onProgress?.('chunking');
+  const chunks = chunkPages(pages, { docId: id });
+  const existing = await store.get(id);
+  const sharedWith = sharing || existing?.sharedWith || emptySharing();
+  const versioning = versionFields(version || existing);
+
+  await answerCache.evictDocument(id);
+  onProgress?.('indexing');
+  const record = {
+    id,
+    name,
+    createdAt,
+    numPages,
+    pages,
+    chunks,
+    scannedLikely,
+    totalExtractedChars,
+    nonEmptyPages,
+    ocrPages,
+    metadata,
+    ownerId,
+    sharedWith,
+    ...versioning,
+    summary: null,
+    summaryUpdatedAt: null,
+    summaries: {},
+    chunkingVersion: EXTRACTION_DEFAULTS.CHUNKING_VERSION,
+    // Keeps the cached copy pointing at the raw PDF (for reprocess/delete).
+    storageBucket: storage.bucket,
+    storagePath: storage.path,
+  };
+  await store.upsert(record);
+
+  let abstractsError = null;
+  if (jobConfig.abstracts && chunks.length && totalExtractedChars) {
+    onProgress?.('abstracting');
+    try {
+      await abstractDocument(id, {
+        clientKey: `user:${ownerId}`,
+        onProgress: (current, total) => onProgress?.('abstracting', { current, total }),
+      });
+    } catch (e) {
+      // The document is indexed; summaries abstract the chunks still missing when they run.
+      abstractsError = e?.message || String(e);
+    }
+  }
+
+  if (jobConfig.summarize && chunks.length && totalExtractedChars) {
+    onProgress?.('summarizing');
+    try {
+      await generateSummary(await store.get(id), { clientKey: `user:${ownerId}` });
+    } catch (e) {
+      throw new Error(`Summary failed (the document itself was indexed): ${e?.message || e}`);
+    }
+  }
+
+  return { ...listEntry(record), abstractsError };
+}
+
+/**
+ * Where the raw PDF of `doc` lives, or null when the store never recorded it.
+ */
+function storedPdfLocation(doc) {
+  return doc.storageBucket && doc.storagePath ? { bucket: doc.storageBucket, path: doc.storagePath } : null;
+}
+
+// Replies 202 with a job right away; the job's `result` is the document once it succeeds.
+// With a `versionOf` form field (a document id) the file becomes the new latest version of that
+// document: it joins its version history and inherits its sharing list.
 app.post('/api/documents', upload.single('file'), async (req, res) => {
   try {
     if (!req.file) return res.status(400).json({ error: 'Missing file' });
@@ -54,286 +461,1203 @@ app.post('/api/documents', upload.single('file'), async (req, res) => {
       return res.status(400).json({ error: 'Only PDF uploads are supported' });
     }
 
-    const { maxPages } = getSettings();
-
-    const id = stableDocId(req.file.buffer);
+    const ownerId = req.user.id;
+    const id = stableDocId(req.file.buffer, ownerId);
     const name = req.file.originalname;
+    const { buffer, mimetype, size } = req.file;
+
+    // Same bytes already being ingested: hand back that job instead of racing it.
+    const active = jobs.activeFor(id);
+    if (active) return res.status(202).json({ job: active });
+
+    let previous = null;
+    if (req.body?.versionOf) {
+      previous = await latestVersion(await ownedDocument(String(req.body.versionOf), req.user), req.user);
+      const existing = await store.get(id);
+      if (existing) {
+        throw httpError(409, `This file was already uploaded as "${existing.name}"; a new version must differ from it.`);
+      }
+      // Another new version still in the queue would be linked after the same previous version.
+      if (jobs.activeFor(previous.id) || jobs.activeForLineage(previous.lineageId || previous.id)) {
+        return res.status(409).json({ error: 'The document is being processed; upload the new version once the job has finished.' });
+      }
+    }
 
-    // Store raw PDF in Supabase Storage (in addition to extracted text in Postgres).
-    const storageBucket = (process.env.SUPABASE_STORAGE_BUCKET || SERVER_DEFAULTS.STORAGE_BUCKET || '').trim();
-    const storagePrefix = (process.env.SUPABASE_STORAGE_PREFIX || SERVER_DEFAULTS.STORAGE_PREFIX || '').trim();
-    const stored = await store.uploadPdfToStorage({
+    const job = jobs.enqueue({
+      type: 'upload',
+      ownerId,
       docId: id,
-      fileName: name,
-      buffer: req.file.buffer,
-      bucket: storageBucket,
-      prefix: storagePrefix,
-      contentType: req.file.mimetype || 'application/pdf',
+      lineageId: previous ? previous.lineageId || previous.id : null,
+      name,
+      run: async (report) => {
+        report('storing');
+        // Store raw PDF in the store's blob storage (Supabase Storage or local disk).
+        const storageBucket = (process.env.SUPABASE_STORAGE_BUCKET || SERVER_DEFAULTS.STORAGE_BUCKET || '').trim();
+        const storagePrefix = (process.env.SUPABASE_STORAGE_PREFIX || SERVER_DEFAULTS.STORAGE_PREFIX || '').trim();
+        const stored = await store.uploadPdfToStorage({
+          ownerId,
+          docId: id,
+          fileName: name,
+          buffer,
+          bucket: storageBucket,
+          prefix: storagePrefix,
+          contentType: mimetype || 'application/pdf',
+        });
+
+        const document = await ingestPdf({
+          id,
+          name,
+          ownerId,
+          buffer,
+          createdAt: new Date().toISOString(),
+          storage: stored,
+          ...(previous
+            ? {
+                version: {
+                  lineageId: previous.lineageId || previous.id,
+                  version: (previous.version || 1) + 1,
+                  previousVersionId: previous.id,
+                },
+                sharedWith: previous.sharedWith,
+              }
+            : {}),
+          onProgress: report,
+        });
+        // Chat now defaults to the new version.
+        if (previous) await store.updateMetadata(previous.id, { nextVersionId: id });
+
+        // Best-effort: persist storage location if columns exist.
+        await store.tryUpdateStorageInfo(id, {
+          bucket: stored.bucket,
+          path: stored.path,
+          mime: mimetype || 'application/pdf',
+          bytes: size,
+        });
+
+        return { ...document, storage: stored };
+      },
     });
 
-    const { pages, numPages } = await extractPages(req.file.buffer, { maxPages });
-    const scannedLikely = isProbablyScanned(pages);
+    res.status(202).json({ job });
+  } catch (e) {
+    res.status(e?.status || 500).json({ error: e?.message || 'Upload failed' });
+  }
+});
 
-    const totalExtractedChars = pages.reduce((sum, p) => sum + (p.text?.length || 0), 0);
-    const nonEmptyPages = pages.filter((p) => (p.text || '').length >= EXTRACTION_DEFAULTS.NON_EMPTY_PAGE_MIN_CHARS).length;
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job || job.ownerId !== req.user.id) return res.status(404).json({ error: 'Unknown job (finished jobs are kept for a limited time)' });
+  res.json({ job });
+});
 
-    const chunks = chunkPages(pages, { docId: id });
+/** Recently viewed raw PDFs by document id (the viewer requests one page image at a time). */
+const pdfCache = new Map();
 
-    await store.upsert({
-      id,
-      name,
-      createdAt: new Date().toISOString(),
-      numPages,
-      pages,
-      chunks,
-      scannedLikely,
-      totalExtractedChars,
-      nonEmptyPages,
-    });
+/**
+ * Raw PDF of a document `user` can read, from the store's blob storage.
+ */
+async function readablePdf(id, user) {
+  const doc = await store.get(id, { user });
+  if (!doc) throw httpError(404, 'Unknown document');
+  const location = storedPdfLocation(doc);
+  if (!location) throw httpError(409, 'The original PDF of this document was not stored.');
+
+  const key = `${doc.id}:${location.path}`;
+  let buffer = pdfCache.get(key);
+  if (buffer) {
+    pdfCache.delete(key);
+  } else {
+    buffer = await store.downloadPdfFromStorage(location);
+  }
+  pdfCache.set(key, buffer);
+  while (pdfCache.size > VIEWER_DEFAULTS.PDF_CACHE_ENTRIES) pdfCache.delete(pdfCache.keys().next().value);
+  return { doc, buffer };
+}
+
+function evictCachedPdf(docId) {
+  for (const key of Array.from(pdfCache.keys())) {
+    if (key.startsWith(`${docId}:`)) pdfCache.delete(key);
+  }
+}
+
+// The original PDF, for downloading or opening in the browser's own viewer.
+app.get('/api/documents/:id/file', async (req, res) => {
+  try {
+    const { doc, buffer } = await readablePdf(req.params.id, req.user);
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `inline; filename*=UTF-8''${encodeURIComponent(doc.name)}`);
+    res.set('Cache-Control', 'private, max-age=300');
+    res.send(buffer);
+  } catch (e) {
+    res.status(e?.status || 500).json({ error: e?.message || 'Download failed' });
+  }
+});
+
+// One page rendered to PNG for the in-app viewer (`?scale=`, 1 = 72 dpi).
+app.get('/api/documents/:id/pages/:page/image', async (req, res) => {
+  try {
+    const pageNumber = parseInt(req.params.page, 10);
+    if (!Number.isInteger(pageNumber) || pageNumber < 1) throw httpError(400, 'Invalid page number');
+    const scale = Math.min(
+      VIEWER_DEFAULTS.MAX_PAGE_SCALE,
+      Math.max(0.5, parseFloat(req.query.scale) || VIEWER_DEFAULTS.PAGE_SCALE)
+    );
 
-    // Best-effort: persist storage location if columns exist.
-    await store.tryUpdateStorageInfo(id, {
-      bucket: stored.bucket,
-      path: stored.path,
-      mime: req.file.mimetype || 'application/pdf',
-      bytes: req.file.size,
+    const { buffer } = await readablePdf(req.params.id, req.user);
+    const { image } = await renderPdfPage(buffer, pageNumber, { scale });
+    res.set('Content-Type', 'image/png');
+    res.set('Cache-Control', 'private, max-age=300');
+    res.send(image);
+  } catch (e) {
+    res.status(e?.status || 500).json({ error: e?.message || 'Render failed' });
+  }
+});
+
+// Boxes to highlight a chunk (a chat/compare source) on its pages; see chunkHighlights in pdf.js.
+app.get('/api/documents/:id/highlights', async (req, res) => {
+  try {
+    const doc = await store.get(req.params.id, { user: req.user });
+    if (!doc) throw httpError(404, 'Unknown document');
+    const chunk = doc.chunks.find((c) => c.id === req.query.chunkId);
+    if (!chunk) throw httpError(404, 'Unknown chunk (the document may have been reprocessed)');
+
+    res.json({
+      chunkId: chunk.id,
+      pageStart: chunk.pageStart,
+      pageEnd: chunk.pageEnd,
+      pages: chunkHighlights(doc.pages, chunk),
     });
+  } catch (e) {
+    res.status(e?.status || 500).json({ error: e?.message || 'Bad request' });
+  }
+});
+
+// Bibliographic metadata with the full reference list (list entries only carry the reference count).
+app.get('/api/documents/:id/metadata', async (req, res) => {
+  try {
+    const doc = await store.get(req.params.id, { user: req.user });
+    if (!doc) throw httpError(404, 'Unknown document');
+    res.json({ documentId: doc.id, metadata: doc.metadata || null });
+  } catch (e) {
+    res.status(e?.status || 500).json({ error: e?.message || 'Bad request' });
+  }
+});
+
+// Tables detected during extraction: [{ id, pageNumber, caption, columns, rows }].
+app.get('/api/documents/:id/tables', async (req, res) => {
+  try {
+    const doc = await store.get(req.params.id, { user: req.user });
+    if (!doc) throw httpError(404, 'Unknown document');
+    res.json({ documentId: doc.id, tables: tablesOf(doc.pages) });
+  } catch (e) {
+    res.status(e?.status || 500).json({ error: e?.message || 'Bad request' });
+  }
+});
+
+// One table as a download: `?format=csv` (default) or `?format=json`.
+app.get('/api/documents/:id/tables/:tableId', async (req, res) => {
+  try {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    if (format !== 'csv' && format !== 'json') throw httpError(400, "format must be 'csv' or 'json'");
+
+    const doc = await store.get(req.params.id, { user: req.user });
+    if (!doc) throw httpError(404, 'Unknown document');
+    const table = tablesOf(doc.pages).find((t) => t.id === req.params.tableId);
+    if (!table) throw httpError(404, 'Unknown table (the document may have been reprocessed)');
+
+    const fileName = `${doc.name.replace(/\.pdf$/i, '')}-${table.id}.${format}`;
+    res.set('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(fileName)}`);
+    if (format === 'csv') {
+      res.type('text/csv').send(tableToCsv(table));
+    } else {
+      res.json({ documentId: doc.id, documentName: doc.name, ...table });
+    }
+  } catch (e) {
+    res.status(e?.status || 500).json({ error: e?.message || 'Bad request' });
+  }
+});
+
+app.patch('/api/documents/:id', async (req, res) => {
+  try {
+    const body = UpdateDocumentBody.parse(req.body);
+    const doc = await ownedDocument(req.params.id, req.user);
+    if (!(await store.updateMetadata(doc.id, { name: body.name }))) {
+      return res.status(404).json({ error: 'Unknown document' });
+    }
+    // Cached answers carry the old name in their sources (and in multi-document prompts).
+    await answerCache.evictDocument(doc.id);
+    res.json({ document: toDocumentEntry(listEntry({ ...doc, name: body.name }), req.user) });
+  } catch (e) {
+    res.status(e?.status || 400).json({ error: e?.message || 'Bad request' });
+  }
+});
+
+// Version history of a document, oldest first (list entries, as far as the user can read them).
+app.get('/api/documents/:id/versions', async (req, res) => {
+  try {
+    const doc = await store.get(req.params.id, { user: req.user });
+    if (!doc) throw httpError(404, 'Unknown document');
+    const versions = await documentVersions(doc, req.user);
+    res.json({ documentId: doc.id, versions: versions.map((v) => toDocumentEntry(listEntry(v), req.user)) });
+  } catch (e) {
+    res.status(e?.status || 500).json({ error: e?.message || 'Bad request' });
+  }
+});
+
+// Summary in a profile (`?profile=findings|executive|sections|methods|lay`, default key findings)
+// and length (`?length=short|medium|long`); each is cached on the document, `?refresh=1` regenerates it.
+app.get('/api/documents/:id/summary', async (req, res) => {
+  try {
+    const profile = String(req.query.profile || SUMMARY_DEFAULTS.DEFAULT_PROFILE);
+    const length = String(req.query.length || SUMMARY_DEFAULTS.DEFAULT_LENGTH);
+    if (!Object.hasOwn(SUMMARY_DEFAULTS.PROFILES, profile)) {
+      throw httpError(400, `profile must be one of: ${Object.keys(SUMMARY_DEFAULTS.PROFILES).join(', ')}`);
+    }
+    if (!Object.hasOwn(SUMMARY_DEFAULTS.LENGTHS, length)) {
+      throw httpError(400, `length must be one of: ${Object.keys(SUMMARY_DEFAULTS.LENGTHS).join(', ')}`);
+    }
+    const refresh = ['1', 'true'].includes(String(req.query.refresh || '').toLowerCase());
 
+    const doc = await store.get(req.params.id, { user: req.user });
+    if (!doc) throw httpError(404, 'Unknown document');
+    if (!doc.chunks.length || !doc.totalExtractedChars) throw httpError(400, 'No readable text was extracted from this PDF');
+
+    const cached = !refresh && cachedSummary(doc, artifactStamps(doc).summary, profile, length);
+    if (cached) return res.json({ documentId: doc.id, ...cached, cached: true });
+    res.json({ documentId: doc.id, ...(await generateSummary(doc, { profile, length, clientKey: llmClientKey(req) })), cached: false });
+  } catch (e) {
+    sendError(res, e, 500, 'Summary failed');
+  }
+});
+
+// "What changed" since the previous version: sections added/removed, changed figures and conclusions,
+// from the literal diff (see runLiteralDiff); `?summarize=1` adds an LLM summary of the changes.
+app.get('/api/documents/:id/changes', async (req, res) => {
+  try {
+    const doc = await store.get(req.params.id, { user: req.user });
+    if (!doc) throw httpError(404, 'Unknown document');
+    const previous = doc.previousVersionId ? await store.get(doc.previousVersionId, { user: req.user }) : null;
+    if (!previous) throw httpError(404, 'This document has no previous version');
+
+    const summarize = ['1', 'true'].includes(String(req.query.summarize || '').toLowerCase());
+    const result = await runLiteralDiff(
+      [previous, doc],
+      { mode: 'literal', prompt: VERSION_DEFAULTS.REPORT_TASK, summarize },
+      { clientKey: llmClientKey(req) }
+    );
     res.json({
-      document: {
-        id,
-        name,
-        createdAt: new Date().toISOString(),
-        numPages,
-        numChunks: chunks.length,
-        scannedLikely,
-        totalExtractedChars,
-        nonEmptyPages,
-        storage: stored,
-      },
+      documentId: doc.id,
+      version: doc.version || 1,
+      previousDocumentId: previous.id,
+      previousVersion: previous.version || 1,
+      summary: result.answer,
+      report: buildChangeReport(result.diff),
+      diff: result.diff,
+      cached: result.cached,
+      usage: result.usage,
     });
   } catch (e) {
-    res.status(500).json({ error: e?.message || 'Upload failed' });
+    sendError(res, e, 500, 'Change report failed');
   }
 });
 
-app.post('/api/chat', async (req, res) => {
+// Replaces who the document is shared with (read-only access: list, chat, compare).
+app.put('/api/documents/:id/sharing', async (req, res) => {
   try {
-    const body = ChatBody.parse(req.body);
-    const doc = await store.get(body.docId);
-    if (!doc) return res.status(404).json({ error: 'Unknown document' });
-
-    if (!doc.chunks.length || !doc.totalExtractedChars) {
-      return res.json({
-        answer:
-          "No readable text was extracted from this PDF, so I can't answer questions from it. If this is a scanned PDF, OCR support would be needed.",
-        sources: [],
-      });
+    const body = ShareDocumentBody.parse(req.body);
+    const doc = await ownedDocument(req.params.id, req.user);
+    const sharedWith = {
+      users: Array.from(new Set(body.users.filter((u) => u !== req.user.id))),
+      teams: Array.from(new Set(body.teams)),
+    };
+    if (!(await store.updateMetadata(doc.id, { sharedWith }))) {
+      return res.status(404).json({ error: 'Unknown document' });
     }
+    res.json({ document: toDocumentEntry(listEntry({ ...doc, sharedWith }), req.user) });
+  } catch (e) {
+    res.status(e?.status || 400).json({ error: e?.message || 'Bad request' });
+  }
+});
 
-    // Summary-style questions should not attempt to stuff the whole PDF into context.
-    if (isSummaryQuestion(body.question)) {
-      // Serve cached summary if present.
-      if (doc.summary && typeof doc.summary === 'string' && doc.summary.trim()) {
-        return res.json({
-          answer: doc.summary,
-          sources: [],
-          kind: 'summary_cached',
-        });
-      }
+/**
+ * Job that re-extracts and re-chunks `doc` from its stored PDF, owned by `ownerId` (the job already
+ * running for it, if any). Null when the raw PDF location was never recorded.
+ */
+function enqueueReprocess(doc, ownerId) {
+  const location = storedPdfLocation(doc);
+  if (!location) return null;
 
-      const cfg = loadLlmConfig(process.env);
-      const client = buildClient(cfg);
-      const { summary, sources } = await summarizeDocument({
-        doc,
-        question: body.question,
-        chatCompletion,
-        client,
-        model: cfg.model,
-        maxSelectedChunks:
-          parseInt(process.env.SUMMARY_MAX_CHUNKS || String(SETTINGS_DEFAULTS.SUMMARY_MAX_CHUNKS), 10) ||
-          SETTINGS_DEFAULTS.SUMMARY_MAX_CHUNKS,
+  const active = jobs.activeFor(doc.id);
+  if (active) return active;
+
+  return jobs.enqueue({
+    type: 'reprocess',
+    ownerId,
+    docId: doc.id,
+    name: doc.name,
+    run: async (report) => {
+      report('downloading');
+      const buffer = await store.downloadPdfFromStorage(location);
+      const document = await ingestPdf({
+        id: doc.id,
+        name: doc.name,
+        ownerId: doc.ownerId || ownerId,
+        buffer,
+        createdAt: doc.createdAt,
+        storage: location,
+        onProgress: report,
       });
+      return { ...document, storage: location };
+    },
+  });
+}
 
-      // Best-effort cache (won't break if columns aren't present).
-      try {
-        await store.upsert({
-          ...doc,
-          summary,
-          summaryUpdatedAt: new Date().toISOString(),
-        });
-      } catch {
-        // ignore caching failures
+// Re-run extraction and chunking from the stored PDF (e.g. after OCR or chunking settings changed).
+// Runs as a job like uploads do (202 + job).
+app.post('/api/documents/:id/reprocess', async (req, res) => {
+  try {
+    const doc = await ownedDocument(req.params.id, req.user);
+    const job = enqueueReprocess(doc, req.user.id);
+    if (!job) {
+      return res.status(409).json({ error: 'The raw PDF location was not recorded for this document; upload it again instead.' });
+    }
+    res.status(202).json({ job });
+  } catch (e) {
+    res.status(e?.status || 500).json({ error: e?.message || 'Reprocess failed' });
+  }
+});
+
+// Deletes the record, its raw PDF and its conversations (multi-document conversations just lose it),
+// including conversations other users started on a shared copy.
+app.delete('/api/documents/:id', async (req, res) => {
+  try {
+    const doc = await ownedDocument(req.params.id, req.user);
+    if (jobs.activeFor(doc.id)) {
+      return res.status(409).json({ error: 'The document is being processed; delete it once the job has finished.' });
+    }
+
+    // Blob first: if it fails the record is still there and the delete can be retried.
+    const location = storedPdfLocation(doc);
+    if (location) await store.deletePdfFromStorage(location);
+    await store.delete(doc.id);
+    // Close the gap in the version history.
+    if (doc.previousVersionId) {
+      await store.updateMetadata(doc.previousVersionId, { nextVersionId: doc.nextVersionId || null });
+    }
+    if (doc.nextVersionId) {
+      await store.updateMetadata(doc.nextVersionId, { previousVersionId: doc.previousVersionId || null });
+    }
+    // Deleting the first version makes the next one the first: later versions point their lineage at it.
+    if (!doc.lineageId && doc.nextVersionId) {
+      const seen = new Set([doc.id]);
+      for (let id = doc.nextVersionId, lineageId = null; id && !seen.has(id); ) {
+        seen.add(id);
+        const version = await store.get(id);
+        if (!version) break;
+        await store.updateMetadata(id, { lineageId });
+        lineageId = doc.nextVersionId;
+        id = version.nextVersionId;
       }
+    }
+    evictCachedPdf(doc.id);
+    await answerCache.evictDocument(doc.id);
 
-      return res.json({ answer: summary, sources, kind: 'summary' });
+    for (const conv of await store.listConversations({ docId: doc.id })) {
+      const remaining = Array.isArray(conv.docIds) ? conv.docIds.filter((id) => id !== doc.id) : [];
+      if (!remaining.length) {
+        await store.deleteConversation(conv.id);
+      } else {
+        const full = await store.getConversation(conv.id);
+        if (full) await store.saveConversation({ ...full, docIds: remaining });
+      }
     }
-    const { topK, minSimilarity, maxChunkChars, maxTotalContextChars, chatHistoryMessages } = getSettings();
-    const retrievalQuery = buildRetrievalQuery(body.question, body.messages);
-    
-    
-    const retrieved = searchTfidf(doc.index, doc.chunks, retrievalQuery, {
-      topK,
-      maxChunkChars,
-      maxTotalChars: maxTotalContextChars,
-    });
 
-    const strong = retrieved.filter((r) => r.score >= minSimilarity);
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(e?.status || 500).json({ error: e?.message || 'Delete failed' });
+  }
+});
+
+/**
+ * Documents a chat (or extract) body addresses: `docIds` (a list, or 'all' for the whole collection) or `docId`.
+ * Only documents `user` can access count; 'all' means everything they own or was shared with them, in
+ * its latest version. With `latestVersions`, listed documents are replaced by their latest version too.
+ */
+async function resolveChatDocuments(body, user, { latestVersions = false } = {}) {
+  let ids = body.docIds || [body.docId];
+  if (body.docIds === SCHEMA_DEFAULTS.ALL_DOCUMENTS) {
+    const entries = await store.list({ user });
+    const listed = new Set(entries.map((d) => d.id));
+    ids = entries.filter((d) => !listed.has(d.nextVersionId)).map((d) => d.id);
+  }
+  if (!ids.length) throw httpError(404, 'No documents uploaded yet');
 
-    // If TF-IDF scores are all below threshold, we still provide the best-effort
-    // excerpts to the LLM, but force it to answer "not found" unless supported.
-    // This avoids a hard failure on legitimate questions where TF-IDF scores run low.
-    const candidates = strong.length ? strong : retrieved;
+  let docs = await Promise.all(Array.from(new Set(ids), (id) => store.get(id, { user })));
+  if (docs.some((d) => !d)) throw httpError(404, docs.length > 1 ? 'Unknown document(s)' : 'Unknown document');
+  if (latestVersions) {
+    const latest = await Promise.all(docs.map((d) => latestVersion(d, user)));
+    docs = Array.from(new Map(latest.map((d) => [d.id, d])).values());
+  }
+  return docs;
+}
 
-    if (candidates.length === 0) {
-      return res.json({
-        answer:
-          "I couldn't find a relevant section for that question in the extracted text. Try adding unique keywords from the PDF (names, headings) or lower MIN_SIMILARITY in backend/.env.",
-        sources: [],
-      });
+/**
+ * Answers a chat question over one or more documents. Streams answer text through `onToken`
+ * when provided. Returns { answer, sources, kind? }.
+ */
+async function answerQuestion(body, { user, clientKey, onToken, signal } = {}) {
+  const docs = await resolveChatDocuments(body, user, { latestVersions: !body.pinVersion });
+  const multi = docs.length > 1;
+  const readable = docs.filter((d) => d.chunks.length && d.totalExtractedChars);
+
+  if (!readable.length) {
+    return {
+      answer: multi
+        ? "No readable text was extracted from the selected PDFs, so I can't answer questions from them."
+        : "No readable text was extracted from this PDF, so I can't answer questions from it. If this is a scanned PDF, OCR found no usable text either (or OCR_ENABLED is off).",
+      sources: [],
+    };
+  }
+
+  // Summaries are cached per document; multi-document questions go through retrieval instead.
+  const doc = docs[0];
+  if (!multi && isSummaryQuestion(body.question)) {
+    // Serve cached summary if present (and not stale).
+    const cached = cachedSummary(doc, artifactStamps(doc).summary);
+    if (cached) {
+      onToken?.(cached.summary);
+      return {
+        answer: cached.summary,
+        sources: cached.sources || [],
+        kind: 'summary_cached',
+      };
     }
 
-    const contextBlocks = candidates
+    const { summary, sources, usage } = await generateSummary(doc, { question: body.question, clientKey, onToken, signal });
+    return { answer: summary, sources, kind: 'summary', usage };
+  }
+  const settings = getSettings();
+  const { topK, minSimilarity, maxChunkChars, maxTotalContextChars, chatHistoryMessages } = settings;
+  const retriever = body.retriever || settings.retriever;
+  const cfg = loadLlmConfig(process.env);
+  const model = modelFor(cfg, 'chat');
+
+  const history = body.messages.slice(-chatHistoryMessages);
+  const cacheKey = answerCacheKey('chat', {
+    docIds: docs.map((d) => d.id).sort(),
+    question: normalizeQuestion(body.question),
+    history: history.map((m) => [m.role, m.content]),
+    settings: { topK, minSimilarity, maxChunkChars, maxTotalContextChars, retriever },
+    provider: cfg.provider,
+    model,
+    promptVersion: CHAT_DEFAULTS.PROMPT_VERSION,
+  });
+  const cached = await answerCache.get(cacheKey);
+  if (cached) {
+    onToken?.(cached.answer);
+    return { ...cached, cached: true };
+  }
+
+  const retrievalQuery = buildRetrievalQuery(body.question, body.messages);
+
+  const docNames = new Map(docs.map((d) => [d.id, d.name]));
+  // Prompts only name documents when there is more than one to tell apart.
+  const promptDocName = (r) => (multi ? docNames.get(r.chunk.docId) : undefined);
+
+  const retrieved = await searchDocuments(readable, retrievalQuery, {
+    retriever,
+    embedder,
+    topK,
+    maxChunkChars,
+    maxTotalChars: maxTotalContextChars,
+  });
+
+  // MIN_SIMILARITY is a cosine threshold, so it only applies to TF-IDF scores.
+  const strong = retriever === 'tfidf' ? retrieved.filter((r) => r.score >= minSimilarity) : retrieved;
+
+  // Questions about the documents themselves ("who wrote this?", "what is reference [12]?")
+  // get their metadata as extra sources ahead of the retrieved excerpts.
+  const referenceNumbers = referencedNumbers(body.question);
+  const metadataResults =
+    referenceNumbers.length || isMetadataQuestion(body.question)
+      ? readable
+          .slice(0, CHAT_DEFAULTS.METADATA_MAX_DOCUMENTS)
+          .map((d) => metadataResult(d, referenceNumbers))
+          .filter(Boolean)
+      : [];
+
+  // If TF-IDF scores are all below threshold, we still provide the best-effort
+  // excerpts to the LLM, but force it to answer "not found" unless supported.
+  // This avoids a hard failure on legitimate questions where TF-IDF scores run low.
+  const candidates = [...metadataResults, ...(strong.length ? strong : retrieved)];
+
+  if (candidates.length === 0) {
+    return {
+      answer:
+        "I couldn't find a relevant section for that question in the extracted text. Try adding unique keywords from the PDF (names, headings) or lower MIN_SIMILARITY in backend/.env.",
+      sources: [],
+    };
+  }
+
+  const contextBlocks = candidates
+    .map(
+      (r, i) =>
+        `SOURCE ${i + 1} (${describeChunkLocation(r.chunk, promptDocName(r))}):
+${r.chunk.text}`
+    )
+    .join('\n\n');
+
+  const system = multi ? `${CHAT_DEFAULTS.SYSTEM_PROMPT} ${CHAT_DEFAULTS.MULTI_DOCUMENT_PROMPT}` : CHAT_DEFAULTS.SYSTEM_PROMPT;
+
+  const messages = [
+    ...history,
+    {
+      role: 'user',
+      content: `DOCUMENT SOURCES:\n\n${contextBlocks}\n\nQUESTION: ${body.question}`,
+    },
+  ];
+
+  const client = buildClient(cfg);
+  const meter = createUsageMeter();
+  const scheduling = { scheduler: llmScheduler, clientKey };
+  // The excerpts behind "SOURCE n" in the prompt that produced `answer`.
+  let prompted = candidates;
+  let answer = '';
+  try {
+    answer = await chatCompletion({ client, model, system, messages, onToken, onUsage: meter.add, signal, ...scheduling });
+  } catch (e) {
+    if (!isLikelyRequestTooLargeError(e)) throw e;
+
+    // Retry once with smaller context caps.
+    const tighter = [
+      ...metadataResults,
+      ...(await searchDocuments(readable, retrievalQuery, {
+        retriever,
+        embedder,
+        topK: Math.max(CHAT_DEFAULTS.RETRY.TOP_K_MIN, Math.min(CHAT_DEFAULTS.RETRY.TOP_K_CAP, topK)),
+        maxChunkChars: Math.max(CHAT_DEFAULTS.RETRY.MIN_CHUNK_CHARS, Math.floor(maxChunkChars * CHAT_DEFAULTS.RETRY.SCALE)),
+        maxTotalChars: Math.max(CHAT_DEFAULTS.RETRY.MIN_TOTAL_CHARS, Math.floor(maxTotalContextChars * CHAT_DEFAULTS.RETRY.SCALE)),
+      })),
+    ];
+
+    const tightBlocks = tighter
       .map(
         (r, i) =>
-          `SOURCE ${i + 1} (pages ${r.chunk.pageStart}-${r.chunk.pageEnd}):\n${r.chunk.text}`
+          `SOURCE ${i + 1} (${describeChunkLocation(r.chunk, promptDocName(r))}):
+${r.chunk.text}`
       )
       .join('\n\n');
 
-    const system = CHAT_DEFAULTS.SYSTEM_PROMPT;
-
-    const messages = [
-      ...body.messages.slice(-chatHistoryMessages),
+    prompted = tighter;
+    const retryMessages = [
+      ...body.messages.slice(-Math.min(CHAT_DEFAULTS.RETRY.MAX_HISTORY_MESSAGES, chatHistoryMessages)),
       {
         role: 'user',
-        content: `DOCUMENT SOURCES:\n\n${contextBlocks}\n\nQUESTION: ${body.question}`,
+        content: `DOCUMENT SOURCES:\n\n${tightBlocks}\n\nQUESTION: ${body.question}`,
       },
     ];
 
-    const cfg = loadLlmConfig(process.env);
-    const client = buildClient(cfg);
-    let answer = '';
-    try {
-      answer = await chatCompletion({ client, model: cfg.model, system, messages });
-    } catch (e) {
-      if (!isLikelyRequestTooLargeError(e)) throw e;
+    answer = await chatCompletion({
+      client,
+      model,
+      system,
+      messages: retryMessages,
+      maxTokens: CHAT_DEFAULTS.RETRY.MAX_TOKENS,
+      onToken,
+      onUsage: meter.add,
+      signal,
+      ...scheduling,
+    });
+  }
 
-      // Retry once with smaller context caps.
-      const tighter = searchTfidf(doc.index, doc.chunks, retrievalQuery, {
-        topK: Math.max(CHAT_DEFAULTS.RETRY.TOP_K_MIN, Math.min(CHAT_DEFAULTS.RETRY.TOP_K_CAP, topK)),
-        maxChunkChars: Math.max(CHAT_DEFAULTS.RETRY.MIN_CHUNK_CHARS, Math.floor(maxChunkChars * CHAT_DEFAULTS.RETRY.SCALE)),
-        maxTotalChars: Math.max(CHAT_DEFAULTS.RETRY.MIN_TOTAL_CHARS, Math.floor(maxTotalContextChars * CHAT_DEFAULTS.RETRY.SCALE)),
-      });
+  const sources = prompted.map((r) => toSource(r, docNames.get(r.chunk.docId)));
+  const grounding = verifyCitations(
+    answer,
+    prompted.map((r, i) => ({ label: String(i + 1), text: r.chunk.text }))
+  );
+  await answerCache.set(
+    cacheKey,
+    { answer, sources, grounding, retriever },
+    {
+      docIds: docs.map((d) => d.id),
+      stamp: { model, promptVersion: CHAT_DEFAULTS.PROMPT_VERSION, chunkingVersion: answerChunkingVersion(docs) },
+    }
+  );
+
+  return { answer, sources, grounding, retriever, cached: false, usage: meter.total };
+}
+
+/**
+ * Chat entry point. With `conversationId` the stored conversation supplies the documents and
+ * history, and the new turn is appended to it; otherwise the body is answered statelessly.
+ */
+async function runChat(body, { user, clientKey, onToken, signal } = {}) {
+  if (!body.conversationId) return answerQuestion(body, { user, clientKey, onToken, signal });
+
+  const conversation = await store.getConversation(body.conversationId, { user });
+  if (!conversation) throw httpError(404, 'Unknown conversation');
+
+  const askedAt = new Date().toISOString();
+  const result = await answerQuestion(
+    { ...body, docId: undefined, docIds: conversation.docIds, messages: toChatHistory(conversation.messages) },
+    { user, clientKey, onToken, signal }
+  );
+
+  // Re-read so a turn saved meanwhile (another tab) isn't overwritten.
+  const latest = (await store.getConversation(conversation.id, { user })) || conversation;
+  await store.saveConversation(appendTurn(latest, { question: body.question, result, askedAt }));
+
+  return { ...result, conversationId: conversation.id };
+}
+
+/**
+ * Compares two or more documents, labeled A, B, C, ... in `body.docIds` order. Streams the
+ * Markdown part of the answer through `onToken` when provided; the structured table is only
+ * available once the completion is done.
+ */
+async function runCompare(body, { user, clientKey, onToken, signal } = {}) {
+  const docs = await Promise.all(body.docIds.map((id) => store.get(id, { user })));
+  if (docs.some((d) => !d)) throw httpError(404, 'Unknown document(s)');
+  if (body.mode === 'literal') return runLiteralDiff(docs, body, { clientKey, onToken, signal });
+  const labels = docs.map((_, i) => compareLabel(i));
+
+  const settings = getSettings();
+  const { topK, minSimilarity, maxChunkChars, maxTotalContextChars } = settings;
+  const retriever = body.retriever || settings.retriever;
 
-      const tightBlocks = tighter
-        .map(
-          (r, i) =>
-            `SOURCE ${i + 1} (pages ${r.chunk.pageStart}-${r.chunk.pageEnd}):\n${r.chunk.text}`
-        )
-        .join('\n\n');
+  const mode = body.mode;
+  const task = (body.prompt || '').trim() || defaultComparePromptForMode(mode);
+  const cfg = loadLlmConfig(process.env);
+  const model = modelFor(cfg, 'compare');
 
-      const retryMessages = [
-        ...body.messages.slice(-Math.min(CHAT_DEFAULTS.RETRY.MAX_HISTORY_MESSAGES, chatHistoryMessages)),
+  // Documents aren't interchangeable (citations and the table are labeled by position), so no sorting here.
+  const cacheKey = answerCacheKey('compare', {
+    docIds: docs.map((d) => d.id),
+    mode,
+    task: normalizeQuestion(task),
+    settings: { topK, minSimilarity, maxChunkChars, maxTotalContextChars, retriever },
+    provider: cfg.provider,
+    model,
+    promptVersion: COMPARE_DEFAULTS.PROMPT_VERSION,
+  });
+  const cached = await answerCache.get(cacheKey);
+  if (cached) {
+    onToken?.(cached.answer);
+    return { ...cached, cached: true };
+  }
+
+  const retrievalQuery = buildCompareRetrievalQuery(mode, task);
+
+  const topKForMode = (() => {
+    if (COMPARE_DEFAULTS.TOP_K_BONUS_MODES.has(mode)) {
+      return Math.min(COMPARE_DEFAULTS.TOP_K_MAX_FOR_BONUS, topK + COMPARE_DEFAULTS.TOP_K_BONUS);
+    }
+    return topK;
+  })();
+
+  const searchOptions = {
+    retriever,
+    embedder,
+    topK: topKForMode,
+    // MIN_SIMILARITY is a cosine threshold, so it only applies to TF-IDF scores.
+    minScore: retriever === 'tfidf' ? minSimilarity : -Infinity,
+    maxChunkChars,
+    // Every document gets the same share, so one long document can't crowd out the others.
+    maxTotalChars: Math.max(
+      COMPARE_DEFAULTS.MIN_CONTEXT_CHARS_PER_DOCUMENT,
+      Math.floor(maxTotalContextChars / docs.length)
+    ),
+  };
+  const retrieved = await Promise.all(docs.map((doc) => searchChunks(doc, retrievalQuery, searchOptions)));
+
+  const documentBlocks = docs.map((doc, d) => {
+    const excerpts = retrieved[d]
+      .map((r, i) => `${labels[d]}${i + 1} (${describeChunkLocation(r.chunk)}):\n${r.chunk.text}`)
+      .join('\n\n');
+    return `DOCUMENT ${labels[d]} ("${doc.name}") EXCERPTS:\n\n${excerpts || '(no relevant excerpts found)'}`;
+  });
+
+  const system = COMPARE_DEFAULTS.SYSTEM_PROMPT;
+
+  const messages = [
+    {
+      role: 'user',
+      content: `MODE: ${mode}\nDOCUMENTS: ${labels.join(', ')}\n\n${documentBlocks.join('\n\n')}\n\nTASK: ${task}`,
+    },
+  ];
+
+  const client = buildClient(cfg);
+  const meter = createUsageMeter();
+  const raw = await chatCompletion({
+    client,
+    model,
+    system,
+    messages,
+    maxTokens: COMPARE_DEFAULTS.MAX_TOKENS + COMPARE_DEFAULTS.MAX_TOKENS_PER_EXTRA_DOCUMENT * (docs.length - 2),
+    onUsage: meter.add,
+    onToken: onToken ? createCompareMarkdownStream(onToken) : undefined,
+    signal,
+    scheduler: llmScheduler,
+    clientKey,
+  });
+  const { markdown: answer, structured } = extractStructuredJson(raw);
+  const normalizedStructured = normalizeCompareStructured(structured, { mode, task, labels });
+
+  const result = {
+    answer,
+    mode,
+    task,
+    structured: normalizedStructured,
+    retriever,
+    // Sources are cited as `${label}${n}`: the n-th entry of that document's `sources`.
+    documents: docs.map((doc, d) => ({
+      label: labels[d],
+      docId: doc.id,
+      docName: doc.name,
+      sources: retrieved[d].map((r) => toSource(r, doc.name)),
+    })),
+    grounding: verifyCitations(
+      answer,
+      retrieved.flatMap((list, d) => list.map((r, i) => ({ label: `${labels[d]}${i + 1}`, text: r.chunk.text }))),
+      { style: 'compare' }
+    ),
+  };
+  await answerCache.set(cacheKey, result, {
+    docIds: docs.map((d) => d.id),
+    stamp: { model, promptVersion: COMPARE_DEFAULTS.PROMPT_VERSION, chunkingVersion: answerChunkingVersion(docs) },
+  });
+
+  return { ...result, cached: false, usage: meter.total };
+}
+
+/**
+ * Compare mode 'literal': a deterministic text diff of two documents (diff.js). The answer is an
+ * overview of the change list, or with `body.summarize` an LLM summary of it; the list itself is
+ * returned as `diff`, with pages in both documents.
+ */
+async function runLiteralDiff(docs, body, { clientKey, onToken, signal } = {}) {
+  if (docs.length !== 2) throw httpError(400, 'Literal diff compares exactly two documents');
+  const labels = docs.map((_, i) => compareLabel(i));
+  const mode = body.mode;
+  const task = (body.prompt || '').trim() || defaultComparePromptForMode(mode);
+  const cfg = loadLlmConfig(process.env);
+  const model = modelFor(cfg, 'compare');
+  const { maxTotalContextChars } = getSettings();
+
+  const cacheKey = answerCacheKey('compare', {
+    docIds: docs.map((d) => d.id),
+    mode,
+    // Without a summary the result doesn't depend on the task or the model.
+    ...(body.summarize
+      ? { task: normalizeQuestion(task), settings: { maxTotalContextChars }, provider: cfg.provider, model }
+      : {}),
+    summarize: body.summarize,
+    promptVersion: COMPARE_DEFAULTS.PROMPT_VERSION,
+  });
+  const cached = await answerCache.get(cacheKey);
+  if (cached) {
+    onToken?.(cached.answer);
+    return { ...cached, cached: true };
+  }
+
+  const diff = diffDocuments(docs[0].pages, docs[1].pages);
+  const meter = createUsageMeter();
+  let answer = formatDiffOverview(diff);
+  if (body.summarize && diff.changes.length) {
+    answer = await chatCompletion({
+      client: buildClient(cfg),
+      model,
+      system: DIFF_DEFAULTS.SUMMARY_SYSTEM_PROMPT,
+      messages: [
         {
           role: 'user',
-          content: `DOCUMENT SOURCES:\n\n${tightBlocks}\n\nQUESTION: ${body.question}`,
+          content: buildDiffSummaryPrompt(diff, { task, docNames: docs.map((d) => d.name), maxTotalChars: maxTotalContextChars }),
         },
-      ];
+      ],
+      maxTokens: DIFF_DEFAULTS.SUMMARY_MAX_TOKENS,
+      onUsage: meter.add,
+      onToken,
+      signal,
+      scheduler: llmScheduler,
+      clientKey,
+    });
+  } else {
+    onToken?.(answer);
+  }
+
+  const result = {
+    answer,
+    mode,
+    task,
+    structured: null,
+    diff,
+    retriever: null,
+    documents: docs.map((doc, d) => ({ label: labels[d], docId: doc.id, docName: doc.name, sources: [] })),
+  };
+  await answerCache.set(cacheKey, result, {
+    docIds: docs.map((d) => d.id),
+    // Without a summary no model was involved.
+    stamp: {
+      model: body.summarize ? model : null,
+      promptVersion: COMPARE_DEFAULTS.PROMPT_VERSION,
+      chunkingVersion: answerChunkingVersion(docs),
+    },
+  });
+
+  return { ...result, cached: false, usage: meter.total };
+}
 
-      answer = await chatCompletion({ client, model: cfg.model, system, messages: retryMessages, maxTokens: CHAT_DEFAULTS.RETRY.MAX_TOKENS });
+/**
+ * Extracts `fields` from one document: each field retrieves its own evidence, then one LLM call
+ * fills every field from the union of those excerpts, citing them by number. Returns
+ * { docId, docName, values, fields, valid, sources, retriever, cached } or { docId, docName, error }.
+ */
+async function extractDocument(doc, fields, { retriever, clientKey, meter, signal }) {
+  if (!doc.chunks.length || !doc.totalExtractedChars) {
+    return { docId: doc.id, docName: doc.name, error: 'No readable text was extracted from this PDF' };
+  }
+
+  const { maxChunkChars, maxTotalContextChars } = getSettings();
+  const cfg = loadLlmConfig(process.env);
+  const model = modelFor(cfg, 'extract');
+
+  const cacheKey = answerCacheKey('extract', {
+    docIds: [doc.id],
+    fields,
+    settings: { maxChunkChars, maxTotalContextChars, retriever },
+    provider: cfg.provider,
+    model,
+    promptVersion: EXTRACT_DEFAULTS.PROMPT_VERSION,
+  });
+  const cached = await answerCache.get(cacheKey);
+  if (cached) return { ...cached, cached: true };
+
+  const perField = await Promise.all(
+    fields.map((f) =>
+      searchChunks(doc, fieldRetrievalQuery(f), {
+        retriever,
+        embedder,
+        topK: EXTRACT_DEFAULTS.TOP_K_PER_FIELD,
+        maxChunkChars,
+        maxTotalChars: maxTotalContextChars,
+      })
+    )
+  );
+  // Titles, authors, DOIs etc. are often asked for and rarely retrieved well from the body text.
+  const metadata = metadataResult(doc);
+  const evidence = mergeFieldEvidence(perField, {
+    leading: metadata ? [metadata] : [],
+    maxTotalChars: maxTotalContextChars,
+  });
+
+  let structured = {};
+  if (evidence.length) {
+    const contextBlocks = evidence
+      .map((r, i) => `SOURCE ${i + 1} (${describeChunkLocation(r.chunk)}):\n${r.chunk.text}`)
+      .join('\n\n');
+    const raw = await chatCompletion({
+      client: buildClient(cfg),
+      model,
+      system: EXTRACT_DEFAULTS.SYSTEM_PROMPT,
+      messages: [{ role: 'user', content: buildExtractionPrompt(fields, contextBlocks) }],
+      temperature: 0,
+      maxTokens: EXTRACT_DEFAULTS.MAX_TOKENS,
+      onUsage: meter.add,
+      signal,
+      scheduler: llmScheduler,
+      clientKey,
+    });
+    structured = parseExtractionJson(raw);
+  }
+
+  const result = {
+    docId: doc.id,
+    docName: doc.name,
+    ...validateExtraction(structured, fields, evidence.map((r) => r.chunk.text)),
+    sources: evidence.map((r) => toSource(r)),
+    retriever,
+  };
+  // Unparseable output is worth retrying, so it isn't cached.
+  if (structured) {
+    await answerCache.set(cacheKey, result, {
+      docIds: [doc.id],
+      stamp: { model, promptVersion: EXTRACT_DEFAULTS.PROMPT_VERSION, chunkingVersion: answerChunkingVersion([doc]) },
+    });
+  }
+
+  return { ...result, cached: false };
+}
+
+/**
+ * Runs the same field schema over one document or a batch. In a batch a failing document gets
+ * an `error` entry instead of failing the others.
+ */
+async function runExtract(body, { user, clientKey, signal } = {}) {
+  const docs = await resolveChatDocuments(body, user);
+  const retriever = body.retriever || getSettings().retriever;
+  const meter = createUsageMeter();
+  const options = { retriever, clientKey, meter, signal };
+
+  const results = new Array(docs.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < docs.length) {
+      const i = next++;
+      const doc = docs[i];
+      try {
+        results[i] = await extractDocument(doc, body.fields, options);
+      } catch (e) {
+        if (docs.length === 1 || signal?.aborted) throw e;
+        results[i] = { docId: doc.id, docName: doc.name, error: e?.message || 'Extraction failed' };
+      }
     }
+  };
+  await Promise.all(Array.from({ length: Math.min(EXTRACT_DEFAULTS.BATCH_CONCURRENCY, docs.length) }, worker));
 
-    const sources = candidates.map((r) => ({
-      chunkId: r.chunk.id,
-      pageStart: r.chunk.pageStart,
-      pageEnd: r.chunk.pageEnd,
-      score: r.score,
-      excerpt: r.chunk.text.slice(0, CHAT_DEFAULTS.SOURCE_EXCERPT_CHARS),
-    }));
+  return { results, retriever, usage: meter.total };
+}
 
-    res.json({ answer, sources });
+app.get('/api/conversations', async (req, res) => {
+  try {
+    const docId = typeof req.query.docId === 'string' ? req.query.docId : '';
+    res.json({ conversations: await store.listConversations({ docId: docId || undefined, user: req.user }) });
   } catch (e) {
-    res.status(400).json({ error: e?.message || 'Bad request' });
+    res.status(500).json({ error: e?.message || 'List failed' });
   }
 });
 
-app.post('/api/compare', async (req, res) => {
+app.post('/api/conversations', async (req, res) => {
   try {
-    const body = CompareBody.parse(req.body);
-    const [docA, docB] = await Promise.all([store.get(body.docIdA), store.get(body.docIdB)]);
-    if (!docA || !docB) return res.status(404).json({ error: 'Unknown document(s)' });
+    const body = CreateConversationBody.parse(req.body);
+    // Validates that every document exists.
+    await resolveChatDocuments(body, req.user);
+    const conversation = newConversation({ docIds: conversationScope(body), title: body.title, ownerId: req.user.id });
+    res.status(201).json({ conversation: await store.saveConversation(conversation) });
+  } catch (e) {
+    res.status(e?.status || 400).json({ error: e?.message || 'Bad request' });
+  }
+});
 
-    const { topK, minSimilarity, maxChunkChars, maxTotalContextChars } = getSettings();
+app.get('/api/conversations/:id', async (req, res) => {
+  try {
+    const conversation = await store.getConversation(req.params.id, { user: req.user });
+    if (!conversation) return res.status(404).json({ error: 'Unknown conversation' });
+    res.json({ conversation });
+  } catch (e) {
+    res.status(500).json({ error: e?.message || 'Read failed' });
+  }
+});
 
-    const mode = body.mode;
-    const task = (body.prompt || '').trim() || defaultComparePromptForMode(mode);
-    const retrievalQuery = buildCompareRetrievalQuery(mode, task);
+app.patch('/api/conversations/:id', async (req, res) => {
+  try {
+    const body = UpdateConversationBody.parse(req.body);
+    const conversation = await store.getConversation(req.params.id, { user: req.user });
+    if (!conversation) return res.status(404).json({ error: 'Unknown conversation' });
+    const updated = await store.saveConversation({ ...conversation, title: body.title, updatedAt: new Date().toISOString() });
+    res.json({ conversation: conversationSummary(updated) });
+  } catch (e) {
+    res.status(e?.status || 400).json({ error: e?.message || 'Bad request' });
+  }
+});
 
-    const topKForMode = (() => {
-      if (COMPARE_DEFAULTS.TOP_K_BONUS_MODES.has(mode)) {
-        return Math.min(COMPARE_DEFAULTS.TOP_K_MAX_FOR_BONUS, topK + COMPARE_DEFAULTS.TOP_K_BONUS);
-      }
-      return topK;
-    })();
-
-    const aRetrieved = searchTfidf(docA.index, docA.chunks, retrievalQuery, {
-      topK: topKForMode,
-      minScore: minSimilarity,
-      maxChunkChars,
-      maxTotalChars: Math.floor(maxTotalContextChars / COMPARE_DEFAULTS.CONTEXT_SPLIT_FACTOR),
-    });
-    const bRetrieved = searchTfidf(docB.index, docB.chunks, retrievalQuery, {
-      topK: topKForMode,
-      minScore: minSimilarity,
-      maxChunkChars,
-      maxTotalChars: Math.floor(maxTotalContextChars / COMPARE_DEFAULTS.CONTEXT_SPLIT_FACTOR),
+// Conversation export: `?format=md` (default) or `docx` reports with citations expanded into page
+// references and excerpts, or `json` for the full transcript with sources.
+app.get('/api/conversations/:id/export', async (req, res) => {
+  try {
+    const conversation = await store.getConversation(req.params.id, { user: req.user });
+    if (!conversation) throw httpError(404, 'Unknown conversation');
+    // Documents deleted (or no longer shared) since are left out of the names.
+    const documents = await Promise.all(conversation.docIds.map((id) => store.get(id, { user: req.user })));
+    const docNames = new Map(documents.filter(Boolean).map((d) => [d.id, d.name]));
+    sendExport(res, {
+      format: String(req.query.format || 'md').toLowerCase(),
+      formats: EXPORT_DEFAULTS.CONVERSATION_FORMATS,
+      fileTitle: conversation.title || 'conversation',
+      report: () => conversationReport(conversation, docNames),
+      json: () => conversationTranscript(conversation, docNames),
     });
+  } catch (e) {
+    res.status(e?.status || 500).json({ error: e?.message || 'Export failed' });
+  }
+});
 
-    const aContext = aRetrieved
-      .map((r, i) => `A${i + 1} (pages ${r.chunk.pageStart}-${r.chunk.pageEnd}):\n${r.chunk.text}`)
-      .join('\n\n');
+app.delete('/api/conversations/:id', async (req, res) => {
+  try {
+    const conversation = await store.getConversation(req.params.id, { user: req.user });
+    if (!conversation || !(await store.deleteConversation(conversation.id))) {
+      return res.status(404).json({ error: 'Unknown conversation' });
+    }
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ error: e?.message || 'Delete failed' });
+  }
+});
 
-    const bContext = bRetrieved
-      .map((r, i) => `B${i + 1} (pages ${r.chunk.pageStart}-${r.chunk.pageEnd}):\n${r.chunk.text}`)
-      .join('\n\n');
+app.post('/api/chat', async (req, res) => {
+  try {
+    const body = ChatBody.parse(req.body);
+    res.json(await runChat(body, { user: req.user, clientKey: llmClientKey(req) }));
+  } catch (e) {
+    sendError(res, e, 400, 'Bad request');
+  }
+});
 
-    const system = COMPARE_DEFAULTS.SYSTEM_PROMPT;
+// Same as /api/chat, but answer text is streamed as SSE `token` events, then a `done` event
+// carrying the full { answer, sources, kind?, usage? } payload.
+app.post('/api/chat/stream', async (req, res) => {
+  let body;
+  try {
+    body = ChatBody.parse(req.body);
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || 'Bad request' });
+  }
 
-    const messages = [
-      {
-        role: 'user',
-        content: `MODE: ${mode}\n\nDOCUMENT A EXCERPTS:\n\n${aContext || '(no relevant excerpts found)'}\n\nDOCUMENT B EXCERPTS:\n\n${bContext || '(no relevant excerpts found)'}\n\nTASK: ${task}`,
-      },
-    ];
+  const sse = openSse(res);
+  try {
+    sse.done(await runChat(body, { user: req.user, clientKey: llmClientKey(req), onToken: sse.token, signal: sse.signal }));
+  } catch (e) {
+    failSse(sse, e, 'Chat failed');
+  }
+});
 
-    const cfg = loadLlmConfig(process.env);
-    const client = buildClient(cfg);
-    const raw = await chatCompletion({ client, model: cfg.model, system, messages, maxTokens: COMPARE_DEFAULTS.MAX_TOKENS });
-    const { markdown: answer, structured } = extractStructuredJson(raw);
-    const normalizedStructured = normalizeCompareStructured(structured, { mode, task });
+app.post('/api/compare', async (req, res) => {
+  try {
+    const body = CompareBody.parse(req.body);
+    res.json(await runCompare(body, { user: req.user, clientKey: llmClientKey(req) }));
+  } catch (e) {
+    sendError(res, e, 400, 'Bad request');
+  }
+});
 
-    res.json({
-      answer,
-      mode,
-      task,
-      structured: normalizedStructured,
-      sourcesA: aRetrieved.map((r) => ({
-        chunkId: r.chunk.id,
-        pageStart: r.chunk.pageStart,
-        pageEnd: r.chunk.pageEnd,
-        score: r.score,
-        excerpt: r.chunk.text.slice(0, CHAT_DEFAULTS.SOURCE_EXCERPT_CHARS),
-      })),
-      sourcesB: bRetrieved.map((r) => ({
-        chunkId: r.chunk.id,
-        pageStart: r.chunk.pageStart,
-        pageEnd: r.chunk.pageEnd,
-        score: r.score,
-        excerpt: r.chunk.text.slice(0, CHAT_DEFAULTS.SOURCE_EXCERPT_CHARS),
-      })),
+// Export of a compare result (the /api/compare response as body): `?format=md` (default) or
+// `docx` reports with citations expanded, or `csv` / `json` of the topic table (the change list
+// for a literal diff).
+app.post('/api/compare/export', (req, res) => {
+  try {
+    const result = CompareExportBody.parse(req.body);
+    sendExport(res, {
+      format: String(req.query.format || 'md').toLowerCase(),
+      formats: EXPORT_DEFAULTS.COMPARE_FORMATS,
+      fileTitle: `compare ${result.documents.map((d) => d.docName).join(' vs ')}`,
+      report: () => compareReport(result),
+      csv: () => compareTableCsv(result),
+      json: () => compareTableJson(result),
+    });
+  } catch (e) {
+    sendError(res, e, 400, 'Bad request');
+  }
+});
+
+// Streams the Markdown answer as SSE `token` events; the `done` event carries the same payload
+// as /api/compare (answer, structured, documents).
+app.post('/api/compare/stream', async (req, res) => {
+  let body;
+  try {
+    body = CompareBody.parse(req.body);
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || 'Bad request' });
+  }
+
+  const sse = openSse(res);
+  try {
+    sse.done(await runCompare(body, { user: req.user, clientKey: llmClientKey(req), onToken: sse.token, signal: sse.signal }));
+  } catch (e) {
+    failSse(sse, e, 'Compare failed');
+  }
+});
+
+// `fields` is the schema: [{ name, description?, type?, options?, required? }]. `docIds` runs it
+// over a batch; the response has one entry per document in `results`.
+app.post('/api/extract', async (req, res) => {
+  try {
+    const body = ExtractBody.parse(req.body);
+    res.json(await runExtract(body, { user: req.user, clientKey: llmClientKey(req) }));
+  } catch (e) {
+    sendError(res, e, 400, 'Bad request');
+  }
+});
+
+// Prompt version behind each kind of answer cache entry; the kind is the key's prefix and the model role.
+const ANSWER_PROMPT_VERSIONS = {
+  chat: CHAT_DEFAULTS.PROMPT_VERSION,
+  compare: COMPARE_DEFAULTS.PROMPT_VERSION,
+  extract: EXTRACT_DEFAULTS.PROMPT_VERSION,
+};
+
+/**
+ * Stale derived artifacts across every owner's documents: per document its stale summaries and
+ * chunk abstracts, and `rechunk` when its chunks predate EXTRACTION_DEFAULTS.CHUNKING_VERSION (only
+ * reprocessing fixes that); plus answer cache entries written with another model or prompt version.
+ * A chunking change reaches the answer cache through reprocessing, which evicts the document's answers.
+ */
+async function findStaleArtifacts() {
+  const cfg = loadLlmConfig(process.env);
+  const documents = [];
+  for (const { id } of await store.list()) {
+    const doc = await store.get(id);
+    if (!doc) continue;
+    const artifacts = staleDocumentArtifacts(doc, artifactStamps(doc, cfg));
+    const rechunk = needsRechunking(doc);
+    if (!artifacts.length && !rechunk) continue;
+    documents.push({
+      id: doc.id,
+      name: doc.name,
+      ownerId: ownerOf(doc),
+      chunkingVersion: documentChunkingVersion(doc),
+      rechunk,
+      artifacts,
     });
+  }
+
+  const answers = [];
+  for (const entry of await answerCache.entries()) {
+    const kind = entry.key.slice(0, entry.key.indexOf('-'));
+    if (!Object.hasOwn(ANSWER_PROMPT_VERSIONS, kind)) continue;
+    const stale = staleFields(entry.stamp, { model: modelFor(cfg, kind), promptVersion: ANSWER_PROMPT_VERSIONS[kind] });
+    if (stale.length) answers.push({ kind, ...entry, stale });
+  }
+  return { documents, answers };
+}
+
+// Admin: derived artifacts written with another model, prompt version or chunking version than the
+// current ones. Stale summaries and abstracts are regenerated when next used; purging drops them now.
+app.get('/api/admin/stale-artifacts', requireAdmin(authConfig), async (req, res) => {
+  try {
+    res.json({ chunkingVersion: EXTRACTION_DEFAULTS.CHUNKING_VERSION, ...(await findStaleArtifacts()) });
+  } catch (e) {
+    sendError(res, e, 500, 'Listing stale artifacts failed');
+  }
+});
+
+// Deletes everything GET /api/admin/stale-artifacts lists. With `?reprocess=1` documents that need
+// rechunking also get a reprocess job (owned by their owner), when their raw PDF location is known.
+app.post('/api/admin/stale-artifacts/purge', requireAdmin(authConfig), async (req, res) => {
+  try {
+    const reprocess = ['1', 'true'].includes(String(req.query.reprocess || '').toLowerCase());
+    const { documents, answers } = await findStaleArtifacts();
+
+    const purged = { summaries: 0, abstracts: 0, answers: answers.length };
+    const queued = [];
+    for (const d of documents) {
+      for (const artifact of d.artifacts) {
+        if (artifact.kind === 'summary') {
+          await store.saveSummary(d.id, artifact.key, null);
+          purged.summaries += 1;
+        } else {
+          await store.saveChunkAbstracts(d.id, new Map(artifact.chunkIds.map((chunkId) => [chunkId, null])));
+          purged.abstracts += artifact.chunkIds.length;
+        }
+      }
+      if (reprocess && d.rechunk) {
+        const job = enqueueReprocess(await store.get(d.id), d.ownerId);
+        if (job) queued.push(job);
+      }
+    }
+    await answerCache.delete(answers.map((a) => a.key));
+
+    res.json({ purged, jobs: queued });
   } catch (e) {
-    res.status(400).json({ error: e?.message || 'Bad request' });
+    sendError(res, e, 500, 'Purging stale artifacts failed');
   }
 });
 
@@ -0,0 +1,67 @@
+import { LEGACY_SUMMARY_KEY } from '../store/base.js';
+import { EXTRACTION_DEFAULTS } from './constants.js';
+
+// Derived artifacts (summaries, chunk abstracts, answer cache entries) carry a stamp of what
+// produced them: { model, promptVersion, chunkingVersion }. An artifact is stale when its stamp
+// differs from the current one; a null field means the artifact doesn't depend on it.
+
+/**
+ * Chunking version of `doc`'s chunks; records from before versions were stored used version 1.
+ */
+export function documentChunkingVersion(doc) {
+  return Number.isInteger(doc?.chunkingVersion) ? doc.chunkingVersion : 1;
+}
+
+/**
+ * Whether `doc` was chunked by an older EXTRACTION_DEFAULTS.CHUNKING_VERSION (only reprocessing fixes that).
+ */
+export function needsRechunking(doc) {
+  return documentChunkingVersion(doc) !== EXTRACTION_DEFAULTS.CHUNKING_VERSION;
+}
+
+/**
+ * Fields of `current` that `stamp` doesn't match (all of them when there is no stamp).
+ */
+export function staleFields(stamp, current) {
+  if (!stamp || typeof stamp !== 'object') return Object.keys(current);
+  return Object.keys(current).filter((k) => stamp[k] !== null && stamp[k] !== current[k]);
+}
+
+export function isCurrent(stamp, current) {
+  return staleFields(stamp, current).length === 0;
+}
+
+/**
+ * Stale summaries and chunk abstracts of `doc`, given the current `summary` and `abstract` stamps
+ * for it: [{ kind: 'summary', key, stamp, stale }, { kind: 'abstracts', chunkIds, stale }].
+ * `stale` lists the fields that differ; the legacy `summary` field has no stamp at all.
+ */
+export function staleDocumentArtifacts(doc, { summary, abstract }) {
+  const out = [];
+  for (const [key, entry] of Object.entries(doc.summaries || {})) {
+    const stale = staleFields(entry?.stamp, summary);
+    if (stale.length) out.push({ kind: 'summary', key, stamp: entry?.stamp ?? null, stale });
+  }
+  if (typeof doc.summary === 'string' && doc.summary.trim()) {
+    out.push({ kind: 'summary', key: LEGACY_SUMMARY_KEY, stamp: null, stale: Object.keys(summary) });
+  }
+
+  const chunkIds = [];
+  const stale = new Set();
+  for (const c of doc.chunks || []) {
+    if (typeof c.abstract !== 'string') continue;
+    const fields = staleFields(c.abstractStamp, abstract);
+    if (!fields.length) continue;
+    chunkIds.push(c.id);
+    fields.forEach((f) => stale.add(f));
+  }
+  if (chunkIds.length) out.push({ kind: 'abstracts', chunkIds, stale: Array.from(stale) });
+  return out;
+}
+
+/**
+ * Chunking version recorded with an answer over `docs`: the oldest of theirs.
+ */
+export function answerChunkingVersion(docs) {
+  return Math.min(...docs.map(documentChunkingVersion));
+}
@@ -1,3 +1,4 @@
+import { describeMetadata } from '../metadata.js';
 import { CHAT_DEFAULTS } from './constants.js';
 
 function isFollowUpQuestion(q) {
@@ -51,6 +52,75 @@ export function isSummaryQuestion(q) {
   return CHAT_DEFAULTS.SUMMARY_TRIGGERS.some((t) => (t === 'summarize' ? s.startsWith('summarize') : s.includes(t)));
 }
 
+export function isMetadataQuestion(q) {
+  const s = (q || '').toLowerCase();
+  return CHAT_DEFAULTS.METADATA_TRIGGERS.some((t) => s.includes(t));
+}
+
+/**
+ * A document's metadata (and the reference entries numbered in `referenceNumbers`) as a
+ * retrieval result, so it is prompted and cited like any other source. Metadata isn't ranked:
+ * its score is 1. Returns null when nothing is known about the document.
+ */
+export function metadataResult(doc, referenceNumbers = []) {
+  const text = describeMetadata(doc.metadata, { referenceNumbers });
+  if (!text) return null;
+  const referencePages = (doc.metadata.references || [])
+    .filter((r) => referenceNumbers.includes(r.number))
+    .map((r) => r.pageNumber);
+  return {
+    chunk: {
+      id: `${doc.id}:metadata`,
+      docId: doc.id,
+      type: 'metadata',
+      pageStart: 1,
+      pageEnd: Math.max(1, ...referencePages),
+      sectionPath: '',
+      text,
+    },
+    score: 1,
+  };
+}
+
+/**
+ * Location label used in prompts, e.g. `pages 3-4, section "3 Methods > 3.2 Data"` (`sections "…", "…"`
+ * for a chunk spanning several).
+ * Table chunks start with `table p3-t1, `, metadata sources are `bibliographic metadata`; with `docName` (multi-document chat) the label is
+ * prefixed with `document "report.pdf", `.
+ */
+export function describeChunkLocation(chunk, docName) {
+  const pages = `pages ${chunk.pageStart}-${chunk.pageEnd}`;
+  const names = (chunk.sectionPaths || [chunk.sectionPath]).filter(Boolean);
+  const section = names.length
+    ? `${pages}, ${names.length > 1 ? 'sections' : 'section'} ${names.map((n) => `"${n}"`).join(', ')}`
+    : pages;
+  let location = section;
+  if (chunk.type === 'table') location = `table ${chunk.tableId}, ${section}`;
+  if (chunk.type === 'metadata') location = 'bibliographic metadata';
+  return docName ? `document "${docName}", ${location}` : location;
+}
+
+/**
+ * Shape one retrieval result as an API source. `scores` carries per-method scores
+ * (tfidf / bm25 / semantic / rrf) when the retriever reports them; `docName` labels the
+ * source with its document.
+ */
+export function toSource(r, docName) {
+  return {
+    chunkId: r.chunk.id,
+    ...(r.chunk.docId ? { docId: r.chunk.docId } : {}),
+    ...(docName ? { docName } : {}),
+    pageStart: r.chunk.pageStart,
+    pageEnd: r.chunk.pageEnd,
+    ...(r.chunk.sectionPath ? { sectionPath: r.chunk.sectionPath } : {}),
+    score: r.score,
+    ...(r.scores ? { scores: r.scores } : {}),
+    excerpt: r.chunk.text.slice(0, CHAT_DEFAULTS.SOURCE_EXCERPT_CHARS),
+    // Table chunks carry their rows so the UI can show the table instead of the Markdown excerpt.
+    ...(r.chunk.type === 'table' ? { tableId: r.chunk.tableId, table: r.chunk.table } : {}),
+  };
+}
+
 export function isLikelyRequestTooLargeError(e) {
   const msg = (e?.message || '').toLowerCase();
   return CHAT_DEFAULTS.REQUEST_TOO_LARGE_MARKERS.some((m) => msg.includes(m));
@@ -0,0 +1,143 @@
+import { tokenize } from '../retrieval.js';
+import { GROUNDING_DEFAULTS } from './constants.js';
+
+const STOPWORDS = new Set(GROUNDING_DEFAULTS.STOPWORDS);
+
+// (Source 1), (Sources 1 and 3), (Source 1, Source 2), [Source 2-4]
+const CHAT_CITATION_REGEX = /[([]\s*sources?\s+\d[^)\]]*[)\]]/gi;
+// (A1), (B2), (A1, C3), (A2; D1): one letter per compared document
+const COMPARE_CITATION_REGEX = /[([]\s*[A-Z]\d+(?:\s*(?:,|;|and|&)\s*[A-Z]\d+)*\s*[)\]]/g;
+
+const citationRegex = (style) => (style === 'compare' ? COMPARE_CITATION_REGEX : CHAT_CITATION_REGEX);
+
+function citationLabels(group, style) {
+  if (style === 'compare') return group.match(/[A-Z]\d+/g) || [];
+  const labels = [];
+  for (const m of group.matchAll(/(\d+)\s*[-–]\s*(\d+)|(\d+)/g)) {
+    if (m[3]) {
+      labels.push(m[3]);
+      continue;
+    }
+    const from = Number(m[1]);
+    const to = Math.min(Number(m[2]), from + GROUNDING_DEFAULTS.MAX_RANGE_EXPANSION);
+    for (let i = from; i <= to; i++) labels.push(String(i));
+  }
+  return labels;
+}
+
+/**
+ * Replaces every citation group of `text` with `replace(labels, group)`, e.g. to expand
+ * "(Source 1, 3)" into page references. Labels are parsed as in `verifyCitations`.
+ */
+export function rewriteCitations(text, replace, { style = 'chat' } = {}) {
+  return String(text || '').replace(citationRegex(style), (group) => replace(citationLabels(group, style), group));
+}
+
+// Light stemming so "participants"/"participant" and "measured"/"measure" still match.
+function stem(token) {
+  if (token.length > 5 && token.endsWith('ing')) return token.slice(0, -3);
+  if (token.length > 4 && token.endsWith('ed')) return token.slice(0, -2);
+  if (token.length > 3 && token.endsWith('s') && !token.endsWith('ss')) return token.slice(0, -1);
+  return token;
+}
+
+function contentWords(text) {
+  return new Set(
+    tokenize(text)
+      .filter((t) => !STOPWORDS.has(t))
+      .map(stem)
+  );
+}
+
+/**
+ * Answer split into sentences. Markdown lines (bullets, table rows) are split separately, and a
+ * citation written after the full stop ("... 120 people. (Source 1)") stays with its sentence.
+ */
+function splitSentences(answer, style) {
+  const regex = citationRegex(style);
+  const sentences = [];
+  for (const line of String(answer || '').split('\n')) {
+    const trimmed = line.trim();
+    // Skip blank lines and table separators (|---|---|).
+    if (!trimmed || /^\|?[\s:|-]+$/.test(trimmed)) continue;
+    const moved = trimmed.replace(new RegExp(`([.!?])\\s*(${regex.source})`, regex.flags), ' $2$1');
+    for (const part of moved.split(/(?<=[.!?])\s+(?=["“*_]*[A-Z0-9])/)) {
+      if (part.trim()) sentences.push(part.trim());
+    }
+  }
+  return sentences;
+}
+
+/**
+ * Checks the citations of an LLM answer against the excerpts that were in its prompt.
+ *
+ * `sources` is [{ label, text }] with the labels the prompt used ('1', '2', ... for chat,
+ * 'A1', 'C2', ... for compare with `style: 'compare'`) and the full chunk text. Each sentence gets:
+ * - `supported`: a citation exists and enough of the sentence's content words occur in the cited excerpts
+ * - `unsupported`: it cites existing sources but none of them backs it lexically
+ * - `invalid_citation`: it only cites sources that don't exist
+ * - `implicit`: no citation, but one of the sources backs it anyway
+ * - `uncited`: no citation and no support
+ * - `skipped`: not a factual claim (too short, or a "can't find it" style answer)
+ *
+ * Returns { score, claims, grounded, invalidCitations, sentences }; `score` is the share of claims
+ * that are supported or implicit (null when there are no claims).
+ */
+export function verifyCitations(answer, sources, { style = 'chat' } = {}) {
+  const regex = citationRegex(style);
+  const byLabel = new Map(sources.map((s) => [s.label, contentWords(s.text)]));
+  const invalid = new Set();
+
+  const supportIn = (words, sourceWords) => {
+    if (!words.size) return 0;
+    let hits = 0;
+    for (const w of words) if (sourceWords.has(w)) hits++;
+    return hits / words.size;
+  };
+  const round = (n) => Math.round(n * 100) / 100;
+
+  const sentences = splitSentences(answer, style).map((text) => {
+    const labels = Array.from(new Set(Array.from(text.matchAll(regex), (m) => citationLabels(m[0], style)).flat()));
+    const words = contentWords(text.replace(regex, ' '));
+    // Anything the model cited is a claim; uncited sentences only when they say enough.
+    const isClaim =
+      words.size >= (labels.length ? 1 : GROUNDING_DEFAULTS.MIN_CLAIM_WORDS) &&
+      !GROUNDING_DEFAULTS.NON_CLAIM_PATTERNS.some((p) => p.test(text));
+
+    const citations = labels.map((label) => {
+      const sourceWords = byLabel.get(label);
+      if (!sourceWords) invalid.add(label);
+      return { label, valid: !!sourceWords, support: sourceWords ? round(supportIn(words, sourceWords)) : 0 };
+    });
+
+    // A sentence citing several excerpts may combine them, so it is checked against all of them together.
+    const valid = citations.filter((c) => c.valid);
+    let support = valid.length
+      ? round(supportIn(words, new Set(valid.flatMap((c) => Array.from(byLabel.get(c.label))))))
+      : 0;
+    let status = 'skipped';
+    if (isClaim) {
+      if (valid.length) {
+        status = support >= GROUNDING_DEFAULTS.MIN_SUPPORT ? 'supported' : 'unsupported';
+      } else if (citations.length) {
+        status = 'invalid_citation';
+      } else {
+        support = round(Math.max(0, ...Array.from(byLabel.values(), (sourceWords) => supportIn(words, sourceWords))));
+        status = support >= GROUNDING_DEFAULTS.MIN_SUPPORT ? 'implicit' : 'uncited';
+      }
+    }
+
+    return { text, status, support, citations };
+  });
+
+  const claims = sentences.filter((s) => s.status !== 'skipped').length;
+  const grounded = sentences.filter((s) => s.status === 'supported' || s.status === 'implicit').length;
+
+  return {
+    score: claims ? round(grounded / claims) : null,
+    claims,
+    grounded,
+    invalidCitations: Array.from(invalid),
+    sentences,
+  };
+}
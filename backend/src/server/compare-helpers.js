@@ -1,5 +1,5 @@
 import { z } from 'zod';
-import { COMPARE_DEFAULTS } from './constants.js';
+import { COMPARE_DEFAULTS, VERSION_DEFAULTS } from './constants.js';
 
 export const CompareMode = z.enum(COMPARE_DEFAULTS.MODES);
 
@@ -17,8 +17,6 @@ export function buildCompareRetrievalQuery(mode, task) {
       return `${base}\n\n${COMPARE_DEFAULTS.MODE_KEYWORDS.conclusions}`;
     case 'structure':
       return `${base}\n\n${COMPARE_DEFAULTS.MODE_KEYWORDS.structure}`;
-    case 'literal':
-      return `${base}\n\n${COMPARE_DEFAULTS.MODE_KEYWORDS.literal}`;
     case 'custom':
     case 'content':
     default:
@@ -44,10 +42,23 @@ export function extractStructuredJson(text) {
   }
 }
 
-export function normalizeCompareStructured(structured, { mode, task }) {
+/**
+ * Label of the i-th compared document: 'A', 'B', 'C', ...; its excerpts are cited as A1, A2, ...
+ */
+export function compareLabel(index) {
+  return String.fromCharCode(65 + index);
+}
+
+/**
+ * Normalizes the compare table for documents labeled `labels`: every topic gets `values`, one
+ * string per document in label order. Topics in the two-document format (`docA`/`docB`,
+ * `onlyA`/`onlyB`) are converted.
+ */
+export function normalizeCompareStructured(structured, { mode, task, labels }) {
   const base = {
     mode,
     task,
+    labels,
     topics: [],
     summary: undefined,
   };
@@ -58,18 +69,23 @@ export function normalizeCompareStructured(structured, { mode, task }) {
   const out = {
     mode: typeof s.mode === 'string' ? s.mode : mode,
     task: typeof s.task === 'string' ? s.task : task,
+    labels,
     topics: Array.isArray(s.topics) ? s.topics : [],
     summary: typeof s.summary === 'string' ? s.summary : undefined,
   };
 
+  const valueOf = (t, label, i) => {
+    const v = Array.isArray(t.values) ? t.values[i] : t.values?.[label] ?? t[`doc${label}`];
+    return typeof v === 'string' ? v : '';
+  };
+
   // Normalize topic items to the expected keys.
   out.topics = out.topics
     .map((t) => {
       if (!t || typeof t !== 'object') return null;
       return {
         topic: typeof t.topic === 'string' ? t.topic : '',
-        docA: typeof t.docA === 'string' ? t.docA : '',
-        docB: typeof t.docB === 'string' ? t.docB : '',
+        values: labels.map((label, i) => valueOf(t, label, i)),
         verdict: typeof t.verdict === 'string' ? t.verdict : 'unclear',
         notes: typeof t.notes === 'string' ? t.notes : undefined,
       };
@@ -78,10 +94,114 @@ export function normalizeCompareStructured(structured, { mode, task }) {
 
   // Clamp verdicts to known values; anything else becomes 'unclear'.
   const allowed = COMPARE_DEFAULTS.ALLOWED_VERDICTS;
-  out.topics = out.topics.map((t) => ({
-    ...t,
-    verdict: allowed.has(t.verdict) ? t.verdict : 'unclear',
-  }));
+  out.topics = out.topics.map((t) => {
+    const verdict = COMPARE_DEFAULTS.LEGACY_VERDICTS[t.verdict] || t.verdict;
+    return { ...t, verdict: allowed.has(verdict) ? verdict : 'unclear' };
+  });
 
   return out;
 }
+
+/**
+ * Wraps a token callback so only the Markdown part of a compare answer is streamed.
+ * Everything from the `<JSON>` marker on is held back; it is parsed once the completion finishes.
+ */
+export function createCompareMarkdownStream(onToken) {
+  const marker = '<json>';
+  let full = '';
+  let emitted = 0;
+  let stopped = false;
+
+  return (delta) => {
+    if (stopped) return;
+    full += delta;
+
+    const at = full.toLowerCase().indexOf(marker);
+    // Hold back a possible partial marker at the tail.
+    const safeEnd = at >= 0 ? at : Math.max(emitted, full.length - (marker.length - 1));
+    if (at >= 0) stopped = true;
+
+    if (safeEnd > emitted) {
+      onToken(full.slice(emitted, safeEnd));
+      emitted = safeEnd;
+    }
+  };
+}
+
+const pageRef = (label, page) => (page == null ? `${label} —` : `${label} p.${page}`);
+
+/**
+ * One line of a literal diff change list: "Change 3 (changed, A p.2 / B p.2, Methods): ...".
+ */
+function describeDiffChange(change) {
+  const where = [pageRef('A', change.pageA), pageRef('B', change.pageB)].join(' / ');
+  const section = change.sectionB || change.sectionA;
+  const head = `Change ${change.id} (${change.type}, ${where}${section ? `, ${section}` : ''})`;
+  const lines = [head];
+  if (change.before) lines.push(`- A: ${change.before}`);
+  if (change.after) lines.push(`+ B: ${change.after}`);
+  return lines.join('\n');
+}
+
+/**
+ * User message of the literal diff summary: the change list (cut to `maxTotalChars`) and the task.
+ */
+export function buildDiffSummaryPrompt(diff, { task, docNames, maxTotalChars = Infinity }) {
+  const blocks = [];
+  let total = 0;
+  for (const change of diff.changes) {
+    const block = describeDiffChange(change);
+    if (total + block.length > maxTotalChars && total > 0) break;
+    total += block.length;
+    blocks.push(block);
+  }
+  const omitted = diff.changes.length - blocks.length + (diff.truncated ? 1 : 0);
+  const tail = omitted > 0 ? '\n\n(More changes follow; they are not listed here.)' : '';
+  return (
+    `DOCUMENT A: "${docNames[0]}"\nDOCUMENT B: "${docNames[1]}"\n\n` +
+    `CHANGES (${diff.stats.changed} changed, ${diff.stats.inserted} inserted, ${diff.stats.deleted} deleted):\n\n` +
+    `${blocks.join('\n\n') || '(the documents have the same text)'}${tail}\n\nTASK: ${task}`
+  );
+}
+
+/**
+ * Markdown overview of a literal diff, used as the answer when no LLM summary is requested.
+ */
+export function formatDiffOverview(diff) {
+  const { stats } = diff;
+  if (!diff.changes.length) return 'The documents have the same text.';
+
+  const lines = [
+    `**${stats.changed} changed, ${stats.inserted} inserted and ${stats.deleted} deleted** ` +
+      `(${Math.round(stats.similarity * 100)}% of the sentences are unchanged; aligned by ${diff.alignment}).`,
+  ];
+  const ids = (key) => {
+    const list = diff.changes.filter((c) => c[key]).map((c) => `Change ${c.id}`);
+    return list.length > 10 ? `${list.slice(0, 10).join(', ')}, ...` : list.join(', ');
+  };
+  if (stats.numberChanges) lines.push(`- Numbers differ in ${stats.numberChanges} change(s): ${ids('numbers')}.`);
+  if (stats.obligationChanges) {
+    lines.push(`- Obligations (shall/must/may, ...) differ in ${stats.obligationChanges} change(s): ${ids('obligations')}.`);
+  }
+  if (diff.truncated) lines.push(`- Only the first ${diff.changes.length} changes are listed.`);
+  return lines.join('\n');
+}
+
+/**
+ * "What changed" report between two versions, from their literal diff: sections added and
+ * removed, changed figures (changes whose numbers differ) and changes in conclusion-like
+ * sections (abstract, results, discussion, conclusions, ...). Changes are referenced by id.
+ */
+export function buildChangeReport(diff) {
+  const where = (c) => ({ changeId: c.id, section: c.sectionB || c.sectionA, pageA: c.pageA, pageB: c.pageB });
+  return {
+    sectionsAdded: diff.sections?.added || [],
+    sectionsRemoved: diff.sections?.removed || [],
+    figures: diff.changes
+      .filter((c) => c.numbers)
+      .map((c) => ({ ...where(c), before: c.numbers.before, after: c.numbers.after })),
+    conclusions: diff.changes
+      .filter((c) => VERSION_DEFAULTS.CONCLUSION_SECTION_REGEX.test(c.sectionB || c.sectionA || ''))
+      .map((c) => ({ ...where(c), type: c.type, before: c.before, after: c.after })),
+  };
+}
@@ -7,6 +7,73 @@ export const SERVER_DEFAULTS = {
   STORAGE_PREFIX: 'documents',
 };
 
+export const AUTH_DEFAULTS = {
+  MODE: 'none',
+  // Owner used when auth is off, and for records created before owners existed.
+  DEFAULT_OWNER_ID: 'local',
+  TEAMS_CLAIM: 'teams',
+  CLOCK_TOLERANCE_SECONDS: 30,
+};
+
+export const STORE_DEFAULTS = {
+  BACKEND: 'supabase',
+  LOCAL_DIR: 'data',
+};
+
+export const EMBEDDING_DEFAULTS = {
+  PROVIDER: 'local',
+  DIMENSIONS: 384,
+  BASE_URL: 'https://api.openai.com/v1',
+  MODEL: 'text-embedding-3-small',
+  BATCH_SIZE: 64,
+};
+
+export const LLM_DEFAULTS = {
+  PROVIDER: 'groq',
+  PROVIDERS: {
+    groq: { model: 'llama-3.1-8b-instant', baseURL: 'https://api.groq.com/openai/v1' },
+    openai: { model: 'gpt-4o-mini', baseURL: 'https://api.openai.com/v1' },
+    ollama: { model: 'llama3.1', baseURL: 'http://localhost:11434/v1' },
+    mock: { model: 'mock', baseURL: '' },
+  },
+};
+
+export const LLM_SCHEDULER_DEFAULTS = {
+  MAX_CONCURRENCY: 4,
+  MAX_CONCURRENCY_PER_CLIENT: 2,
+  // 0 = no budget; set these to (slightly below) the provider's TPM limit.
+  TOKENS_PER_MINUTE: 0,
+  TOKENS_PER_MINUTE_PER_CLIENT: 0,
+  QUEUE_TIMEOUT_MS: 20_000,
+  MAX_QUEUED_PER_CLIENT: 8,
+  // Retry-After for callers turned away by the concurrency caps alone.
+  BUSY_RETRY_AFTER_SECONDS: 2,
+  // Used when the provider answers 429 without a Retry-After header.
+  PROVIDER_RETRY_AFTER_SECONDS: 10,
+};
+
+export const ANSWER_CACHE_DEFAULTS = {
+  BACKEND: 'memory',
+  MAX_ENTRIES: 500,
+  TTL_MS: 24 * 60 * 60 * 1000,
+  // Folder under LOCAL_STORE_DIR for ANSWER_CACHE=local.
+  DIR_NAME: 'answer-cache',
+  TABLE: 'answer_cache',
+};
+
+export const OCR_DEFAULTS = {
+  LANGS: 'eng',
+  // 1 = 72 dpi; 2.5 ≈ 180 dpi, a good speed/accuracy trade-off for Tesseract.
+  SCALE: 2.5,
+  MAX_PAGES: 0,
+  MIN_CONFIDENCE: 30,
+};
+
+export const JOB_DEFAULTS = {
+  CONCURRENCY: 1,
+  RETENTION_MS: 60 * 60 * 1000,
+};
+
 export const SETTINGS_DEFAULTS = {
   MAX_PAGES: 0,
   TOP_K: 5,
@@ -15,10 +82,69 @@ export const SETTINGS_DEFAULTS = {
   MAX_TOTAL_CONTEXT_CHARS: 6500,
   CHAT_HISTORY_MESSAGES: 6,
   SUMMARY_MAX_CHUNKS: 20,
+  RETRIEVER: 'tfidf',
 };
 
 export const EXTRACTION_DEFAULTS = {
   NON_EMPTY_PAGE_MIN_CHARS: 50,
+
+  // Heading detection (layout.js)
+  HEADING_SIZE_RATIO: 1.15,
+  HEADING_MAX_CHARS: 120,
+  HEADING_MAX_WORDS: 14,
+  MAX_HEADING_LEVEL: 4,
+  REPEATED_LINE_PAGE_RATIO: 0.3,
+
+  // Chunking (pdf.js)
+  CHUNK_TARGET_CHARS: 3500,
+  CHUNK_OVERLAP_CHARS: 300,
+  // Sections shorter than this are merged with the next one instead of becoming their own chunk.
+  SECTION_MIN_CHARS: 500,
+  // Stored on each document at ingest. Bump when extraction or chunking changes the chunks, so
+  // documents chunked the old way are listed for reprocessing (GET /api/admin/stale-artifacts).
+  CHUNKING_VERSION: 2,
+
+  // Table detection (tables.js)
+  // Gap between two text items, in font sizes, that separates table cells (word spaces are ~0.3).
+  TABLE_CELL_GAP_RATIO: 1,
+  TABLE_MIN_ROWS: 3,
+  TABLE_MIN_COLUMNS: 2,
+  // Longer cells on average means side-by-side paragraphs (two-column layouts), not a table.
+  TABLE_MAX_MEAN_CELL_CHARS: 30,
+  // Baseline distance, in font sizes, beyond which the next line no longer belongs to the table.
+  TABLE_MAX_ROW_GAP_RATIO: 2.5,
+  // Tables are chunked by rows (header repeated) so a part fits the prompt's per-chunk budget.
+  TABLE_CHUNK_TARGET_CHARS: 1200,
+
+  // Passage highlighting (pdf.js chunkHighlights): shorter lines ("1", "and") match too easily.
+  HIGHLIGHT_MIN_LINE_CHARS: 5,
+  HIGHLIGHT_EDGE_CHARS: 30,
+};
+
+export const METADATA_DEFAULTS = {
+  // Title, authors and abstract are looked for on the first pages only.
+  FRONT_PAGES: 2,
+  TITLE_MAX_LINES: 3,
+  AUTHOR_MAX_LINES: 8,
+  MAX_AUTHORS: 30,
+  ABSTRACT_MAX_CHARS: 3000,
+  MAX_REFERENCES: 1000,
+  REFERENCE_MAX_CHARS: 1000,
+  // Words that mark a line under the title as an affiliation rather than author names.
+  AFFILIATION_WORDS: [
+    'university', 'institute', 'department', 'dept', 'laboratory', 'lab', 'school', 'college', 'faculty',
+    'center', 'centre', 'inc', 'corp', 'corporation', 'company', 'foundation', 'ltd', 'gmbh', 'research',
+    'hospital', 'abstract', 'journal',
+  ],
+  // PDF Title entries that are placeholders, not the document's title.
+  PLACEHOLDER_TITLES: [/^untitled/i, /^microsoft (word|powerpoint)/i, /\.(docx?|pdf|tex|dvi|indd)$/i, /^title$/i],
+};
+
+export const VIEWER_DEFAULTS = {
+  PAGE_SCALE: 1.5,
+  MAX_PAGE_SCALE: 3,
+  // Raw PDFs kept in memory so paging through a document doesn't re-download it each time.
+  PDF_CACHE_ENTRIES: 4,
 };
 
 export const CHAT_DEFAULTS = {
@@ -35,13 +161,28 @@ export const CHAT_DEFAULTS = {
 
   SOURCE_EXCERPT_CHARS: 240,
 
+  // Questions about the document itself get its bibliographic metadata as an extra source.
+  METADATA_TRIGGERS: [
+    'author', 'wrote', 'written by', 'title of', 'published', 'publication', 'year', 'doi', 'arxiv', 'journal',
+    'venue', 'reference', 'cite', 'citation', 'bibliograph',
+  ],
+  METADATA_MAX_DOCUMENTS: 10,
+
+  // Part of the answer cache key: bump when the prompts below change so old answers aren't reused.
+  PROMPT_VERSION: 3,
+
   SYSTEM_PROMPT:
     "You are a careful assistant answering questions ONLY using the provided SOURCES from a PDF. " +
     "If the answer is not in the sources, say you can't find it in the document. " +
     "Cite sources by writing (Source 1), (Source 2), etc next to the relevant sentences. " +
+    'Sources labeled as tables are Markdown tables: read each value from its own row and column. ' +
     "If the sources seem unrelated to the question, you MUST say you can't find it in the document. " +
     'Do not make up facts.',
 
+  MULTI_DOCUMENT_PROMPT:
+    'The SOURCES come from several documents; each is labeled with its document name. ' +
+    'When documents disagree or only one of them covers a point, say which document says what.',
+
   RETRY: {
     TOP_K_CAP: 3,
     TOP_K_MIN: 1,
@@ -53,6 +194,117 @@ export const CHAT_DEFAULTS = {
   },
 };
 
+// Document summaries (summary.js): per-chunk abstracts (map) reduced into one summary per profile.
+export const SUMMARY_DEFAULTS = {
+  // `query` ranks the chunks the summary draws on (besides evenly sampled ones); `relevant` is how
+  // many of them at most. `instructions` shape the reduce step's output.
+  PROFILES: {
+    findings: {
+      label: 'Key findings',
+      query: 'key findings results conclusion contributions limitations future work abstract',
+      relevant: 12,
+      instructions:
+        'Produce:\n' +
+        '1) Key findings (bullets)\n' +
+        '2) Evidence & numbers (bullets; include metrics if present)\n' +
+        '3) Limitations / caveats\n' +
+        '4) One-paragraph plain-English takeaway\n' +
+        'If the summaries do not contain findings, say so.',
+    },
+    executive: {
+      label: 'Executive brief',
+      query: 'key findings results conclusion recommendations implications impact cost risk abstract',
+      relevant: 12,
+      instructions:
+        'Write an executive brief for a busy decision maker: start with a one-sentence bottom line, ' +
+        'then the 3-5 points that matter most and why, then recommendations, risks or open questions. ' +
+        'No methodology details unless they change the conclusion.',
+    },
+    sections: {
+      label: 'Section by section',
+      // Coverage only: every part of the document gets its share.
+      query: '',
+      relevant: 0,
+      instructions:
+        'Summarize the document section by section, in the order of the summaries: one Markdown heading ' +
+        'per section (use the section names given) followed by 1-3 bullets on what it says.',
+    },
+    methods: {
+      label: 'Methods only',
+      query: 'methodology methods data dataset sampling participants experiment setup procedure evaluation metrics baselines analysis',
+      relevant: 16,
+      instructions:
+        'Summarize ONLY the methodology: data and sampling, setup and procedure, evaluation and analysis, ' +
+        'and the limitations of the method. Leave out results and conclusions. ' +
+        'If the summaries do not describe a method, say so.',
+    },
+    lay: {
+      label: 'Lay audience',
+      query: 'key findings results conclusion contributions abstract introduction motivation',
+      relevant: 12,
+      instructions:
+        'Explain the document to a curious non-specialist: plain words and short sentences, explain any ' +
+        'technical term you cannot avoid, and cover what was done, what was found and why it matters. ' +
+        'Do not oversell the findings.',
+    },
+  },
+  DEFAULT_PROFILE: 'findings',
+
+  // Target length of the summary; `maxTokens` bounds the reduce step.
+  LENGTHS: {
+    short: { words: 150, maxTokens: 350 },
+    medium: { words: 400, maxTokens: 650 },
+    long: { words: 900, maxTokens: 1400 },
+  },
+  DEFAULT_LENGTH: 'medium',
+
+  // Map step: excerpts abstracted per call, calls at once, and the size of each excerpt/abstract.
+  ABSTRACT_BATCH_SIZE: 4,
+  ABSTRACT_CONCURRENCY: 2,
+  ABSTRACT_CHUNK_CHARS: 1800,
+  ABSTRACT_MAX_TOKENS_PER_CHUNK: 220,
+  ABSTRACT_MAX_CHARS: 1400,
+
+  // Stored with each summary (reduce step and profiles) and chunk abstract (map step); bump when
+  // the prompts change so artifacts written with the old ones are regenerated.
+  PROMPT_VERSION: 1,
+  MAP_PROMPT_VERSION: 1,
+
+  MAP_SYSTEM_PROMPT:
+    'You are a careful research assistant. Extract only what is supported by the provided excerpt. ' +
+    'Do not guess missing details.',
+  REDUCE_SYSTEM_PROMPT:
+    'You write a faithful document summary using ONLY the provided excerpt-summaries. ' +
+    'Do not introduce facts that are not mentioned. When possible, attach page ranges like (pp. 12-14) ' +
+    'and name the section a finding comes from (e.g. "in 3.2 Data").',
+};
+
+export const GROUNDING_DEFAULTS = {
+  // Share of a sentence's content words that must occur in a cited excerpt for it to count as supported.
+  MIN_SUPPORT: 0.3,
+  // Sentences with fewer content words (headings, "In short:") aren't scored.
+  MIN_CLAIM_WORDS: 3,
+  // "(Source 2-40)" is expanded to at most this many extra labels.
+  MAX_RANGE_EXPANSION: 20,
+  // Answers saying the documents don't cover something are not claims.
+  NON_CLAIM_PATTERNS: [
+    /can(?:'|’|no)t find/i,
+    /(?:not|isn't|is not) (?:mentioned|stated|covered|specified|provided)/i,
+    /(?:no|does not|doesn't) (?:contain|provide|mention|include) (?:any )?(?:relevant|information|details)/i,
+    /sources? (?:do|does)(?: not|n't) (?:say|mention|cover|contain)/i,
+  ],
+  STOPWORDS: [
+    'the', 'and', 'for', 'are', 'was', 'were', 'with', 'that', 'this', 'these', 'those', 'from', 'into', 'its',
+    'their', 'they', 'them', 'there', 'than', 'then', 'also', 'has', 'have', 'had', 'been', 'being', 'which',
+    'who', 'whom', 'what', 'when', 'where', 'while', 'how', 'why', 'not', 'but', 'can', 'could', 'would',
+    'should', 'will', 'may', 'might', 'such', 'both', 'each', 'other', 'more', 'most', 'some', 'any', 'all',
+    'only', 'about', 'over', 'under', 'between', 'through', 'per', 'via', 'our', 'his', 'her', 'she', 'him',
+    'you', 'your', 'one', 'two', 'document', 'documents', 'paper', 'source', 'sources', 'according', 'states',
+    'stated', 'says', 'mentions', 'mentioned', 'describes', 'described', 'an', 'as', 'at', 'be', 'by', 'do',
+    'if', 'in', 'is', 'it', 'of', 'on', 'or', 'so', 'to', 'we', 'no',
+  ],
+};
+
 export const COMPARE_DEFAULTS = {
   MODES: ['content', 'methodology', 'conclusions', 'structure', 'literal', 'custom'],
 
@@ -61,7 +313,8 @@ export const COMPARE_DEFAULTS = {
     methodology: 'Compare the methodology: data, experimental setup, evaluation, and limitations.',
     conclusions: 'Compare the main conclusions, results, and key takeaways.',
     structure: 'Compare the document structure: sections, organization, and coverage.',
-    literal: 'Compare literal wording differences: definitions, requirements, numbers, and constraints.',
+    // Mode 'literal' is a text diff; this is the task of its optional LLM summary.
+    literal: 'Summarize the literal wording differences: definitions, requirements, numbers, and constraints.',
     custom: 'Compare the documents: key similarities and key differences.',
   },
 
@@ -72,32 +325,142 @@ export const COMPARE_DEFAULTS = {
       'Keywords: conclusion conclusions results findings takeaways contributions limitations future work discussion',
     structure:
       'Keywords: table of contents outline structure sections headings chapters overview introduction conclusion appendix',
-    literal:
-      'Keywords: definition shall must should requirements constraints thresholds numbers units version compatibility',
   },
 
-  TOP_K_BONUS_MODES: new Set(['literal', 'structure']),
+  TOP_K_BONUS_MODES: new Set(['structure']),
   TOP_K_BONUS: 3,
   TOP_K_MAX_FOR_BONUS: 10,
 
-  CONTEXT_SPLIT_FACTOR: 2,
+  // MAX_TOTAL_CONTEXT_CHARS is split evenly between the documents, but no document gets less than this.
+  MIN_CONTEXT_CHARS_PER_DOCUMENT: 1200,
+
+  // Part of the answer cache key, like CHAT_DEFAULTS.PROMPT_VERSION.
+  PROMPT_VERSION: 3,
 
   SYSTEM_PROMPT:
-    'You compare two PDFs using ONLY the provided excerpts. ' +
-    'When you state a similarity/difference, cite it like (A1) or (B2). ' +
+    'You compare PDFs, labeled A, B, C and so on, using ONLY the provided excerpts. ' +
+    'When you state a similarity/difference, cite it like (A1) or (C2). ' +
     "If you can't support a claim with excerpts, say so. " +
     'If the task asks for literal differences, focus on exact wording/numbers. ' +
     'If the task is semantic, focus on meaning not writing style. ' +
     'Return two parts: (1) a concise Markdown answer; (2) a STRICT JSON object inside <JSON>...</JSON>. ' +
     "You MUST always include the <JSON> block even if you are unsure; in that case return an empty topics array and set verdicts to 'unclear'. " +
-    'The JSON schema must be EXACTLY: {"mode":string,"task":string,"topics":[{"topic":string,"docA":string,"docB":string,"verdict":"same"|"different"|"onlyA"|"onlyB"|"unclear","notes"?:string}],"summary"?:string}. ' +
+    'The JSON schema must be EXACTLY: {"mode":string,"task":string,"topics":[{"topic":string,"values":{"<label>":string},"verdict":"same"|"different"|"partial"|"unclear","notes"?:string}],"summary"?:string}. ' +
+    '"values" has one entry per document label with what that document says about the topic ("" when it says nothing); ' +
+    'use "partial" when only some of the documents cover the topic. ' +
     'Do NOT wrap the JSON in markdown fences. Do NOT include trailing commentary inside <JSON>.',
 
   MAX_TOKENS: 900,
+  // Longer answers for more documents: the table gets one column per document.
+  MAX_TOKENS_PER_EXTRA_DOCUMENT: 250,
+
+  ALLOWED_VERDICTS: new Set(['same', 'different', 'partial', 'unclear']),
+  // Verdicts of the two-document format (cached or scripted answers).
+  LEGACY_VERDICTS: { onlyA: 'partial', onlyB: 'partial' },
+};
+
+// Literal diff of two documents (diff.js, compare mode 'literal').
+export const DIFF_DEFAULTS = {
+  // Sections are aligned by heading only when both documents have this many, and the aligned
+  // sections hold at least MIN_SECTION_MATCH of each document's sentences; otherwise the whole
+  // documents are diffed sentence by sentence.
+  MIN_SECTIONS: 2,
+  MIN_SECTION_MATCH: 0.5,
+  // Sections left unmatched by heading are paired by their own heading (the last path part), or,
+  // when adjacent, by text sharing at least this share of words (Dice): a renamed heading.
+  SECTION_PAIR_MIN_SIMILARITY: 0.5,
+  // Bounds the work (and memory) per diff; past it the compared parts count as replaced.
+  MAX_SENTENCE_EDITS: 4000,
+  MAX_WORD_EDITS: 200,
+  // A deleted and an inserted sentence at most this far apart in a hunk, sharing at least
+  // CHANGE_MIN_SIMILARITY of their words (Dice), are reported as one changed sentence.
+  PAIR_WINDOW: 6,
+  CHANGE_MIN_SIMILARITY: 0.5,
+  MAX_CHANGES: 500,
+  MAX_TEXT_CHARS: 2000,
+  // Modal verbs and requirement words: a change in them changes what a clause obliges.
+  OBLIGATION_REGEX:
+    /\b(?:shall|must|should|may|will|can)(?:\s+not)?\b|\b(?:cannot|required|mandatory|optional|prohibited|forbidden)\b/gi,
+  NUMBER_REGEX: /[-+]?\d[\d,]*(?:\.\d+)?%?/g,
+  // The optional LLM summary sees the change list, cut to MAX_TOTAL_CONTEXT_CHARS.
+  SUMMARY_SYSTEM_PROMPT:
+    'You summarize a list of literal differences between two versions of a document, A and B. ' +
+    'The list was computed by a text diff: it is complete and exact, do not add changes that are not in it. ' +
+    'Lead with the changes that alter meaning (numbers, obligations such as shall/must/may, scope), then group the rest. ' +
+    'Cite changes like (Change 3). Answer in concise Markdown.',
+  SUMMARY_MAX_TOKENS: 700,
+};
+
+// Document versions (uploads with `versionOf`) and their change reports.
+export const VERSION_DEFAULTS = {
+  // Changes in sections with these headings count as changed conclusions.
+  CONCLUSION_SECTION_REGEX: /\b(?:abstract|summary|results|findings|discussion|conclusions?|recommendations|outlook)\b/i,
+  // Task of the optional LLM summary of a change report (with DIFF_DEFAULTS.SUMMARY_SYSTEM_PROMPT).
+  REPORT_TASK:
+    'Report what changed from the previous version (A) to this version (B): sections added or removed, ' +
+    'changed figures and numbers, and changed conclusions.',
+};
+
+// Schema-driven field extraction (/api/extract); EXTRACTION_DEFAULTS is about PDF text.
+export const EXTRACT_DEFAULTS = {
+  FIELD_TYPES: ['string', 'number', 'integer', 'boolean', 'date', 'list'],
+  MAX_FIELDS: 30,
+  MAX_FIELD_NAME_CHARS: 64,
+  MAX_DESCRIPTION_CHARS: 500,
+  MAX_OPTIONS: 50,
+
+  // Excerpts retrieved per field; their union is capped by MAX_TOTAL_CONTEXT_CHARS.
+  TOP_K_PER_FIELD: 3,
+  // Documents of a batch extracted at once (the LLM scheduler's per-client cap still applies).
+  BATCH_CONCURRENCY: 2,
+
+  // Used when the model doesn't report a confidence for a value it found.
+  DEFAULT_CONFIDENCE: 0.5,
+  // The model's confidence is scaled by how well the cited sources back the value.
+  SUPPORT_WEIGHTS: { verbatim: 1, cited: 0.75, uncited: 0.4 },
+
+  // Part of the answer cache key, like CHAT_DEFAULTS.PROMPT_VERSION.
+  PROMPT_VERSION: 1,
+
+  SYSTEM_PROMPT:
+    'You extract structured data from a PDF using ONLY the provided SOURCES. ' +
+    'For every requested field give its value, the numbers of the sources that state it, and your confidence from 0 to 1. ' +
+    'If the sources do not state a field, its value is null: do not guess. ' +
+    'Value types: string = JSON string; number = JSON number; integer = JSON integer; boolean = true/false; ' +
+    'date = "YYYY-MM-DD" (or "YYYY-MM" / "YYYY" when only that much is stated); list = JSON array of strings. ' +
+    'When a field lists allowed values, use exactly one of them (for lists, only them). ' +
+    'Return ONLY a STRICT JSON object inside <JSON>...</JSON> with one key per field name: ' +
+    '{"<field>":{"value":<value or null>,"sources":[number],"confidence":number}}. ' +
+    'Do NOT wrap the JSON in markdown fences.',
+
+  MAX_TOKENS: 1200,
+};
+
+// Comparison and conversation exports (server/export-helpers.js, docx.js).
+export const EXPORT_DEFAULTS = {
+  COMPARE_FORMATS: ['md', 'docx', 'csv', 'json'],
+  CONVERSATION_FORMATS: ['md', 'docx', 'json'],
+  CONTENT_TYPES: {
+    md: 'text/markdown; charset=utf-8',
+    docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    csv: 'text/csv; charset=utf-8',
+    json: 'application/json; charset=utf-8',
+  },
+  // Report excerpts are sources' `excerpt`, cut further to this many characters.
+  MAX_EXCERPT_CHARS: 600,
+};
 
-  ALLOWED_VERDICTS: new Set(['same', 'different', 'onlyA', 'onlyB', 'unclear']),
+export const CONVERSATION_DEFAULTS = {
+  TITLE_MAX_CHARS: 80,
 };
 
 export const SCHEMA_DEFAULTS = {
   CHAT_ROLES: ['user', 'assistant'],
+  // `docIds: 'all'` selects the whole collection.
+  ALL_DOCUMENTS: 'all',
+  MAX_CHAT_DOCUMENTS: 50,
+  MAX_COMPARE_DOCUMENTS: 8,
+  MAX_TITLE_CHARS: 200,
+  MAX_SHARE_ENTRIES: 100,
+  MAX_PRINCIPAL_CHARS: 200,
 };
@@ -0,0 +1,70 @@
+import crypto from 'node:crypto';
+
+import { CONVERSATION_DEFAULTS } from './constants.js';
+
+/**
+ * Conversation scope from a chat-style body: `docIds` (a list or 'all') or `[docId]`.
+ */
+export function conversationScope(body) {
+  return body.docIds || [body.docId];
+}
+
+export function newConversation({ docIds, title = '', ownerId }) {
+  const now = new Date().toISOString();
+  return {
+    id: crypto.randomUUID(),
+    ownerId,
+    title: title.trim(),
+    docIds,
+    messages: [],
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+/**
+ * Default title: the first question, trimmed to one line.
+ */
+export function titleFromQuestion(question) {
+  const line = String(question || '').replace(/\s+/g, ' ').trim();
+  const max = CONVERSATION_DEFAULTS.TITLE_MAX_CHARS;
+  return line.length <= max ? line : `${line.slice(0, max - 1)}…`;
+}
+
+/**
+ * Stored messages → the { role, content } history runChat expects.
+ */
+export function toChatHistory(messages) {
+  return (messages || []).map(({ role, content }) => ({ role, content }));
+}
+
+/**
+ * Append one question/answer turn. The assistant message keeps its sources (and kind/retriever
+ * when set) so a reloaded conversation renders the same citations.
+ */
+export function appendTurn(conversation, { question, result, askedAt }) {
+  const now = new Date().toISOString();
+  const assistant = {
+    role: 'assistant',
+    content: result.answer,
+    sources: result.sources || [],
+    ...(result.kind ? { kind: result.kind } : {}),
+    ...(result.retriever ? { retriever: result.retriever } : {}),
+    ...(result.grounding ? { grounding: result.grounding } : {}),
+    createdAt: now,
+  };
+  return {
+    ...conversation,
+    title: conversation.title || titleFromQuestion(question),
+    messages: [...conversation.messages, { role: 'user', content: question, createdAt: askedAt }, assistant],
+    updatedAt: now,
+  };
+}
+
+/**
+ * List entry shape: everything except the messages.
+ */
+export function conversationSummary(conversation) {
+  const { messages, ...summary } = conversation;
+  return { ...summary, messageCount: summary.messageCount ?? messages?.length ?? 0 };
+}
@@ -0,0 +1,221 @@
+import { tableToCsv, tableToMarkdown } from '../tables.js';
+import { rewriteCitations } from './citation-helpers.js';
+import { EXPORT_DEFAULTS } from './constants.js';
+
+// Reports are { title, blocks } with blocks of type 'heading' ({ level, text }), 'paragraph'
+// (one line of inline Markdown), 'markdown' (an LLM answer), 'table' ({ columns, rows }) and
+// 'quote' (a source excerpt). reportToMarkdown renders them here, reportToDocx in docx.js.
+
+const pagesOf = (s) => (s.pageStart === s.pageEnd ? `p. ${s.pageStart}` : `pp. ${s.pageStart}-${s.pageEnd}`);
+
+/**
+ * Where a source is, e.g. `report.pdf, pp. 3-4, section "3 Methods"`.
+ */
+function sourceLocation(source, docName) {
+  const parts = [source.docName || docName, pagesOf(source)];
+  if (source.tableId) parts.push(`table ${source.tableId}`);
+  if (source.sectionPath) parts.push(`section "${source.sectionPath}"`);
+  return parts.filter(Boolean).join(', ');
+}
+
+function excerptOf(source) {
+  const text = String(source.excerpt || '').replace(/\s+/g, ' ').trim();
+  return text.length > EXPORT_DEFAULTS.MAX_EXCERPT_CHARS ? `${text.slice(0, EXPORT_DEFAULTS.MAX_EXCERPT_CHARS)}…` : text;
+}
+
+/**
+ * The answer with each citation group expanded into page references: "(Source 1, 3)" becomes
+ * "(Source 1: report.pdf, p. 2; Source 3: report.pdf, pp. 4-5)". Unknown labels stay as written.
+ */
+function expandAnswer(answer, sourceOf, { style, name, docName }) {
+  return rewriteCitations(
+    answer,
+    (labels, group) => {
+      const known = labels.filter((label) => sourceOf(label));
+      if (!known.length) return group;
+      return `(${known.map((label) => `${name(label)}: ${sourceLocation(sourceOf(label), docName)}`).join('; ')})`;
+    },
+    { style }
+  );
+}
+
+function sourceBlocks(label, source, docName) {
+  const excerpt = excerptOf(source);
+  return [
+    { type: 'paragraph', text: `**${label}** — ${sourceLocation(source, docName)}` },
+    ...(excerpt ? [{ type: 'quote', text: excerpt }] : []),
+  ];
+}
+
+const documentColumn = (d) => `${d.label} · ${d.docName}`;
+
+/**
+ * The comparison as a table: the topic/verdict table, or the change list of a literal diff.
+ */
+export function compareTable(result) {
+  if (result.diff) {
+    const [a, b] = result.documents;
+    return {
+      columns: ['Change', 'Type', `${a.label} page`, `${b.label} page`, 'Section', `${a.label} text`, `${b.label} text`],
+      rows: result.diff.changes.map((c) => [
+        String(c.id),
+        c.type,
+        c.pageA == null ? '' : String(c.pageA),
+        c.pageB == null ? '' : String(c.pageB),
+        c.sectionB || c.sectionA || '',
+        c.before || '',
+        c.after || '',
+      ]),
+    };
+  }
+  return {
+    columns: ['Topic', ...result.documents.map(documentColumn), 'Verdict', 'Notes'],
+    rows: (result.structured?.topics || []).map((t) => [t.topic, ...t.values, t.verdict, t.notes || '']),
+  };
+}
+
+/**
+ * JSON export of the comparison table: documents, then `topics` (or `changes` for a literal diff)
+ * with values keyed by document label.
+ */
+export function compareTableJson(result) {
+  const documents = result.documents.map(({ label, docId, docName }) => ({ label, docId, docName }));
+  if (result.diff) {
+    return { mode: result.mode, documents, stats: result.diff.stats, changes: result.diff.changes };
+  }
+  return {
+    mode: result.mode,
+    task: result.task,
+    documents,
+    summary: result.structured?.summary ?? null,
+    topics: (result.structured?.topics || []).map((t) => ({
+      topic: t.topic,
+      values: Object.fromEntries(result.documents.map((d, i) => [d.label, t.values[i] ?? ''])),
+      verdict: t.verdict,
+      ...(t.notes ? { notes: t.notes } : {}),
+    })),
+  };
+}
+
+export function compareTableCsv(result) {
+  return tableToCsv(compareTable(result));
+}
+
+/**
+ * Report of a compare result (the /api/compare response): answer with expanded citations, the
+ * comparison table and every cited document's excerpts.
+ */
+export function compareReport(result) {
+  const { documents } = result;
+  const byLabel = new Map(documents.flatMap((d) => d.sources.map((s, i) => [`${d.label}${i + 1}`, { ...s, docName: d.docName }])));
+  let answer = expandAnswer(result.answer, (label) => byLabel.get(label), { style: 'compare', name: (label) => label });
+  if (result.diff) {
+    // The literal diff summary cites changes, "(Change 3)".
+    const changes = new Map(result.diff.changes.map((c) => [String(c.id), c]));
+    const [a, b] = documents;
+    answer = answer.replace(/\(Change (\d+)\)/g, (group, id) => {
+      const c = changes.get(id);
+      if (!c) return group;
+      const page = (label, n) => (n == null ? null : `${label} p. ${n}`);
+      return `(Change ${id}: ${[page(a.label, c.pageA), page(b.label, c.pageB)].filter(Boolean).join(', ')})`;
+    });
+  }
+
+  const table = compareTable(result);
+  const blocks = [
+    { type: 'paragraph', text: `**Mode:** ${result.mode}` },
+    ...(result.task ? [{ type: 'paragraph', text: `**Task:** ${result.task}` }] : []),
+    ...documents.map((d) => ({ type: 'paragraph', text: `**${d.label}:** ${d.docName}` })),
+    { type: 'heading', level: 1, text: 'Answer' },
+    { type: 'markdown', text: answer },
+  ];
+  if (table.rows.length) {
+    blocks.push({ type: 'heading', level: 1, text: result.diff ? 'Changes' : 'Comparison table' }, { type: 'table', ...table });
+  }
+  if (result.structured?.summary) blocks.push({ type: 'paragraph', text: result.structured.summary });
+  if (documents.some((d) => d.sources.length)) {
+    blocks.push({ type: 'heading', level: 1, text: 'Sources' });
+    for (const d of documents) {
+      if (!d.sources.length) continue;
+      blocks.push({ type: 'heading', level: 2, text: documentColumn(d) });
+      d.sources.forEach((s, i) => blocks.push(...sourceBlocks(`${d.label}${i + 1}`, s, d.docName)));
+    }
+  }
+
+  return { title: `Comparison: ${documents.map((d) => d.docName).join(' vs ')}`, blocks };
+}
+
+/**
+ * Report of a stored conversation: each question, then the answer with expanded citations and
+ * its sources. `docNames` maps document ids to names, for single-document sources.
+ */
+export function conversationReport(conversation, docNames = new Map()) {
+  const docName = conversation.docIds.length === 1 ? docNames.get(conversation.docIds[0]) : undefined;
+  const blocks = [
+    { type: 'paragraph', text: `**Documents:** ${conversation.docIds.map((id) => docNames.get(id) || id).join(', ')}` },
+    { type: 'paragraph', text: `**Created:** ${conversation.createdAt} · **Updated:** ${conversation.updatedAt}` },
+  ];
+  for (const message of conversation.messages) {
+    if (message.role === 'user') {
+      blocks.push({ type: 'heading', level: 2, text: 'Question' }, { type: 'paragraph', text: message.content });
+      continue;
+    }
+    const sources = message.sources || [];
+    blocks.push(
+      { type: 'heading', level: 2, text: 'Answer' },
+      {
+        type: 'markdown',
+        text: expandAnswer(message.content, (label) => sources[Number(label) - 1], {
+          style: 'chat',
+          name: (label) => `Source ${label}`,
+          docName,
+        }),
+      }
+    );
+    if (sources.length) {
+      blocks.push({ type: 'heading', level: 3, text: 'Sources' });
+      sources.forEach((s, i) => blocks.push(...sourceBlocks(`Source ${i + 1}`, s, docName)));
+    }
+  }
+  return { title: conversation.title || 'Conversation', blocks };
+}
+
+/**
+ * JSON transcript of a conversation: every message with its sources, and the documents' names.
+ */
+export function conversationTranscript(conversation, docNames = new Map()) {
+  const { id, title, docIds, createdAt, updatedAt, messages } = conversation;
+  return {
+    id,
+    title,
+    documents: docIds.map((docId) => ({ docId, docName: docNames.get(docId) ?? null })),
+    createdAt,
+    updatedAt,
+    exportedAt: new Date().toISOString(),
+    messages,
+  };
+}
+
+export function reportToMarkdown({ title, blocks }) {
+  const out = [`# ${title}`];
+  for (const b of blocks) {
+    if (b.type === 'heading') out.push(`${'#'.repeat(b.level + 1)} ${b.text}`);
+    else if (b.type === 'table') out.push(tableToMarkdown(b));
+    else if (b.type === 'quote') out.push(String(b.text).split('\n').map((l) => `> ${l}`).join('\n'));
+    else out.push(String(b.text ?? '').trim());
+  }
+  return `${out.join('\n\n')}\n`;
+}
+
+/**
+ * File name for an export: the title reduced to safe characters, plus the format's extension.
+ */
+export function exportFileName(title, format) {
+  const base = String(title || 'export')
+    .replace(/\.pdf\b/gi, '')
+    .replace(/[^\p{L}\p{N}._ -]+/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 100);
+  return `${base || 'export'}.${format}`;
+}
@@ -0,0 +1,161 @@
+import { z } from 'zod';
+import { extractStructuredJson } from './compare-helpers.js';
+import { EXTRACT_DEFAULTS } from './constants.js';
+
+// "12", "-0.7", "1,204", "1.2e-3"
+const NUMBER_TEXT = /^[-+−]?\d[\d,]*(?:\.\d+)?(?:e[-+]?\d+)?$/i;
+// "2021", "2021-05", "2021-05-03"
+const DATE_TEXT = /^\d{4}(?:-(?:0[1-9]|1[0-2])(?:-(?:0[1-9]|[12]\d|3[01]))?)?$/;
+
+/**
+ * Retrieval query for a field: its name split into words ("publicationYear", "sample_size")
+ * followed by its description.
+ */
+export function fieldRetrievalQuery(field) {
+  const words = field.name.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/[_.-]+/g, ' ');
+  return `${words} ${field.description || ''}`.trim();
+}
+
+/**
+ * Evidence for all fields: the per-field results (best first) taken round-robin, so every
+ * field gets its best excerpt before any gets its second, without duplicates and within
+ * `maxTotalChars`. `leading` results (e.g. the metadata source) come first and aren't capped.
+ */
+export function mergeFieldEvidence(perField, { leading = [], maxTotalChars = Infinity } = {}) {
+  const out = [...leading];
+  const seen = new Set(out.map((r) => r.chunk.id));
+  let total = 0;
+  const depth = Math.max(0, ...perField.map((list) => list.length));
+  for (let rank = 0; rank < depth; rank++) {
+    for (const list of perField) {
+      const r = list[rank];
+      if (!r || seen.has(r.chunk.id)) continue;
+      if (total + r.chunk.text.length > maxTotalChars && total > 0) continue;
+      seen.add(r.chunk.id);
+      total += r.chunk.text.length;
+      out.push(r);
+    }
+  }
+  return out;
+}
+
+function describeField(field) {
+  const flags = [field.type, ...(field.required ? ['required'] : [])].join(', ');
+  const options = field.options ? ` Allowed values: ${field.options.map((o) => JSON.stringify(o)).join(', ')}.` : '';
+  return `- ${JSON.stringify(field.name)} (${flags}): ${field.description || '(no description)'}${options}`;
+}
+
+/**
+ * User message of the extraction prompt: the fields to fill, then the numbered sources.
+ */
+export function buildExtractionPrompt(fields, contextBlocks) {
+  return `FIELDS:\n${fields.map(describeField).join('\n')}\n\nDOCUMENT SOURCES:\n\n${contextBlocks || '(no relevant excerpts found)'}`;
+}
+
+/**
+ * JSON object from the model output: the <JSON> block, or else the outermost {...}.
+ */
+export function parseExtractionJson(raw) {
+  const isObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+  const { structured } = extractStructuredJson(raw);
+  if (isObject(structured)) return structured;
+
+  const text = String(raw || '');
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start < 0 || end <= start) return null;
+  try {
+    const parsed = JSON.parse(text.slice(start, end + 1));
+    return isObject(parsed) ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+const toNumber = (s) => Number(s.replace(/,/g, '').replace('−', '-'));
+
+function valueSchema(field) {
+  const text = field.options ? z.enum(field.options) : z.string().trim().min(1);
+  switch (field.type) {
+    case 'number':
+      return z.union([z.number(), z.string().trim().regex(NUMBER_TEXT).transform(toNumber)]).pipe(z.number().finite());
+    case 'integer':
+      return z.union([z.number(), z.string().trim().regex(NUMBER_TEXT).transform(toNumber)]).pipe(z.number().int());
+    case 'boolean':
+      return z.boolean();
+    case 'date':
+      return z.string().trim().regex(DATE_TEXT, 'Expected YYYY, YYYY-MM or YYYY-MM-DD');
+    case 'list':
+      return z.array(text).min(1);
+    default:
+      return text;
+  }
+}
+
+/**
+ * Strict schema of one field's entry in the model output; an empty list counts as "not found".
+ */
+function entrySchema(field) {
+  return z.object({
+    value: z.preprocess((v) => (Array.isArray(v) && !v.length ? null : v), valueSchema(field).nullable()),
+    sources: z.array(z.number().int()).optional().default([]),
+    confidence: z.number().min(0).max(1).optional(),
+  });
+}
+
+const normalizeForMatch = (s) =>
+  String(s)
+    .toLowerCase()
+    .replace(/(\d),(?=\d{3})/g, '$1')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * How well the cited source texts back `value`: 'verbatim' when every (textual or numeric)
+ * part of it occurs in them, 'cited' when sources are cited but don't contain it literally
+ * (booleans, reworded values), 'uncited' without valid citations.
+ */
+function supportOf(value, citedTexts) {
+  if (!citedTexts.length) return 'uncited';
+  const haystack = normalizeForMatch(citedTexts.join('\n'));
+  const parts = (Array.isArray(value) ? value : [value]).filter((v) => typeof v === 'string' || typeof v === 'number');
+  return parts.length && parts.every((p) => haystack.includes(normalizeForMatch(p))) ? 'verbatim' : 'cited';
+}
+
+/**
+ * Validates the parsed model output against the requested fields. `sourceTexts[i]` is the
+ * text of SOURCE i+1 in the prompt.
+ *
+ * Returns { values, fields, valid }: `values` maps each field name to its value (null when not
+ * found or invalid); `fields[name]` is { value, sources, confidence, support, error? } where
+ * `sources` are the 1-based numbers of the prompted sources the value was taken from.
+ */
+export function validateExtraction(structured, fields, sourceTexts) {
+  const values = {};
+  const out = {};
+  for (const field of fields) {
+    const entry = structured?.[field.name];
+    const parsed = entrySchema(field).safeParse(entry ?? { value: null });
+
+    let result;
+    if (!structured) {
+      result = { value: null, sources: [], confidence: 0, support: 'uncited', error: 'The model returned no valid JSON' };
+    } else if (!parsed.success) {
+      const issue = parsed.error.issues[0];
+      const where = issue.path.length ? `${issue.path.join('.')}: ` : '';
+      result = { value: null, sources: [], confidence: 0, support: 'uncited', error: `Invalid value (${where}${issue.message})` };
+    } else if (parsed.data.value === null) {
+      result = { value: null, sources: [], confidence: 0, support: 'uncited' };
+      if (field.required) result.error = 'Required field not found';
+    } else {
+      const sources = Array.from(new Set(parsed.data.sources)).filter((n) => n >= 1 && n <= sourceTexts.length);
+      const support = supportOf(parsed.data.value, sources.map((n) => sourceTexts[n - 1]));
+      const confidence = (parsed.data.confidence ?? EXTRACT_DEFAULTS.DEFAULT_CONFIDENCE) * EXTRACT_DEFAULTS.SUPPORT_WEIGHTS[support];
+      result = { value: parsed.data.value, sources, confidence: Math.round(confidence * 100) / 100, support };
+    }
+
+    values[field.name] = result.value;
+    out[field.name] = result;
+  }
+  return { values, fields: out, valid: Object.values(out).every((f) => !f.error) };
+}
@@ -1,17 +1,172 @@
 import { z } from 'zod';
+import { RETRIEVERS } from '../retrieval.js';
 import { CompareMode } from './compare-helpers.js';
-import { SCHEMA_DEFAULTS } from './constants.js';
+import { EXTRACT_DEFAULTS, SCHEMA_DEFAULTS } from './constants.js';
 
-export const ChatBody = z.object({
-  docId: z.string().min(1),
-  messages: z.array(z.object({ role: z.enum(SCHEMA_DEFAULTS.CHAT_ROLES), content: z.string() })).default([]),
-  question: z.string().min(1),
+// Optional per-request retriever override (falls back to RETRIEVER env / 'tfidf').
+export const Retriever = z.enum(RETRIEVERS);
+
+// Several documents, or 'all' for the whole collection.
+const DocIds = z.union([
+  z.array(z.string().min(1)).min(1).max(SCHEMA_DEFAULTS.MAX_CHAT_DOCUMENTS),
+  z.literal(SCHEMA_DEFAULTS.ALL_DOCUMENTS),
+]);
+
+export const ChatBody = z
+  .object({
+    docId: z.string().min(1).optional(),
+    // Takes precedence over `docId`.
+    docIds: DocIds.optional(),
+    // Continue a stored conversation: its documents and history are used, `messages` is ignored.
+    conversationId: z.string().min(1).optional(),
+    messages: z.array(z.object({ role: z.enum(SCHEMA_DEFAULTS.CHAT_ROLES), content: z.string() })).default([]),
+    question: z.string().min(1),
+    retriever: Retriever.optional(),
+    // Chat with exactly the given document versions; by default each document's latest version is used.
+    pinVersion: z.boolean().optional().default(false),
+  })
+  .refine((b) => b.docId || b.docIds || b.conversationId, {
+    message: 'Provide docId, docIds or conversationId',
+    path: ['docId'],
+  });
+
+export const UpdateDocumentBody = z.object({
+  name: z.string().trim().min(1).max(SCHEMA_DEFAULTS.MAX_TITLE_CHARS),
+});
+
+// Replaces the document's sharing list; only the owner may change it.
+const Principals = z
+  .array(z.string().trim().min(1).max(SCHEMA_DEFAULTS.MAX_PRINCIPAL_CHARS))
+  .max(SCHEMA_DEFAULTS.MAX_SHARE_ENTRIES)
+  .default([]);
+
+export const ShareDocumentBody = z.object({
+  users: Principals,
+  teams: Principals,
+});
+
+export const CreateConversationBody = z
+  .object({
+    docId: z.string().min(1).optional(),
+    docIds: DocIds.optional(),
+    title: z.string().max(SCHEMA_DEFAULTS.MAX_TITLE_CHARS).optional().default(''),
+  })
+  .refine((b) => b.docId || b.docIds, { message: 'Provide docId or docIds', path: ['docId'] });
+
+export const UpdateConversationBody = z.object({
+  title: z.string().trim().min(1).max(SCHEMA_DEFAULTS.MAX_TITLE_CHARS),
+});
+
+const ExtractField = z.object({
+  name: z.string().trim().min(1).max(EXTRACT_DEFAULTS.MAX_FIELD_NAME_CHARS),
+  // What the field means; also the retrieval query (with the name).
+  description: z.string().trim().max(EXTRACT_DEFAULTS.MAX_DESCRIPTION_CHARS).optional().default(''),
+  type: z.enum(EXTRACT_DEFAULTS.FIELD_TYPES).optional().default('string'),
+  // Allowed values of a string field, or of a list field's items.
+  options: z.array(z.string().trim().min(1)).min(1).max(EXTRACT_DEFAULTS.MAX_OPTIONS).optional(),
+  required: z.boolean().optional().default(false),
 });
 
-export const CompareBody = z.object({
-  docIdA: z.string().min(1),
-  docIdB: z.string().min(1),
-  // Backward compatible: clients can continue sending `prompt` only.
-  prompt: z.string().optional().default(''),
+export const ExtractBody = z
+  .object({
+    docId: z.string().min(1).optional(),
+    // A batch: the same fields are extracted from each document. Takes precedence over `docId`.
+    docIds: DocIds.optional(),
+    fields: z
+      .array(ExtractField)
+      .min(1)
+      .max(EXTRACT_DEFAULTS.MAX_FIELDS)
+      .refine((fields) => new Set(fields.map((f) => f.name)).size === fields.length, {
+        message: 'Field names must be unique',
+      }),
+    retriever: Retriever.optional(),
+  })
+  .refine((b) => b.docId || b.docIds, { message: 'Provide docId or docIds', path: ['docId'] });
+
+export const CompareBody = z
+  .object({
+    // Labeled A, B, C, ... in this order. Takes precedence over `docIdA`/`docIdB`.
+    docIds: z.array(z.string().min(1)).min(2).max(SCHEMA_DEFAULTS.MAX_COMPARE_DOCUMENTS).optional(),
+    // Backward compatible two-document form.
+    docIdA: z.string().min(1).optional(),
+    docIdB: z.string().min(1).optional(),
+    // Backward compatible: clients can continue sending `prompt` only.
+    prompt: z.string().optional().default(''),
+    mode: CompareMode.optional().default('content'),
+    retriever: Retriever.optional(),
+    // Mode 'literal' only: summarize the computed change list with the LLM.
+    summarize: z.boolean().optional().default(false),
+  })
+  .refine((b) => b.docIds || (b.docIdA && b.docIdB), { message: 'Provide docIds (or docIdA and docIdB)', path: ['docIds'] })
+  .transform(({ docIdA, docIdB, ...b }) => ({ ...b, docIds: b.docIds || [docIdA, docIdB] }))
+  .refine((b) => new Set(b.docIds).size === b.docIds.length, {
+    message: 'Select different documents to compare',
+    path: ['docIds'],
+  });
+
+const ExportSource = z
+  .object({
+    pageStart: z.number(),
+    pageEnd: z.number(),
+    excerpt: z.string().optional().default(''),
+    docName: z.string().optional(),
+    sectionPath: z.string().optional(),
+    tableId: z.string().optional(),
+  })
+  .passthrough();
+
+// A compare response (/api/compare) posted back for export; only what the reports use is checked.
+export const CompareExportBody = z.object({
+  answer: z.string(),
   mode: CompareMode.optional().default('content'),
+  task: z.string().optional().default(''),
+  structured: z
+    .object({
+      topics: z
+        .array(
+          z.object({
+            topic: z.string(),
+            values: z.array(z.string()),
+            verdict: z.string(),
+            notes: z.string().optional(),
+          })
+        )
+        .default([]),
+      summary: z.string().optional(),
+    })
+    .passthrough()
+    .nullable()
+    .optional()
+    .default(null),
+  documents: z
+    .array(
+      z.object({
+        label: z.string().min(1),
+        docId: z.string().min(1),
+        docName: z.string(),
+        sources: z.array(ExportSource).default([]),
+      })
+    )
+    .min(2)
+    .max(SCHEMA_DEFAULTS.MAX_COMPARE_DOCUMENTS),
+  diff: z
+    .object({
+      changes: z.array(
+        z
+          .object({
+            id: z.number(),
+            type: z.string(),
+            pageA: z.number().nullable(),
+            pageB: z.number().nullable(),
+            sectionA: z.string().nullable().optional(),
+            sectionB: z.string().nullable().optional(),
+            before: z.string().optional().default(''),
+            after: z.string().optional().default(''),
+          })
+          .passthrough()
+      ),
+    })
+    .passthrough()
+    .nullable()
+    .optional(),
 });
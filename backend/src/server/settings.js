@@ -1,3 +1,4 @@
+import { RETRIEVERS } from '../retrieval.js';
 import { SERVER_DEFAULTS, SETTINGS_DEFAULTS } from './constants.js';
 
 export function getPort(env = process.env) {
@@ -16,6 +17,7 @@ export function getSettings(env = process.env) {
     chatHistoryMessages:
       parseInt(env.CHAT_HISTORY_MESSAGES || String(SETTINGS_DEFAULTS.CHAT_HISTORY_MESSAGES), 10) ||
       SETTINGS_DEFAULTS.CHAT_HISTORY_MESSAGES,
+    retriever: RETRIEVERS.includes((env.RETRIEVER || '').trim()) ? env.RETRIEVER.trim() : SETTINGS_DEFAULTS.RETRIEVER,
   };
 }
 
@@ -38,7 +40,7 @@ export function createCorsOptions(env = process.env) {
       if (allowedOrigins.includes(origin)) return callback(null, true);
       return callback(new Error(`CORS blocked origin: ${origin}`));
     },
-    methods: ['GET', 'POST', 'OPTIONS'],
-    allowedHeaders: ['Content-Type'],
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization'],
   };
 }
@@ -0,0 +1,39 @@
+/**
+ * Minimal Server-Sent Events writer for POST routes.
+ * Events: `token` ({ text }), `done` (final JSON payload), `error` ({ error, retryAfterSeconds? }).
+ */
+export function openSse(res) {
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  // Disable proxy buffering (nginx) so tokens reach the browser immediately.
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders?.();
+
+  const controller = new AbortController();
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+    controller.abort();
+  });
+
+  const send = (event, data) => {
+    if (closed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  return {
+    signal: controller.signal,
+    send,
+    token: (text) => send('token', { text }),
+    done: (payload) => {
+      send('done', payload);
+      res.end();
+    },
+    fail: (message, extra = {}) => {
+      send('error', { error: message, ...extra });
+      res.end();
+    },
+  };
+}
@@ -0,0 +1,22 @@
+import { isCurrent } from './artifact-helpers.js';
+import { SUMMARY_DEFAULTS } from './constants.js';
+
+export function summaryKey(profile, length) {
+  return `${profile}:${length}`;
+}
+
+/**
+ * The cached summary of `doc` for a profile and length ({ summary, sources, profile, length,
+ * updatedAt, stamp }), or null when there is none or its stamp doesn't match `stamp` (the current
+ * model, prompt version and chunking version). The `summary` field of records from before summary
+ * profiles has no stamp, so it is never served.
+ */
+export function cachedSummary(
+  doc,
+  stamp,
+  profile = SUMMARY_DEFAULTS.DEFAULT_PROFILE,
+  length = SUMMARY_DEFAULTS.DEFAULT_LENGTH
+) {
+  const entry = doc.summaries?.[summaryKey(profile, length)];
+  return entry?.summary?.trim() && isCurrent(entry.stamp, stamp) ? entry : null;
+}
@@ -0,0 +1,232 @@
+import { buildTfidfIndex } from '../retrieval.js';
+import { AUTH_DEFAULTS } from '../server/constants.js';
+
+export function sanitizeFilename(name) {
+  const raw = String(name || '').trim() || 'document.pdf';
+  // Keep it storage/path safe and reasonably readable.
+  const safe = raw.replace(/[^a-zA-Z0-9._-]+/g, '_');
+  return safe.toLowerCase().endsWith('.pdf') ? safe : `${safe}.pdf`;
+}
+
+function sanitizePathSegment(value) {
+  return String(value).replace(/[^a-zA-Z0-9._-]+/g, '_').replace(/^\.+$/, '_');
+}
+
+/**
+ * `<prefix>/<owner>/<docId>/<file>.pdf`; without `ownerId` (older records) `<prefix>/<docId>/<file>.pdf`.
+ */
+export function storageObjectPath({ prefix = 'documents', ownerId, docId, fileName }) {
+  const owner = ownerId ? `${sanitizePathSegment(ownerId)}/` : '';
+  return `${prefix}/${owner}${docId}/${sanitizeFilename(fileName)}`;
+}
+
+/**
+ * Owner of a document or conversation; records from before owners existed belong to the default owner.
+ */
+export function ownerOf(record) {
+  return record?.ownerId || AUTH_DEFAULTS.DEFAULT_OWNER_ID;
+}
+
+export function emptySharing() {
+  return { users: [], teams: [] };
+}
+
+/**
+ * Version fields of a document: `lineageId` is the id of its first version (null on the first
+ * version itself), `version` counts from 1, `previousVersionId`/`nextVersionId` link consecutive
+ * versions (the latest version has no `nextVersionId`).
+ */
+export function versionFields(record) {
+  return {
+    lineageId: record?.lineageId ?? null,
+    version: record?.version ?? 1,
+    previousVersionId: record?.previousVersionId ?? null,
+    nextVersionId: record?.nextVersionId ?? null,
+  };
+}
+
+export function isOwner(record, user) {
+  return !!user && ownerOf(record) === user.id;
+}
+
+/**
+ * Owner, or listed in `sharedWith.users`, or member of one of `sharedWith.teams`.
+ */
+export function canAccessDocument(doc, user) {
+  if (!user) return false;
+  if (isOwner(doc, user)) return true;
+  const shared = doc?.sharedWith || emptySharing();
+  return (shared.users || []).includes(user.id) || (user.teams || []).some((t) => (shared.teams || []).includes(t));
+}
+
+/**
+ * `chunks` with the abstracts of `abstracts` (Map chunkId → text) set, each with `stamp` as its
+ * `abstractStamp` (what produced it). A null text removes the chunk's abstract.
+ */
+export function withChunkAbstracts(chunks, abstracts, stamp = null) {
+  return (chunks || []).map((c) => {
+    if (!abstracts.has(c.id)) return c;
+    const { abstract, abstractStamp, ...rest } = c;
+    const text = abstracts.get(c.id);
+    return text == null ? rest : { ...rest, abstract: text, abstractStamp: stamp };
+  });
+}
+
+// Summary "key" of the `summary` field that records had before summary profiles.
+export const LEGACY_SUMMARY_KEY = 'legacy';
+
+/**
+ * Document fields after caching `entry` under `key` in `summaries`; a null entry removes it (for
+ * LEGACY_SUMMARY_KEY, clears `summary`).
+ */
+export function withSummaryEntry(summaries, key, entry) {
+  if (key === LEGACY_SUMMARY_KEY) return entry == null ? { summary: null, summaryUpdatedAt: null } : {};
+  const { [key]: _previous, ...rest } = summaries || {};
+  return { summaries: entry == null ? rest : { ...rest, [key]: entry } };
+}
+
+/**
+ * Store interface shared by every backend (Supabase, local disk, ...).
+ *
+ * Implementations persist the serializable document (pages, chunks with their abstracts, summaries,
+ * storage info, owner, sharing and version links) and the raw PDF bytes. The retrieval index is built
+ * here when a document enters the in-memory cache (stores may persist a serialized copy).
+ *
+ * Reads take an optional `user` ({ id, teams }): documents are then limited to what the
+ * user owns or has been shared, conversations to the user's own. Without `user` they are
+ * unscoped, which is only meant for internal cleanup.
+ */
+export class DocumentStore {
+  constructor() {
+    /** @type {Map<string, any>} */
+    this.docs = new Map();
+  }
+
+  /** Validate connectivity / create folders. */
+  async init() {}
+
+  async upsert(doc) {
+    throw new Error(`${this.constructor.name}.upsert is not implemented`);
+  }
+
+  /**
+   * Persist the raw PDF. Returns { bucket, path }.
+   */
+  async uploadPdfToStorage({ docId, fileName, buffer, bucket, prefix, contentType }) {
+    throw new Error(`${this.constructor.name}.uploadPdfToStorage is not implemented`);
+  }
+
+  /**
+   * Best-effort: remember where the raw PDF lives. Never throws.
+   */
+  async tryUpdateStorageInfo(docId, { bucket, path, mime, bytes, updatedAt }) {}
+
+  /**
+   * Cached or freshly loaded document, or null when it doesn't exist or `user` can't access it.
+   */
+  async get(id, { user } = {}) {
+    const doc = this.docs.get(id) || (await this.load(id));
+    if (!doc) return null;
+    return !user || canAccessDocument(doc, user) ? doc : null;
+  }
+
+  /** Read a document from storage and cache it (see cacheDoc); null when missing. */
+  async load(id) {
+    throw new Error(`${this.constructor.name}.load is not implemented`);
+  }
+
+  /** List entries (no pages/chunks) of the documents `user` can access. */
+  async list({ user } = {}) {
+    throw new Error(`${this.constructor.name}.list is not implemented`);
+  }
+
+  /**
+   * Update document metadata (`name`, `sharedWith`, `lineageId`, `previousVersionId`, `nextVersionId`)
+   * without touching pages/chunks. Returns false when the document does not exist.
+   */
+  async updateMetadata(id, { name, sharedWith, lineageId, previousVersionId, nextVersionId }) {
+    throw new Error(`${this.constructor.name}.updateMetadata is not implemented`);
+  }
+
+  /**
+   * Cache one generated summary under `key` (profile:length), next to the document's other
+   * summaries: `entry` is { summary, sources, profile, length, updatedAt, stamp }, or null to
+   * remove it (see withSummaryEntry). Returns false when the document does not exist.
+   */
+  async saveSummary(id, key, entry) {
+    throw new Error(`${this.constructor.name}.saveSummary is not implemented`);
+  }
+
+  /**
+   * Store chunk abstracts (Map chunkId → text, or null to remove one) as the `abstract` of those
+   * chunks, stamped with `stamp`, without re-indexing. Returns false when the document does not exist.
+   */
+  async saveChunkAbstracts(id, abstracts, stamp) {
+    throw new Error(`${this.constructor.name}.saveChunkAbstracts is not implemented`);
+  }
+
+  /**
+   * Delete the document record (not the raw PDF; see deletePdfFromStorage).
+   * Returns false when the document does not exist.
+   */
+  async delete(id) {
+    throw new Error(`${this.constructor.name}.delete is not implemented`);
+  }
+
+  /** Raw PDF bytes written by uploadPdfToStorage. */
+  async downloadPdfFromStorage({ bucket, path }) {
+    throw new Error(`${this.constructor.name}.downloadPdfFromStorage is not implemented`);
+  }
+
+  async deletePdfFromStorage({ bucket, path }) {
+    throw new Error(`${this.constructor.name}.deletePdfFromStorage is not implemented`);
+  }
+
+  /**
+   * Create or replace a conversation: { id, ownerId, title, docIds, messages, createdAt, updatedAt }.
+   */
+  async saveConversation(conversation) {
+    throw new Error(`${this.constructor.name}.saveConversation is not implemented`);
+  }
+
+  /** Full conversation (with messages), or null (also when it belongs to someone other than `user`). */
+  async getConversation(id, { user } = {}) {
+    throw new Error(`${this.constructor.name}.getConversation is not implemented`);
+  }
+
+  /**
+   * Conversation summaries (no messages), most recently updated first.
+   * With `docId`, only conversations whose `docIds` include it; with `user`, only theirs.
+   */
+  async listConversations({ docId, user } = {}) {
+    throw new Error(`${this.constructor.name}.listConversations is not implemented`);
+  }
+
+  /** Returns true when a conversation was deleted. */
+  async deleteConversation(id) {
+    throw new Error(`${this.constructor.name}.deleteConversation is not implemented`);
+  }
+
+  /**
+   * Cache the in-memory version (with index) for fast subsequent reads.
+   * Pass `index` when a persisted copy was loaded; otherwise it is built from the chunks.
+   */
+  cacheDoc(doc, index = buildTfidfIndex(doc.chunks || [])) {
+    const cached = { ...doc, index };
+    this.docs.set(doc.id, cached);
+    return cached;
+  }
+
+  /** Mirror saved summaries and chunk abstracts into the cached copy (its index stays valid). */
+  patchCached(id, { fields, abstracts, stamp } = {}) {
+    const cached = this.docs.get(id);
+    if (!cached) return;
+    if (fields) Object.assign(cached, fields);
+    if (abstracts) cached.chunks = withChunkAbstracts(cached.chunks, abstracts, stamp);
+  }
+
+  /** Drop the cached copy (index, embeddings) so the next get() reloads it. */
+  evict(id) {
+    this.docs.delete(id);
+  }
+}
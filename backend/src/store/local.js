@@ -0,0 +1,333 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { deserializeTfidfIndex, serializeTfidfIndex } from '../retrieval.js';
+import { listMetadata } from '../metadata.js';
+import { conversationSummary } from '../server/conversation-helpers.js';
+import { tablesOf } from '../tables.js';
+import {
+  DocumentStore,
+  canAccessDocument,
+  emptySharing,
+  ownerOf,
+  storageObjectPath,
+  versionFields,
+  withChunkAbstracts,
+  withSummaryEntry,
+} from './base.js';
+
+function isNotFoundError(error) {
+  return error?.code === 'ENOENT';
+}
+
+async function readJson(file, fallback = null) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (e) {
+    if (isNotFoundError(e)) return fallback;
+    throw new Error(`Local store read failed (${file}): ${e.message}`);
+  }
+}
+
+async function writeJsonAtomic(file, value) {
+  // Write to a temp file first so a crash never leaves half-written JSON behind.
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(value));
+  await fs.rename(tmp, file);
+}
+
+function assertSafeSegment(value, label) {
+  const s = String(value || '');
+  if (!s || s === '.' || s === '..' || /[\\/]/.test(s)) throw new Error(`Invalid ${label}: ${s}`);
+  return s;
+}
+
+/**
+ * Filesystem-backed store for offline / CI / air-gapped runs.
+ *
+ * Layout under `rootDir`:
+ * - documents/<id>/document.json  metadata, summaries, storage info
+ * - documents/<id>/pages.json     extracted pages
+ * - documents/<id>/chunks.json    chunks (with their abstracts)
+ * - documents/<id>/metadata.json  bibliographic metadata with the reference list
+ *                                 (document.json keeps a copy without the references)
+ * - documents/<id>/index.json     serialized TF-IDF postings (rebuilt if missing/outdated)
+ * - blobs/<bucket>/<prefix>/<owner>/<id>/<file>.pdf  raw PDFs
+ * - conversations/<id>.json       chat conversations with their messages
+ *
+ * Pages/chunks live in their own files so `list()` only reads the small metadata file.
+ */
+export class LocalDocumentStore extends DocumentStore {
+  constructor({ rootDir }) {
+    super();
+    if (!rootDir) throw new Error('Missing LOCAL_STORE_DIR');
+    this.rootDir = path.resolve(rootDir);
+    this.documentsDir = path.join(this.rootDir, 'documents');
+    this.blobsDir = path.join(this.rootDir, 'blobs');
+    this.conversationsDir = path.join(this.rootDir, 'conversations');
+  }
+
+  docDir(id) {
+    return path.join(this.documentsDir, assertSafeSegment(id, 'document id'));
+  }
+
+  async init() {
+    try {
+      await fs.mkdir(this.documentsDir, { recursive: true });
+      await fs.mkdir(this.blobsDir, { recursive: true });
+      await fs.mkdir(this.conversationsDir, { recursive: true });
+    } catch (e) {
+      throw new Error(`Local store init failed: ${e.message}`);
+    }
+  }
+
+  async upsert(doc) {
+    const dir = this.docDir(doc.id);
+    const previous = (await readJson(path.join(dir, 'document.json'))) || {};
+
+    const meta = {
+      ...previous,
+      id: doc.id,
+      name: doc.name,
+      createdAt: doc.createdAt ?? previous.createdAt ?? null,
+      numPages: doc.numPages ?? 0,
+      numChunks: Array.isArray(doc.chunks) ? doc.chunks.length : 0,
+      numTables: tablesOf(doc.pages).length,
+      scannedLikely: !!doc.scannedLikely,
+      totalExtractedChars: doc.totalExtractedChars ?? 0,
+      nonEmptyPages: doc.nonEmptyPages ?? 0,
+      ocrPages: doc.ocrPages ?? [],
+      metadata: listMetadata(doc.metadata),
+      summary: doc.summary ?? null,
+      summaryUpdatedAt: doc.summaryUpdatedAt ?? null,
+      summaries: doc.summaries ?? {},
+      chunkingVersion: doc.chunkingVersion ?? null,
+      ownerId: doc.ownerId ?? previous.ownerId ?? null,
+      sharedWith: doc.sharedWith ?? previous.sharedWith ?? emptySharing(),
+      ...versionFields(doc),
+    };
+
+    await writeJsonAtomic(path.join(dir, 'pages.json'), doc.pages || []);
+    await writeJsonAtomic(path.join(dir, 'chunks.json'), doc.chunks || []);
+    await writeJsonAtomic(path.join(dir, 'metadata.json'), doc.metadata ?? null);
+    await writeJsonAtomic(path.join(dir, 'document.json'), meta);
+
+    const cached = this.cacheDoc({ ...doc, ownerId: meta.ownerId, sharedWith: meta.sharedWith });
+    await writeJsonAtomic(path.join(dir, 'index.json'), serializeTfidfIndex(cached.index));
+  }
+
+  blobFile(bucket, objectPath) {
+    const file = path.resolve(this.blobsDir, assertSafeSegment(bucket, 'bucket'), objectPath);
+    if (!file.startsWith(this.blobsDir + path.sep)) throw new Error(`Invalid storage path: ${objectPath}`);
+    return file;
+  }
+
+  /**
+   * Copy the raw PDF into the blob directory.
+   * Returns { bucket, path } using the same object path as Supabase Storage.
+   */
+  async uploadPdfToStorage({ ownerId, docId, fileName, buffer, bucket, prefix = 'documents' }) {
+    if (!bucket) throw new Error('Missing storage bucket name');
+    if (!docId) throw new Error('Missing docId for storage upload');
+    if (!buffer) throw new Error('Missing PDF buffer for storage upload');
+
+    const objectPath = storageObjectPath({ prefix, ownerId, docId, fileName });
+    const file = this.blobFile(bucket, objectPath);
+
+    try {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, buffer);
+    } catch (e) {
+      throw new Error(`Local storage write failed: ${e.message}`);
+    }
+
+    return { bucket, path: objectPath };
+  }
+
+  async tryUpdateStorageInfo(docId, { bucket, path: objectPath, mime, bytes, updatedAt }) {
+    if (!docId) return;
+    try {
+      const file = path.join(this.docDir(docId), 'document.json');
+      const meta = await readJson(file);
+      if (!meta) return;
+      await writeJsonAtomic(file, {
+        ...meta,
+        storageBucket: bucket,
+        storagePath: objectPath,
+        storageMime: mime,
+        storageBytes: typeof bytes === 'number' ? bytes : null,
+        storageUpdatedAt: updatedAt || new Date().toISOString(),
+      });
+    } catch {
+      // Best-effort, same as the Supabase store.
+    }
+  }
+
+  async load(id) {
+    const dir = this.docDir(id);
+    const meta = await readJson(path.join(dir, 'document.json'));
+    if (!meta) return null;
+
+    const doc = {
+      storageBucket: null,
+      storagePath: null,
+      storageMime: null,
+      storageBytes: null,
+      storageUpdatedAt: null,
+      ownerId: null,
+      sharedWith: emptySharing(),
+      summaries: {},
+      ...versionFields(null),
+      ...meta,
+      pages: await readJson(path.join(dir, 'pages.json'), []),
+      chunks: await readJson(path.join(dir, 'chunks.json'), []),
+      metadata: await readJson(path.join(dir, 'metadata.json'), null),
+    };
+    delete doc.numChunks;
+    delete doc.numTables;
+
+    const index = deserializeTfidfIndex(await readJson(path.join(dir, 'index.json')));
+    if (index && index.numChunks === doc.chunks.length) return this.cacheDoc(doc, index);
+    return this.cacheDoc(doc);
+  }
+
+  async list({ user } = {}) {
+    let ids = [];
+    try {
+      const entries = await fs.readdir(this.documentsDir, { withFileTypes: true });
+      ids = entries.filter((e) => e.isDirectory()).map((e) => e.name);
+    } catch (e) {
+      if (!isNotFoundError(e)) throw new Error(`Local store list failed: ${e.message}`);
+    }
+
+    const metas = await Promise.all(ids.map((id) => readJson(path.join(this.documentsDir, id, 'document.json'))));
+
+    return metas
+      .filter((d) => d && (!user || canAccessDocument(d, user)))
+      .map((d) => ({
+        id: d.id,
+        name: d.name,
+        createdAt: d.createdAt ?? null,
+        numPages: d.numPages ?? 0,
+        numChunks: d.numChunks ?? 0,
+        numTables: d.numTables ?? 0,
+        scannedLikely: !!d.scannedLikely,
+        totalExtractedChars: d.totalExtractedChars ?? 0,
+        nonEmptyPages: d.nonEmptyPages ?? 0,
+        ocrPages: d.ocrPages ?? [],
+        metadata: d.metadata ?? null,
+        ownerId: d.ownerId ?? null,
+        sharedWith: d.sharedWith ?? emptySharing(),
+        ...versionFields(d),
+      }));
+  }
+
+  async updateMetadata(id, { name, sharedWith, lineageId, previousVersionId, nextVersionId }) {
+    const file = path.join(this.docDir(id), 'document.json');
+    const meta = await readJson(file);
+    if (!meta) return false;
+    await writeJsonAtomic(file, {
+      ...meta,
+      ...(name !== undefined ? { name } : {}),
+      ...(sharedWith !== undefined ? { sharedWith } : {}),
+      ...(lineageId !== undefined ? { lineageId } : {}),
+      ...(previousVersionId !== undefined ? { previousVersionId } : {}),
+      ...(nextVersionId !== undefined ? { nextVersionId } : {}),
+    });
+    this.evict(id);
+    return true;
+  }
+
+  async saveSummary(id, key, entry) {
+    const file = path.join(this.docDir(id), 'document.json');
+    const meta = await readJson(file);
+    if (!meta) return false;
+    const fields = withSummaryEntry(meta.summaries, key, entry);
+    await writeJsonAtomic(file, { ...meta, ...fields });
+    this.patchCached(id, { fields });
+    return true;
+  }
+
+  async saveChunkAbstracts(id, abstracts, stamp) {
+    const file = path.join(this.docDir(id), 'chunks.json');
+    const chunks = await readJson(file);
+    if (!chunks) return false;
+    await writeJsonAtomic(file, withChunkAbstracts(chunks, abstracts, stamp));
+    this.patchCached(id, { abstracts, stamp });
+    return true;
+  }
+
+  async delete(id) {
+    const dir = this.docDir(id);
+    this.evict(id);
+    try {
+      await fs.access(dir);
+    } catch (e) {
+      if (isNotFoundError(e)) return false;
+      throw new Error(`Local store delete failed: ${e.message}`);
+    }
+    await fs.rm(dir, { recursive: true, force: true });
+    return true;
+  }
+
+  async downloadPdfFromStorage({ bucket, path: objectPath }) {
+    try {
+      return await fs.readFile(this.blobFile(bucket, objectPath));
+    } catch (e) {
+      throw new Error(`Local storage read failed: ${e.message}`);
+    }
+  }
+
+  async deletePdfFromStorage({ bucket, path: objectPath }) {
+    const file = this.blobFile(bucket, objectPath);
+    try {
+      await fs.rm(file, { force: true });
+      // Remove the now-empty <prefix>/<id>/ folder; ignore if anything else is left in it.
+      await fs.rmdir(path.dirname(file)).catch(() => {});
+    } catch (e) {
+      throw new Error(`Local storage delete failed: ${e.message}`);
+    }
+  }
+
+  conversationFile(id) {
+    return path.join(this.conversationsDir, `${assertSafeSegment(id, 'conversation id')}.json`);
+  }
+
+  async saveConversation(conversation) {
+    await writeJsonAtomic(this.conversationFile(conversation.id), conversation);
+    return conversation;
+  }
+
+  async getConversation(id, { user } = {}) {
+    const conversation = await readJson(this.conversationFile(id));
+    if (!conversation || (user && ownerOf(conversation) !== user.id)) return null;
+    return conversation;
+  }
+
+  async listConversations({ docId, user } = {}) {
+    let files = [];
+    try {
+      files = (await fs.readdir(this.conversationsDir)).filter((f) => f.endsWith('.json'));
+    } catch (e) {
+      if (!isNotFoundError(e)) throw new Error(`Local store list failed: ${e.message}`);
+    }
+
+    const conversations = await Promise.all(files.map((f) => readJson(path.join(this.conversationsDir, f))));
+    return conversations
+      .filter((c) => c && (!user || ownerOf(c) === user.id))
+      .filter((c) => !docId || (Array.isArray(c.docIds) && c.docIds.includes(docId)))
+      .map(conversationSummary)
+      .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+  }
+
+  async deleteConversation(id) {
+    try {
+      await fs.unlink(this.conversationFile(id));
+      return true;
+    } catch (e) {
+      if (isNotFoundError(e)) return false;
+      throw new Error(`Local store delete failed: ${e.message}`);
+    }
+  }
+}
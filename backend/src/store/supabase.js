@@ -0,0 +1,498 @@
+import { createClient } from '@supabase/supabase-js';
+
+import { listMetadata } from '../metadata.js';
+import { ocrPagesOf } from '../ocr.js';
+import { conversationSummary } from '../server/conversation-helpers.js';
+import { AUTH_DEFAULTS } from '../server/constants.js';
+import { tablesOf } from '../tables.js';
+import {
+  DocumentStore,
+  emptySharing,
+  ownerOf,
+  storageObjectPath,
+  versionFields,
+  withChunkAbstracts,
+  withSummaryEntry,
+} from './base.js';
+
+function pick(obj, names, fallback = undefined) {
+  for (const name of names) {
+    if (obj && Object.prototype.hasOwnProperty.call(obj, name) && obj[name] !== null && obj[name] !== undefined) {
+      return obj[name];
+    }
+  }
+  return fallback;
+}
+
+function isMissingColumnError(error) {
+  const msg = (error?.message || '').toLowerCase();
+  return msg.includes('does not exist') && msg.includes('column');
+}
+
+function isSchemaCacheColumnError(error) {
+  const msg = (error?.message || '').toLowerCase();
+  // Example: "Could not find the 'chunks' column of 'documents' in the schema cache"
+  return msg.includes('schema cache') && msg.includes('could not find') && msg.includes('column');
+}
+
+function isIntegerSyntaxError(error) {
+  const msg = (error?.message || '').toLowerCase();
+  // Example: invalid input syntax for type integer: "e53803d604b4709a"
+  return msg.includes('invalid input syntax for type integer');
+}
+
+function isMissingBucketError(error) {
+  const msg = (error?.message || '').toLowerCase();
+  return msg.includes('bucket') && (msg.includes('not found') || msg.includes('does not exist'));
+}
+
+function isRlsViolationError(error) {
+  const msg = (error?.message || '').toLowerCase();
+  return msg.includes('row-level security') || msg.includes('rls');
+}
+
+function isMissingTableError(error) {
+  const msg = (error?.message || '').toLowerCase();
+  // Example: "Could not find the table 'public.conversations' in the schema cache"
+  return msg.includes('could not find the table') || (msg.includes('relation') && msg.includes('does not exist'));
+}
+
+// PostgREST filter value, quoted so ids with commas/dots/parentheses stay one value.
+function filterValue(v) {
+  return `"${String(v).replace(/["\\]/g, '\\$&')}"`;
+}
+
+/**
+ * `.or()` clause for rows owned by `user` (rows without owner belong to the default owner).
+ */
+function ownedByClauses(user) {
+  const clauses = [`owner_id.eq.${filterValue(user.id)}`];
+  if (user.id === AUTH_DEFAULTS.DEFAULT_OWNER_ID) clauses.push('owner_id.is.null');
+  return clauses;
+}
+
+/**
+ * `.or()` filter for documents `user` owns or that are shared with them or one of their teams.
+ */
+function accessFilter(user) {
+  const clauses = [...ownedByClauses(user), `shared_users.cs.{${filterValue(user.id)}}`];
+  if (user.teams?.length) clauses.push(`shared_teams.ov.{${user.teams.map(filterValue).join(',')}}`);
+  return clauses.join(',');
+}
+
+function sharingFromRow(row) {
+  return {
+    users: pick(row, ['shared_users', 'sharedUsers'], []),
+    teams: pick(row, ['shared_teams', 'sharedTeams'], []),
+  };
+}
+
+function versionFromRow(row) {
+  return versionFields({
+    lineageId: pick(row, ['lineage_id', 'lineageId'], null),
+    version: pick(row, ['version'], 1),
+    previousVersionId: pick(row, ['previous_version_id', 'previousVersionId'], null),
+    nextVersionId: pick(row, ['next_version_id', 'nextVersionId'], null),
+  });
+}
+
+function toConversationRow(c) {
+  return {
+    id: c.id,
+    owner_id: c.ownerId ?? null,
+    title: c.title,
+    doc_ids: c.docIds,
+    messages: c.messages,
+    message_count: c.messages.length,
+    created_at: c.createdAt,
+    updated_at: c.updatedAt,
+  };
+}
+
+function fromConversationRow(row) {
+  return {
+    id: row.id,
+    ownerId: row.owner_id ?? null,
+    title: row.title || '',
+    docIds: row.doc_ids || [],
+    messages: row.messages || [],
+    messageCount: row.message_count ?? (row.messages || []).length,
+    createdAt: row.created_at ?? null,
+    updatedAt: row.updated_at ?? null,
+  };
+}
+
+function schemaHelp(table) {
+  return (
+    `Supabase table schema is missing required columns for '${table}'. ` +
+    `Run backend/supabase/schema.sql in Supabase SQL Editor. ` +
+    `If you just changed the table, reload the PostgREST schema cache in Supabase (Dashboard → Settings → API → "Reload schema") and try again.`
+  );
+}
+
+function typeHelp(table) {
+  return (
+    `Supabase table '${table}' has incompatible column types for this app. ` +
+    `This app expects documents.id to be TEXT (it uses a hash like "e53803d604b4709a"). ` +
+    `Fix by either dropping and recreating the table with backend/supabase/schema.sql, ` +
+    `or altering the column type in Supabase.`
+  );
+}
+
+/**
+ * Supabase-backed store: document rows in Postgres, raw PDFs in Supabase Storage.
+ */
+export class SupabaseDocumentStore extends DocumentStore {
+  constructor({ supabaseUrl, supabaseServiceRoleKey, table = 'documents', conversationsTable = 'conversations' }) {
+    super();
+
+    if (!supabaseUrl) throw new Error('Missing SUPABASE_URL');
+    if (!supabaseServiceRoleKey) throw new Error('Missing SUPABASE_SERVICE_ROLE_KEY');
+
+    // Common misconfig: using anon/publishable key on the backend.
+    // That key is subject to RLS (including Storage) and will fail on uploads.
+    if (String(supabaseServiceRoleKey).startsWith('sb_publishable_')) {
+      throw new Error(
+        'SUPABASE_SERVICE_ROLE_KEY is set to a publishable key. Use the Supabase service_role secret for backend writes/uploads.'
+      );
+    }
+
+    this.table = table;
+    this.conversationsTable = conversationsTable;
+    this.supabase = createClient(supabaseUrl, supabaseServiceRoleKey, {
+      auth: { persistSession: false },
+    });
+  }
+
+  async init() {
+    // Only validate that the table exists and is reachable.
+    // Column mismatches are reported with actionable guidance during upsert.
+    const { error } = await this.supabase.from(this.table).select('id').limit(1);
+    if (error) throw new Error(`Supabase init failed: ${error.message}`);
+  }
+
+  async upsert(doc) {
+    // Store only serializable parts; index is rebuilt at read time.
+    // We try a few column layouts (snake_case, camelCase, minimal) to
+    // tolerate existing Supabase tables created with different conventions.
+    const version = versionFields(doc);
+    const sharing = doc.sharedWith || emptySharing();
+    // The minimal row has no owner, which reads as the default owner's; for anyone else's (or a
+    // shared) document that would hand it to the wrong user, so a missing column is an error instead.
+    const ownerless = ownerOf(doc) === AUTH_DEFAULTS.DEFAULT_OWNER_ID && !sharing.users.length && !sharing.teams.length;
+    const attempts = [
+      {
+        id: doc.id,
+        name: doc.name,
+        created_at: doc.createdAt,
+        num_pages: doc.numPages,
+        pages: doc.pages,
+        chunks: doc.chunks,
+        scanned_likely: doc.scannedLikely,
+        total_extracted_chars: doc.totalExtractedChars,
+        non_empty_pages: doc.nonEmptyPages,
+        metadata: doc.metadata ?? null,
+        summary: doc.summary ?? null,
+        summary_updated_at: doc.summaryUpdatedAt ?? null,
+        summaries: doc.summaries ?? {},
+        chunking_version: doc.chunkingVersion ?? null,
+        owner_id: doc.ownerId ?? null,
+        shared_users: sharing.users,
+        shared_teams: sharing.teams,
+        lineage_id: version.lineageId,
+        version: version.version,
+        previous_version_id: version.previousVersionId,
+        next_version_id: version.nextVersionId,
+      },
+      {
+        id: doc.id,
+        name: doc.name,
+        createdAt: doc.createdAt,
+        numPages: doc.numPages,
+        pages: doc.pages,
+        chunks: doc.chunks,
+        scannedLikely: doc.scannedLikely,
+        totalExtractedChars: doc.totalExtractedChars,
+        nonEmptyPages: doc.nonEmptyPages,
+        metadata: doc.metadata ?? null,
+        summary: doc.summary ?? null,
+        summaryUpdatedAt: doc.summaryUpdatedAt ?? null,
+        summaries: doc.summaries ?? {},
+        chunkingVersion: doc.chunkingVersion ?? null,
+        ownerId: doc.ownerId ?? null,
+        sharedUsers: sharing.users,
+        sharedTeams: sharing.teams,
+        ...version,
+      },
+      ...(ownerless ? [{ id: doc.id, name: doc.name, pages: doc.pages, chunks: doc.chunks }] : []),
+    ];
+
+    let lastError = null;
+    for (const row of attempts) {
+      const { error } = await this.supabase.from(this.table).upsert(row, { onConflict: 'id' });
+      if (!error) {
+        lastError = null;
+        break;
+      }
+      lastError = error;
+      if (!(isMissingColumnError(error) || isSchemaCacheColumnError(error))) break;
+    }
+
+    if (lastError && (isMissingColumnError(lastError) || isSchemaCacheColumnError(lastError))) {
+      throw new Error(schemaHelp(this.table) + `\nOriginal error: ${lastError.message}`);
+    }
+    if (lastError && isIntegerSyntaxError(lastError)) {
+      throw new Error(
+        typeHelp(this.table) +
+          `\nOriginal error: ${lastError.message}` +
+          `\nSuggested SQL (if you have no important data):\n  drop table if exists public.${this.table};\n  -- then run backend/supabase/schema.sql and reload schema\n` +
+          `\nSuggested SQL (if you want to keep rows):\n  alter table public.${this.table} alter column id type text using id::text;\n  -- then reload schema\n`
+      );
+    }
+    if (lastError) throw new Error(`Supabase upsert failed: ${lastError.message}`);
+
+    this.cacheDoc(doc);
+  }
+
+  /**
+   * Upload the raw PDF into Supabase Storage.
+   * Returns { bucket, path }.
+   */
+  async uploadPdfToStorage({
+    ownerId,
+    docId,
+    fileName,
+    buffer,
+    bucket,
+    prefix = 'documents',
+    contentType = 'application/pdf',
+  }) {
+    if (!bucket) throw new Error('Missing Supabase storage bucket name');
+    if (!docId) throw new Error('Missing docId for storage upload');
+    if (!buffer) throw new Error('Missing PDF buffer for storage upload');
+
+    const path = storageObjectPath({ prefix, ownerId, docId, fileName });
+
+    const { error } = await this.supabase.storage
+      .from(bucket)
+      .upload(path, buffer, { contentType, upsert: true, cacheControl: '3600' });
+
+    if (error) {
+      if (isMissingBucketError(error)) {
+        throw new Error(
+          `Supabase Storage bucket '${bucket}' not found. Create it in Supabase Dashboard (Storage → New bucket) ` +
+            `or set SUPABASE_STORAGE_BUCKET to an existing bucket. Original error: ${error.message}`
+        );
+      }
+      if (isRlsViolationError(error)) {
+        throw new Error(
+          'Supabase Storage upload failed due to RLS. This usually means the backend is using an anon/publishable key. ' +
+            'Set SUPABASE_SERVICE_ROLE_KEY to the service_role secret (Project Settings → API) and restart the backend. ' +
+            `Original error: ${error.message}`
+        );
+      }
+      throw new Error(`Supabase Storage upload failed: ${error.message}`);
+    }
+
+    return { bucket, path };
+  }
+
+  /**
+   * Best-effort: store storage metadata if columns exist.
+   * Never throws on missing columns.
+   */
+  async tryUpdateStorageInfo(docId, { bucket, path, mime, bytes, updatedAt }) {
+    if (!docId) return;
+    const ts = updatedAt || new Date().toISOString();
+
+    const attempts = [
+      {
+        storage_bucket: bucket,
+        storage_path: path,
+        storage_mime: mime,
+        storage_bytes: typeof bytes === 'number' ? bytes : null,
+        storage_updated_at: ts,
+      },
+      {
+        storageBucket: bucket,
+        storagePath: path,
+        storageMime: mime,
+        storageBytes: typeof bytes === 'number' ? bytes : null,
+        storageUpdatedAt: ts,
+      },
+    ];
+
+    for (const patch of attempts) {
+      const { error } = await this.supabase.from(this.table).update(patch).eq('id', docId);
+      if (!error) return;
+      if (isMissingColumnError(error) || isSchemaCacheColumnError(error)) return;
+      // Any other error: don't break uploads.
+      return;
+    }
+  }
+
+  async load(id) {
+    const { data, error } = await this.supabase.from(this.table).select('*').eq('id', id).maybeSingle();
+
+    if (error) throw new Error(`Supabase read failed: ${error.message}`);
+    if (!data) return null;
+
+    const doc = {
+      id: data.id,
+      name: data.name,
+      createdAt: pick(data, ['created_at', 'createdAt', 'createdat'], null),
+      numPages: pick(data, ['num_pages', 'numPages', 'numpages'], 0),
+      pages: pick(data, ['pages'], []),
+      chunks: pick(data, ['chunks'], []),
+      scannedLikely: !!pick(data, ['scanned_likely', 'scannedLikely', 'scannedlikely'], false),
+      totalExtractedChars: pick(data, ['total_extracted_chars', 'totalExtractedChars', 'totalextractedchars'], 0),
+      nonEmptyPages: pick(data, ['non_empty_pages', 'nonEmptyPages', 'nonemptypages'], 0),
+      // Per-page OCR info lives in the pages JSON, so no extra column is needed.
+      ocrPages: ocrPagesOf(pick(data, ['pages'], [])),
+      metadata: pick(data, ['metadata'], null),
+      summary: pick(data, ['summary'], null),
+      summaryUpdatedAt: pick(data, ['summary_updated_at', 'summaryUpdatedAt', 'summaryupdatedat'], null),
+      summaries: pick(data, ['summaries'], {}),
+      chunkingVersion: pick(data, ['chunking_version', 'chunkingVersion', 'chunkingversion'], null),
+      storageBucket: pick(data, ['storage_bucket', 'storageBucket'], null),
+      storagePath: pick(data, ['storage_path', 'storagePath'], null),
+      storageMime: pick(data, ['storage_mime', 'storageMime'], null),
+      storageBytes: pick(data, ['storage_bytes', 'storageBytes'], null),
+      storageUpdatedAt: pick(data, ['storage_updated_at', 'storageUpdatedAt'], null),
+      ownerId: pick(data, ['owner_id', 'ownerId'], null),
+      sharedWith: sharingFromRow(data),
+      ...versionFromRow(data),
+    };
+
+    return this.cacheDoc(doc);
+  }
+
+  async list({ user } = {}) {
+    let query = this.supabase.from(this.table).select('*');
+    if (user) query = query.or(accessFilter(user));
+    const { data, error } = await query;
+
+    if (error) {
+      if (isMissingColumnError(error) || isSchemaCacheColumnError(error)) {
+        throw new Error(schemaHelp(this.table) + `\nOriginal error: ${error.message}`);
+      }
+      throw new Error(`Supabase list failed: ${error.message}`);
+    }
+
+    return (data || []).map((d) => ({
+      id: d.id,
+      name: d.name,
+      createdAt: pick(d, ['created_at', 'createdAt', 'createdat'], null),
+      numPages: pick(d, ['num_pages', 'numPages', 'numpages'], 0),
+      numChunks: Array.isArray(pick(d, ['chunks'], [])) ? pick(d, ['chunks'], []).length : 0,
+      scannedLikely: !!pick(d, ['scanned_likely', 'scannedLikely', 'scannedlikely'], false),
+      totalExtractedChars: pick(d, ['total_extracted_chars', 'totalExtractedChars', 'totalextractedchars'], 0),
+      nonEmptyPages: pick(d, ['non_empty_pages', 'nonEmptyPages', 'nonemptypages'], 0),
+      ocrPages: ocrPagesOf(pick(d, ['pages'], [])),
+      // Tables live in the pages JSON too.
+      numTables: tablesOf(pick(d, ['pages'], [])).length,
+      metadata: listMetadata(pick(d, ['metadata'], null)),
+      ownerId: pick(d, ['owner_id', 'ownerId'], null),
+      sharedWith: sharingFromRow(d),
+      ...versionFromRow(d),
+    }));
+  }
+
+  async updateMetadata(id, { name, sharedWith, lineageId, previousVersionId, nextVersionId }) {
+    const patch = {
+      ...(name !== undefined ? { name } : {}),
+      ...(sharedWith !== undefined ? { shared_users: sharedWith.users, shared_teams: sharedWith.teams } : {}),
+      ...(lineageId !== undefined ? { lineage_id: lineageId } : {}),
+      ...(previousVersionId !== undefined ? { previous_version_id: previousVersionId } : {}),
+      ...(nextVersionId !== undefined ? { next_version_id: nextVersionId } : {}),
+    };
+    const { data, error } = await this.supabase.from(this.table).update(patch).eq('id', id).select('id');
+    if (error) throw new Error(`Supabase update failed: ${error.message}`);
+    this.evict(id);
+    return (data || []).length > 0;
+  }
+
+  // Read-modify-write: PostgREST can't merge into a jsonb column.
+  async saveSummary(id, key, entry) {
+    const { data, error } = await this.supabase.from(this.table).select('summaries').eq('id', id).maybeSingle();
+    if (error) throw new Error(`Supabase read failed: ${error.message}`);
+    if (!data) return false;
+    const fields = withSummaryEntry(data.summaries, key, entry);
+    const patch = {
+      ...(fields.summaries ? { summaries: fields.summaries } : {}),
+      ...('summary' in fields ? { summary: null, summary_updated_at: null } : {}),
+    };
+    const { error: updateError } = await this.supabase.from(this.table).update(patch).eq('id', id);
+    if (updateError) throw new Error(`Supabase update failed: ${updateError.message}`);
+    this.patchCached(id, { fields });
+    return true;
+  }
+
+  async saveChunkAbstracts(id, abstracts, stamp) {
+    const { data, error } = await this.supabase.from(this.table).select('chunks').eq('id', id).maybeSingle();
+    if (error) throw new Error(`Supabase read failed: ${error.message}`);
+    if (!data) return false;
+    const chunks = withChunkAbstracts(data.chunks, abstracts, stamp);
+    const { error: updateError } = await this.supabase.from(this.table).update({ chunks }).eq('id', id);
+    if (updateError) throw new Error(`Supabase update failed: ${updateError.message}`);
+    this.patchCached(id, { abstracts, stamp });
+    return true;
+  }
+
+  async delete(id) {
+    const { data, error } = await this.supabase.from(this.table).delete().eq('id', id).select('id');
+    if (error) throw new Error(`Supabase delete failed: ${error.message}`);
+    this.evict(id);
+    return (data || []).length > 0;
+  }
+
+  async downloadPdfFromStorage({ bucket, path }) {
+    const { data, error } = await this.supabase.storage.from(bucket).download(path);
+    if (error) throw new Error(`Supabase Storage download failed: ${error.message}`);
+    return Buffer.from(await data.arrayBuffer());
+  }
+
+  async deletePdfFromStorage({ bucket, path }) {
+    const { error } = await this.supabase.storage.from(bucket).remove([path]);
+    if (error) throw new Error(`Supabase Storage delete failed: ${error.message}`);
+  }
+
+  async saveConversation(conversation) {
+    const { error } = await this.supabase.from(this.conversationsTable).upsert(toConversationRow(conversation), { onConflict: 'id' });
+    if (error) {
+      if (isMissingColumnError(error) || isSchemaCacheColumnError(error) || isMissingTableError(error)) {
+        throw new Error(schemaHelp(this.conversationsTable) + `\nOriginal error: ${error.message}`);
+      }
+      throw new Error(`Supabase conversation save failed: ${error.message}`);
+    }
+    return conversation;
+  }
+
+  async getConversation(id, { user } = {}) {
+    const { data, error } = await this.supabase.from(this.conversationsTable).select('*').eq('id', id).maybeSingle();
+    if (error) throw new Error(`Supabase read failed: ${error.message}`);
+    if (!data) return null;
+    const conversation = fromConversationRow(data);
+    return user && ownerOf(conversation) !== user.id ? null : conversation;
+  }
+
+  async listConversations({ docId, user } = {}) {
+    let query = this.supabase
+      .from(this.conversationsTable)
+      .select('id, owner_id, title, doc_ids, created_at, updated_at, message_count')
+      .order('updated_at', { ascending: false });
+    if (user) query = query.or(ownedByClauses(user).join(','));
+    // doc_ids is jsonb: an array argument would be sent as a Postgres array literal ("{id}").
+    if (docId) query = query.contains('doc_ids', JSON.stringify([docId]));
+
+    const { data, error } = await query;
+    if (error) throw new Error(`Supabase list failed: ${error.message}`);
+    return (data || []).map((row) => conversationSummary(fromConversationRow(row)));
+  }
+
+  async deleteConversation(id) {
+    const { data, error } = await this.supabase.from(this.conversationsTable).delete().eq('id', id).select('id');
+    if (error) throw new Error(`Supabase delete failed: ${error.message}`);
+    return (data || []).length > 0;
+  }
+}
@@ -1,4 +1,7 @@
 import { searchTfidf } from './retrieval.js';
+import { isCurrent } from './server/artifact-helpers.js';
+import { describeChunkLocation } from './server/chat-helpers.js';
+import { SUMMARY_DEFAULTS } from './server/constants.js';
 
 function parseIntSafe(v, fallback) {
   const n = parseInt(String(v ?? ''), 10);
@@ -26,40 +29,6 @@ function parseJsonArrayBestEffort(text) {
   }
 }
 
-function createMapCache() {
-  const maxEntries = parseIntSafe(process.env.SUMMARY_MAP_CACHE_MAX, 1200);
-  const ttlMs = parseIntSafe(process.env.SUMMARY_MAP_CACHE_TTL_MS, 60 * 60_000);
-  /** @type {Map<string, { value: any, expiresAt: number }>} */
-  const map = new Map();
-
-  const get = (key) => {
-    const hit = map.get(key);
-    if (!hit) return undefined;
-    if (Date.now() > hit.expiresAt) {
-      map.delete(key);
-      return undefined;
-    }
-    // LRU bump
-    map.delete(key);
-    map.set(key, hit);
-    return hit.value;
-  };
-
-  const set = (key, value) => {
-    map.delete(key);
-    map.set(key, { value, expiresAt: Date.now() + ttlMs });
-    while (map.size > maxEntries) {
-      const k = map.keys().next().value;
-      if (k === undefined) break;
-      map.delete(k);
-    }
-  };
-
-  return { get, set };
-}
-
-const MAP_SUMMARY_CACHE = createMapCache();
-
 async function pMapLimit(items, limit, mapper) {
   const concurrency = Math.max(1, limit || 1);
   const out = new Array(items.length);
@@ -109,81 +78,69 @@ function clip(s, maxChars) {
   return s.slice(0, Math.max(0, maxChars - 1)) + '…';
 }
 
+// Without a `stamp` any stored abstract will do; with one, only abstracts it produced.
+const hasAbstract = (chunk, stamp) =>
+  typeof chunk?.abstract === 'string' &&
+  chunk.abstract.trim().length > 0 &&
+  (!stamp || isCurrent(chunk.abstractStamp, stamp));
+
 /**
- * Map-reduce summarization for large PDFs.
- *
- * Strategy:
- * - Select a bounded set of chunks (top TF-IDF for a "summary" query + evenly sampled coverage)
- * - Summarize each selected chunk with a small output budget
- * - Reduce those summaries into final "key findings"
+ * Abstracts of `chunks` (the map step): up to 3 key findings/claims and any quantitative results
+ * per excerpt, a few excerpts per call. Excerpts a batch answer left out are retried one by one.
+ * `onProgress(done, total)` counts finished calls. Each batch's abstracts are handed to
+ * `onAbstracts(Map chunkId → abstract)` as it finishes (one call at a time), so a later failure
+ * doesn't lose them. A failed call doesn't stop the others; once all are done the first failure is
+ * thrown, naming how many chunks are left without an abstract. Returns Map chunkId → abstract.
  */
-export async function summarizeDocument({
-  doc,
-  question,
-  chatCompletion,
-  client,
-  model,
-  maxSelectedChunks = 20,
-  perChunkChars = 1800,
-  perChunkMaxTokens = 220,
-  reduceMaxTokens = 650,
-  mapBatchSize = parseIntSafe(process.env.SUMMARY_MAP_BATCH_SIZE, 4),
-  mapConcurrency = parseIntSafe(process.env.SUMMARY_MAP_CONCURRENCY, 2),
-  enableMapCache = (process.env.SUMMARY_MAP_CACHE || '1') !== '0',
-}) {
-  if (!doc?.chunks?.length) {
-    return { summary: 'No chunks available to summarize.', sources: [] };
+export async function abstractChunks(
+  chunks,
+  {
+    chatCompletion,
+    client,
+    model,
+    perChunkChars = SUMMARY_DEFAULTS.ABSTRACT_CHUNK_CHARS,
+    perChunkMaxTokens = SUMMARY_DEFAULTS.ABSTRACT_MAX_TOKENS_PER_CHUNK,
+    batchSize = parseIntSafe(process.env.SUMMARY_MAP_BATCH_SIZE, SUMMARY_DEFAULTS.ABSTRACT_BATCH_SIZE),
+    concurrency = parseIntSafe(process.env.SUMMARY_MAP_CONCURRENCY, SUMMARY_DEFAULTS.ABSTRACT_CONCURRENCY),
+    onProgress,
+    onAbstracts,
+    signal,
   }
-
-  const summaryQuery =
-    (question || '').trim() ||
-    'key findings results conclusion contributions limitations future work abstract';
-
-  // 1) Relevance-based selection (findings/results) + 2) Coverage-based selection (even sampling)
-  const top = searchTfidf(doc.index, doc.chunks, summaryQuery, {
-    topK: Math.min(12, maxSelectedChunks),
-    maxChunkChars: perChunkChars,
-    maxTotalChars: 50_000,
-  });
-
-  const coverageCount = Math.max(0, maxSelectedChunks - top.length);
-  const sampled = sampleEvenly(doc.chunks, coverageCount).map((c) => ({ chunk: { ...c, text: clip(c.text, perChunkChars) }, score: 0 }));
-
-  const selected = uniqById([...top, ...sampled]).slice(0, maxSelectedChunks);
-
-  const mapSystem =
-    'You are a careful research assistant. Extract only what is supported by the provided excerpt. ' +
-    'Do not guess missing details.';
-
-  const items = selected.map((r) => ({
-    chunkId: r.chunk.id,
-    pageStart: r.chunk.pageStart,
-    pageEnd: r.chunk.pageEnd,
-    text: r.chunk.text,
-  }));
-
-  /** @type {Array<{ pages: {start:number,end:number}, chunkId: string, summary: string }>} */
-  const mapSummaries = [];
-
-  // Reuse map summaries across repeated summary requests.
+) {
+  const items = chunks.map((c) => ({ ...c, text: clip(c.text, perChunkChars) }));
+  const wanted = new Set(items.map((c) => c.id));
   /** @type {Map<string, string>} */
   const got = new Map();
-  for (const it of items) {
-    const key = `map:${model}:${perChunkChars}:${it.chunkId}`;
-    if (!enableMapCache) continue;
-    const cached = MAP_SUMMARY_CACHE.get(key);
-    if (typeof cached === 'string' && cached.trim()) got.set(it.chunkId, cached);
-  }
+  /** @type {{ chunkIds: string[], error: any }[]} */
+  const failures = [];
+  let saving = Promise.resolve();
+
+  const keep = (found) => {
+    for (const [chunkId, abstract] of found) got.set(chunkId, abstract);
+    if (!onAbstracts || !found.size) return;
+    saving = saving
+      .then(() => onAbstracts(found))
+      .catch((error) => failures.push({ chunkIds: Array.from(found.keys()), error }));
+  };
 
-  const missing = items.filter((it) => !got.has(it.chunkId));
+  // An aborted request stops everything; any other failure only costs the chunks it covered.
+  const attempt = async (chunkIds, call) => {
+    try {
+      return await call();
+    } catch (e) {
+      if (signal?.aborted) throw e;
+      failures.push({ chunkIds, error: e });
+      return null;
+    }
+  };
 
-  // Batch map: summarize multiple excerpts per call to reduce API cost/latency.
-  const batchSize = Math.max(1, mapBatchSize);
+  const size = Math.max(1, batchSize);
   const batches = [];
-  for (let i = 0; i < missing.length; i += batchSize) batches.push(missing.slice(i, i + batchSize));
+  for (let i = 0; i < items.length; i += size) batches.push(items.slice(i, i + size));
+  let done = 0;
 
   const batchSystem =
-    mapSystem +
+    SUMMARY_DEFAULTS.MAP_SYSTEM_PROMPT +
     ' Return ONLY valid JSON: an array of objects: ' +
     '[{"chunkId":"...","summary":"..."}, ...]. No markdown fences.';
 
@@ -194,104 +151,162 @@ export async function summarizeDocument({
       'Write short bullets inside a single string.',
       'If excerpt is background-only, start with "Background/Setup:" and keep it brief.',
       '',
-      ...batch.map((c, idx) => {
-        return (
-          `EXCERPT ${idx + 1} (chunkId=${c.chunkId}, pages ${c.pageStart}-${c.pageEnd}):\n` +
-          `${c.text}`
-        );
-      }),
+      ...batch.map((c, idx) => `EXCERPT ${idx + 1} (chunkId=${c.id}, ${describeChunkLocation(c)}):\n${c.text}`),
     ].join('\n\n');
 
-    const raw = await chatCompletion({
-      client,
-      model,
-      system: batchSystem,
-      messages: [{ role: 'user', content: user }],
-      temperature: 0.2,
-      // Budget roughly per-chunk.
-      maxTokens: Math.max(250, Math.min(1400, perChunkMaxTokens * batch.length)),
-    });
-
-    const arr = parseJsonArrayBestEffort(raw);
-    if (!arr) return [];
-    return arr
-      .map((x) => ({ chunkId: String(x?.chunkId || ''), summary: String(x?.summary || '') }))
-      .filter((x) => x.chunkId && x.summary);
-  }
-
-  const batchResults = await pMapLimit(batches, mapConcurrency, summarizeBatch);
-  for (const list of batchResults) {
-    for (const r of list) {
-      got.set(r.chunkId, clip(r.summary, 1400));
-      if (enableMapCache) MAP_SUMMARY_CACHE.set(`map:${model}:${perChunkChars}:${r.chunkId}`, clip(r.summary, 1400));
+    const raw = await attempt(
+      batch.map((c) => c.id),
+      () =>
+        chatCompletion({
+          client,
+          model,
+          system: batchSystem,
+          messages: [{ role: 'user', content: user }],
+          temperature: 0.2,
+          // Budget roughly per-chunk.
+          maxTokens: Math.max(250, Math.min(1400, perChunkMaxTokens * batch.length)),
+          signal,
+        })
+    );
+    onProgress?.(++done, batches.length);
+    if (raw === null) return;
+
+    const found = new Map();
+    for (const x of parseJsonArrayBestEffort(raw) || []) {
+      const chunkId = String(x?.chunkId || '');
+      const summary = String(x?.summary || '');
+      if (wanted.has(chunkId) && summary) found.set(chunkId, clip(summary, SUMMARY_DEFAULTS.ABSTRACT_MAX_CHARS));
     }
+    keep(found);
   }
 
-  // Fallback: if the batch output didn't include some chunkIds, run the single-excerpt map.
+  await pMapLimit(batches, concurrency, summarizeBatch);
+
+  // Fallback: if the batch output didn't include some chunkIds, run the single-excerpt map
+  // (a batch that failed outright isn't retried this way).
+  const failed = new Set(failures.flatMap((f) => f.chunkIds));
   for (const it of items) {
-    if (got.has(it.chunkId)) continue;
+    if (got.has(it.id) || failed.has(it.id)) continue;
     const user =
-      `EXCERPT (pages ${it.pageStart}-${it.pageEnd}):\n` +
+      `EXCERPT (${describeChunkLocation(it)}):\n` +
       `${it.text}\n\n` +
       'Task: extract up to 3 key findings/claims, plus any quantitative results (metrics, effect sizes) if present. ' +
       'Write in short bullets. If excerpt is background-only, say "Background/Setup" and summarize briefly.';
 
-    const text = await chatCompletion({
-      client,
-      model,
-      system: mapSystem,
-      messages: [{ role: 'user', content: user }],
-      temperature: 0.2,
-      maxTokens: perChunkMaxTokens,
-    });
-    got.set(it.chunkId, clip(text || '', 1400));
-    if (enableMapCache) MAP_SUMMARY_CACHE.set(`map:${model}:${perChunkChars}:${it.chunkId}`, clip(text || '', 1400));
+    const text = await attempt([it.id], () =>
+      chatCompletion({
+        client,
+        model,
+        system: SUMMARY_DEFAULTS.MAP_SYSTEM_PROMPT,
+        messages: [{ role: 'user', content: user }],
+        temperature: 0.2,
+        maxTokens: perChunkMaxTokens,
+        signal,
+      })
+    );
+    if (text !== null) keep(new Map([[it.id, clip(text || '', SUMMARY_DEFAULTS.ABSTRACT_MAX_CHARS)]]));
   }
 
-  for (const it of items) {
-    mapSummaries.push({
-      pages: { start: it.pageStart, end: it.pageEnd },
-      chunkId: it.chunkId,
-      summary: got.get(it.chunkId) || '',
-    });
+  await saving;
+  if (failures.length) {
+    const missing = new Set(failures.flatMap((f) => f.chunkIds));
+    const error = failures[0].error;
+    throw new Error(`Abstracting failed for ${missing.size} of ${items.length} chunks: ${error?.message || error}`);
   }
+  return got;
+}
 
-  const reduceSystem =
-    'You write a faithful paper summary using ONLY the provided excerpt-summaries. ' +
-    'Do not introduce facts that are not mentioned. When possible, attach page ranges like (pp. 12-14).';
-
-  const reduceInput = mapSummaries
+/**
+ * Map-reduce summarization for large PDFs, shaped by a profile (SUMMARY_DEFAULTS.PROFILES).
+ *
+ * Strategy:
+ * - Select a bounded set of chunks (top TF-IDF for the profile's query + evenly sampled coverage),
+ *   in document order
+ * - Use their stored abstracts (computed at ingest); abstract the chunks that have none, or whose
+ *   abstract's stamp doesn't match `abstractStamp`, and hand those to `onAbstracts(Map chunkId →
+ *   abstract)` batch by batch so they can be persisted
+ * - Reduce the abstracts into the profile's format at the requested length
+ */
+export async function summarizeDocument({
+  doc,
+  profile = SUMMARY_DEFAULTS.DEFAULT_PROFILE,
+  length = SUMMARY_DEFAULTS.DEFAULT_LENGTH,
+  question,
+  chatCompletion,
+  client,
+  model,
+  // Optional cheaper model for the map phase; the reduce step always uses `model`.
+  mapModel = model,
+  maxSelectedChunks = 20,
+  // Current { model, promptVersion, chunkingVersion } of the map step; older abstracts are redone.
+  abstractStamp,
+  onAbstracts,
+  // Optional: stream the reduce step (the user-visible summary) token by token.
+  onToken,
+  signal,
+}) {
+  if (!doc?.chunks?.length) {
+    return { summary: 'No chunks available to summarize.', sources: [] };
+  }
+  const spec = SUMMARY_DEFAULTS.PROFILES[profile];
+  const target = SUMMARY_DEFAULTS.LENGTHS[length];
+  if (!spec || !target) throw new Error(`Unknown summary profile or length: ${profile}/${length}`);
+
+  // 1) Relevance-based selection + 2) Coverage-based selection (even sampling)
+  const summaryQuery = (question || '').trim() || spec.query;
+  const top =
+    summaryQuery && spec.relevant
+      ? searchTfidf(doc.index, doc.chunks, summaryQuery, {
+          topK: Math.min(spec.relevant, maxSelectedChunks),
+          maxChunkChars: SUMMARY_DEFAULTS.ABSTRACT_CHUNK_CHARS,
+          maxTotalChars: 50_000,
+        }).map((r) => r.chunk)
+      : [];
+  const sampled = sampleEvenly(doc.chunks, Math.max(0, maxSelectedChunks - top.length));
+  const order = new Map(doc.chunks.map((c, i) => [c.id, i]));
+  const selected = uniqById([...top, ...sampled])
+    .slice(0, maxSelectedChunks)
+    // Search results are copies; the stored chunks carry the abstracts.
+    .map((c) => doc.chunks[order.get(c.id)])
+    .sort((a, b) => order.get(a.id) - order.get(b.id));
+
+  const missing = selected.filter((c) => !hasAbstract(c, abstractStamp));
+  const computed = missing.length
+    ? await abstractChunks(missing, { chatCompletion, client, model: mapModel, onAbstracts, signal })
+    : new Map();
+  const abstractOf = (c) => computed.get(c.id) || (hasAbstract(c) ? c.abstract : '');
+
+  const reduceInput = selected
     .map(
-      (s, i) =>
-        `SUMMARY ${i + 1} (pp. ${s.pages.start}-${s.pages.end}):\n${s.summary}`
+      (c, i) =>
+        `SUMMARY ${i + 1} (pp. ${c.pageStart}-${c.pageEnd}${c.sectionPath ? `, section "${c.sectionPath}"` : ''}):\n${abstractOf(c)}`
     )
     .join('\n\n');
 
   const reduceUser =
-    `Paper question: ${question || 'What are the key findings?'}\n\n` +
-    `Chunk summaries:\n\n${reduceInput}\n\n` +
-    'Produce:\n' +
-    '1) Key findings (8-12 bullets)\n' +
-    '2) Evidence & numbers (bullets; include metrics if present)\n' +
-    '3) Limitations / caveats\n' +
-    '4) One-paragraph plain-English takeaway\n' +
-    'If the summaries do not contain findings, say so.';
+    (question ? `Question: ${question}\n\n` : '') +
+    `Chunk summaries (in document order):\n\n${reduceInput}\n\n` +
+    `${spec.instructions}\n` +
+    `Target length: about ${target.words} words.`;
 
   const final = await chatCompletion({
     client,
     model,
-    system: reduceSystem,
+    system: SUMMARY_DEFAULTS.REDUCE_SYSTEM_PROMPT,
     messages: [{ role: 'user', content: reduceUser }],
     temperature: 0.2,
-    maxTokens: reduceMaxTokens,
+    maxTokens: target.maxTokens,
+    onToken,
+    signal,
   });
 
   return {
     summary: (final || '').trim(),
-    sources: mapSummaries.map((s) => ({
-      chunkId: s.chunkId,
-      pageStart: s.pages.start,
-      pageEnd: s.pages.end,
+    sources: selected.map((c) => ({
+      chunkId: c.id,
+      pageStart: c.pageStart,
+      pageEnd: c.pageEnd,
+      ...(c.sectionPath ? { sectionPath: c.sectionPath } : {}),
     })),
   };
 }
@@ -0,0 +1,191 @@
+import { EXTRACTION_DEFAULTS } from './server/constants.js';
+
+// "12", "3.5%", "(1,204)", "-0.7", "$4.2", "1.2e-3"
+const NUMERIC_CELL = /^[-+−–(]?[$€£¥]?\s?\d[\d.,]*(?:e[-+]?\d+)?\s?%?\)?$/i;
+// "Table 3", "Table 3:", "TABLE IV.", "Tab. 2"
+const CAPTION_LINE = /^(?:table|tab\.)\s*(?:\d+|[IVXLC]+\b)/i;
+
+/**
+ * Cells of a line: its items sorted left to right, merged while the gap between them stays
+ * below TABLE_CELL_GAP_RATIO font sizes. Returns [{ text, x, right }].
+ */
+function splitCells(line) {
+  const maxGap = Math.max(1, line.fontSize) * EXTRACTION_DEFAULTS.TABLE_CELL_GAP_RATIO;
+  const cells = [];
+  for (const part of [...(line.parts || [])].sort((a, b) => a.x - b.x)) {
+    const last = cells[cells.length - 1];
+    if (last && part.x - last.right < maxGap) {
+      last.text += ` ${part.str}`;
+      last.right = Math.max(last.right, part.right);
+    } else {
+      cells.push({ text: part.str, x: part.x, right: part.right });
+    }
+  }
+  return cells.map((c) => ({ ...c, text: c.text.replace(/[\s\u0000]+/g, ' ').trim() })).filter((c) => c.text);
+}
+
+/**
+ * Column spans [[left, right]] from the horizontal projection of the cells: cells that overlap
+ * horizontally are in the same column, so both left- and right-aligned columns work.
+ */
+function columnSpans(rows) {
+  const spans = rows
+    .flat()
+    .map((c) => [c.x, c.right])
+    .sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const [x, right] of spans) {
+    const last = merged[merged.length - 1];
+    if (last && x < last[1]) last[1] = Math.max(last[1], right);
+    else merged.push([x, right]);
+  }
+  return merged;
+}
+
+function columnOf(cell, spans) {
+  const overlaps = spans.map(([left, right]) => Math.min(right, cell.right) - Math.max(left, cell.x));
+  const best = overlaps.indexOf(Math.max(...overlaps));
+  if (overlaps[best] > 0) return best;
+  // A cell in a gap between columns (e.g. a centred header) goes to the nearest one.
+  const center = (cell.x + cell.right) / 2;
+  const distances = spans.map(([left, right]) => Math.abs((left + right) / 2 - center));
+  return distances.indexOf(Math.min(...distances));
+}
+
+const isNumericCell = (text) => NUMERIC_CELL.test(text.trim());
+
+function findCaption(lines, start, end) {
+  for (const i of [start - 1, start - 2, end, end + 1]) {
+    const line = lines[i];
+    if (line && CAPTION_LINE.test(line.text.trim())) return line.text.replace(/\s+/g, ' ').trim();
+  }
+  return '';
+}
+
+/**
+ * Table made of lines[start, end) or null when those lines don't look like one.
+ */
+function buildTable(lines, cells, start, end) {
+  const rowCells = cells.slice(start, end);
+  if (rowCells.length < EXTRACTION_DEFAULTS.TABLE_MIN_ROWS) return null;
+
+  const all = rowCells.flat();
+  const meanChars = all.reduce((sum, c) => sum + c.text.length, 0) / all.length;
+  if (meanChars > EXTRACTION_DEFAULTS.TABLE_MAX_MEAN_CELL_CHARS) return null;
+
+  // Header cells often span several columns, so the columns come from the body rows.
+  const spans = columnSpans(rowCells.slice(1));
+  if (spans.length < EXTRACTION_DEFAULTS.TABLE_MIN_COLUMNS) return null;
+
+  const grid = rowCells.map((row) => {
+    const out = spans.map(() => '');
+    for (const cell of row) {
+      const i = columnOf(cell, spans);
+      out[i] = out[i] ? `${out[i]} ${cell.text}` : cell.text;
+    }
+    return out;
+  });
+
+  const hasHeader = !grid[0].some((text) => text && isNumericCell(text));
+  const columns = spans.map((_, i) => (hasHeader && grid[0][i]) || `Column ${i + 1}`);
+
+  const rowLines = lines.slice(start, end);
+  return {
+    caption: findCaption(lines, start, end),
+    columns,
+    rows: hasHeader ? grid.slice(1) : grid,
+    // PDF units, bottom-left origin (like line baselines); used to highlight the table.
+    bounds: {
+      left: Math.round(Math.min(...all.map((c) => c.x))),
+      right: Math.round(Math.max(...all.map((c) => c.right))),
+      top: Math.round(Math.max(...rowLines.map((l) => l.y + l.fontSize * 0.9))),
+      bottom: Math.round(Math.min(...rowLines.map((l) => l.y - l.fontSize * 0.3))),
+    },
+  };
+}
+
+/**
+ * Detect tables among the lines of one page (lines from groupItemsIntoLines with `withParts`).
+ *
+ * A table is a run of at least TABLE_MIN_ROWS consecutive lines that each split into two or
+ * more cells, read top to bottom without large vertical gaps, whose cells line up in at least
+ * TABLE_MIN_COLUMNS columns. The first row is the header unless it holds numbers.
+ *
+ * Returns { tables: [{ caption, columns, rows, bounds }], lineTables } where `lineTables[i]` is
+ * the index of the table line i belongs to (or null).
+ */
+export function detectTables(lines) {
+  const cells = lines.map(splitCells);
+  const tables = [];
+  const lineTables = lines.map(() => null);
+
+  const continuesTable = (prev, next) => {
+    const drop = prev.y - next.y;
+    return drop > 0 && drop <= Math.max(prev.fontSize, next.fontSize, 1) * EXTRACTION_DEFAULTS.TABLE_MAX_ROW_GAP_RATIO;
+  };
+
+  let start = 0;
+  while (start < lines.length) {
+    if (cells[start].length < 2) {
+      start++;
+      continue;
+    }
+    let end = start + 1;
+    while (end < lines.length && cells[end].length >= 2 && continuesTable(lines[end - 1], lines[end])) end++;
+
+    const table = buildTable(lines, cells, start, end);
+    if (table) {
+      for (let i = start; i < end; i++) lineTables[i] = tables.length;
+      tables.push(table);
+    }
+    start = end;
+  }
+
+  return { tables, lineTables };
+}
+
+/**
+ * Every table of a document: [{ id, pageNumber, caption, columns, rows }] (ids like "p3-t1").
+ */
+export function tablesOf(pages) {
+  return (pages || []).flatMap((p) =>
+    (p?.tables || []).map((t, i) => ({
+      id: tableId(p.pageNumber, i),
+      pageNumber: p.pageNumber,
+      caption: t.caption || '',
+      columns: t.columns,
+      rows: t.rows,
+    }))
+  );
+}
+
+export function tableId(pageNumber, index) {
+  return `p${pageNumber}-t${index + 1}`;
+}
+
+const markdownCell = (text) => String(text ?? '').replace(/\|/g, '\\|').replace(/\s+/g, ' ').trim();
+
+/**
+ * GitHub-flavoured Markdown table (what the LLM sees for table chunks), caption first.
+ */
+export function tableToMarkdown({ caption, columns, rows }) {
+  const line = (cells) => `| ${cells.map(markdownCell).join(' | ')} |`;
+  return [
+    ...(caption ? [caption, ''] : []),
+    line(columns),
+    line(columns.map(() => '---')),
+    ...rows.map(line),
+  ].join('\n');
+}
+
+const csvCell = (text) => {
+  const s = String(text ?? '');
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+/**
+ * RFC 4180 CSV: a header line with the column names, then one line per row.
+ */
+export function tableToCsv({ columns, rows }) {
+  return [columns, ...rows].map((cells) => cells.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
@@ -25,6 +25,12 @@ alter table public.documents add column if not exists total_extracted_chars inte
 alter table public.documents add column if not exists non_empty_pages integer not null default 0;
 alter table public.documents add column if not exists summary text;
 alter table public.documents add column if not exists summary_updated_at timestamptz;
+-- Generated summaries keyed by "<profile>:<length>" ({ summary, sources, profile, length, updatedAt, stamp }).
+alter table public.documents add column if not exists summaries jsonb not null default '{}'::jsonb;
+-- Chunking version the chunks were made with (null = 1, before versions were recorded).
+alter table public.documents add column if not exists chunking_version integer;
+-- Bibliographic metadata found during ingestion (title, authors, abstract, DOI/arXiv id, year, reference list).
+alter table public.documents add column if not exists metadata jsonb;
 
 -- Optional: store where the raw PDF is kept in Supabase Storage.
 alter table public.documents add column if not exists storage_bucket text;
@@ -33,4 +39,55 @@ alter table public.documents add column if not exists storage_mime text;
 alter table public.documents add column if not exists storage_bytes integer;
 alter table public.documents add column if not exists storage_updated_at timestamptz;
 
+-- Ownership and sharing. Rows without owner_id belong to the default owner ('local', used when AUTH_MODE=none).
+-- When switching to AUTH_MODE=jwt, hand existing rows to a real user:
+--   update public.documents set owner_id = '<user id>' where owner_id is null;
+--   update public.conversations set owner_id = '<user id>' where owner_id is null;
+alter table public.documents add column if not exists owner_id text;
+alter table public.documents add column if not exists shared_users text[] not null default '{}';
+alter table public.documents add column if not exists shared_teams text[] not null default '{}';
+
+-- Version history: every version is its own row; lineage_id is the id of the first version,
+-- previous/next link consecutive versions (next_version_id is null on the latest one).
+alter table public.documents add column if not exists lineage_id text;
+alter table public.documents add column if not exists version integer not null default 1;
+alter table public.documents add column if not exists previous_version_id text;
+alter table public.documents add column if not exists next_version_id text;
+
 create index if not exists documents_created_at_idx on public.documents (created_at desc);
+create index if not exists documents_owner_id_idx on public.documents (owner_id);
+create index if not exists documents_shared_users_idx on public.documents using gin (shared_users);
+create index if not exists documents_shared_teams_idx on public.documents using gin (shared_teams);
+create index if not exists documents_lineage_id_idx on public.documents (lineage_id);
+
+-- Chat conversations (id, scope, messages with their sources).
+-- doc_ids is a JSON array of document ids, or the string "all" for whole-collection chats.
+create table if not exists public.conversations (
+  id text primary key,
+  title text not null default '',
+  doc_ids jsonb not null default '[]'::jsonb,
+  messages jsonb not null default '[]'::jsonb,
+  message_count integer not null default 0,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+alter table public.conversations add column if not exists owner_id text;
+
+create index if not exists conversations_owner_id_idx on public.conversations (owner_id, updated_at desc);
+create index if not exists conversations_updated_at_idx on public.conversations (updated_at desc);
+create index if not exists conversations_doc_ids_idx on public.conversations using gin (doc_ids);
+
+-- Optional: chat/compare answer cache for ANSWER_CACHE=supabase (shared by all backend instances).
+-- doc_ids lists the documents an answer used, so reprocessing/renaming/deleting one drops its answers.
+create table if not exists public.answer_cache (
+  key text primary key,
+  doc_ids text[] not null default '{}',
+  value jsonb not null,
+  expires_at timestamptz,
+  created_at timestamptz not null default now()
+);
+-- What produced the entry ({ model, promptVersion, chunkingVersion }), for GET /api/admin/stale-artifacts.
+alter table public.answer_cache add column if not exists stamp jsonb;
+
+create index if not exists answer_cache_doc_ids_idx on public.answer_cache using gin (doc_ids);
@@ -5,12 +5,59 @@ import './App.css'
 import {
   chat,
   compare,
+  createConversation,
+  deleteConversation,
+  deleteDocument,
+  extractFields,
+  getConversation,
+  getChangeReport,
+  getDocumentFileUrl,
+  getDocumentMetadata,
+  getHighlights,
+  getMe,
+  getPageImageUrl,
+  getCompareExportUrl,
+  getConversationExportUrl,
+  getSummary,
+  getTableFileUrl,
+  listConversations,
   listDocuments,
+  listTables,
+  listVersions,
+  renameConversation,
+  renameDocument,
+  reprocessDocument,
+  setAuthToken,
+  shareDocument,
   uploadPdf,
+  waitForJob,
+  type ChatScope,
+  type ChangeReport,
   type ChatSource,
+  type CompareDocument,
   type CompareMode,
+  type CompareResponse,
   type CompareStructured,
+  type ConversationSummary,
+  type DiffChange,
+  type DocumentDiff,
+  type DocumentMetadata,
   type DocumentSummary,
+  type DocumentExtraction,
+  type DocumentTable,
+  type ExtractField,
+  type ExtractValue,
+  type Grounding,
+  type GroundingStatus,
+  type IngestJob,
+  type Me,
+  type PassageHighlights,
+  type Reference,
+  type Retriever,
+  type SummaryLength,
+  type SummaryProfile,
+  type SummaryResult,
+  type TableFormat,
 } from './api'
 import { FRONTEND_DEFAULTS } from './constants'
 
@@ -18,6 +65,20 @@ type ChatMessage = {
   role: 'user' | 'assistant'
   content: string
   sources?: ChatSource[]
+  // True while the answer is still streaming in.
+  streaming?: boolean
+  // Served from the backend's answer cache.
+  cached?: boolean
+  grounding?: Grounding
+}
+
+// What the PDF viewer shows: a page of a document, optionally with one chunk highlighted.
+type ViewerTarget = {
+  docId: string
+  name: string
+  numPages: number
+  page: number
+  chunkId?: string
 }
 
 function getErrorMessage(e: unknown): string {
@@ -30,8 +91,432 @@ function getErrorMessage(e: unknown): string {
   }
 }
 
-function Sources({ sources }: { sources: ChatSource[] }) {
+function jobStageLabel(job: IngestJob): string {
+  const pages = job.progress ? ` page ${job.progress.current} of ${job.progress.total}` : ''
+  switch (job.stage) {
+    case 'queued':
+      return 'Waiting in queue…'
+    case 'storing':
+      return 'Storing PDF…'
+    case 'downloading':
+      return 'Loading stored PDF…'
+    case 'extracting':
+      return `Extracting text:${pages}`
+    case 'ocr':
+      return `Running OCR:${pages}`
+    case 'chunking':
+      return 'Chunking…'
+    case 'indexing':
+      return 'Indexing…'
+    case 'abstracting':
+      return job.progress ? `Abstracting chunks: ${job.progress.current} of ${job.progress.total} batches` : 'Abstracting chunks…'
+    case 'summarizing':
+      return 'Summarizing…'
+    default:
+      return 'Done'
+  }
+}
+
+function jobPercent(job: IngestJob): number {
+  if (job.status === 'succeeded') return 100
+  if (!job.progress?.total) return job.stage === 'queued' || job.stage === 'storing' || job.stage === 'downloading' ? 0 : 100
+  return Math.round((job.progress.current / job.progress.total) * 100)
+}
+
+const GROUNDING_PROBLEMS: Partial<Record<GroundingStatus, string>> = {
+  unsupported: 'not supported by the cited source',
+  invalid_citation: 'cites a source that does not exist',
+  uncited: 'no citation and no matching source',
+}
+
+// Lists the answer's sentences that its sources don't back up; renders nothing when all claims check out.
+function GroundingWarning({ grounding }: { grounding: Grounding }) {
+  const flagged = grounding.sentences.filter((s) => GROUNDING_PROBLEMS[s.status])
+  if (!flagged.length) return null
+  const score = grounding.score === null ? '' : ` (grounding score ${Math.round(grounding.score * 100)}%)`
+  return (
+    <details className="grounding">
+      <summary className="warn">
+        {flagged.length} of {grounding.claims} claims may not be backed by the sources{score}
+      </summary>
+      <ul className="groundingList">
+        {flagged.map((s, idx) => (
+          <li key={idx}>
+            <span className="warn">{GROUNDING_PROBLEMS[s.status]}:</span> {s.text}
+          </li>
+        ))}
+      </ul>
+    </details>
+  )
+}
+
+// Turns "(Source 2)" and "(A1, C3)" citations into links that AnswerMarkdown resolves to sources.
+function linkCitations(text: string): string {
+  return text
+    .replace(/\bSource (\d+)\b/g, '[Source $1](#cite-$1)')
+    .replace(/\(([A-Z]\d+(?:\s*[,;]\s*[A-Z]\d+)*)\)/g, (_, group: string) => `(${group.replace(/[A-Z]\d+/g, (label) => `[${label}](#cite-${label})`)})`)
+}
+
+// Label of the i-th compared document ('A', 'B', ...), as the backend assigns them.
+function compareLabel(index: number): string {
+  return String.fromCharCode(65 + index)
+}
+
+// Markdown answer whose citations open the cited source in the viewer (citations of unknown sources stay plain text).
+function AnswerMarkdown({
+  text,
+  sourceFor,
+  onOpenSource,
+}: {
+  text: string
+  sourceFor: (label: string) => ChatSource | undefined
+  onOpenSource: (source: ChatSource) => void
+}) {
+  return (
+    <ReactMarkdown
+      remarkPlugins={[remarkGfm]}
+      components={{
+        a: ({ href, children }) => {
+          if (!href?.startsWith('#cite-')) return <a href={href}>{children}</a>
+          const source = sourceFor(href.slice('#cite-'.length))
+          if (!source) return <>{children}</>
+          return (
+            <button type="button" className="citeLink" onClick={() => onOpenSource(source)}>
+              {children}
+            </button>
+          )
+        },
+      }}
+    >
+      {linkCitations(text)}
+    </ReactMarkdown>
+  )
+}
+
+// Rendered page image with the target chunk's lines highlighted; pages are fetched one at a time.
+function PdfViewer({ target, onPage, onClose }: { target: ViewerTarget; onPage: (page: number) => void; onClose: () => void }) {
+  const pageKey = `${target.docId}:${target.page}`
+  const [image, setImage] = useState<{ key: string; url: string } | null>(null)
+  const [highlights, setHighlights] = useState<PassageHighlights | null>(null)
+  const [failure, setFailure] = useState<{ key: string; message: string } | null>(null)
+
+  useEffect(() => {
+    let cancelled = false
+    let url = ''
+    getPageImageUrl(target.docId, target.page)
+      .then((u) => {
+        url = u
+        if (cancelled) URL.revokeObjectURL(u)
+        else setImage({ key: pageKey, url: u })
+      })
+      .catch((e: unknown) => {
+        if (!cancelled) setFailure({ key: pageKey, message: getErrorMessage(e) || 'Could not load the page' })
+      })
+    return () => {
+      cancelled = true
+      if (url) URL.revokeObjectURL(url)
+    }
+  }, [target.docId, target.page, pageKey])
+
+  useEffect(() => {
+    if (!target.chunkId) return
+    let cancelled = false
+    getHighlights(target.docId, target.chunkId)
+      .then((h) => {
+        if (!cancelled) setHighlights(h)
+      })
+      .catch(() => {
+        // The page is still useful without highlights.
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [target.docId, target.chunkId])
+
+  async function openOriginal() {
+    const url = await getDocumentFileUrl(target.docId)
+    window.open(url, '_blank', 'noopener')
+    // Give the new tab time to load the blob before releasing it.
+    window.setTimeout(() => URL.revokeObjectURL(url), 60_000)
+  }
+
+  const boxes =
+    highlights && highlights.chunkId === target.chunkId
+      ? highlights.pages.find((p) => p.pageNumber === target.page)?.boxes || []
+      : []
+  const error = failure?.key === pageKey ? failure.message : ''
+
+  return (
+    <div className="viewerBackdrop" onClick={onClose}>
+      <div className="viewer" onClick={(e) => e.stopPropagation()}>
+        <div className="viewerBar">
+          <div className="viewerTitle">{target.name}</div>
+          <button className="linkBtn" disabled={target.page <= 1} onClick={() => onPage(target.page - 1)}>
+            Prev
+          </button>
+          <span className="muted">
+            page {target.page} / {target.numPages}
+          </span>
+          <button className="linkBtn" disabled={target.page >= target.numPages} onClick={() => onPage(target.page + 1)}>
+            Next
+          </button>
+          <button className="linkBtn" onClick={() => void openOriginal()}>
+            Open PDF
+          </button>
+          <button className="linkBtn" onClick={onClose}>
+            Close
+          </button>
+        </div>
+        {highlights && highlights.chunkId === target.chunkId && highlights.pages.every((p) => !p.boxes.length) ? (
+          <div className="muted">This document has no highlight data yet; reprocess it to enable highlighting.</div>
+        ) : null}
+        {error ? (
+          <div className="error">{error}</div>
+        ) : image?.key === pageKey ? (
+          <div className="viewerPage">
+            <img src={image.url} alt={`Page ${target.page} of ${target.name}`} />
+            {boxes.map((b, idx) => (
+              <div
+                key={idx}
+                className="viewerHighlight"
+                style={{ left: `${b.left * 100}%`, top: `${b.top * 100}%`, width: `${b.width * 100}%`, height: `${b.height * 100}%` }}
+              />
+            ))}
+          </div>
+        ) : (
+          <div className="muted">Loading page…</div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+function TableView({ table }: { table: { caption?: string; columns: string[]; rows: string[][] } }) {
+  return (
+    <div className="dataTableWrap">
+      {table.caption ? <div className="dataTableCaption">{table.caption}</div> : null}
+      <table className="dataTable">
+        <thead>
+          <tr>
+            {table.columns.map((c, i) => (
+              <th key={i}>{c}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {table.rows.map((row, i) => (
+            <tr key={i}>
+              {row.map((cell, j) => (
+                <td key={j}>{cell}</td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+// The download needs the auth header, so it goes through an object URL instead of a plain link.
+// Starts the download of an object URL and revokes it once the browser has had time to read it.
+function saveObjectUrl(url: string, fileName: string) {
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  link.click()
+  window.setTimeout(() => URL.revokeObjectURL(url), 60_000)
+}
+
+async function downloadTable(docId: string, tableId: string, format: TableFormat) {
+  saveObjectUrl(await getTableFileUrl(docId, tableId, format), `${tableId}.${format}`)
+}
+
+function TableDownloads({ docId, tableId, onError }: { docId: string; tableId: string; onError: (message: string) => void }) {
+  return (
+    <>
+      {(['csv', 'json'] as const).map((format) => (
+        <button
+          key={format}
+          type="button"
+          className="linkBtn"
+          onClick={() => downloadTable(docId, tableId, format).catch((e) => onError(getErrorMessage(e) || 'Download failed'))}
+        >
+          {format.toUpperCase()}
+        </button>
+      ))}
+    </>
+  )
+}
+
+// One download button per export format; `fileName` is without the extension.
+function ExportButtons<F extends string>({
+  formats,
+  fileName,
+  getUrl,
+  disabled,
+  onError,
+}: {
+  formats: readonly F[]
+  fileName: string
+  getUrl: (format: F) => Promise<string>
+  disabled?: boolean
+  onError: (message: string) => void
+}) {
+  return (
+    <span className="exportButtons">
+      <span className="muted">Export</span>
+      {formats.map((format) => (
+        <button
+          key={format}
+          type="button"
+          className="linkBtn"
+          disabled={disabled}
+          onClick={() =>
+            getUrl(format)
+              .then((url) => saveObjectUrl(url, `${fileName}.${format}`))
+              .catch((e) => onError(getErrorMessage(e) || 'Export failed'))
+          }
+        >
+          {format.toUpperCase()}
+        </button>
+      ))}
+    </span>
+  )
+}
+
+// Tables detected in a document, each downloadable and viewable on its page.
+function DocumentTables({
+  docId,
+  onOpenPage,
+  onError,
+}: {
+  docId: string
+  onOpenPage: (page: number) => void
+  onError: (message: string) => void
+}) {
+  const [tables, setTables] = useState<DocumentTable[] | null>(null)
+
+  useEffect(() => {
+    let cancelled = false
+    listTables(docId)
+      .then((t) => {
+        if (!cancelled) setTables(t)
+      })
+      .catch((e) => {
+        if (!cancelled) onError(getErrorMessage(e) || 'Could not load tables')
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [docId, onError])
+
+  if (!tables) return <div className="muted">Loading tables…</div>
+  if (!tables.length) return <div className="muted">No tables detected.</div>
+  return (
+    <ul className="tablesList">
+      {tables.map((t) => (
+        <li key={t.id}>
+          <span className="mono">{t.id}</span> {t.caption || t.columns.join(', ')}{' '}
+          <span className="muted">
+            ({t.rows.length} rows × {t.columns.length} columns)
+          </span>
+          <div className="docActions">
+            <button type="button" className="linkBtn" onClick={() => onOpenPage(t.pageNumber)}>
+              Page {t.pageNumber}
+            </button>
+            <TableDownloads docId={docId} tableId={t.id} onError={onError} />
+          </div>
+        </li>
+      ))}
+    </ul>
+  )
+}
+
+// Every word of `query` must occur in the document's name or metadata (mirrors the backend's `?q=`).
+function documentMatches(doc: DocumentSummary, query: string) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean)
+  const m = doc.metadata
+  const haystack = [doc.name, m?.title, ...(m?.authors || []), m?.abstract, m?.doi, m?.arxivId, m?.year]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase()
+  return words.every((w) => haystack.includes(w))
+}
+
+function MetadataDetails({
+  docId,
+  metadata,
+  onError,
+}: {
+  docId: string
+  metadata: DocumentMetadata
+  onError: (message: string) => void
+}) {
+  const [references, setReferences] = useState<Reference[] | null>(null)
+
+  async function loadReferences() {
+    if (references) return
+    try {
+      setReferences((await getDocumentMetadata(docId))?.references || [])
+    } catch (e) {
+      onError(getErrorMessage(e) || 'Could not load references')
+    }
+  }
+
+  return (
+    <div className="docMetadata">
+      {metadata.title ? <div className="docTitle">{metadata.title}</div> : null}
+      {metadata.authors.length ? <div className="muted">{metadata.authors.join(', ')}</div> : null}
+      <div className="docActions">
+        {metadata.year ? <span className="muted">{metadata.year}</span> : null}
+        {metadata.doi ? (
+          <a href={`https://doi.org/${metadata.doi}`} target="_blank" rel="noreferrer">
+            doi:{metadata.doi}
+          </a>
+        ) : null}
+        {metadata.arxivId ? (
+          <a href={`https://arxiv.org/abs/${metadata.arxivId}`} target="_blank" rel="noreferrer">
+            arXiv:{metadata.arxivId}
+          </a>
+        ) : null}
+      </div>
+      {metadata.abstract ? (
+        <details>
+          <summary className="muted">Abstract</summary>
+          <div className="docAbstract">{metadata.abstract}</div>
+        </details>
+      ) : null}
+      {metadata.numReferences ? (
+        <details onToggle={(e) => e.currentTarget.open && void loadReferences()}>
+          <summary className="muted">References ({metadata.numReferences})</summary>
+          {references ? (
+            <ol className="referencesList">
+              {references.map((r) => (
+                <li key={r.number} value={r.number}>
+                  {r.text}
+                </li>
+              ))}
+            </ol>
+          ) : (
+            <div className="muted">Loading…</div>
+          )}
+        </details>
+      ) : null}
+    </div>
+  )
+}
+
+function Sources({
+  sources,
+  onOpen,
+  onError,
+}: {
+  sources: ChatSource[]
+  onOpen?: (source: ChatSource) => void
+  onError?: (message: string) => void
+}) {
   if (!sources.length) return null
+  const showDocument = new Set(sources.map((s) => s.docId)).size > 1
   return (
     <div className="sources">
       <div className="sourcesTitle">Sources</div>
@@ -39,11 +524,26 @@ function Sources({ sources }: { sources: ChatSource[] }) {
         {sources.map((s) => (
           <li key={s.chunkId} className="sourceItem">
             <div className="sourceMeta">
+              {showDocument && s.docName ? <span className="sourceDoc">{s.docName}</span> : null}
               <span className="mono">{s.chunkId}</span>
               <span>pages {s.pageStart}-{s.pageEnd}</span>
+              {s.sectionPath ? <span className="sourceSection">§ {s.sectionPath}</span> : null}
               <span className="muted">score {s.score.toFixed(3)}</span>
+              {onOpen && s.docId ? (
+                <button type="button" className="linkBtn" onClick={() => onOpen(s)}>
+                  View in PDF
+                </button>
+              ) : null}
+              {onError && s.docId && s.tableId ? <TableDownloads docId={s.docId} tableId={s.tableId} onError={onError} /> : null}
+              {s.scores
+                ? Object.entries(s.scores).map(([method, value]) => (
+                    <span key={method} className="muted">
+                      {method} {value.toFixed(3)}
+                    </span>
+                  ))
+                : null}
             </div>
-            <div className="sourceExcerpt">{s.excerpt}…</div>
+            {s.table ? <TableView table={s.table} /> : <div className="sourceExcerpt">{s.excerpt}…</div>}
           </li>
         ))}
       </ul>
@@ -51,25 +551,462 @@ function Sources({ sources }: { sources: ChatSource[] }) {
   )
 }
 
+function formatExtractValue(value: ExtractValue): string {
+  if (value === null) return '—'
+  if (Array.isArray(value)) return value.join(', ')
+  if (typeof value === 'boolean') return value ? 'yes' : 'no'
+  return String(value)
+}
+
+function ExtractResults({
+  fields,
+  results,
+  onOpen,
+}: {
+  fields: ExtractField[]
+  results: DocumentExtraction[]
+  onOpen: (source: ChatSource) => void
+}) {
+  return (
+    <div className="compareTableWrap">
+      <table className="compareTable">
+        <thead>
+          <tr>
+            <th>Document</th>
+            {fields.map((f) => (
+              <th key={f.name}>{f.name}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {results.map((r) => (
+            <tr key={r.docId}>
+              <td className="compareTopic">
+                {r.docName}
+                {r.cached ? <span className="muted"> · cached</span> : null}
+              </td>
+              {r.error || !r.fields ? (
+                <td colSpan={fields.length} className="extractError">
+                  {r.error || 'No result'}
+                </td>
+              ) : (
+                fields.map((f) => {
+                  const field = r.fields?.[f.name]
+                  if (!field) return <td key={f.name}>—</td>
+                  return (
+                    <td key={f.name} className={field.error ? 'extractError' : undefined} title={field.error}>
+                      <div>{formatExtractValue(field.value)}</div>
+                      {field.value !== null ? (
+                        <div className="extractMeta muted">
+                          {Math.round(field.confidence * 100)}% · {field.support}
+                          {field.sources.map((n) => {
+                            const source = r.sources?.[n - 1]
+                            return source ? (
+                              <button key={n} type="button" className="citeLink" onClick={() => onOpen(source)}>
+                                Source {n}
+                              </button>
+                            ) : null
+                          })}
+                        </div>
+                      ) : field.error ? (
+                        <div className="extractMeta">{field.error}</div>
+                      ) : null}
+                    </td>
+                  )
+                })
+              )}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+function DiffText({ change }: { change: DiffChange }) {
+  if (change.words) {
+    return (
+      <div className="diffText">
+        {change.words.map((w, i) =>
+          w.op === 'delete' ? (
+            <del key={i}>{w.text}</del>
+          ) : w.op === 'insert' ? (
+            <ins key={i}>{w.text}</ins>
+          ) : (
+            <span key={i}>{w.text}</span>
+          )
+        )}
+      </div>
+    )
+  }
+  return <div className="diffText">{change.type === 'deleted' ? <del>{change.before}</del> : <ins>{change.after}</ins>}</div>
+}
+
+function DiffChanges({
+  diff,
+  documents,
+  onOpenPage,
+}: {
+  diff: DocumentDiff
+  documents: CompareDocument[]
+  onOpenPage: (docId: string, page: number) => void
+}) {
+  const pageLink = (label: string, docId: string | undefined, page: number | null) =>
+    docId && page != null ? (
+      <button type="button" className="citeLink" onClick={() => onOpenPage(docId, page)}>
+        {label} p.{page}
+      </button>
+    ) : (
+      <span className="muted">{label} —</span>
+    )
+  const [docA, docB] = documents
+
+  if (!diff.changes.length) return <div className="muted">No differences in the text.</div>
+  return (
+    <div className="compareTableWrap">
+      <table className="compareTable">
+        <thead>
+          <tr>
+            <th>#</th>
+            <th>Change</th>
+            <th>Where</th>
+            <th>
+              Text ({docA?.label} → {docB?.label})
+            </th>
+          </tr>
+        </thead>
+        <tbody>
+          {diff.changes.map((c) => (
+            <tr key={c.id}>
+              <td>{c.id}</td>
+              <td className="compareVerdict">
+                {c.type}
+                {c.numbers ? <div className="diffBadge">numbers</div> : null}
+                {c.obligations ? <div className="diffBadge">obligations</div> : null}
+              </td>
+              <td className="diffWhere">
+                {c.sectionB || c.sectionA ? <div className="muted">{c.sectionB || c.sectionA}</div> : null}
+                {pageLink(docA?.label || 'A', docA?.docId, c.pageA)} · {pageLink(docB?.label || 'B', docB?.docId, c.pageB)}
+              </td>
+              <td>
+                <DiffText change={c} />
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {diff.truncated ? <div className="muted">Only the first {diff.changes.length} changes are listed.</div> : null}
+    </div>
+  )
+}
+
+function versionLabel(doc: DocumentSummary) {
+  return `${doc.name}${(doc.version || 1) > 1 || doc.nextVersionId ? ` (v${doc.version || 1})` : ''}`
+}
+
+// Versions of a document, oldest first; selecting one makes it the active document.
+function VersionHistory({
+  docId,
+  onSelect,
+  onError,
+}: {
+  docId: string
+  onSelect: (id: string) => void
+  onError: (message: string) => void
+}) {
+  const [versions, setVersions] = useState<DocumentSummary[] | null>(null)
+
+  useEffect(() => {
+    let cancelled = false
+    listVersions(docId)
+      .then((v) => {
+        if (!cancelled) setVersions(v)
+      })
+      .catch((e) => {
+        if (!cancelled) onError(getErrorMessage(e) || 'Could not load versions')
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [docId, onError])
+
+  if (!versions) return <div className="muted">Loading versions…</div>
+  return (
+    <ul className="tablesList">
+      {versions.map((v) => (
+        <li key={v.id}>
+          {v.id === docId ? (
+            <strong>v{v.version || 1}</strong>
+          ) : (
+            <button type="button" className="linkBtn" onClick={() => onSelect(v.id)}>
+              v{v.version || 1}
+            </button>
+          )}{' '}
+          {v.name} <span className="muted">({new Date(v.createdAt).toLocaleDateString()})</span>
+        </li>
+      ))}
+    </ul>
+  )
+}
+
+// Summary of a document in a chosen profile and length; generated on request, then cached by the backend.
+function DocumentSummaryPanel({
+  docId,
+  onOpenPage,
+  onError,
+}: {
+  docId: string
+  onOpenPage: (page: number) => void
+  onError: (message: string) => void
+}) {
+  const [profile, setProfile] = useState<SummaryProfile>('findings')
+  const [length, setLength] = useState<SummaryLength>('medium')
+  const [result, setResult] = useState<SummaryResult | null>(null)
+  const [loading, setLoading] = useState(false)
+
+  async function onSummarize(refresh: boolean) {
+    setLoading(true)
+    try {
+      setResult(await getSummary(docId, profile, length, { refresh }))
+    } catch (e: unknown) {
+      onError(getErrorMessage(e) || 'Summary failed')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const current = result && result.profile === profile && result.length === length ? result : null
+  return (
+    <div className="changeReport">
+      <div className="summaryControls">
+        <select value={profile} disabled={loading} onChange={(e) => setProfile(e.target.value as SummaryProfile)}>
+          {FRONTEND_DEFAULTS.SUMMARY_PROFILES.map((p) => (
+            <option key={p.value} value={p.value}>
+              {p.label}
+            </option>
+          ))}
+        </select>
+        <select value={length} disabled={loading} onChange={(e) => setLength(e.target.value as SummaryLength)}>
+          {FRONTEND_DEFAULTS.SUMMARY_LENGTHS.map((l) => (
+            <option key={l} value={l}>
+              {l}
+            </option>
+          ))}
+        </select>
+        <button type="button" className="linkBtn" disabled={loading} onClick={() => void onSummarize(false)}>
+          {loading ? 'Summarizing…' : 'Summarize'}
+        </button>
+        {current?.cached ? (
+          <button type="button" className="linkBtn" disabled={loading} onClick={() => void onSummarize(true)}>
+            Regenerate
+          </button>
+        ) : null}
+      </div>
+      {current ? (
+        <>
+          <div className="markdown">
+            <ReactMarkdown remarkPlugins={[remarkGfm]}>{current.summary}</ReactMarkdown>
+          </div>
+          {current.sources.length ? (
+            <div className="muted">
+              From pages:{' '}
+              {current.sources.map((s) => (
+                <button key={s.chunkId} type="button" className="citeLink" onClick={() => onOpenPage(s.pageStart)}>
+                  {s.pageStart === s.pageEnd ? s.pageStart : `${s.pageStart}-${s.pageEnd}`}
+                </button>
+              ))}
+            </div>
+          ) : null}
+          {current.cached && current.updatedAt ? (
+            <div className="muted">Cached summary from {new Date(current.updatedAt).toLocaleString()}</div>
+          ) : null}
+        </>
+      ) : null}
+    </div>
+  )
+}
+
+// What changed since the previous version; the full change list is behind a toggle.
+function ChangeReportView({
+  docId,
+  onOpenPage,
+  onError,
+}: {
+  docId: string
+  onOpenPage: (docId: string, page: number) => void
+  onError: (message: string) => void
+}) {
+  const [report, setReport] = useState<ChangeReport | null>(null)
+  const [summarizing, setSummarizing] = useState(false)
+  const [showAll, setShowAll] = useState(false)
+
+  useEffect(() => {
+    let cancelled = false
+    getChangeReport(docId)
+      .then((r) => {
+        if (!cancelled) setReport(r)
+      })
+      .catch((e) => {
+        if (!cancelled) onError(getErrorMessage(e) || 'Could not load the change report')
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [docId, onError])
+
+  async function onSummarize() {
+    setSummarizing(true)
+    try {
+      setReport(await getChangeReport(docId, { summarize: true }))
+    } catch (e: unknown) {
+      onError(getErrorMessage(e) || 'Summary failed')
+    } finally {
+      setSummarizing(false)
+    }
+  }
+
+  if (!report) return <div className="muted">Comparing with the previous version…</div>
+  const { sectionsAdded, sectionsRemoved, figures, conclusions } = report.report
+  const pages = (c: { pageA: number | null; pageB: number | null }) => (
+    <>
+      {c.pageA != null ? (
+        <button type="button" className="citeLink" onClick={() => onOpenPage(report.previousDocumentId, c.pageA as number)}>
+          v{report.previousVersion} p.{c.pageA}
+        </button>
+      ) : null}{' '}
+      {c.pageB != null ? (
+        <button type="button" className="citeLink" onClick={() => onOpenPage(report.documentId, c.pageB as number)}>
+          v{report.version} p.{c.pageB}
+        </button>
+      ) : null}
+    </>
+  )
+  const documents: CompareDocument[] = [
+    { label: `v${report.previousVersion}`, docId: report.previousDocumentId, docName: '', sources: [] },
+    { label: `v${report.version}`, docId: report.documentId, docName: '', sources: [] },
+  ]
+
+  return (
+    <div className="changeReport">
+      <div className="sourcesTitle">
+        Changes since v{report.previousVersion}
+        {report.cached ? <span className="muted"> · cached</span> : null}
+      </div>
+      <div className="markdown">
+        <ReactMarkdown remarkPlugins={[remarkGfm]}>{report.summary}</ReactMarkdown>
+      </div>
+      {sectionsAdded.length ? <div>Sections added: {sectionsAdded.join(', ')}</div> : null}
+      {sectionsRemoved.length ? <div>Sections removed: {sectionsRemoved.join(', ')}</div> : null}
+      {figures.length ? (
+        <div>
+          Changed figures:
+          <ul className="tablesList">
+            {figures.map((f) => (
+              <li key={f.changeId}>
+                {f.before.join(', ') || '—'} → {f.after.join(', ') || '—'}
+                {f.section ? <span className="muted"> ({f.section})</span> : null} {pages(f)}
+              </li>
+            ))}
+          </ul>
+        </div>
+      ) : null}
+      {conclusions.length ? (
+        <div>
+          Changed conclusions:
+          <ul className="tablesList">
+            {conclusions.map((c) => {
+              const change = report.diff.changes.find((d) => d.id === c.changeId)
+              return (
+                <li key={c.changeId}>
+                  {change ? <DiffText change={change} /> : null} {pages(c)}
+                </li>
+              )
+            })}
+          </ul>
+        </div>
+      ) : null}
+      <div className="docActions">
+        <button className="linkBtn" disabled={summarizing} onClick={() => void onSummarize()}>
+          {summarizing ? 'Summarizing…' : 'Summarize with LLM'}
+        </button>
+        {report.diff.changes.length ? (
+          <button className="linkBtn" onClick={() => setShowAll((v) => !v)}>
+            {showAll ? 'Hide changes' : `All ${report.diff.changes.length} changes`}
+          </button>
+        ) : null}
+      </div>
+      {showAll ? <DiffChanges diff={report.diff} documents={documents} onOpenPage={onOpenPage} /> : null}
+    </div>
+  )
+}
+
 function App() {
+  // Signed-in user (null until /api/me succeeds, e.g. while no valid token is set).
+  const [me, setMe] = useState<Me | null>(null)
+  const [tokenDraft, setTokenDraft] = useState('')
   const [documents, setDocuments] = useState<DocumentSummary[]>([])
   const [activeDocId, setActiveDocId] = useState<string>('')
-  const [mode, setMode] = useState<'chat' | 'compare'>('chat')
+  const [mode, setMode] = useState<'chat' | 'compare' | 'extract'>('chat')
+  // Chat scope: the active document, a hand-picked set, or the whole collection.
+  const [chatScope, setChatScope] = useState<'single' | 'selected' | 'all'>('single')
+  const [chatDocIds, setChatDocIds] = useState<string[]>([])
+  // Stored conversation the chat panel shows; empty means the next question starts a new one.
+  const [conversationId, setConversationId] = useState('')
+  const [conversations, setConversations] = useState<ConversationSummary[]>([])
+  // Empty means "use the backend default" (RETRIEVER env).
+  const [retriever, setRetriever] = useState<Retriever | ''>('')
 
   const [busy, setBusy] = useState(false)
   const [thinkingChat, setThinkingChat] = useState(false)
   const [thinkingCompare, setThinkingCompare] = useState(false)
+  const [thinkingExtract, setThinkingExtract] = useState(false)
   const [error, setError] = useState<string>('')
 
   const [uploadPercent, setUploadPercent] = useState<number | null>(null)
-  const [uploadPhase, setUploadPhase] = useState<'idle' | 'uploading' | 'processing'>('idle')
+  // Upload/reprocess job being processed by the backend.
+  const [ingestJob, setIngestJob] = useState<IngestJob | null>(null)
 
   const activeDoc = useMemo(() => documents.find((d) => d.id === activeDocId), [documents, activeDocId])
+  const [viewer, setViewer] = useState<ViewerTarget | null>(null)
+  const [showTables, setShowTables] = useState(false)
+  const [showSummary, setShowSummary] = useState(false)
+  const [showVersions, setShowVersions] = useState(false)
+  const [showChanges, setShowChanges] = useState(false)
+  // Filters the document picker by name, title, authors, abstract, DOI, arXiv id or year.
+  const [documentQuery, setDocumentQuery] = useState('')
+  // Older versions are only listed while selected (see the version history).
+  const listedDocuments = useMemo(() => {
+    const ids = new Set(documents.map((d) => d.id))
+    return documents.filter(
+      (d) =>
+        d.id === activeDocId || (!(d.nextVersionId && ids.has(d.nextVersionId)) && documentMatches(d, documentQuery))
+    )
+  }, [documents, activeDocId, documentQuery])
+
+  function openDocumentViewer(doc: DocumentSummary, page = 1, chunkId?: string) {
+    setViewer({ docId: doc.id, name: doc.name, numPages: doc.numPages, page, chunkId })
+  }
+
+  function openDocumentPage(docId: string, page: number) {
+    const doc = documents.find((d) => d.id === docId)
+    if (doc) openDocumentViewer(doc, page)
+    else setError('That document is no longer available.')
+  }
+
+  function openSource(source: ChatSource) {
+    const doc = documents.find((d) => d.id === source.docId)
+    if (!doc) {
+      setError('That document is no longer available.')
+      return
+    }
+    openDocumentViewer(doc, source.pageStart, source.chunkId)
+  }
 
   const [messages, setMessages] = useState<ChatMessage[]>([])
   const [question, setQuestion] = useState('')
 
   const chatEndRef = useRef<HTMLDivElement | null>(null)
+  const lastMessageLength = messages.length ? messages[messages.length - 1].content.length : 0
 
   useEffect(() => {
     if (mode !== 'chat') return
@@ -78,16 +1015,29 @@ function App() {
       chatEndRef.current?.scrollIntoView({ behavior: 'smooth', block: 'end' })
     })
     return () => window.cancelAnimationFrame(id)
-  }, [mode, messages.length, thinkingChat])
+  }, [mode, messages.length, lastMessageLength, thinkingChat])
 
-  const [docA, setDocA] = useState('')
-  const [docB, setDocB] = useState('')
+  // Documents to compare, in selection order: the first is labeled A, the second B, and so on.
+  const [compareDocIds, setCompareDocIds] = useState<string[]>([])
   const [compareMode, setCompareMode] = useState<CompareMode>('content')
   const [comparePrompt, setComparePrompt] = useState('Compare the documents: key similarities and key differences.')
   const [compareAnswer, setCompareAnswer] = useState<string>('')
   const [compareStructured, setCompareStructured] = useState<CompareStructured | null>(null)
-  const [compareSourcesA, setCompareSourcesA] = useState<ChatSource[]>([])
-  const [compareSourcesB, setCompareSourcesB] = useState<ChatSource[]>([])
+  const [compareDocuments, setCompareDocuments] = useState<CompareDocument[]>([])
+  // Literal mode: the change list, and whether the LLM summarizes it.
+  const [compareDiff, setCompareDiff] = useState<DocumentDiff | null>(null)
+  const [compareSummarize, setCompareSummarize] = useState(false)
+  const [compareCached, setCompareCached] = useState(false)
+  const [compareGrounding, setCompareGrounding] = useState<Grounding | null>(null)
+  // The whole response, posted back for exports.
+  const [compareResult, setCompareResult] = useState<CompareResponse | null>(null)
+
+  // The extraction schema is edited as JSON: [{ name, description?, type?, options?, required? }].
+  const [extractSchema, setExtractSchema] = useState(() => JSON.stringify(FRONTEND_DEFAULTS.EXTRACT_EXAMPLE_FIELDS, null, 2))
+  const [extractScope, setExtractScope] = useState<'single' | 'all'>('single')
+  // Fields of the schema the results were extracted with (the table's columns).
+  const [extractedFields, setExtractedFields] = useState<ExtractField[]>([])
+  const [extractResults, setExtractResults] = useState<DocumentExtraction[]>([])
 
   function defaultComparePromptForMode(m: CompareMode) {
     switch (m) {
@@ -98,7 +1048,7 @@ function App() {
       case 'structure':
         return 'Compare the document structure: sections, organization, and coverage.'
       case 'literal':
-        return 'Compare literal wording differences: definitions, requirements, numbers, and constraints.'
+        return 'Summarize the literal wording differences: definitions, requirements, numbers, and constraints.'
       case 'custom':
         return 'Compare the documents: key similarities and key differences.'
       case 'content':
@@ -124,48 +1074,231 @@ function App() {
     }
   }
 
+  async function loadSession() {
+    try {
+      setMe(await getMe())
+    } catch (e: unknown) {
+      setMe(null)
+      setDocuments([])
+      setActiveDocId('')
+      throw e
+    }
+    await refreshDocs()
+  }
+
   useEffect(() => {
-    refreshDocs().catch((e) => setError(e.message))
+    loadSession().catch((e) => setError(getErrorMessage(e)))
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [])
 
+  function onSignIn() {
+    setAuthToken(tokenDraft.trim())
+    setTokenDraft('')
+    setError('')
+    startNewConversation()
+    loadSession().catch((e) => setError(getErrorMessage(e)))
+  }
+
+  function onSignOut() {
+    setAuthToken('')
+    setMe(null)
+    setDocuments([])
+    setActiveDocId('')
+    setConversations([])
+    startNewConversation()
+  }
+
+  async function refreshConversations() {
+    // Per-document list while chatting with one PDF; every conversation otherwise.
+    const docId = chatScope === 'single' ? activeDocId : ''
+    setConversations(await listConversations(docId || undefined))
+  }
+
+  useEffect(() => {
+    if (!me) return
+    refreshConversations().catch((e) => setError(e.message))
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [me, activeDocId, chatScope])
+
+  function startNewConversation() {
+    setConversationId('')
+    setMessages([])
+  }
+
+  async function openConversation(id: string) {
+    setError('')
+    try {
+      const conv = await getConversation(id)
+      if (conv.docIds === 'all') {
+        setChatScope('all')
+      } else if (conv.docIds.length === 1) {
+        setChatScope('single')
+        setActiveDocId(conv.docIds[0])
+      } else {
+        setChatScope('selected')
+        setChatDocIds(conv.docIds)
+      }
+      setConversationId(conv.id)
+      setMessages(conv.messages.map((m) => ({ role: m.role, content: m.content, sources: m.sources, grounding: m.grounding })))
+    } catch (e: unknown) {
+      setError(getErrorMessage(e) || 'Could not open conversation')
+    }
+  }
+
+  async function onRenameConversation(conv: ConversationSummary) {
+    const title = window.prompt('Rename conversation', conv.title)?.trim()
+    if (!title || title === conv.title) return
+    try {
+      await renameConversation(conv.id, title)
+      await refreshConversations()
+    } catch (e: unknown) {
+      setError(getErrorMessage(e) || 'Rename failed')
+    }
+  }
+
+  async function onDeleteConversation(conv: ConversationSummary) {
+    if (!window.confirm(`Delete "${conv.title || 'Untitled'}"?`)) return
+    try {
+      await deleteConversation(conv.id)
+      if (conv.id === conversationId) startNewConversation()
+      await refreshConversations()
+    } catch (e: unknown) {
+      setError(getErrorMessage(e) || 'Delete failed')
+    }
+  }
+
   function validateUploadFile(file: File) {
     const isPdf = file.type === FRONTEND_DEFAULTS.PDF_MIME || file.name.toLowerCase().endsWith('.pdf')
     if (!isPdf) throw new Error('Only PDF files are supported.')
     if (file.size > FRONTEND_DEFAULTS.MAX_PDF_BYTES) throw new Error(`PDF must be ${FRONTEND_DEFAULTS.MAX_PDF_LABEL} or smaller.`)
   }
 
-  async function onUpload(file: File) {
+  // With `versionOf`, the file is uploaded as the new latest version of that document.
+  async function onUpload(file: File, versionOf?: string) {
     setError('')
     setUploadPercent(0)
-    setUploadPhase('uploading')
     setBusy(true)
     try {
       validateUploadFile(file)
-      const doc = await uploadPdf(file, {
-        onProgress: (pct) => {
-          setUploadPercent(pct)
-          if (pct >= 100) setUploadPhase('processing')
-        },
-      })
+      const job = await uploadPdf(file, { onProgress: setUploadPercent, versionOf })
+      setUploadPercent(null)
+      const doc = await waitForJob(job, setIngestJob)
       await refreshDocs(doc.id)
-      setMessages([])
+      startNewConversation()
       setCompareAnswer('')
       setCompareStructured(null)
-      setCompareSourcesA([])
-      setCompareSourcesB([])
+      setCompareDocuments([])
+      setCompareGrounding(null)
+      setCompareResult(null)
     } catch (e: unknown) {
       setError(getErrorMessage(e) || 'Upload failed')
     } finally {
       setBusy(false)
-      setUploadPhase('idle')
       setUploadPercent(null)
+      setIngestJob(null)
+    }
+  }
+
+  function resolveChatScope(): ChatScope | null {
+    if (chatScope === 'all') return documents.length ? { docIds: 'all' } : null
+    if (chatScope === 'selected') {
+      const ids = chatDocIds.filter((id) => documents.some((d) => d.id === id))
+      return ids.length ? { docIds: ids } : null
+    }
+    return activeDocId ? { docId: activeDocId } : null
+  }
+
+  function toggleChatDoc(id: string) {
+    setChatDocIds((prev) => (prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]))
+    startNewConversation()
+  }
+
+  function toggleCompareDoc(id: string) {
+    setCompareDocIds((prev) => (prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]))
+  }
+
+  async function onRenameDocument() {
+    if (!activeDoc) return
+    const name = window.prompt('Rename document', activeDoc.name)?.trim()
+    if (!name || name === activeDoc.name) return
+    setError('')
+    setBusy(true)
+    try {
+      await renameDocument(activeDoc.id, name)
+      await refreshDocs(activeDoc.id)
+    } catch (e: unknown) {
+      setError(getErrorMessage(e) || 'Rename failed')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  async function onShareDocument() {
+    if (!activeDoc) return
+    const current = [
+      ...(activeDoc.sharedWith?.users || []),
+      ...(activeDoc.sharedWith?.teams || []).map((t) => `team:${t}`),
+    ]
+    const input = window.prompt(
+      'Share with (comma-separated user ids, "team:<name>" for teams; empty to stop sharing)',
+      current.join(', ')
+    )
+    if (input === null) return
+    const entries = input
+      .split(',')
+      .map((s) => s.trim())
+      .filter(Boolean)
+    setError('')
+    try {
+      await shareDocument(activeDoc.id, {
+        users: entries.filter((s) => !s.startsWith('team:')),
+        teams: entries.filter((s) => s.startsWith('team:')).map((s) => s.slice('team:'.length).trim()).filter(Boolean),
+      })
+      await refreshDocs(activeDoc.id)
+    } catch (e: unknown) {
+      setError(getErrorMessage(e) || 'Sharing failed')
+    }
+  }
+
+  async function onReprocessDocument() {
+    if (!activeDoc) return
+    setError('')
+    setBusy(true)
+    try {
+      const job = await reprocessDocument(activeDoc.id)
+      await waitForJob(job, setIngestJob)
+      await refreshDocs(activeDoc.id)
+    } catch (e: unknown) {
+      setError(getErrorMessage(e) || 'Reprocess failed')
+    } finally {
+      setBusy(false)
+      setIngestJob(null)
+    }
+  }
+
+  async function onDeleteDocument() {
+    if (!activeDoc) return
+    if (!window.confirm(`Delete "${activeDoc.name}" and its conversations? This cannot be undone.`)) return
+    setError('')
+    setBusy(true)
+    try {
+      await deleteDocument(activeDoc.id)
+      setChatDocIds((prev) => prev.filter((id) => id !== activeDoc.id))
+      setCompareDocIds((prev) => prev.filter((id) => id !== activeDoc.id))
+      startNewConversation()
+      await refreshDocs()
+      await refreshConversations()
+    } catch (e: unknown) {
+      setError(getErrorMessage(e) || 'Delete failed')
+    } finally {
+      setBusy(false)
     }
   }
 
   async function onAsk() {
-    if (!activeDocId) {
-      setError('Upload and select a document first.')
+    const scope = resolveChatScope()
+    if (!scope) {
+      setError(chatScope === 'selected' ? 'Select at least one document to chat with.' : 'Upload and select a document first.')
       return
     }
     if (!question.trim()) return
@@ -180,13 +1313,42 @@ function App() {
     setBusy(true)
     setThinkingChat(true)
     try {
-      const history = nextMessages
-        .filter((m) => m.role === 'user' || m.role === 'assistant')
-        .map((m) => ({ role: m.role, content: m.content }))
+      // History lives with the conversation on the server, so only the question is sent.
+      let convId = conversationId
+      if (!convId) {
+        convId = (await createConversation(scope)).id
+        setConversationId(convId)
+      }
 
-      const resp = await chat(activeDocId, history.slice(0, -1), q)
-      setMessages((prev) => [...prev, { role: 'assistant', content: resp.answer, sources: resp.sources }])
+      let streamed = ''
+      const resp = await chat({ conversationId: convId }, [], q, {
+        retriever: retriever || undefined,
+        // Chat follows a document to its latest version, unless an older one was picked explicitly.
+        pinVersion: chatScope === 'single' && !!activeDoc?.nextVersionId,
+        onToken: (text) => {
+          streamed += text
+          const content = streamed
+          setThinkingChat(false)
+          setMessages((prev) => {
+            const last = prev[prev.length - 1]
+            if (last?.streaming) return [...prev.slice(0, -1), { ...last, content }]
+            return [...prev, { role: 'assistant', content, streaming: true }]
+          })
+        },
+      })
+      setMessages((prev) => [
+        ...prev.filter((m) => !m.streaming),
+        {
+          role: 'assistant',
+          content: resp.answer,
+          sources: resp.sources,
+          cached: resp.cached,
+          grounding: resp.grounding,
+        },
+      ])
+      await refreshConversations()
     } catch (e: unknown) {
+      setMessages((prev) => prev.filter((m) => !m.streaming))
       setError(getErrorMessage(e) || 'Chat failed')
     } finally {
       setThinkingChat(false)
@@ -195,19 +1357,37 @@ function App() {
   }
 
   async function onCompare() {
-    if (!docA || !docB || docA === docB) {
-      setError('Select two different documents to compare.')
+    if (compareDocIds.length < 2) {
+      setError('Select at least two documents to compare.')
+      return
+    }
+    if (compareMode === 'literal' && compareDocIds.length !== 2) {
+      setError('The literal diff compares exactly two documents.')
       return
     }
     setError('')
     setBusy(true)
     setThinkingCompare(true)
+    setCompareAnswer('')
+    setCompareStructured(null)
+    setCompareDocuments([])
+    setCompareDiff(null)
+    setCompareCached(false)
+    setCompareGrounding(null)
+    setCompareResult(null)
     try {
-      const resp = await compare(docA, docB, comparePrompt, compareMode)
+      const resp = await compare(compareDocIds, comparePrompt, compareMode, {
+        retriever: retriever || undefined,
+        summarize: compareMode === 'literal' ? compareSummarize : undefined,
+        onToken: (text) => setCompareAnswer((prev) => prev + text),
+      })
       setCompareAnswer(resp.answer)
       setCompareStructured(resp.structured || null)
-      setCompareSourcesA(resp.sourcesA)
-      setCompareSourcesB(resp.sourcesB)
+      setCompareDocuments(resp.documents)
+      setCompareDiff(resp.diff || null)
+      setCompareCached(!!resp.cached)
+      setCompareGrounding(resp.grounding || null)
+      setCompareResult(resp)
     } catch (e: unknown) {
       setError(getErrorMessage(e) || 'Compare failed')
     } finally {
@@ -216,6 +1396,36 @@ function App() {
     }
   }
 
+  async function onExtract() {
+    let fields: ExtractField[]
+    try {
+      fields = JSON.parse(extractSchema)
+      if (!Array.isArray(fields) || !fields.length) throw new Error('not a list')
+    } catch {
+      setError('The schema must be a JSON array of fields, e.g. [{"name": "title", "description": "Title of the paper"}].')
+      return
+    }
+    if (extractScope === 'single' && !activeDocId) {
+      setError('Select a document first.')
+      return
+    }
+    setError('')
+    setBusy(true)
+    setThinkingExtract(true)
+    setExtractResults([])
+    try {
+      const scope: ChatScope = extractScope === 'all' ? { docIds: 'all' } : { docId: activeDocId }
+      const resp = await extractFields(scope, fields, { retriever: retriever || undefined })
+      setExtractedFields(fields)
+      setExtractResults(resp.results)
+    } catch (e: unknown) {
+      setError(getErrorMessage(e) || 'Extraction failed')
+    } finally {
+      setThinkingExtract(false)
+      setBusy(false)
+    }
+  }
+
   return (
     <div className="shell">
       <header className="header">
@@ -225,12 +1435,46 @@ function App() {
 
       <div className="layout">
         <aside className="sidebar">
+          {!me || me.authMode === 'jwt' ? (
+            <div className="panel">
+              <div className="panelTitle">Account</div>
+              {me ? (
+                <div className="docMeta">
+                  <div className="muted">
+                    Signed in as <span className="mono">{me.user.id}</span>
+                    {me.user.teams.length ? ` (teams: ${me.user.teams.join(', ')})` : ''}
+                  </div>
+                  <div className="docActions">
+                    <button className="linkBtn" onClick={onSignOut}>
+                      Sign out
+                    </button>
+                  </div>
+                </div>
+              ) : (
+                <div className="docMeta">
+                  <input
+                    type="password"
+                    placeholder="Bearer token"
+                    value={tokenDraft}
+                    onChange={(e) => setTokenDraft(e.target.value)}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter' && tokenDraft.trim()) onSignIn()
+                    }}
+                  />
+                  <button className="btn" disabled={!tokenDraft.trim()} onClick={onSignIn}>
+                    Sign in
+                  </button>
+                </div>
+              )}
+            </div>
+          ) : null}
+
           <div className="panel">
             <div className="panelTitle">Upload</div>
             <input
               type="file"
               accept="application/pdf"
-              disabled={busy}
+              disabled={busy || !me}
               onChange={(e) => {
                 const f = e.target.files?.[0]
                 if (f) void onUpload(f)
@@ -238,21 +1482,48 @@ function App() {
                 e.target.value = ''
               }}
             />
+            {activeDoc && activeDoc.access !== 'shared' ? (
+              <label className="versionUpload">
+                <span className="muted">New version of {activeDoc.name}</span>
+                <input
+                  type="file"
+                  accept="application/pdf"
+                  disabled={busy || !me}
+                  onChange={(e) => {
+                    const f = e.target.files?.[0]
+                    if (f) void onUpload(f, activeDoc.id)
+                    e.target.value = ''
+                  }}
+                />
+              </label>
+            ) : null}
             {uploadPercent !== null ? (
               <div className="uploadProgress">
                 <div className="uploadProgressRow">
-                  <div className="muted">
-                    {uploadPhase === 'uploading'
-                      ? `Uploading… ${uploadPercent}%`
-                      : uploadPhase === 'processing'
-                        ? 'Processing…'
-                        : ''}
-                  </div>
+                  <div className="muted">Uploading… {uploadPercent}%</div>
                 </div>
                 <div className="progressTrack" role="progressbar" aria-valuenow={uploadPercent} aria-valuemin={0} aria-valuemax={100}>
                   <div className="progressFill" style={{ width: `${uploadPercent}%` }} />
                 </div>
               </div>
+            ) : ingestJob ? (
+              <div className="uploadProgress">
+                <div className="uploadProgressRow">
+                  <div className="muted">
+                    {ingestJob.type === 'reprocess' ? 'Reprocessing' : 'Processing'} {ingestJob.name}
+                  </div>
+                </div>
+                <div className="muted">{jobStageLabel(ingestJob)}</div>
+                <div
+                  className="progressTrack"
+                  role="progressbar"
+                  aria-valuenow={jobPercent(ingestJob)}
+                  aria-valuemin={0}
+                  aria-valuemax={100}
+                >
+                  <div className="progressFill" style={{ width: `${jobPercent(ingestJob)}%` }} />
+                </div>
+              </div>
             ) : (
               <div className="muted">Max size: {FRONTEND_DEFAULTS.MAX_PDF_LABEL}</div>
             )}
@@ -260,28 +1531,142 @@ function App() {
 
           <div className="panel">
             <div className="panelTitle">Documents</div>
+            {documents.length > 1 ? (
+              <input
+                className="docSearch"
+                value={documentQuery}
+                placeholder="Search title, author, DOI, year…"
+                onChange={(e) => setDocumentQuery(e.target.value)}
+              />
+            ) : null}
             {documents.length === 0 ? (
               <div className="muted">No documents yet.</div>
             ) : (
-              <select value={activeDocId} disabled={busy} onChange={(e) => setActiveDocId(e.target.value)}>
-                {documents.map((d) => (
+              <select
+                value={activeDocId}
+                disabled={busy}
+                onChange={(e) => {
+                  setActiveDocId(e.target.value)
+                  if (chatScope === 'single') startNewConversation()
+                }}
+              >
+                {listedDocuments.map((d) => (
                   <option key={d.id} value={d.id}>
-                    {d.name}
+                    {versionLabel(d)}
                   </option>
                 ))}
               </select>
             )}
             {activeDoc ? (
               <div className="docMeta">
+                {activeDoc.metadata ? (
+                  <MetadataDetails key={activeDoc.id} docId={activeDoc.id} metadata={activeDoc.metadata} onError={setError} />
+                ) : null}
                 <div className="muted">pages: {activeDoc.numPages}</div>
                 <div className="muted">chunks: {activeDoc.numChunks}</div>
+                {activeDoc.numTables ? <div className="muted">tables: {activeDoc.numTables}</div> : null}
                 {typeof activeDoc.totalExtractedChars === 'number' ? (
                   <div className="muted">extracted chars: {activeDoc.totalExtractedChars}</div>
                 ) : null}
                 {typeof activeDoc.nonEmptyPages === 'number' ? (
                   <div className="muted">non-empty pages: {activeDoc.nonEmptyPages}</div>
                 ) : null}
+                {activeDoc.ocrPages?.length ? (
+                  <div className="muted" title={activeDoc.ocrPages.map((p) => `p${p.pageNumber}: ${p.confidence}%`).join(', ')}>
+                    OCR pages: {activeDoc.ocrPages.length} (avg confidence{' '}
+                    {Math.round(activeDoc.ocrPages.reduce((sum, p) => sum + p.confidence, 0) / activeDoc.ocrPages.length)}%)
+                  </div>
+                ) : null}
                 {activeDoc.scannedLikely ? <div className="warn">Likely scanned PDF (text extraction may fail)</div> : null}
+                {activeDoc.access === 'shared' ? (
+                  <div className="muted">
+                    Shared with you by <span className="mono">{activeDoc.ownerId}</span> (read-only)
+                  </div>
+                ) : activeDoc.sharedWith && (activeDoc.sharedWith.users.length || activeDoc.sharedWith.teams.length) ? (
+                  <div className="muted">
+                    Shared with:{' '}
+                    {[...activeDoc.sharedWith.users, ...activeDoc.sharedWith.teams.map((t) => `team ${t}`)].join(', ')}
+                  </div>
+                ) : null}
+                <div className="docActions">
+                  <button className="linkBtn" onClick={() => openDocumentViewer(activeDoc)}>
+                    View PDF
+                  </button>
+                  <button className="linkBtn" onClick={() => setShowSummary((v) => !v)}>
+                    {showSummary ? 'Hide summary' : 'Summary'}
+                  </button>
+                  {activeDoc.numTables ? (
+                    <button className="linkBtn" onClick={() => setShowTables((v) => !v)}>
+                      {showTables ? 'Hide tables' : 'Tables'}
+                    </button>
+                  ) : null}
+                </div>
+                {(activeDoc.version || 1) > 1 || activeDoc.nextVersionId ? (
+                  <div className="docActions">
+                    <button className="linkBtn" onClick={() => setShowVersions((v) => !v)}>
+                      {showVersions ? 'Hide versions' : 'Versions'}
+                    </button>
+                    {activeDoc.previousVersionId ? (
+                      <button className="linkBtn" onClick={() => setShowChanges((v) => !v)}>
+                        {showChanges ? 'Hide changes' : 'What changed'}
+                      </button>
+                    ) : null}
+                  </div>
+                ) : null}
+                {activeDoc.nextVersionId ? (
+                  <div className="warn">Older version: chat uses this version, not the latest one.</div>
+                ) : null}
+                {showVersions ? (
+                  <VersionHistory
+                    key={activeDoc.id}
+                    docId={activeDoc.id}
+                    onSelect={(id) => {
+                      setActiveDocId(id)
+                      if (chatScope === 'single') startNewConversation()
+                    }}
+                    onError={setError}
+                  />
+                ) : null}
+                {showSummary ? (
+                  <DocumentSummaryPanel
+                    key={activeDoc.id}
+                    docId={activeDoc.id}
+                    onOpenPage={(page) => openDocumentViewer(activeDoc, page)}
+                    onError={setError}
+                  />
+                ) : null}
+                {showChanges && activeDoc.previousVersionId ? (
+                  <ChangeReportView key={activeDoc.id} docId={activeDoc.id} onOpenPage={openDocumentPage} onError={setError} />
+                ) : null}
+                {showTables && activeDoc.numTables ? (
+                  <DocumentTables
+                    key={activeDoc.id}
+                    docId={activeDoc.id}
+                    onOpenPage={(page) => openDocumentViewer(activeDoc, page)}
+                    onError={setError}
+                  />
+                ) : null}
+                {activeDoc.access !== 'shared' ? (
+                  <div className="docActions">
+                    <button className="linkBtn" disabled={busy} onClick={() => void onRenameDocument()}>
+                      Rename
+                    </button>
+                    <button className="linkBtn" disabled={busy} onClick={() => void onShareDocument()}>
+                      Share
+                    </button>
+                    <button
+                      className="linkBtn"
+                      disabled={busy}
+                      title="Re-run text extraction and chunking from the stored PDF"
+                      onClick={() => void onReprocessDocument()}
+                    >
+                      Reprocess
+                    </button>
+                    <button className="linkBtn danger" disabled={busy} onClick={() => void onDeleteDocument()}>
+                      Delete
+                    </button>
+                  </div>
+                ) : null}
               </div>
             ) : null}
           </div>
@@ -295,8 +1680,95 @@ function App() {
               <button className={mode === 'compare' ? 'btn active' : 'btn'} onClick={() => setMode('compare')} disabled={busy}>
                 Compare
               </button>
+              <button className={mode === 'extract' ? 'btn active' : 'btn'} onClick={() => setMode('extract')} disabled={busy}>
+                Extract
+              </button>
             </div>
           </div>
+
+          {mode === 'chat' ? (
+            <div className="panel">
+              <div className="panelTitle">Chat Across</div>
+              <select
+                value={chatScope}
+                disabled={busy}
+                onChange={(e) => {
+                  setChatScope(e.target.value as typeof chatScope)
+                  startNewConversation()
+                }}
+              >
+                <option value="single">Selected document</option>
+                <option value="selected">Several documents</option>
+                <option value="all">All documents</option>
+              </select>
+              {chatScope === 'selected' ? (
+                <div className="docPicker">
+                  {documents.map((d) => (
+                    <label key={d.id} className="docPickerItem">
+                      <input
+                        type="checkbox"
+                        checked={chatDocIds.includes(d.id)}
+                        disabled={busy}
+                        onChange={() => toggleChatDoc(d.id)}
+                      />
+                      <span>{d.name}</span>
+                    </label>
+                  ))}
+                </div>
+              ) : null}
+            </div>
+          ) : null}
+
+          {mode === 'chat' ? (
+            <div className="panel">
+              <div className="panelTitle">Conversations</div>
+              <button className="btn" onClick={startNewConversation} disabled={busy || !conversationId}>
+                New chat
+              </button>
+              {conversations.length === 0 ? (
+                <div className="muted convEmpty">No saved conversations{chatScope === 'single' && activeDoc ? ' for this document' : ''}.</div>
+              ) : (
+                <ul className="convList">
+                  {conversations.map((c) => (
+                    <li key={c.id} className={c.id === conversationId ? 'convItem active' : 'convItem'}>
+                      <button className="convOpen" disabled={busy} onClick={() => void openConversation(c.id)}>
+                        <span className="convTitle">{c.title || 'Untitled'}</span>
+                        <span className="muted">
+                          {new Date(c.updatedAt).toLocaleString()} · {c.messageCount} messages
+                        </span>
+                      </button>
+                      <div className="convActions">
+                        <button className="linkBtn" disabled={busy} onClick={() => void onRenameConversation(c)}>
+                          Rename
+                        </button>
+                        <button className="linkBtn" disabled={busy} onClick={() => void onDeleteConversation(c)}>
+                          Delete
+                        </button>
+                        <ExportButtons
+                          formats={['md', 'docx', 'json'] as const}
+                          fileName={c.title || 'conversation'}
+                          getUrl={(format) => getConversationExportUrl(c.id, format)}
+                          disabled={busy}
+                          onError={setError}
+                        />
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          ) : null}
+
+          <div className="panel">
+            <div className="panelTitle">Retrieval</div>
+            <select value={retriever} disabled={busy} onChange={(e) => setRetriever(e.target.value as Retriever | '')}>
+              <option value="">Server default</option>
+              <option value="tfidf">TF-IDF</option>
+              <option value="bm25">BM25</option>
+              <option value="semantic">Semantic (embeddings)</option>
+              <option value="hybrid">Hybrid (BM25 + semantic)</option>
+            </select>
+          </div>
         </aside>
 
         <main className="main">
@@ -307,19 +1779,29 @@ function App() {
               <div className="panelTitle">Chat</div>
               <div className="chat">
                 {messages.length === 0 ? (
-                  <div className="muted">Ask a question about the selected PDF.</div>
+                  <div className="muted">
+                    {chatScope === 'single' ? 'Ask a question about the selected PDF.' : 'Ask a question across the chosen PDFs.'}
+                  </div>
                 ) : (
                   messages.map((m, idx) => (
                     <div key={idx} className={m.role === 'user' ? 'msg user' : 'msg assistant'}>
-                      <div className="msgRole">{m.role}</div>
+                      <div className="msgRole">
+                        {m.role}
+                        {m.cached ? ' · cached' : ''}
+                      </div>
                       {m.role === 'assistant' ? (
                         <div className="msgContent markdown">
-                          <ReactMarkdown remarkPlugins={[remarkGfm]}>{m.content}</ReactMarkdown>
+                          <AnswerMarkdown
+                            text={m.content}
+                            sourceFor={(label) => m.sources?.[Number(label) - 1]}
+                            onOpenSource={openSource}
+                          />
                         </div>
                       ) : (
                         <div className="msgContent">{m.content}</div>
                       )}
-                      {m.role === 'assistant' && m.sources ? <Sources sources={m.sources} /> : null}
+                      {m.role === 'assistant' && m.grounding ? <GroundingWarning grounding={m.grounding} /> : null}
+                      {m.role === 'assistant' && m.sources ? <Sources sources={m.sources} onOpen={openSource} onError={setError} /> : null}
                     </div>
                   ))
                 )}
@@ -349,33 +1831,37 @@ function App() {
                 </button>
               </div>
             </div>
-          ) : (
+          ) : mode === 'compare' ? (
             <div className="panel">
               <div className="panelTitle">Compare Documents</div>
 
-              <div className="compareGrid">
-                <div>
-                  <div className="muted">Document A</div>
-                  <select value={docA} disabled={busy} onChange={(e) => setDocA(e.target.value)}>
-                    <option value="">Select…</option>
-                    {documents.map((d) => (
-                      <option key={d.id} value={d.id}>
-                        {d.name}
-                      </option>
-                    ))}
-                  </select>
-                </div>
-                <div>
-                  <div className="muted">Document B</div>
-                  <select value={docB} disabled={busy} onChange={(e) => setDocB(e.target.value)}>
-                    <option value="">Select…</option>
-                    {documents.map((d) => (
-                      <option key={d.id} value={d.id}>
-                        {d.name}
-                      </option>
-                    ))}
-                  </select>
-                </div>
+              <div className="muted">
+                {compareMode === 'literal'
+                  ? 'Documents (exactly 2: A is the earlier version, B the later one)'
+                  : `Documents (2 to ${FRONTEND_DEFAULTS.MAX_COMPARE_DOCUMENTS}, labeled A, B, C… in the order you pick them)`}
+              </div>
+              <div className="docPicker">
+                {documents.map((d) => {
+                  const index = compareDocIds.indexOf(d.id)
+                  return (
+                    <label key={d.id} className="docPickerItem">
+                      <input
+                        type="checkbox"
+                        checked={index >= 0}
+                        disabled={
+                          busy ||
+                          (index < 0 &&
+                            compareDocIds.length >= (compareMode === 'literal' ? 2 : FRONTEND_DEFAULTS.MAX_COMPARE_DOCUMENTS))
+                        }
+                        onChange={() => toggleCompareDoc(d.id)}
+                      />
+                      <span>
+                        {index >= 0 ? <strong>{compareLabel(index)} · </strong> : null}
+                        {versionLabel(d)}
+                      </span>
+                    </label>
+                  )
+                })}
               </div>
 
               <textarea
@@ -407,6 +1893,17 @@ function App() {
                   <option value="custom">Custom</option>
                 </select>
               </div>
+              {compareMode === 'literal' ? (
+                <label className="docPickerItem">
+                  <input
+                    type="checkbox"
+                    checked={compareSummarize}
+                    disabled={busy}
+                    onChange={(e) => setCompareSummarize(e.target.checked)}
+                  />
+                  <span>Summarize the changes with the LLM (the diff itself is computed without it)</span>
+                </label>
+              ) : null}
 
               <div className="modeRow">
                 <button className="btn" onClick={() => void onCompare()} disabled={busy}>
@@ -425,8 +1922,11 @@ function App() {
                           <thead>
                             <tr>
                               <th>Topic</th>
-                              <th>Doc A</th>
-                              <th>Doc B</th>
+                              {compareDocuments.map((d) => (
+                                <th key={d.label} title={d.docName}>
+                                  {d.label} · {d.docName}
+                                </th>
+                              ))}
                               <th>Verdict</th>
                             </tr>
                           </thead>
@@ -434,8 +1934,9 @@ function App() {
                             {compareStructured.topics.map((t, idx) => (
                               <tr key={idx}>
                                 <td className="compareTopic">{t.topic}</td>
-                                <td>{t.docA}</td>
-                                <td>{t.docB}</td>
+                                {compareDocuments.map((d, i) => (
+                                  <td key={d.label}>{t.values[i]}</td>
+                                ))}
                                 <td className="compareVerdict">{t.verdict}</td>
                               </tr>
                             ))}
@@ -445,22 +1946,50 @@ function App() {
                     </div>
                   ) : null}
 
+                  {compareDiff ? (
+                    <div className="compareStructured">
+                      <div className="sourcesTitle">Changes</div>
+                      <DiffChanges
+                        diff={compareDiff}
+                        documents={compareDocuments}
+                        onOpenPage={openDocumentPage}
+                      />
+                    </div>
+                  ) : null}
+
                   <div className="msg assistant">
-                    <div className="msgRole">assistant</div>
+                    <div className="msgRole">assistant{compareCached ? ' · cached' : ''}</div>
                     <div className="msgContent markdown">
-                      <ReactMarkdown remarkPlugins={[remarkGfm]}>{compareAnswer}</ReactMarkdown>
+                      <AnswerMarkdown
+                        text={compareAnswer}
+                        sourceFor={(label) =>
+                          compareDocuments.find((d) => d.label === label[0])?.sources[Number(label.slice(1)) - 1]
+                        }
+                        onOpenSource={openSource}
+                      />
                     </div>
+                    {compareGrounding ? <GroundingWarning grounding={compareGrounding} /> : null}
+                    {compareResult ? (
+                      <div className="msgActions">
+                        <ExportButtons
+                          formats={['md', 'docx', 'csv', 'json'] as const}
+                          fileName="comparison"
+                          getUrl={(format) => getCompareExportUrl(compareResult, format)}
+                          onError={setError}
+                        />
+                      </div>
+                    ) : null}
                   </div>
 
                   <div className="compareSources">
-                    <div>
-                      <div className="sourcesTitle">Sources A</div>
-                      <Sources sources={compareSourcesA} />
-                    </div>
-                    <div>
-                      <div className="sourcesTitle">Sources B</div>
-                      <Sources sources={compareSourcesB} />
-                    </div>
+                    {compareDocuments.filter((d) => d.sources.length || !compareDiff).map((d) => (
+                      <div key={d.label}>
+                        <div className="sourcesTitle">
+                          Sources {d.label} · {d.docName}
+                        </div>
+                        <Sources sources={d.sources} onOpen={openSource} onError={setError} />
+                      </div>
+                    ))}
                   </div>
                 </div>
               ) : thinkingCompare ? (
@@ -470,9 +1999,50 @@ function App() {
                 </div>
               ) : null}
             </div>
+          ) : (
+            <div className="panel">
+              <div className="panelTitle">Extract Fields</div>
+              <div className="muted">
+                Fields as JSON: name, description, and optionally type (string, number, integer, boolean, date, list),
+                options (allowed values) and required.
+              </div>
+              <textarea
+                className="mono"
+                value={extractSchema}
+                disabled={busy}
+                onChange={(e) => setExtractSchema(e.target.value)}
+                rows={10}
+              />
+              <div className="compareModeRow">
+                <div className="muted">Documents</div>
+                <select value={extractScope} disabled={busy} onChange={(e) => setExtractScope(e.target.value as typeof extractScope)}>
+                  <option value="single">Selected document</option>
+                  <option value="all">All documents</option>
+                </select>
+              </div>
+              <div className="modeRow">
+                <button className="btn" onClick={() => void onExtract()} disabled={busy}>
+                  Extract
+                </button>
+              </div>
+
+              {extractResults.length ? (
+                <div className="compareResult">
+                  <ExtractResults fields={extractedFields} results={extractResults} onOpen={openSource} />
+                </div>
+              ) : thinkingExtract ? (
+                <div className="msg assistant thinking">
+                  <div className="msgContent muted">Extracting…</div>
+                </div>
+              ) : null}
+            </div>
           )}
         </main>
       </div>
+
+      {viewer ? (
+        <PdfViewer target={viewer} onPage={(page) => setViewer({ ...viewer, page })} onClose={() => setViewer(null)} />
+      ) : null}
     </div>
   )
 }
@@ -5,52 +5,271 @@ export type DocumentSummary = {
   createdAt: string;
   numPages: number;
   numChunks: number;
+  // Tables detected during extraction (see listTables).
+  numTables?: number;
   scannedLikely: boolean;
   totalExtractedChars?: number;
   nonEmptyPages?: number;
+  // Pages whose text came from OCR, with Tesseract's mean confidence (0-100).
+  ocrPages?: OcrPage[];
+  // Bibliographic metadata found during ingestion (null for documents processed before it existed).
+  metadata?: DocumentMetadata | null;
+  ownerId?: string | null;
+  // 'shared' documents are read-only: they can be chatted with but not changed.
+  access?: 'owner' | 'shared';
+  // Only returned to the owner.
+  sharedWith?: DocumentSharing;
+  // Version history: `lineageId` is the first version's id (null on the first version itself);
+  // the latest version has no `nextVersionId`.
+  lineageId?: string | null;
+  version?: number;
+  previousVersionId?: string | null;
+  nextVersionId?: string | null;
 };
 
+export type DocumentMetadata = {
+  title: string;
+  authors: string[];
+  abstract: string;
+  doi: string;
+  arxivId: string;
+  year: number | null;
+  numReferences: number;
+};
+
+export type Reference = {
+  number: number;
+  text: string;
+  pageNumber: number;
+  year?: number;
+  doi?: string;
+  arxivId?: string;
+};
+
+// Full metadata including the parsed reference list.
+export type DocumentMetadataDetails = Omit<DocumentMetadata, 'numReferences'> & { references: Reference[] };
+
+export type DocumentSharing = {
+  users: string[];
+  teams: string[];
+};
+
+export type Me = {
+  user: { id: string; teams: string[] };
+  authMode: 'none' | 'jwt';
+  // May use the /api/admin routes (AUTH_ADMINS; everyone without auth).
+  admin: boolean;
+};
+
+export type OcrPage = {
+  pageNumber: number;
+  confidence: number;
+};
+
+export type JobStage =
+  | 'queued'
+  | 'storing'
+  | 'downloading'
+  | 'extracting'
+  | 'ocr'
+  | 'chunking'
+  | 'indexing'
+  | 'abstracting'
+  | 'summarizing'
+  | 'done';
+
+// Background ingestion job (upload or reprocess); `result` is set once it succeeded, with
+// `abstractsError` when some chunks couldn't be abstracted (summaries retry those).
+export type IngestJob = {
+  id: string;
+  type: 'upload' | 'reprocess';
+  docId: string | null;
+  name: string;
+  status: 'queued' | 'running' | 'succeeded' | 'failed';
+  stage: JobStage;
+  // Page-level progress while extracting / running OCR.
+  progress: { current: number; total: number } | null;
+  error: string | null;
+  result: (DocumentSummary & { abstractsError?: string | null }) | null;
+  createdAt: string;
+  updatedAt: string;
+};
+
+export type Retriever = 'tfidf' | 'bm25' | 'semantic' | 'hybrid';
+
 export type ChatSource = {
   chunkId: string;
+  docId?: string;
+  docName?: string;
   pageStart: number;
   pageEnd: number;
+  // Heading trail of the chunk, e.g. "3 Methods > 3.2 Data" (absent for documents without detected headings).
+  sectionPath?: string;
   score: number;
+  // Per-method scores (tfidf / bm25 / semantic / rrf) reported by the retriever.
+  scores?: Partial<Record<Retriever | 'rrf', number>>;
   excerpt: string;
+  // Set for table chunks: the table id ("p3-t1") and the rows this chunk holds.
+  tableId?: string;
+  table?: SourceTable;
+};
+
+export type SourceTable = {
+  caption: string;
+  columns: string[];
+  rows: string[][];
+  // Index of the first row in the whole table (long tables are split across chunks).
+  rowStart: number;
+};
+
+export type DocumentTable = {
+  id: string;
+  pageNumber: number;
+  caption: string;
+  columns: string[];
+  rows: string[][];
+};
+
+export type TableFormat = 'csv' | 'json';
+
+// Reports (md, docx) expand citations into page references with excerpts; csv/json of a
+// comparison are its topic table (the change list of a literal diff).
+export type CompareExportFormat = 'md' | 'docx' | 'csv' | 'json';
+export type ConversationExportFormat = 'md' | 'docx' | 'json';
+
+// How a sentence of an answer relates to the sources it cites (see citation-helpers.js on the backend).
+export type GroundingStatus = 'supported' | 'implicit' | 'unsupported' | 'invalid_citation' | 'uncited' | 'skipped';
+
+export type SentenceGrounding = {
+  text: string;
+  status: GroundingStatus;
+  // Share of the sentence's content words found in the cited excerpts (0-1).
+  support: number;
+  citations: { label: string; valid: boolean; support: number }[];
+};
+
+export type Grounding = {
+  // Share of claims backed by the sources; null when the answer makes no claims.
+  score: number | null;
+  claims: number;
+  grounded: number;
+  // Cited labels that don't match any source, e.g. "7" or "B4".
+  invalidCitations: string[];
+  sentences: SentenceGrounding[];
+};
+
+export type LlmUsage = {
+  promptTokens: number;
+  completionTokens: number;
+  totalTokens: number;
+  calls: number;
 };
 
 export type CompareMode = 'content' | 'methodology' | 'conclusions' | 'structure' | 'literal' | 'custom';
 
-export type CompareTopicVerdict = 'same' | 'different' | 'onlyA' | 'onlyB' | 'unclear';
+// 'partial': only some of the documents cover the topic.
+export type CompareTopicVerdict = 'same' | 'different' | 'partial' | 'unclear';
 
 export type CompareStructured = {
   mode: CompareMode;
   task: string;
+  // Document labels, in the order of each topic's `values`.
+  labels: string[];
   topics: {
     topic: string;
-    docA: string;
-    docB: string;
+    values: string[];
     verdict: CompareTopicVerdict;
     notes?: string;
   }[];
   summary?: string;
 };
 
+// A compared document; its excerpts are cited as `${label}${n}` (the n-th entry of `sources`).
+export type CompareDocument = {
+  label: string;
+  docId: string;
+  docName: string;
+  sources: ChatSource[];
+};
+
+export type DiffChangeType = 'changed' | 'inserted' | 'deleted';
+
+// One difference found by the literal diff (compare mode 'literal'); A is the first document.
+export type DiffChange = {
+  id: number;
+  type: DiffChangeType;
+  sectionA: string | null;
+  sectionB: string | null;
+  // For an insertion (deletion), the page of A (B) where the text would go.
+  pageA: number | null;
+  pageB: number | null;
+  before: string;
+  after: string;
+  // Word-level edits of a changed sentence.
+  words?: { op: 'equal' | 'delete' | 'insert'; text: string }[];
+  // Numbers and obligation words (shall, must, may, ...) present on one side only.
+  numbers?: { before: string[]; after: string[] };
+  obligations?: { before: string[]; after: string[] };
+};
+
+export type DocumentDiff = {
+  alignment: 'section' | 'page';
+  changes: DiffChange[];
+  // Section headings found in only one of the documents.
+  sections: { added: string[]; removed: string[] };
+  // True when there were more than the listed changes.
+  truncated: boolean;
+  stats: {
+    sentencesA: number;
+    sentencesB: number;
+    changed: number;
+    inserted: number;
+    deleted: number;
+    numberChanges: number;
+    obligationChanges: number;
+    // Share of sentences the documents have in common (0..1).
+    similarity: number;
+  };
+};
+
 export type CompareResponse = {
   answer: string;
   mode?: CompareMode;
   task?: string;
   structured?: CompareStructured | null;
-  sourcesA: ChatSource[];
-  sourcesB: ChatSource[];
+  // Mode 'literal' only.
+  diff?: DocumentDiff | null;
+  documents: CompareDocument[];
+  grounding?: Grounding;
+  retriever?: Retriever;
+  // True when the answer was served from the backend's answer cache.
+  cached?: boolean;
+  usage?: LlmUsage;
 };
 
 const API_URL = API_DEFAULTS.BASE_URL;
 
+export function getAuthToken(): string {
+  return window.localStorage.getItem(API_DEFAULTS.AUTH_TOKEN_KEY) || '';
+}
+
+// Empty token signs out.
+export function setAuthToken(token: string) {
+  if (token) window.localStorage.setItem(API_DEFAULTS.AUTH_TOKEN_KEY, token);
+  else window.localStorage.removeItem(API_DEFAULTS.AUTH_TOKEN_KEY);
+}
+
+function authHeaders(): Record<string, string> {
+  const token = getAuthToken();
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
 async function http<T>(path: string, init?: RequestInit): Promise<T> {
   const res = await fetch(`${API_URL}${path}`, {
     ...init,
     headers: {
       'Content-Type': 'application/json',
+      ...authHeaders(),
       ...(init?.headers || {}),
     },
   });
@@ -62,22 +281,256 @@ async function http<T>(path: string, init?: RequestInit): Promise<T> {
   return (await res.json()) as T;
 }
 
+export type StreamOptions = {
+  /** When set, the streaming endpoint is used and answer text is delivered as it arrives. */
+  onToken?: (text: string) => void;
+  /** Overrides the backend's default retriever for this request. */
+  retriever?: Retriever;
+};
+
+function parseSseEvent(block: string): { event: string; data: string } | null {
+  let event = 'message';
+  const data: string[] = [];
+  for (const line of block.split('\n')) {
+    if (line.startsWith('event:')) event = line.slice(6).trim();
+    else if (line.startsWith('data:')) data.push(line.slice(5).trimStart());
+  }
+  return data.length ? { event, data: data.join('\n') } : null;
+}
+
+// POSTs to an SSE endpoint (EventSource only supports GET) and resolves with the `done` payload.
+async function httpStream<T>(path: string, body: unknown, onToken: (text: string) => void): Promise<T> {
+  const res = await fetch(`${API_URL}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream', ...authHeaders() },
+    body: JSON.stringify(body),
+  });
+
+  if (!res.ok || !res.body) {
+    const text = await res.text();
+    throw new Error(text || `Request failed: ${res.status}`);
+  }
+
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+
+    let sep = buffer.indexOf('\n\n');
+    while (sep >= 0) {
+      const evt = parseSseEvent(buffer.slice(0, sep));
+      buffer = buffer.slice(sep + 2);
+      sep = buffer.indexOf('\n\n');
+      if (!evt) continue;
+
+      const payload = JSON.parse(evt.data);
+      if (evt.event === 'token') onToken(String(payload.text || ''));
+      else if (evt.event === 'error') {
+        const retry = payload.retryAfterSeconds ? ` (retry in ${payload.retryAfterSeconds}s)` : '';
+        throw new Error(`${payload.error || 'Stream failed'}${retry}`);
+      }
+      else if (evt.event === 'done') {
+        await reader.cancel();
+        return payload as T;
+      }
+    }
+  }
+
+  throw new Error('Stream ended before the response was complete');
+}
+
+export async function getMe(): Promise<Me> {
+  return await http<Me>('/api/me');
+}
+
 export async function listDocuments(): Promise<DocumentSummary[]> {
   const data = await http<{ documents: DocumentSummary[] }>('/api/documents');
   return data.documents;
 }
 
+export async function renameDocument(id: string, name: string): Promise<DocumentSummary> {
+  const data = await http<{ document: DocumentSummary }>(`/api/documents/${encodeURIComponent(id)}`, {
+    method: 'PATCH',
+    body: JSON.stringify({ name }),
+  });
+  return data.document;
+}
+
+// Replaces the list of users/teams the document is shared with (owner only).
+export async function shareDocument(id: string, sharing: DocumentSharing): Promise<DocumentSummary> {
+  const data = await http<{ document: DocumentSummary }>(`/api/documents/${encodeURIComponent(id)}/sharing`, {
+    method: 'PUT',
+    body: JSON.stringify(sharing),
+  });
+  return data.document;
+}
+
+// Re-runs extraction/chunking from the stored PDF (as a job); drops the cached summary.
+export async function reprocessDocument(id: string): Promise<IngestJob> {
+  const data = await http<{ job: IngestJob }>(`/api/documents/${encodeURIComponent(id)}/reprocess`, {
+    method: 'POST',
+  });
+  return data.job;
+}
+
+// Every version of the document, oldest first.
+export async function listVersions(id: string): Promise<DocumentSummary[]> {
+  const data = await http<{ versions: DocumentSummary[] }>(`/api/documents/${encodeURIComponent(id)}/versions`);
+  return data.versions;
+}
+
+// A change of the report, by id in `diff.changes`; pages are in the previous (A) and this (B) version.
+export type ChangeReference = {
+  changeId: number;
+  section: string | null;
+  pageA: number | null;
+  pageB: number | null;
+};
+
+export type ChangeReport = {
+  documentId: string;
+  version: number;
+  previousDocumentId: string;
+  previousVersion: number;
+  // Overview of the changes, or the LLM's summary of them.
+  summary: string;
+  report: {
+    sectionsAdded: string[];
+    sectionsRemoved: string[];
+    figures: (ChangeReference & { before: string[]; after: string[] })[];
+    conclusions: (ChangeReference & { type: DiffChangeType; before: string; after: string })[];
+  };
+  diff: DocumentDiff;
+  cached?: boolean;
+  usage?: LlmUsage;
+};
+
+// What changed since the previous version; `summarize` adds an LLM summary.
+export async function getChangeReport(id: string, options?: { summarize?: boolean }): Promise<ChangeReport> {
+  const query = options?.summarize ? '?summarize=1' : '';
+  return await http<ChangeReport>(`/api/documents/${encodeURIComponent(id)}/changes${query}`);
+}
+
+export type SummaryProfile = 'findings' | 'executive' | 'sections' | 'methods' | 'lay';
+export type SummaryLength = 'short' | 'medium' | 'long';
+
+export type SummaryResult = {
+  documentId: string;
+  summary: string;
+  // The chunks the summary was built from.
+  sources: { chunkId: string; pageStart: number; pageEnd: number; sectionPath?: string }[];
+  profile: SummaryProfile;
+  length: SummaryLength;
+  updatedAt: string | null;
+  cached: boolean;
+  usage?: LlmUsage;
+};
+
+// Summaries are cached per profile and length; `refresh` regenerates one.
+export async function getSummary(
+  id: string,
+  profile: SummaryProfile,
+  length: SummaryLength,
+  options?: { refresh?: boolean }
+): Promise<SummaryResult> {
+  const query = new URLSearchParams({ profile, length, ...(options?.refresh ? { refresh: '1' } : {}) });
+  return await http<SummaryResult>(`/api/documents/${encodeURIComponent(id)}/summary?${query}`);
+}
+
+// Fractions of the page size, top-left origin.
+export type HighlightBox = { left: number; top: number; width: number; height: number };
+
+export type PassageHighlights = {
+  chunkId: string;
+  pageStart: number;
+  pageEnd: number;
+  // Pages extracted before highlighting existed come back without boxes (reprocess to add them).
+  pages: { pageNumber: number; boxes: HighlightBox[] }[];
+};
+
+// Binary responses need the auth header too, so they're fetched into object URLs
+// (revoke them with URL.revokeObjectURL when done).
+async function httpObjectUrl(path: string, init?: RequestInit): Promise<string> {
+  const res = await fetch(`${API_URL}${path}`, { ...init, headers: { ...authHeaders(), ...(init?.headers || {}) } });
+  if (!res.ok) {
+    const text = await res.text();
+    throw new Error(text || `Request failed: ${res.status}`);
+  }
+  return URL.createObjectURL(await res.blob());
+}
+
+export async function getDocumentFileUrl(id: string): Promise<string> {
+  return await httpObjectUrl(`/api/documents/${encodeURIComponent(id)}/file`);
+}
+
+export async function getPageImageUrl(id: string, page: number): Promise<string> {
+  const scale = API_DEFAULTS.PAGE_IMAGE_SCALE;
+  return await httpObjectUrl(`/api/documents/${encodeURIComponent(id)}/pages/${page}/image?scale=${scale}`);
+}
+
+export async function getHighlights(id: string, chunkId: string): Promise<PassageHighlights> {
+  const query = new URLSearchParams({ chunkId });
+  return await http<PassageHighlights>(`/api/documents/${encodeURIComponent(id)}/highlights?${query}`);
+}
+
+export async function getDocumentMetadata(id: string): Promise<DocumentMetadataDetails | null> {
+  const data = await http<{ metadata: DocumentMetadataDetails | null }>(`/api/documents/${encodeURIComponent(id)}/metadata`);
+  return data.metadata;
+}
+
+export async function listTables(id: string): Promise<DocumentTable[]> {
+  const data = await http<{ tables: DocumentTable[] }>(`/api/documents/${encodeURIComponent(id)}/tables`);
+  return data.tables;
+}
+
+// Object URL of one table as a CSV or JSON file; revoke it once the download has started.
+export async function getTableFileUrl(id: string, tableId: string, format: TableFormat): Promise<string> {
+  const path = `/api/documents/${encodeURIComponent(id)}/tables/${encodeURIComponent(tableId)}?format=${format}`;
+  return await httpObjectUrl(path);
+}
+
+export async function getJob(id: string): Promise<IngestJob> {
+  const data = await http<{ job: IngestJob }>(`/api/jobs/${encodeURIComponent(id)}`);
+  return data.job;
+}
+
+// Polls a job until it finishes; resolves with the document or throws the job's error.
+export async function waitForJob(job: IngestJob, onUpdate?: (job: IngestJob) => void): Promise<DocumentSummary> {
+  let current = job;
+  for (;;) {
+    onUpdate?.(current);
+    if (current.status === 'succeeded' && current.result) return current.result;
+    if (current.status === 'failed') throw new Error(current.error || 'Processing failed');
+    await new Promise((resolve) => setTimeout(resolve, API_DEFAULTS.JOB_POLL_MS));
+    current = await getJob(current.id);
+  }
+}
+
+// Deletes the document, its raw PDF and its conversations.
+export async function deleteDocument(id: string): Promise<void> {
+  await http<{ ok: boolean }>(`/api/documents/${encodeURIComponent(id)}`, { method: 'DELETE' });
+}
+
 export type UploadPdfOptions = {
   onProgress?: (percent: number) => void;
+  // Upload the file as the new latest version of this document.
+  versionOf?: string;
 };
 
-export async function uploadPdf(file: File, options?: UploadPdfOptions): Promise<DocumentSummary> {
+// Uploads the file and resolves with the ingestion job (see waitForJob).
+export async function uploadPdf(file: File, options?: UploadPdfOptions): Promise<IngestJob> {
   const form = new FormData();
+  if (options?.versionOf) form.append('versionOf', options.versionOf);
   form.append('file', file);
 
-  return await new Promise<DocumentSummary>((resolve, reject) => {
+  return await new Promise<IngestJob>((resolve, reject) => {
     const xhr = new XMLHttpRequest();
     xhr.open('POST', `${API_URL}/api/documents`);
+    for (const [name, value] of Object.entries(authHeaders())) xhr.setRequestHeader(name, value);
 
     xhr.upload.onprogress = (evt) => {
       if (!evt.lengthComputable) return;
@@ -95,12 +548,12 @@ export async function uploadPdf(file: File, options?: UploadPdfOptions): Promise
           return;
         }
 
-        const data = (raw ? JSON.parse(raw) : {}) as { document?: DocumentSummary };
-        if (!data.document) {
+        const data = (raw ? JSON.parse(raw) : {}) as { job?: IngestJob };
+        if (!data.job) {
           reject(new Error('Upload failed: invalid response'));
           return;
         }
-        resolve(data.document);
+        resolve(data.job);
       } catch {
         reject(new Error('Upload failed: invalid JSON response'));
       }
@@ -110,16 +563,177 @@ export async function uploadPdf(file: File, options?: UploadPdfOptions): Promise
   });
 }
 
-export async function chat(docId: string, messages: { role: 'user' | 'assistant'; content: string }[], question: string) {
-  return await http<{ answer: string; sources: ChatSource[] }>('/api/chat', {
+// One document, several documents, or the whole collection.
+export type ChatScope = { docId: string } | { docIds: string[] | 'all' };
+
+// Continue a stored conversation (its documents and history live on the server).
+export type ChatTarget = ChatScope | { conversationId: string };
+
+export type ChatResponse = {
+  answer: string;
+  sources: ChatSource[];
+  kind?: 'summary' | 'summary_cached';
+  // Citation check of the answer (absent for summaries and answers that didn't come from the LLM).
+  grounding?: Grounding;
+  retriever?: Retriever;
+  // True when the answer was served from the backend's answer cache.
+  cached?: boolean;
+  usage?: LlmUsage;
+  // Set when the question continued a stored conversation.
+  conversationId?: string;
+};
+
+export type ConversationMessage = {
+  role: 'user' | 'assistant';
+  content: string;
+  sources?: ChatSource[];
+  kind?: ChatResponse['kind'];
+  grounding?: Grounding;
+  retriever?: Retriever;
+  createdAt: string;
+};
+
+export type ConversationSummary = {
+  id: string;
+  title: string;
+  docIds: string[] | 'all';
+  createdAt: string;
+  updatedAt: string;
+  messageCount: number;
+};
+
+export type Conversation = ConversationSummary & {
+  messages: ConversationMessage[];
+};
+
+export async function listConversations(docId?: string): Promise<ConversationSummary[]> {
+  const query = docId ? `?docId=${encodeURIComponent(docId)}` : '';
+  const data = await http<{ conversations: ConversationSummary[] }>(`/api/conversations${query}`);
+  return data.conversations;
+}
+
+export async function getConversation(id: string): Promise<Conversation> {
+  const data = await http<{ conversation: Conversation }>(`/api/conversations/${encodeURIComponent(id)}`);
+  return data.conversation;
+}
+
+export async function createConversation(scope: ChatScope, title?: string): Promise<Conversation> {
+  const data = await http<{ conversation: Conversation }>('/api/conversations', {
+    method: 'POST',
+    body: JSON.stringify({ ...scope, title }),
+  });
+  return data.conversation;
+}
+
+export async function renameConversation(id: string, title: string): Promise<ConversationSummary> {
+  const data = await http<{ conversation: ConversationSummary }>(`/api/conversations/${encodeURIComponent(id)}`, {
+    method: 'PATCH',
+    body: JSON.stringify({ title }),
+  });
+  return data.conversation;
+}
+
+export async function deleteConversation(id: string): Promise<void> {
+  await http<{ ok: boolean }>(`/api/conversations/${encodeURIComponent(id)}`, { method: 'DELETE' });
+}
+
+// Object URL of a conversation export; revoke it once the download has started.
+export async function getConversationExportUrl(id: string, format: ConversationExportFormat): Promise<string> {
+  return await httpObjectUrl(`/api/conversations/${encodeURIComponent(id)}/export?format=${format}`);
+}
+
+export async function chat(
+  target: ChatTarget,
+  messages: { role: 'user' | 'assistant'; content: string }[],
+  question: string,
+  options?: StreamOptions & {
+    /** Chat with exactly the given document versions instead of their latest versions. */
+    pinVersion?: boolean;
+  }
+): Promise<ChatResponse> {
+  const body = { ...target, messages, question, retriever: options?.retriever, pinVersion: options?.pinVersion };
+  if (options?.onToken) return await httpStream<ChatResponse>('/api/chat/stream', body, options.onToken);
+  return await http<ChatResponse>('/api/chat', {
     method: 'POST',
-    body: JSON.stringify({ docId, messages, question }),
+    body: JSON.stringify(body),
   });
 }
 
-export async function compare(docIdA: string, docIdB: string, prompt: string, mode?: CompareMode): Promise<CompareResponse> {
+export async function compare(
+  docIds: string[],
+  prompt: string,
+  mode?: CompareMode,
+  options?: StreamOptions & {
+    /** Mode 'literal': have the LLM summarize the change list (otherwise no LLM call is made). */
+    summarize?: boolean;
+  }
+): Promise<CompareResponse> {
+  const body = { docIds, prompt, mode, retriever: options?.retriever, summarize: options?.summarize };
+  if (options?.onToken) return await httpStream<CompareResponse>('/api/compare/stream', body, options.onToken);
   return await http<CompareResponse>('/api/compare', {
     method: 'POST',
-    body: JSON.stringify({ docIdA, docIdB, prompt, mode }),
+    body: JSON.stringify(body),
+  });
+}
+
+// Object URL of a comparison export; the result is posted back as-is. Revoke it once the download has started.
+export async function getCompareExportUrl(result: CompareResponse, format: CompareExportFormat): Promise<string> {
+  return await httpObjectUrl(`/api/compare/export?format=${format}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(result),
+  });
+}
+
+export type ExtractFieldType = 'string' | 'number' | 'integer' | 'boolean' | 'date' | 'list';
+
+// One field of an extraction schema; `options` restricts string values (or list items).
+export type ExtractField = {
+  name: string;
+  description?: string;
+  type?: ExtractFieldType;
+  options?: string[];
+  required?: boolean;
+};
+
+export type ExtractValue = string | number | boolean | string[] | null;
+
+export type ExtractedField = {
+  value: ExtractValue;
+  // 1-based numbers into the document result's `sources`.
+  sources: number[];
+  confidence: number;
+  // How well the cited sources back the value ('verbatim' = the value occurs in them).
+  support: 'verbatim' | 'cited' | 'uncited';
+  error?: string;
+};
+
+// Documents that couldn't be processed only carry `error`.
+export type DocumentExtraction = {
+  docId: string;
+  docName: string;
+  values?: Record<string, ExtractValue>;
+  fields?: Record<string, ExtractedField>;
+  valid?: boolean;
+  sources?: ChatSource[];
+  retriever?: Retriever;
+  cached?: boolean;
+  error?: string;
+};
+
+export type ExtractResponse = {
+  results: DocumentExtraction[];
+  retriever?: Retriever;
+  usage?: LlmUsage;
+};
+
+export async function extractFields(
+  scope: ChatScope,
+  fields: ExtractField[],
+  options?: { retriever?: Retriever }
+): Promise<ExtractResponse> {
+  return await http<ExtractResponse>('/api/extract', {
+    method: 'POST',
+    body: JSON.stringify({ ...scope, fields, retriever: options?.retriever }),
   });
 }
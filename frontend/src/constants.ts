@@ -2,8 +2,31 @@ export const FRONTEND_DEFAULTS = {
   MAX_PDF_BYTES: 10 * 1024 * 1024,
   MAX_PDF_LABEL: '10MB',
   PDF_MIME: 'application/pdf',
+  // Backend SCHEMA_DEFAULTS.MAX_COMPARE_DOCUMENTS.
+  MAX_COMPARE_DOCUMENTS: 8,
+  // Backend SUMMARY_DEFAULTS.PROFILES / LENGTHS.
+  SUMMARY_PROFILES: [
+    { value: 'findings', label: 'Key findings' },
+    { value: 'executive', label: 'Executive brief' },
+    { value: 'sections', label: 'Section by section' },
+    { value: 'methods', label: 'Methods only' },
+    { value: 'lay', label: 'Lay audience' },
+  ],
+  SUMMARY_LENGTHS: ['short', 'medium', 'long'],
+  // Starting point for the extraction schema editor.
+  EXTRACT_EXAMPLE_FIELDS: [
+    { name: 'title', description: 'Title of the paper' },
+    { name: 'authors', description: 'Names of the authors', type: 'list' },
+    { name: 'year', description: 'Publication year', type: 'date' },
+    { name: 'sampleSize', description: 'Number of participants or examples studied', type: 'integer' },
+  ],
 };
 
 export const API_DEFAULTS = {
   BASE_URL: import.meta.env.VITE_API_URL || 'http://localhost:8080',
+  JOB_POLL_MS: 500,
+  // localStorage key for the bearer token (backend AUTH_MODE=jwt).
+  AUTH_TOKEN_KEY: 'pdfChat.authToken',
+  // Render scale for viewer page images (1 = 72 dpi).
+  PAGE_IMAGE_SCALE: 1.5,
 };